@@ -0,0 +1,96 @@
+'use strict';
+
+const settings = require('./settings');
+const ExhaustionPolicy = settings.ExhaustionPolicy;
+
+const errorClassification = require('./error-classification');
+const getTransientAttempts = errorClassification.getTransientAttempts;
+
+/**
+ * Utilities for applying per-task-definition attempt policies to a batch's "process one" and "process all" tasks, which
+ * are configured via the `attemptPolicies` map of task definition names to attempt policies (i.e. an optional
+ * `maxNumberOfAttempts`, which overrides the global `maxPermanentAttempts` or `maxNumberOfAttempts`, and an optional
+ * `onExhaustion` policy). Once a task has exhausted its (permanent or transient) attempts, its policy decides whether
+ * to reject its message to the Dead Message Queue (`reject`, the default), to alert and leave the task incomplete, so
+ * that it keeps being retried & blocks its shard until it succeeds or is resolved (`block`), or to skip the task by
+ * completing it (`skip`).
+ * @module aws-stream-consumer-core/attempt-policies
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.isBlockedOnExhaustion = isBlockedOnExhaustion;
+exports.discardIfOverAttempted = discardIfOverAttempted;
+
+/** The name of the completed state of a task that was skipped after exhausting its attempts */
+const SKIPPED = 'Skipped';
+exports.SKIPPED = SKIPPED;
+
+/**
+ * Returns true if the named task's attempt policy is to block (instead of rejecting or skipping it) once exhausted.
+ * @param {string} taskName - the name of the task definition
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {boolean} true if the named task must never be rejected automatically; false otherwise
+ */
+function isBlockedOnExhaustion(taskName, context) {
+  return settings.getAttemptPolicy(context, taskName).onExhaustion === ExhaustionPolicy.block;
+}
+
+/**
+ * Applies the given incomplete processing task's attempt policy if it has reached or exceeded either its maximum number
+ * of (permanent) attempts or the maximum number of transient attempts (if configured), i.e. marks it as discarded (if
+ * `reject`), alerts & leaves it incomplete (if `block`) or completes it & its sub-tasks in a `Skipped` state (if
+ * `skip`). Unlike the `reject` policy, the `block` & `skip` policies are applied to an exhausted task regardless of
+ * whether its sub-tasks are finalised, but like it, they are also applied recursively to any exhausted sub-tasks of a
+ * task that is not itself exhausted.
+ * @param {Task} task - the processing task to check
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {number} the number of over-attempted tasks marked as discarded
+ */
+function discardIfOverAttempted(task, context) {
+  const attemptPolicy = settings.getAttemptPolicy(context, task.name);
+  const maxNumberOfAttempts = attemptPolicy.maxNumberOfAttempts;
+  const maxTransientAttempts = settings.getMaxTransientAttempts(context);
+
+  if (attemptPolicy.onExhaustion === ExhaustionPolicy.reject) {
+    const count = task.discardIfOverAttempted(maxNumberOfAttempts, true);
+    const reason = describeTransientExhaustion(task, maxTransientAttempts);
+    return reason && task.incomplete ? count + task.discard(reason, undefined, true) : count;
+  }
+
+  applyExhaustionPolicy(task, attemptPolicy.onExhaustion, maxNumberOfAttempts, maxTransientAttempts, context);
+  return 0;
+}
+
+function applyExhaustionPolicy(task, onExhaustion, maxNumberOfAttempts, maxTransientAttempts, context) {
+  if (!task.incomplete) {
+    return;
+  }
+  const reason = describeExhaustion(task, maxNumberOfAttempts) || describeTransientExhaustion(task, maxTransientAttempts);
+  if (!reason) {
+    // Apply the policy to any of the task's exhausted sub-tasks
+    task.subTasks.forEach(subTask => applyExhaustionPolicy(subTask, onExhaustion, maxNumberOfAttempts, maxTransientAttempts, context));
+    return;
+  }
+
+  if (onExhaustion === ExhaustionPolicy.skip) {
+    task.completeAs(SKIPPED, reason, {overrideTimedOut: true}, true);
+    context.warn(`Skipped ${task.name}, since ${reason.charAt(0).toLowerCase()}${reason.substring(1)}`);
+  } else {
+    context.error(`BLOCKED - ${task.name} will NOT be discarded & will block its shard until resolved, although ${reason.charAt(0).toLowerCase()}${reason.substring(1)}`);
+  }
+}
+
+function describeExhaustion(task, maxNumberOfAttempts) {
+  const attempts = task.attempts;
+  return maxNumberOfAttempts && attempts >= maxNumberOfAttempts ?
+    `The number of attempts (${attempts}) has ${attempts > maxNumberOfAttempts ? 'exceeded' : 'reached'} the maximum number of attempts allowed (${maxNumberOfAttempts})` :
+    undefined;
+}
+
+function describeTransientExhaustion(task, maxTransientAttempts) {
+  const transientAttempts = getTransientAttempts(task);
+  return maxTransientAttempts && transientAttempts >= maxTransientAttempts ?
+    `The number of transient attempts (${transientAttempts}) has ${transientAttempts > maxTransientAttempts ? 'exceeded' : 'reached'} the maximum number of transient attempts allowed (${maxTransientAttempts})` :
+    undefined;
+}
@@ -0,0 +1,280 @@
+'use strict';
+
+const Strings = require('core-functions/strings');
+const isBlank = Strings.isBlank;
+const isNotBlank = Strings.isNotBlank;
+
+const taskStates = require('task-utils/task-states');
+const StateType = taskStates.StateType;
+const Abandoned = taskStates.Abandoned;
+
+const tracking = require('./tracking');
+const toCountString = tracking.toCountString;
+const TaskMapNames = tracking.TaskMapNames;
+
+const persisting = require('./persisting');
+
+/**
+ * Utilities and functions for inspecting and repairing the items of a stream consumer batch state table (e.g. when a
+ * shard is stuck replaying), which list the batches saved for a stream consumer, describe a batch's message, rejected
+ * message, unusable record & batch task states, mark specific message tasks as completed or abandoned & delete a
+ * batch's state. Used by the `batch-state-admin` CLI.
+ * @module aws-stream-consumer-core/batch-state-admin
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.listBatchStateItems = listBatchStateItems;
+exports.getBatchStateItem = getBatchStateItem;
+exports.describeBatchStateItem = describeBatchStateItem;
+exports.updateMessageTaskStates = updateMessageTaskStates;
+exports.deleteBatchStateItem = deleteBatchStateItem;
+exports.isBatchStateItem = isBatchStateItem;
+
+/**
+ * Enum for the actions that can be applied to a message's tasks.
+ * @enum {string}
+ * @readonly
+ */
+const TaskAction = {
+  complete: 'complete',
+  abandon: 'abandon'
+};
+Object.freeze(TaskAction);
+exports.TaskAction = TaskAction;
+
+/**
+ * Returns true if the given item from a batch state table is a batch state item; false if it is a chunk item (i.e. has
+ * a `chunk`) or an index item (i.e. has a `batchShardOrEventID`).
+ * @param {BatchStateItem|BatchStateChunkItem|BatchStateIndexItem} item - the item to check
+ * @returns {boolean} true if a batch state item; false otherwise
+ */
+function isBatchStateItem(item) {
+  return !!item && !item.chunk && !item.batchShardOrEventID;
+}
+
+/**
+ * Lists the batch state items saved for the given stream consumer in the given table, skipping any chunk & index
+ * items. Decompresses the states of any compressed item, but leaves the states of any chunked item empty (i.e. use
+ * {@link getBatchStateItem} to get a chunked item's states).
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {string} streamConsumerId - the stream consumer's id (i.e. the table's hash key)
+ * @param {StreamProcessing} context - the context to use, which must be configured with a `dynamoDBDocClient`
+ * @returns {Promise.<BatchStateItem[]>} a promise of the batch state items found
+ */
+function listBatchStateItems(tableName, streamConsumerId, context) {
+  const request = {
+    TableName: tableName,
+    KeyConditionExpression: '#streamConsumerId = :streamConsumerId',
+    ExpressionAttributeNames: {'#streamConsumerId': 'streamConsumerId'},
+    ExpressionAttributeValues: {':streamConsumerId': streamConsumerId},
+    ConsistentRead: true
+  };
+  return queryAll(context.dynamoDBDocClient, request, [], context).then(items =>
+    items.filter(isBatchStateItem).map(item => item.chunkCount ? item : persisting.unpackBatchStateItem(item, []))
+  );
+}
+
+function queryAll(dynamoDBDocClient, request, items, context) {
+  if (context.traceEnabled) context.trace(`query request: ${JSON.stringify(request)}`);
+  return dynamoDBDocClient.query(request).promise().then(result => {
+    const allItems = items.concat((result && result.Items) || []);
+    if (result && result.LastEvaluatedKey) {
+      return queryAll(dynamoDBDocClient, Object.assign({}, request, {ExclusiveStartKey: result.LastEvaluatedKey}), allItems, context);
+    }
+    return allItems;
+  });
+}
+
+/**
+ * Gets the batch state item (if any) with the given key from the given table & reassembles its states (if they were
+ * compressed and/or chunked).
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItemKey} key - the key of the batch state item
+ * @param {StreamProcessing} context - the context to use, which must be configured with a `dynamoDBDocClient`
+ * @returns {Promise.<BatchStateItem|undefined>} a promise of the batch state item (if found); otherwise undefined
+ */
+function getBatchStateItem(tableName, key, context) {
+  return persisting.getBatchStateItem(context.dynamoDBDocClient, tableName, key, context);
+}
+
+/**
+ * Describes the given batch state item in the style of `Batch.describe` either concisely (i.e. as a single line) or
+ * verbosely (i.e. followed by a line per message, rejected message & unusable record state & per task).
+ * @param {BatchStateItem} item - the batch state item to describe
+ * @param {boolean|undefined} [concise] - whether to return a concise, single line description or not
+ * @returns {string} a description of the batch state item
+ */
+function describeBatchStateItem(item, concise) {
+  const msgStates = item.messageStates || [];
+  const rejMsgStates = item.rejectedMessageStates || [];
+  const uRecStates = item.unusableRecordStates || [];
+
+  const contents = item.chunkCount ? `states in ${toCountString(item.chunkCount, 'chunk')}` :
+    `${toCountString(msgStates.length, 'msg')}, ${toCountString(rejMsgStates.length, 'rejected msg')} & ${toCountString(uRecStates.length, 'unusable rec')}`;
+
+  const details = [`version ${item.version}`];
+  if (item.updatedAt) details.push(`updated at ${item.updatedAt}`);
+  if (item.fullyFinalised) details.push('fully finalised');
+  if (item.expiresAt) details.push(`expires at ${new Date(item.expiresAt * 1000).toISOString()}`);
+
+  const lines = [`Batch (${item.shardOrEventID}) with ${contents} - ${details.join(', ')}`];
+  if (concise) {
+    return lines[0];
+  }
+
+  msgStates.forEach((state, i) => describeState(`msg #${i}`, describeMessage(state), state, lines));
+  rejMsgStates.forEach((state, i) => describeState(`rejected msg #${i}`, describeMessage(state), state, lines));
+  uRecStates.forEach((state, i) => describeState(`unusable rec #${i}`, state.recDesc || state.eventID, state, lines));
+  if (item.batchState && item.batchState[TaskMapNames.alls]) describeState('batch', item.shardOrEventID, item.batchState, lines);
+
+  return lines.join('\n');
+}
+
+function describeMessage(state) {
+  return state.msgDesc || [state.id ? `id: ${state.id}` : undefined, state.eventID ? `eventID: ${state.eventID}` : undefined]
+    .filter(d => !!d).join(', ');
+}
+
+function describeState(prefix, desc, state, lines) {
+  lines.push(`  ${prefix} (${desc})`);
+  [TaskMapNames.ones, TaskMapNames.alls, TaskMapNames.discards].forEach(taskMapName => {
+    const tasksByName = state[taskMapName];
+    if (tasksByName) {
+      getTaskLikes(tasksByName).forEach(task => describeTask(taskMapName, task, '    ', lines));
+    }
+  });
+}
+
+function describeTask(prefix, task, indent, lines) {
+  const state = task.state || {};
+  const stateName = state.name || state.type || 'Unstarted';
+  const error = state.error ? ` - error: ${state.error}` : '';
+  const reason = state.reason ? ` - reason: ${state.reason}` : '';
+  lines.push(`${indent}${prefix}: ${task.name} - ${stateName} (attempts: ${task.attempts || 0})${reason}${error}`);
+  (task.subTasks || []).forEach(subTask => describeTask('sub-task', subTask, `${indent}  `, lines));
+}
+
+function getTaskLikes(tasksByName) {
+  return Object.getOwnPropertyNames(tasksByName).map(name => tasksByName[name]).filter(t => t && typeof t === 'object');
+}
+
+/**
+ * Marks the tasks with the given name (or all tasks if no name is given) of the messages and/or rejected messages that
+ * match the given message reference in the batch state item with the given key as completed or abandoned & then saves
+ * the updated item, but ONLY if it was not concurrently updated since it was loaded. Only changes the states of tasks
+ * (and their sub-tasks) that are not finalised yet (i.e. not completed and not rejected).
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItemKey} key - the key of the batch state item to update
+ * @param {string} messageRef - a reference to the message(s) to update, which is either the position of a message as
+ * shown by {@link describeBatchStateItem} (e.g. "#0" or "rejected#0") or a message's id or eventID
+ * @param {string|undefined} [taskName] - the name of the "process one" and/or "process all" task(s) to update (if
+ * omitted, updates all of the message's tasks)
+ * @param {TaskAction|string} action - whether to "complete" or "abandon" the tasks
+ * @param {string|undefined} [reason] - an optional reason for abandoning the tasks
+ * @param {StreamProcessing} context - the context to use, which must be configured with a `dynamoDBDocClient`
+ * @returns {Promise.<{item: BatchStateItem, updatedTasks: number}>} a promise of the updated item & the number of tasks
+ * updated
+ */
+function updateMessageTaskStates(tableName, key, messageRef, taskName, action, reason, context) {
+  if (action !== TaskAction.complete && action !== TaskAction.abandon) {
+    return Promise.reject(new Error(`Invalid task action (${action}) - must be "${TaskAction.complete}" or "${TaskAction.abandon}"`));
+  }
+  if (isBlank(messageRef)) {
+    return Promise.reject(new Error(`Missing message reference`));
+  }
+
+  const newState = JSON.parse(JSON.stringify(action === TaskAction.complete ? taskStates.instances.Completed :
+    new Abandoned(isNotBlank(reason) ? reason : `Abandoned via batch-state-admin`)));
+
+  return getBatchStateItem(tableName, key, context).then(item => {
+    if (!item) {
+      throw new Error(`Found no batch state item (${key.streamConsumerId}, ${key.shardOrEventID}) in ${tableName}`);
+    }
+
+    const msgStates = findMessageStates(item, messageRef);
+    if (msgStates.length <= 0) {
+      throw new Error(`Found no message matching (${messageRef}) in batch state item (${key.streamConsumerId}, ${key.shardOrEventID})`);
+    }
+
+    let updatedTasks = 0;
+    msgStates.forEach(state => {
+      [TaskMapNames.ones, TaskMapNames.alls].forEach(taskMapName => {
+        const tasksByName = state[taskMapName];
+        if (tasksByName) {
+          getTaskLikes(tasksByName).filter(task => !taskName || task.name === taskName)
+            .forEach(task => updatedTasks += setTaskState(task, newState));
+        }
+      });
+    });
+
+    if (updatedTasks <= 0) {
+      context.info(`No unfinalised tasks${taskName ? ` named (${taskName})` : ''} to ${action} on ${toCountString(msgStates.length, 'message')} matching (${messageRef})`);
+      return {item: item, updatedTasks: 0};
+    }
+
+    return putBatchStateItem(tableName, item, context).then(() => {
+      context.info(`Marked ${toCountString(updatedTasks, 'task')} of ${toCountString(msgStates.length, 'message')} matching (${messageRef}) as ${newState.name || newState.type}`);
+      return {item: item, updatedTasks: updatedTasks};
+    });
+  });
+}
+
+function findMessageStates(item, messageRef) {
+  const msgStates = item.messageStates || [];
+  const rejMsgStates = item.rejectedMessageStates || [];
+
+  const position = /^(rejected)?#(\d+)$/.exec(messageRef);
+  if (position) {
+    const state = (position[1] ? rejMsgStates : msgStates)[Number(position[2])];
+    return state ? [state] : [];
+  }
+  return msgStates.concat(rejMsgStates).filter(state => state.id === messageRef || state.eventID === messageRef);
+}
+
+function setTaskState(task, newState) {
+  const type = task.state && task.state.type;
+  let updated = 0;
+  if (type !== StateType.Completed && type !== StateType.Rejected) {
+    task.state = JSON.parse(JSON.stringify(newState));
+    updated = 1;
+  }
+  (task.subTasks || []).forEach(subTask => updated += setTaskState(subTask, newState));
+  return updated;
+}
+
+function putBatchStateItem(tableName, item, context) {
+  const expectedVersion = item.version;
+  item.version = (expectedVersion || 0) + 1;
+  item.updatedAt = new Date().toISOString();
+
+  return persisting.putBatchStateItem(context.dynamoDBDocClient, tableName, item, expectedVersion, context);
+}
+
+/**
+ * Deletes the batch state item with the given key & any of its chunk items from the given table.
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItemKey} key - the key of the batch state item to delete
+ * @param {StreamProcessing} context - the context to use, which must be configured with a `dynamoDBDocClient`
+ * @returns {Promise.<number>} a promise of the number of items deleted
+ */
+function deleteBatchStateItem(tableName, key, context) {
+  const dynamoDBDocClient = context.dynamoDBDocClient;
+  const itemKey = {streamConsumerId: key.streamConsumerId, shardOrEventID: key.shardOrEventID};
+
+  return dynamoDBDocClient.get({TableName: tableName, Key: itemKey, ConsistentRead: true}).promise().then(result => {
+    const item = result && result.Item;
+    if (!item) {
+      context.info(`Found no batch state item (${key.streamConsumerId}, ${key.shardOrEventID}) in ${tableName} to delete`);
+      return 0;
+    }
+    const chunkKeys = Array.from({length: item.chunkCount || 0}, (v, i) =>
+      ({streamConsumerId: key.streamConsumerId, shardOrEventID: persisting.toChunkShardOrEventID(key.shardOrEventID, item.chunkSetId, i + 1)}));
+
+    const keys = [itemKey].concat(chunkKeys);
+    return Promise.all(keys.map(k => dynamoDBDocClient.delete({TableName: tableName, Key: k}).promise())).then(() => {
+      context.info(`Deleted batch state item (${key.streamConsumerId}, ${key.shardOrEventID})${chunkKeys.length > 0 ? ` & its ${toCountString(chunkKeys.length, 'chunk item')}` : ''} from ${tableName}`);
+      return keys.length;
+    });
+  });
+}
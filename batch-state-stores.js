@@ -0,0 +1,268 @@
+'use strict';
+
+const fs = require('fs');
+
+const Promises = require('core-functions/promises');
+
+const Strings = require('core-functions/strings');
+const isBlank = Strings.isBlank;
+
+/**
+ * A pluggable {@link BatchStateStore} contract for loading, saving, deleting & listing stream consumer batch state items
+ * together with built-in in-memory and local JSON file implementations of the contract, which can be used in place of
+ * DynamoDB (e.g. for local integration tests & development loops) by configuring the `batchStateStore` setting with a
+ * store & the `loadBatchState` & `saveBatchState` settings with `persisting.loadBatchStateFromStore` &
+ * `persisting.saveBatchStateToStore` respectively. NB: Saves to a store are NOT versioned (i.e. the last save wins).
+ * @module aws-stream-consumer-core/batch-state-stores
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.toBatchStateStoreKey = toBatchStateStoreKey;
+exports.isBatchStateStore = isBatchStateStore;
+
+/**
+ * Returns a single string key for the given batch state item key, which is safe to use as a Map key, since both of its
+ * components may contain '|' separators.
+ * @param {BatchStateItemKey} key - the key (or item) containing the streamConsumerId & shardOrEventID
+ * @returns {string} a single string key
+ */
+function toBatchStateStoreKey(key) {
+  return JSON.stringify([key.streamConsumerId, key.shardOrEventID]);
+}
+
+/**
+ * Returns true if the given object looks like a batch state store (i.e. implements every function of the
+ * {@link BatchStateStore} contract); false otherwise.
+ * @param {*} store - the object to check
+ * @returns {boolean} true if a batch state store; false otherwise
+ */
+function isBatchStateStore(store) {
+  return !!store && typeof store === 'object' && typeof store.load === 'function' &&
+    typeof store.save === 'function' && typeof store.delete === 'function' && typeof store.list === 'function';
+}
+
+/**
+ * The base class & contract of a store that loads, saves, deletes & lists stream consumer batch state items. Each of
+ * its methods MUST return a promise, MUST only deal in storable (i.e. JSON-safe) batch state items and MUST NOT leak
+ * references to any of its own internally held items.
+ */
+class BatchStateStore {
+  /**
+   * Constructs a new batch state store.
+   * @param {string} name - a name for this store for logging purposes
+   */
+  constructor(name) {
+    Object.defineProperty(this, 'name', {value: name || this.constructor.name, enumerable: true});
+  }
+
+  /**
+   * Loads the batch state item (if any) with the given key from this store.
+   * @param {BatchStateItemKey} key - the key of the item to load
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<BatchStateItem|undefined>} a promise of the loaded item (if any); otherwise of undefined
+   */
+  load(key, context) {
+    return Promise.reject(new Error(`${this.name} does not implement load`));
+  }
+
+  /**
+   * Saves (i.e. inserts or replaces) the given batch state item into this store.
+   * @param {BatchStateItem} item - the batch state item to save
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<BatchStateItem>} a promise of the saved item
+   */
+  save(item, context) {
+    return Promise.reject(new Error(`${this.name} does not implement save`));
+  }
+
+  /**
+   * Deletes the batch state item (if any) with the given key from this store.
+   * @param {BatchStateItemKey} key - the key of the item to delete
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<boolean>} a promise of true if an item was deleted; otherwise of false
+   */
+  delete(key, context) {
+    return Promise.reject(new Error(`${this.name} does not implement delete`));
+  }
+
+  /**
+   * Lists all of the batch state items in this store with the given streamConsumerId (if defined) or all of the items
+   * in this store (if not).
+   * @param {string|undefined} [streamConsumerId] - an optional streamConsumerId to which to restrict the listed items
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<BatchStateItem[]>} a promise of the listed items
+   */
+  list(streamConsumerId, context) {
+    return Promise.reject(new Error(`${this.name} does not implement list`));
+  }
+}
+
+exports.BatchStateStore = BatchStateStore;
+
+/**
+ * A batch state store that keeps its batch state items in memory, which is primarily useful for unit & local
+ * integration testing. Copies of items are stored & returned to emulate the round trip to & from a real store.
+ */
+class InMemoryBatchStateStore extends BatchStateStore {
+  /**
+   * Constructs a new in-memory batch state store with the given initial items (if any).
+   * @param {BatchStateItem[]|undefined} [items] - optional initial batch state items
+   */
+  constructor(items) {
+    super('InMemoryBatchStateStore');
+    Object.defineProperty(this, 'items', {value: new Map(), enumerable: false});
+    if (Array.isArray(items)) {
+      items.forEach(item => this.items.set(toBatchStateStoreKey(item), copyItem(item)));
+    }
+  }
+
+  load(key, context) {
+    return Promises.try(() => {
+      validateKey(key, 'load', this);
+      return copyItem(this.items.get(toBatchStateStoreKey(key)));
+    });
+  }
+
+  save(item, context) {
+    return Promises.try(() => {
+      validateKey(item, 'save', this);
+      this.items.set(toBatchStateStoreKey(item), copyItem(item));
+      return item;
+    });
+  }
+
+  delete(key, context) {
+    return Promises.try(() => {
+      validateKey(key, 'delete', this);
+      return this.items.delete(toBatchStateStoreKey(key));
+    });
+  }
+
+  list(streamConsumerId, context) {
+    return Promises.try(() => filterItems(Array.from(this.items.values()), streamConsumerId).map(copyItem));
+  }
+}
+
+exports.InMemoryBatchStateStore = InMemoryBatchStateStore;
+
+/**
+ * A batch state store that keeps all of its batch state items in a single local JSON file, which is primarily useful
+ * for local integration testing & development loops that need batch state to survive across runs. The file's directory
+ * must already exist and the file itself will be created on the first save (if it does not exist yet). Writes are
+ * serialized within this store & are done by writing to a temporary file that is then renamed over the file.
+ */
+class FileBatchStateStore extends BatchStateStore {
+  /**
+   * Constructs a new local JSON file batch state store.
+   * @param {string} filePath - the path of the JSON file in which to keep the batch state items
+   */
+  constructor(filePath) {
+    super('FileBatchStateStore');
+    if (isBlank(filePath)) {
+      throw new Error(`Cannot create a ${this.name} without a file path (${JSON.stringify(filePath)})`);
+    }
+    Object.defineProperty(this, 'filePath', {value: filePath, enumerable: true});
+    Object.defineProperty(this, '_lastWrite', {value: Promise.resolve(), writable: true, enumerable: false});
+  }
+
+  load(key, context) {
+    return Promises.try(() => validateKey(key, 'load', this))
+      .then(() => this.readItems())
+      .then(items => {
+        const k = toBatchStateStoreKey(key);
+        return items.find(item => toBatchStateStoreKey(item) === k);
+      });
+  }
+
+  save(item, context) {
+    return Promises.try(() => validateKey(item, 'save', this))
+      .then(() => this.updateItems(items => {
+        const k = toBatchStateStoreKey(item);
+        const i = items.findIndex(it => toBatchStateStoreKey(it) === k);
+        const copy = copyItem(item);
+        if (i !== -1) items[i] = copy; else items.push(copy);
+        return item;
+      }));
+  }
+
+  delete(key, context) {
+    return Promises.try(() => validateKey(key, 'delete', this))
+      .then(() => this.updateItems(items => {
+        const k = toBatchStateStoreKey(key);
+        const i = items.findIndex(it => toBatchStateStoreKey(it) === k);
+        if (i !== -1) items.splice(i, 1);
+        return i !== -1;
+      }));
+  }
+
+  list(streamConsumerId, context) {
+    return this.readItems().then(items => filterItems(items, streamConsumerId));
+  }
+
+  /**
+   * Reads all of the batch state items from this store's file (or returns an empty list if the file does not exist).
+   * @returns {Promise.<BatchStateItem[]>} a promise of all of the batch state items in the file
+   */
+  readItems() {
+    return new Promise((resolve, reject) => {
+      fs.readFile(this.filePath, 'utf8', (err, data) => {
+        if (err) {
+          return err.code === 'ENOENT' ? resolve([]) : reject(err);
+        }
+        try {
+          const items = isBlank(data) ? [] : JSON.parse(data);
+          resolve(Array.isArray(items) ? items : []);
+        } catch (e) {
+          reject(new Error(`Failed to parse batch state items in ${this.filePath} - ${e.message}`));
+        }
+      });
+    });
+  }
+
+  /**
+   * Writes the given batch state items to this store's file via a temporary file, which is then renamed over it.
+   * @param {BatchStateItem[]} items - the batch state items to write
+   * @returns {Promise.<undefined>} a promise that will resolve when the items have been written
+   */
+  writeItems(items) {
+    const tmpFilePath = `${this.filePath}.tmp`;
+    return new Promise((resolve, reject) => {
+      fs.writeFile(tmpFilePath, JSON.stringify(items, null, 2), 'utf8', err => {
+        if (err) return reject(err);
+        fs.rename(tmpFilePath, this.filePath, err => err ? reject(err) : resolve(undefined));
+      });
+    });
+  }
+
+  /**
+   * Serializes a read, update & write of all of the batch state items in this store's file behind any prior update.
+   * @param {function(items: BatchStateItem[]): *} update - a function that updates the given items in place & returns a result
+   * @returns {Promise.<*>} a promise of the result returned by the given update function
+   */
+  updateItems(update) {
+    const promise = this._lastWrite.then(() => this.readItems()).then(items => {
+      const result = update(items);
+      return this.writeItems(items).then(() => result);
+    });
+    // Keep the chain going regardless of the outcome of this update
+    this._lastWrite = promise.catch(() => undefined);
+    return promise;
+  }
+}
+
+exports.FileBatchStateStore = FileBatchStateStore;
+
+function validateKey(key, action, store) {
+  if (!key || isBlank(key.streamConsumerId) || isBlank(key.shardOrEventID)) {
+    throw new Error(`Cannot ${action} batch state in ${store.name} WITHOUT a complete key - streamConsumerId (${key && key.streamConsumerId}) & shardOrEventID (${key && key.shardOrEventID})`);
+  }
+}
+
+function filterItems(items, streamConsumerId) {
+  return isBlank(streamConsumerId) ? items : items.filter(item => item.streamConsumerId === streamConsumerId);
+}
+
+function copyItem(item) {
+  return item ? JSON.parse(JSON.stringify(item)) : undefined;
+}
@@ -43,6 +43,9 @@ const TaskName = tracking.TaskName;
 const toCountString = tracking.toCountString;
 
 const identify = require('./identify');
+const bisection = require('./bisection');
+const attemptPolicies = require('./attempt-policies');
+const taskPredicates = require('./task-predicates');
 // const sequencing = require('./sequencing');
 const taskDefSettings = require('./taskdef-settings');
 
@@ -172,6 +175,19 @@ class Batch {
       value: undefined, enumerable: false, writable: true, configurable: true
     });
 
+    // The version (if any) of the batch's previously saved state, which is used to detect conflicting concurrent saves
+    /** @type {number|undefined} */
+    Object.defineProperty(this, 'previousVersion', {
+      value: undefined, enumerable: false, writable: true, configurable: true
+    });
+
+    // The previously loaded or saved message state items (if any) of the per-message layout by their state keys, which
+    // are used to only save the changed items & to detect conflicting concurrent saves of each item
+    /** @type {Map.<string, MessageLayoutStateItem>|undefined} */
+    Object.defineProperty(this, 'previousStateItems', {
+      value: undefined, enumerable: false, writable: true, configurable: true
+    });
+
     // Initialise the tracked state for this batch itself to an empty object
     this.states.set(this, {});
 
@@ -449,19 +465,26 @@ class Batch {
       const state = states.get(message);
 
       // 1.1. Replace all of the old "process one" task-like objects on each message with new tasks created from the
-      //      batch's processOneTaskDefs and update these new tasks with information from the old ones
+      //      batch's processOneTaskDefs that apply to the message (i.e. without a `when` predicate or whose `when`
+      //      predicate matches the message or that already have a task) and update these new tasks with information from
+      //      the old ones
+      const processOneTaskDefs = taskPredicates.getApplicableTaskDefs(taskDefs.processOneTaskDefs, message, state,
+        state.ones, context);
       const processOneTasksByName = state.ones ? state.ones :
-        taskDefs.processOneTaskDefs.length > 0 ? this.getOrSetProcessOneTasks(message) : undefined;
+        processOneTaskDefs.length > 0 ? this.getOrSetProcessOneTasks(message) : undefined;
       if (processOneTasksByName) {
-        taskUtils.reviveTasks(processOneTasksByName, taskDefs.processOneTaskDefs, taskFactory, createAllOpts);
+        taskUtils.reviveTasks(processOneTasksByName, processOneTaskDefs, taskFactory, createAllOpts);
       }
 
       // 1.2. Replace all of the old processAll task-like objects on each message with new tasks created from the
-      //      batch's processAllTaskDefs and update these new tasks with information from the old ones
+      //      batch's processAllTaskDefs that apply to the message (or that already have a task) and update these new
+      //      tasks with information from the old ones
+      const processAllTaskDefs = taskPredicates.getApplicableTaskDefs(taskDefs.processAllTaskDefs, message, state,
+        state.alls, context);
       const processAllTasksByName = state.alls ? state.alls :
-        taskDefs.processAllTaskDefs.length > 0 ? this.getOrSetProcessAllTasks(message) : undefined;
+        processAllTaskDefs.length > 0 ? this.getOrSetProcessAllTasks(message) : undefined;
       if (processAllTasksByName) {
-        const revived = taskUtils.reviveTasks(processAllTasksByName, taskDefs.processAllTaskDefs, taskFactory, createAllOpts);
+        const revived = taskUtils.reviveTasks(processAllTasksByName, processAllTaskDefs, taskFactory, createAllOpts);
         const processAllTasks = revived[0];
         messagesProcessAllTasks = messagesProcessAllTasks.concat(processAllTasks);
       }
@@ -518,11 +541,10 @@ class Batch {
     });
 
     // 4. Revive all of the batch's own tasks (if any):
-    // const state = states.get(this);
 
-    // 4.1. Replace all of the old "process all" task-like objects on the batch itself with new tasks created from the
-    //      batch's processAllTaskDefs and update these new tasks with information from the old ones
-    // const processAllTasksByName = state && state.alls ? state.alls :
+    // 4.1. Replace all of the old "process all" task-like objects on the batch itself (e.g. restored from its previously
+    //      saved batch state) with new master tasks created from the batch's processAllTaskDefs and update these new
+    //      tasks with information (e.g. attempts & outcomes) from the old ones
     const processAllTasksByName = this.messages.length > 0 && taskDefs.processAllTaskDefs.length > 0 ?
       this.getOrSetProcessAllTasks(this) : undefined;
 
@@ -593,7 +615,8 @@ class Batch {
       return Promise.resolve([]); // Nothing to do, since all of the records have already been discarded/finalised
     }
 
-    // Discard the unusable records that still need to be discarded
+    // Discard the unusable records that still need to be discarded (NB: all of the discard tasks are started together, so
+    // that the dead letter sink can group their requests, e.g. into Kinesis PutRecords calls)
     const promises = undiscardedUnusableRecords.map(unusableRecord => {
       const discardTask = this.getDiscardUnusableRecordTask(unusableRecord);
       const p = Promises.try(() => discardTask.execute(unusableRecord, self, context));
@@ -671,7 +694,9 @@ class Batch {
   /**
    * Finds and marks every over-attempted processing task as discarded. An "over-attempted" processing task is any
    * incomplete processing task, which has no sub-tasks or ONLY fully finalised sub-tasks, that has reached or exceeded
-   * the maximum number of attempts allowed.
+   * the maximum number of attempts allowed (or, for a "process one" or "process all" task, its task definition's maximum
+   * number of attempts or the maximum number of transient attempts allowed, in which case its task definition's attempt
+   * policy may instead block or skip it - see the `attempt-policies` module).
    * @param {StreamConsumerContext} context - the context to use
    * @returns {number} the number of over-attempted tasks marked as discarded
    */
@@ -689,15 +714,25 @@ class Batch {
       }
     }
 
+    // Apply the attempt policies of any processing tasks that are over-attempted (in permanent or transient attempts)
+    function discardProcessingIfOverAttempted(tasksByName, count) {
+      if (tasksByName) {
+        taskUtils.getTasks(tasksByName).forEach(task => {
+          const n = attemptPolicies.discardIfOverAttempted(task, context);
+          if (count) overAttempted += n;
+        });
+      }
+    }
+
     // Discard all incomplete tasks on each message that have reached or exceeded the maximum number of allowed attempts
     this.messages.forEach(msg => {
       const state = this.states.get(msg);
 
       // Discard the message's over-attempted processOne tasks (if any)
-      discardIfOverAttempted(state.ones, true);
+      discardProcessingIfOverAttempted(state.ones, true);
 
       // Discard the message's over-attempted processAll tasks (if any)
-      discardIfOverAttempted(state.alls, true);
+      discardProcessingIfOverAttempted(state.alls, true);
     });
 
     // Discard all discard tasks on each rejected message that have reached or exceeded the maximum number of allowed attempts
@@ -713,7 +748,7 @@ class Batch {
     });
 
     // Find and mark the batch's over-attempted processAll tasks (if any) as discarded
-    discardIfOverAttempted(this.states.get(this).alls, false);
+    discardProcessingIfOverAttempted(this.states.get(this).alls, false);
 
     return overAttempted;
   }
@@ -940,6 +975,7 @@ class Batch {
       }
 
       // Discard the rejected messages that still need to be discarded
+      // (NB: all of the discard tasks are started together, so that the dead letter sink can group their requests)
       if (context.debugEnabled) context.debug(`Discarding ${u} undiscarded of ${rs} for batch (${this.shardOrEventID}) ...`);
       const promises = undiscardedRejectedMessages.map(rejectedMessage => {
         const task = this.getDiscardRejectedMessageTask(rejectedMessage);
@@ -1042,6 +1078,23 @@ class Batch {
     return isAnyTaskNotFullyFinalised(this.getDiscardOneTasks(unusableRecord));
   }
 
+  /**
+   * Finds the first of this batch's records (in the order in which they were received) from which any still incomplete
+   * message, undiscarded rejected message or undiscarded unusable record came (if any).
+   * @return {Record|undefined} the first record with incomplete work (if any); otherwise undefined
+   */
+  findFirstIncompleteRecord() {
+    const incompleteRecords = new Set();
+    const addRecordOf = item => {
+      const record = this.getRecord(item);
+      if (record) incompleteRecords.add(record);
+    };
+    this.messages.filter(m => this.isMessageIncomplete(m)).forEach(addRecordOf);
+    this.rejectedMessages.filter(m => this.isRejectedMessageIncomplete(m)).forEach(addRecordOf);
+    this.unusableRecords.filter(r => this.isUnusableRecordIncomplete(r)).forEach(addRecordOf);
+    return this.records.find(r => incompleteRecords.has(r));
+  }
+
   isMessageFullyFinalisedButRejected(message) {
     const state = this.states.get(message);
     const tasksAndSubTasks = state ? getTasksAndSubTasks(state.ones).concat(getTasksAndSubTasks(state.alls)) : [];
@@ -1121,7 +1174,8 @@ class Batch {
       finalising: batchState.finalising,
       finalError: finalError,
       partial: !!finalError,
-      fullyFinalised: this.isFullyFinalised()
+      fullyFinalised: this.isFullyFinalised(),
+      bisection: bisection.summarizeBisection(this)
     };
   }
 
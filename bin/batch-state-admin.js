@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * A command line tool for inspecting and repairing the items of a stream consumer batch state table, which is built on
+ * the `batch-state-admin` module. Requires the `aws-sdk` module to be installed.
+ *
+ * Usage: batch-state-admin <command> [args...] [--table <name>] [--region <region>] [--endpoint <url>] [--reason <reason>]
+ *
+ * Commands:
+ * - list <streamConsumerId> - lists the batches saved for the stream consumer
+ * - show <streamConsumerId> <shardOrEventID> - describes a batch's message, rejected message, unusable record & batch task states
+ * - complete <streamConsumerId> <shardOrEventID> <message> [taskName] - marks a message's (or messages') unfinalised tasks as completed
+ * - abandon <streamConsumerId> <shardOrEventID> <message> [taskName] - marks a message's (or messages') unfinalised tasks as abandoned
+ * - delete <streamConsumerId> <shardOrEventID> - deletes a batch's state item (and its chunk items, if any)
+ *
+ * where <message> is either the position of a message as shown by `show` (e.g. "#0" or "rejected#0") or a message's id
+ * or eventID. Use --endpoint (e.g. http://localhost:8000) to target DynamoDB Local.
+ * @author Byron du Preez
+ */
+
+const logging = require('logging-utils');
+const LogLevel = logging.LogLevel;
+
+const dynamoDBDocClientCache = require('aws-core-utils/dynamodb-doc-client-cache');
+
+const admin = require('../batch-state-admin');
+
+const usage = `Usage: batch-state-admin <command> [args...] [--table <name>] [--region <region>] [--endpoint <url>] [--reason <reason>]
+
+Commands:
+  list <streamConsumerId>
+  show <streamConsumerId> <shardOrEventID>
+  complete <streamConsumerId> <shardOrEventID> <message> [taskName]
+  abandon <streamConsumerId> <shardOrEventID> <message> [taskName]
+  delete <streamConsumerId> <shardOrEventID>
+
+Options:
+  --table <name>     the stage-qualified name of the batch state table (default: StreamConsumerBatchState)
+  --region <region>  the AWS region of the table (default: AWS_REGION or us-west-2)
+  --endpoint <url>   an alternative DynamoDB endpoint (e.g. http://localhost:8000 for DynamoDB Local)
+  --reason <reason>  the reason for abandoning tasks
+  --trace            enables trace logging
+
+<message> is either the position of a message as shown by "show" (e.g. #0 or rejected#0) or a message's id or eventID`;
+
+function parseArgs(argv) {
+  const args = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    if (arg === '--trace') {
+      opts.trace = true;
+    } else if (arg.startsWith('--')) {
+      opts[arg.substring(2)] = argv[++i];
+    } else {
+      args.push(arg);
+    }
+  }
+  return {args: args, opts: opts};
+}
+
+function run(args, opts, context) {
+  const command = args[0];
+  const tableName = opts.table || 'StreamConsumerBatchState';
+  const key = {streamConsumerId: args[1], shardOrEventID: args[2]};
+
+  const expectedArgs = {list: 2, show: 3, complete: 4, abandon: 4, delete: 3};
+  if (!expectedArgs[command] || args.length < expectedArgs[command]) {
+    return Promise.reject(new Error(usage));
+  }
+
+  switch (command) {
+    case 'list':
+      return admin.listBatchStateItems(tableName, args[1], context).then(items => {
+        items.forEach(item => console.log(admin.describeBatchStateItem(item, true)));
+        console.log(`Found ${items.length} batch${items.length !== 1 ? 'es' : ''} for stream consumer (${args[1]}) in ${tableName}`);
+      });
+
+    case 'show':
+      return admin.getBatchStateItem(tableName, key, context).then(item => {
+        if (!item) throw new Error(`Found no batch state item (${key.streamConsumerId}, ${key.shardOrEventID}) in ${tableName}`);
+        console.log(admin.describeBatchStateItem(item, false));
+      });
+
+    case 'complete':
+    case 'abandon':
+      return admin.updateMessageTaskStates(tableName, key, args[3], args[4], command, opts.reason, context)
+        .then(result => console.log(admin.describeBatchStateItem(result.item, false)));
+
+    case 'delete':
+      return admin.deleteBatchStateItem(tableName, key, context);
+  }
+}
+
+const parsed = parseArgs(process.argv.slice(2));
+
+const context = {streamProcessing: {}};
+logging.configureLogging(context, {logLevel: parsed.opts.trace ? LogLevel.TRACE : LogLevel.INFO});
+
+const dynamoDBDocClientOptions = {region: parsed.opts.region || process.env.AWS_REGION || 'us-west-2'};
+if (parsed.opts.endpoint) dynamoDBDocClientOptions.endpoint = parsed.opts.endpoint;
+context.dynamoDBDocClient = dynamoDBDocClientCache.setDynamoDBDocClient(dynamoDBDocClientOptions, context);
+
+run(parsed.args, parsed.opts, context).then(
+  () => process.exit(0),
+  err => {
+    console.error(err.message === usage ? usage : err.stack || err);
+    process.exit(1);
+  }
+);
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * A command line tool for replaying rejected messages from a Dead Message Queue (DMQ) once the cause of their rejection
+ * has been fixed, which is built on the `dead-letter-replay` module. Requires the `aws-sdk` module to be installed.
+ *
+ * Usage: dead-letter-replay (--stream <dmqStreamName> | --file <path>) [--to-stream <name> | --handler <module>[#<export>]] [options]
+ *
+ * Re-puts the matching messages onto their source streams (or onto the --to-stream stream) or, if --handler is given,
+ * invokes the given Lambda handler module locally with a synthetic stream event containing their original records.
+ * A local handler should resolve with the processed batch (or partial batch response) returned by `processStreamEvent`,
+ * so that each message's outcome can be verified. Exits with a non-zero code if any message failed to replay.
+ * @author Byron du Preez
+ */
+
+const path = require('path');
+
+const logging = require('logging-utils');
+const LogLevel = logging.LogLevel;
+
+const kinesisCache = require('aws-core-utils/kinesis-cache');
+
+const replay = require('../dead-letter-replay');
+
+const usage = `Usage: dead-letter-replay (--stream <dmqStreamName> | --file <path>) [--to-stream <name> | --handler <module>[#<export>]] [options]
+
+Sources:
+  --stream <name>       the stage-qualified name of the Kinesis DMQ stream from which to read dead letter envelopes
+  --file <path>         a local JSON dump of dead letter envelopes (or of DMQ records) from which to read (e.g.
+                        envelopes exported from an SQS, SNS or S3 dead letter sink, which cannot be read directly)
+
+Targets (defaults to re-putting each message onto its source stream):
+  --to-stream <name>    the stage-qualified name of the stream onto which to re-put the messages instead
+  --handler <module>    a local Lambda handler module (and optional #export, default "handler") to invoke with the messages' records
+  --function-arn <arn>  the invoked function ARN to pass to the local handler (e.g. to resolve its stage & consumer id)
+
+Options:
+  --reason <text>       only replay messages whose reasonRejected contains this text
+  --task <name>         only replay messages that left this task unfinished
+  --key <key>           only replay messages with this key value
+  --since <iso>         only read DMQ records that arrived after this time
+  --limit <n>           the maximum number of dead letters to read from the DMQ stream
+  --poll-interval <ms>  the milliseconds to wait between getRecords calls on each DMQ shard (default: 200)
+  --dry-run             only report what would be replayed
+  --region <region>     the AWS region of the streams (default: AWS_REGION or us-west-2)
+  --endpoint <url>      an alternative Kinesis endpoint (e.g. for a local Kinesis emulator)
+  --trace               enables trace logging`;
+
+const flags = ['trace', 'dry-run'];
+
+function parseArgs(argv) {
+  const args = [];
+  const opts = {};
+  for (let i = 0; i < argv.length; ++i) {
+    const arg = argv[i];
+    if (arg.startsWith('--') && flags.indexOf(arg.substring(2)) !== -1) {
+      opts[arg.substring(2)] = true;
+    } else if (arg.startsWith('--')) {
+      opts[arg.substring(2)] = argv[++i];
+    } else {
+      args.push(arg);
+    }
+  }
+  return {args: args, opts: opts};
+}
+
+function toProcessEvent(handlerRef, functionArn) {
+  const parts = handlerRef.split('#');
+  const handler = require(path.resolve(parts[0]))[parts[1] || 'handler'];
+  if (typeof handler !== 'function') {
+    throw new Error(`Cannot find handler function (${parts[1] || 'handler'}) in module (${parts[0]})`);
+  }
+  const functionName = functionArn ? functionArn.split(':')[6] : 'dead-letter-replay';
+  const awsContext = {
+    functionName: functionName,
+    functionVersion: '$LATEST',
+    invokedFunctionArn: functionArn || `arn:aws:lambda:${process.env.AWS_REGION || 'us-west-2'}:000000000000:function:${functionName}`,
+    awsRequestId: `replay-${Date.now()}`,
+    getRemainingTimeInMillis: () => 5 * 60 * 1000
+  };
+  return event => new Promise((resolve, reject) => {
+    const result = handler(event, awsContext, (err, res) => err ? reject(err) : resolve(res));
+    if (result && typeof result.then === 'function') result.then(resolve, reject);
+  });
+}
+
+function run(opts, context) {
+  if (!opts.stream && !opts.file) {
+    return Promise.reject(new Error(usage));
+  }
+
+  const readEnvelopes = opts.stream ?
+    replay.readEnvelopesFromStream(opts.stream, {since: opts.since, limit: Number(opts.limit) || undefined,
+      pollIntervalMs: opts['poll-interval'] !== undefined ? Number(opts['poll-interval']) : undefined}, context) :
+    Promise.resolve().then(() => replay.readEnvelopesFromFile(opts.file, context));
+
+  return readEnvelopes.then(envelopes => {
+    const replayOpts = {
+      reason: opts.reason,
+      taskName: opts.task,
+      key: opts.key,
+      dryRun: !!opts['dry-run'],
+      streamName: opts['to-stream'],
+      processEvent: opts.handler ? toProcessEvent(opts.handler, opts['function-arn']) : undefined
+    };
+    return replay.replayDeadLetters(envelopes, replayOpts, context);
+  }).then(report => {
+    console.log(replay.describeReplayReport(report));
+    return report;
+  });
+}
+
+const parsed = parseArgs(process.argv.slice(2));
+
+const context = {streamProcessing: {}};
+logging.configureLogging(context, {logLevel: parsed.opts.trace ? LogLevel.TRACE : LogLevel.INFO});
+
+const kinesisOptions = {region: parsed.opts.region || process.env.AWS_REGION || 'us-west-2'};
+if (parsed.opts.endpoint) kinesisOptions.endpoint = parsed.opts.endpoint;
+context.kinesis = kinesisCache.setKinesis(kinesisOptions, context);
+
+run(parsed.opts, context).then(
+  report => process.exit(report.failed > 0 ? 1 : 0),
+  err => {
+    console.error(err.message === usage ? usage : err.stack || err);
+    process.exit(1);
+  }
+);
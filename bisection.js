@@ -0,0 +1,223 @@
+'use strict';
+
+const settings = require('./settings');
+
+const attemptPolicies = require('./attempt-policies');
+const isBlockedOnExhaustion = attemptPolicies.isBlockedOnExhaustion;
+
+const tracking = require('./tracking');
+const toCountString = tracking.toCountString;
+const TaskMapNames = tracking.TaskMapNames;
+
+const Strings = require('core-functions/strings');
+const isNotBlank = Strings.isNotBlank;
+
+const taskUtils = require('task-utils');
+const getTasks = taskUtils.getTasks;
+const isAnyTaskNotFullyFinalised = taskUtils.isAnyTaskNotFullyFinalised;
+
+/**
+ * An opt-in, bisect-on-failure mode (modelled on Lambda's `BisectBatchOnFunctionError`), which narrows down the
+ * messages of a batch that cannot be fully finalised across its replays, instead of re-attempting every one of its
+ * incomplete messages until they reach the maximum number of attempts. After the first run of a batch in which any of
+ * its "process one" tasks failed, only the first half of its incomplete messages (together with any incomplete messages
+ * that they must wait for) forms the batch's "bisection window" and only the "process one" tasks of the messages in the
+ * window are executed on the next replay. If every message in the window becomes fully finalised, then the window moves
+ * on to the first half of the remaining incomplete messages; if any of its messages failed, then it narrows to the first
+ * half of its own failed messages; otherwise (e.g. if its messages are only incomplete, because processing timed out)
+ * it stays unchanged. Once a window of a single message fails again, that message is isolated, i.e. its incomplete tasks
+ * are rejected, so that it gets discarded to the Dead Message Queue without waiting for its tasks to exhaust their
+ * attempts. A batch that is only incomplete, because its processing timed out, is NOT bisected.
+ *
+ * Each message in a window is identified by its record's sequence number (together with its user record's
+ * sub-sequence number, if any), which uniquely identifies it within its batch (unlike its id or key, which may be
+ * absent).
+ *
+ * The bisection's progress is saved with (and restored from) the batch's own state. Note that "process all" tasks are
+ * NOT bisected, since each of them processes all of the batch's incomplete messages at once.
+ *
+ * Enable it by setting the `bisectBatchOnFailure` setting to true.
+ * @module aws-stream-consumer-core/bisection
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getBisection = getBisection;
+exports.isInBisectionWindow = isInBisectionWindow;
+exports.bisectIncompleteMessages = bisectIncompleteMessages;
+exports.summarizeBisection = summarizeBisection;
+
+/** The name of the property of a batch's own state that holds its bisection (if any) */
+const BISECTION = 'bisection';
+exports.BISECTION = BISECTION;
+
+// A cache of the set of message window keys in each bisection's window
+const windowKeysByBisection = new WeakMap();
+
+/**
+ * Returns the given batch's current bisection (if any).
+ * @param {Batch} batch - the batch
+ * @returns {Bisection|undefined} the batch's current bisection (if any); otherwise undefined
+ */
+function getBisection(batch) {
+  const batchState = batch.states.get(batch);
+  return batchState ? batchState[BISECTION] : undefined;
+}
+
+/**
+ * Returns true if the given batch has no current bisection window or if the given message is in its window; otherwise
+ * returns false.
+ * @param {Batch} batch - the batch being processed
+ * @param {Message} message - the message to check
+ * @returns {boolean} true if the message's "process one" tasks may be executed; false if they must be deferred
+ */
+function isInBisectionWindow(batch, message) {
+  const bisection = getBisection(batch);
+  if (!bisection || !Array.isArray(bisection.window) || bisection.window.length <= 0) {
+    return true;
+  }
+  let windowKeys = windowKeysByBisection.get(bisection);
+  if (!windowKeys) {
+    windowKeys = new Set(bisection.window);
+    windowKeysByBisection.set(bisection, windowKeys);
+  }
+  return windowKeys.has(toWindowKey(batch.states.get(message)));
+}
+
+/**
+ * Bisects the given batch's incomplete messages (if bisect-on-failure mode is enabled) after its processing phase by
+ * moving its bisection window on (if every message in the window was fully finalised), narrowing it (if any message in
+ * the window failed) or keeping it (if the messages in the window are only incomplete) and by rejecting the incomplete
+ * tasks of the message (if any) that was isolated by a failing window of a single message.
+ * @param {Batch} batch - the batch that was processed
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {number} the number of messages isolated & rejected (i.e. 0 or 1)
+ */
+function bisectIncompleteMessages(batch, context) {
+  if (!settings.isBisectBatchOnFailure(context)) {
+    return 0;
+  }
+  const states = batch.states;
+  const batchState = states.get(batch);
+  const prevBisection = batchState[BISECTION];
+
+  const incompleteMessages = batch.messages.filter(msg => isAnyTaskNotFullyFinalised(states.get(msg)[TaskMapNames.ones]));
+
+  if (!prevBisection) {
+    // Nothing to bisect, since every message was fully processed or no message's tasks failed (e.g. if timed out)
+    if (!incompleteMessages.some(msg => isAnyTaskFailed(getTasks(states.get(msg)[TaskMapNames.ones])))) {
+      return 0;
+    }
+    batchState[BISECTION] = {
+      round: 1,
+      window: toWindow(firstHalf(incompleteMessages), batch),
+      isolated: []
+    };
+    context.info(`Started bisecting ${batch.describe(true)} with a window of ${toCountString(batchState[BISECTION].window.length, 'msg')} of ${incompleteMessages.length} incomplete`);
+    return 0;
+  }
+
+  const windowMessages = prevBisection.window.length > 0 ? batch.messages.filter(msg => isInBisectionWindow(batch, msg)) : [];
+  const incompleteWindowMessages = windowMessages.filter(msg => incompleteMessages.indexOf(msg) !== -1);
+  const failedMessages = incompleteWindowMessages.filter(msg => isAnyTaskFailed(getTasks(states.get(msg)[TaskMapNames.ones])));
+  const isolated = prevBisection.isolated ? prevBisection.isolated.slice() : [];
+
+  let remainingMessages = incompleteMessages;
+  let nextWindowMessages;
+  let nextRound = prevBisection.round + 1;
+  let isolatedCount = 0;
+
+  if (windowMessages.length === 1 && failedMessages.length === 1) {
+    // Isolate the single failing message in the window by rejecting its incomplete tasks (except for any tasks whose
+    // attempt policy is to block, which must never be rejected automatically)
+    const message = failedMessages[0];
+    const state = states.get(message);
+    const reason = `Isolated by bisection after ${prevBisection.round} round${prevBisection.round !== 1 ? 's' : ''}`;
+    getTasks(state[TaskMapNames.ones]).concat(getTasks(state[TaskMapNames.alls]))
+      .filter(task => !isBlockedOnExhaustion(task.name, context))
+      .forEach(task => task.reject(reason, undefined, true));
+    isolated.push(toWindowKey(state));
+    ++isolatedCount;
+    context.warn(`${reason} - rejected message (${state.msgDesc || state.id})`);
+
+    remainingMessages = incompleteMessages.filter(msg => msg !== message);
+    nextWindowMessages = firstHalf(remainingMessages);
+
+  } else if (failedMessages.length > 0) {
+    // Narrow the window down to the first half of its failing messages
+    nextWindowMessages = firstHalf(failedMessages);
+
+  } else if (incompleteWindowMessages.length > 0) {
+    // Keep the window (in the same round), since its messages are only incomplete (e.g. if processing timed out)
+    nextWindowMessages = incompleteWindowMessages;
+    nextRound = prevBisection.round;
+
+  } else {
+    // Move the window on to the first half of the remaining incomplete messages
+    nextWindowMessages = firstHalf(remainingMessages);
+  }
+
+  batchState[BISECTION] = {
+    round: nextRound,
+    window: toWindow(nextWindowMessages, batch),
+    isolated: isolated
+  };
+
+  if (context.debugEnabled) context.debug(`Bisection round ${prevBisection.round} of ${batch.describe(true)} ${failedMessages.length > 0 ? `failed with ${failedMessages.length}` : incompleteWindowMessages.length > 0 ? `left ${incompleteWindowMessages.length} incomplete` : 'finalised all'} of ${toCountString(windowMessages.length, 'msg')} in its window - next window has ${toCountString(batchState[BISECTION].window.length, 'msg')} of ${remainingMessages.length} incomplete`);
+
+  return isolatedCount;
+}
+
+/**
+ * Summarizes the given batch's bisection (if any) - converting its lists of message window keys into counts.
+ * @param {Batch} batch - the batch
+ * @returns {SummarizedBisection|undefined} the summarized bisection (if any); otherwise undefined
+ */
+function summarizeBisection(batch) {
+  const bisection = getBisection(batch);
+  return bisection ? {
+    round: bisection.round,
+    window: bisection.window ? bisection.window.length : 0,
+    isolated: bisection.isolated ? bisection.isolated.length : 0
+  } : undefined;
+}
+
+function firstHalf(messages) {
+  return messages.slice(0, Math.ceil(messages.length / 2));
+}
+
+function isAnyTaskFailed(tasks) {
+  return tasks.some(task => task.failed || isAnyTaskFailed(task.subTasks));
+}
+
+/**
+ * Returns the key that uniquely identifies the given message's state within its batch (i.e. its record's sequence number
+ * together with its user record's sub-sequence number, if any).
+ * @param {MessageState} state - the message's state
+ * @returns {string} the message's window key
+ */
+function toWindowKey(state) {
+  const eventSubSeqNo = state.eventSubSeqNo;
+  return `${state.eventSeqNo}${isNotBlank(eventSubSeqNo) || typeof eventSubSeqNo === 'number' ? `#${eventSubSeqNo}` : ''}`;
+}
+
+/**
+ * Converts the given messages into a window of message window keys, which also includes any incomplete preceding
+ * messages that the given messages must wait for, since they would otherwise never be processed.
+ * @param {Message[]} messages - the messages to include in the window
+ * @param {Batch} batch - the batch being processed
+ * @returns {string[]} the window's message window keys
+ */
+function toWindow(messages, batch) {
+  const states = batch.states;
+  const windowMessages = new Set();
+  messages.forEach(msg => {
+    let prevMessage = msg;
+    while (prevMessage && !windowMessages.has(prevMessage)) {
+      windowMessages.add(prevMessage);
+      prevMessage = states.get(prevMessage).prevMessage;
+      if (prevMessage && !isAnyTaskNotFullyFinalised(states.get(prevMessage)[TaskMapNames.ones])) break;
+    }
+  });
+  return batch.messages.filter(msg => windowMessages.has(msg)).map(msg => toWindowKey(states.get(msg)));
+}
@@ -0,0 +1,264 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const settings = require('./settings');
+
+/**
+ * Utilities for protecting a stream consumer's messages from an outage of a downstream dependency (e.g. a third-party
+ * service that is hard down) via circuit breakers, which are kept in a circuit breaker registry on the context and to
+ * which "process one" task definitions can be bound (either via the `taskNames` of each circuit breaker configured in
+ * the `circuitBreakers` setting or via the registry's `bind` method).
+ *
+ * A circuit breaker opens after its failure threshold of consecutive failures of its bound tasks. While a breaker is
+ * open, its bound tasks are skipped without being started (so that they are NOT attempted) and any bound task that
+ * fails once its breaker has opened has its attempts reverted, so that an outage does not exhaust the messages' attempts
+ * and turn into mass rejections to the Dead Message Queue. After its reset timeout, a breaker becomes half-open and lets
+ * a single trial execution through, which closes the breaker again if it succeeds or re-opens it if it fails.
+ * @module aws-stream-consumer-core/circuit-breaking
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getCircuitBreakerRegistry = getCircuitBreakerRegistry;
+exports.executeWithCircuitBreaker = executeWithCircuitBreaker;
+
+/**
+ * An enum for the states of a circuit breaker.
+ * @enum {string}
+ * @readonly
+ */
+const CircuitState = {
+  /** Executions are allowed & consecutive failures are counted */
+  Closed: 'Closed',
+  /** Executions are skipped until the reset timeout has passed */
+  Open: 'Open',
+  /** A single trial execution is allowed to decide whether to close or re-open the breaker */
+  HalfOpen: 'HalfOpen'
+};
+Object.freeze(CircuitState);
+exports.CircuitState = CircuitState;
+
+/**
+ * A circuit breaker, which opens after a threshold of consecutive failures, skips executions while open and lets a
+ * single trial execution through once its reset timeout has passed.
+ */
+class CircuitBreaker {
+  /**
+   * Constructs a new (closed) circuit breaker.
+   * @param {string} name - the name of the circuit breaker
+   * @param {CircuitBreakerOptions|undefined} [opts] - the optional options to use
+   */
+  constructor(name, opts) {
+    const options = settings.toCircuitBreakerOptions(opts);
+    Object.defineProperty(this, 'name', {value: name, enumerable: true});
+    Object.defineProperty(this, 'failureThreshold', {value: options.failureThreshold, enumerable: true});
+    Object.defineProperty(this, 'resetTimeoutMs', {value: options.resetTimeoutMs, enumerable: true});
+    Object.defineProperty(this, '_state', {value: CircuitState.Closed, enumerable: false, writable: true});
+    Object.defineProperty(this, 'failures', {value: 0, enumerable: true, writable: true});
+    Object.defineProperty(this, 'openedAt', {value: undefined, enumerable: true, writable: true});
+    Object.defineProperty(this, 'trialInProgress', {value: false, enumerable: false, writable: true});
+  }
+
+  /**
+   * The current state of this circuit breaker (which becomes half-open once an open breaker's reset timeout has passed).
+   * @type {CircuitState}
+   */
+  get state() {
+    if (this._state === CircuitState.Open && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this._state = CircuitState.HalfOpen;
+      this.trialInProgress = false;
+    }
+    return this._state;
+  }
+
+  /**
+   * Returns true if this circuit breaker is open (i.e. NOT closed & NOT yet half-open).
+   * @returns {boolean} true if open; false otherwise
+   */
+  isOpen() {
+    return this.state === CircuitState.Open;
+  }
+
+  /**
+   * Asks this circuit breaker for permission to execute, which is granted while it is closed or (to a single trial
+   * execution) while it is half-open.
+   * @returns {boolean} true if the caller may execute; false if the caller must skip execution
+   */
+  tryAcquire() {
+    const state = this.state;
+    if (state === CircuitState.Closed) {
+      return true;
+    }
+    if (state === CircuitState.HalfOpen && !this.trialInProgress) {
+      this.trialInProgress = true;
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Records a successful execution, which resets the count of consecutive failures & closes a half-open breaker.
+   */
+  recordSuccess() {
+    this.failures = 0;
+    this.trialInProgress = false;
+    if (this._state !== CircuitState.Closed) {
+      this._state = CircuitState.Closed;
+      this.openedAt = undefined;
+    }
+  }
+
+  /**
+   * Records a failed execution, which re-opens a half-open breaker or opens a closed breaker once its consecutive
+   * failures reach its failure threshold.
+   */
+  recordFailure() {
+    ++this.failures;
+    this.trialInProgress = false;
+    if (this._state === CircuitState.HalfOpen || (this._state === CircuitState.Closed && this.failures >= this.failureThreshold)) {
+      this._state = CircuitState.Open;
+      this.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * Releases a granted execution that neither succeeded nor failed (e.g. it was cancelled), which lets a half-open
+   * breaker grant another trial execution.
+   */
+  release() {
+    this.trialInProgress = false;
+  }
+}
+
+exports.CircuitBreaker = CircuitBreaker;
+
+/**
+ * A registry of named circuit breakers & of the circuit breaker to which each task definition is bound.
+ */
+class CircuitBreakerRegistry {
+  /**
+   * Constructs a new, empty circuit breaker registry.
+   */
+  constructor() {
+    Object.defineProperty(this, 'breakers', {value: new Map(), enumerable: false});
+    Object.defineProperty(this, 'bindings', {value: new Map(), enumerable: false});
+  }
+
+  /**
+   * Returns the named circuit breaker (if any).
+   * @param {string} breakerName - the name of the circuit breaker
+   * @returns {CircuitBreaker|undefined} the named circuit breaker (if any); otherwise undefined
+   */
+  get(breakerName) {
+    return this.breakers.get(breakerName);
+  }
+
+  /**
+   * Returns the named circuit breaker, creating it with the given options if it does not exist yet.
+   * @param {string} breakerName - the name of the circuit breaker
+   * @param {CircuitBreakerOptions|undefined} [opts] - the optional options with which to create the circuit breaker
+   * @returns {CircuitBreaker} the named circuit breaker
+   */
+  getOrCreate(breakerName, opts) {
+    let breaker = this.breakers.get(breakerName);
+    if (!breaker) {
+      breaker = new CircuitBreaker(breakerName, opts);
+      this.breakers.set(breakerName, breaker);
+    }
+    return breaker;
+  }
+
+  /**
+   * Binds the given task definition (or task definition name) to the named circuit breaker (creating the breaker with
+   * the given options if it does not exist yet).
+   * @param {TaskDef|string} taskDefOrName - the task definition (or its name) to bind
+   * @param {string} breakerName - the name of the circuit breaker
+   * @param {CircuitBreakerOptions|undefined} [opts] - the optional options with which to create the circuit breaker
+   * @returns {CircuitBreaker} the named circuit breaker
+   */
+  bind(taskDefOrName, breakerName, opts) {
+    const taskName = typeof taskDefOrName === 'string' ? taskDefOrName : taskDefOrName.name;
+    const breaker = this.getOrCreate(breakerName, opts);
+    this.bindings.set(taskName, breakerName);
+    return breaker;
+  }
+
+  /**
+   * Returns the circuit breaker to which the named task definition is bound (if any).
+   * @param {string} taskName - the name of the task definition
+   * @returns {CircuitBreaker|undefined} the task definition's circuit breaker (if bound); otherwise undefined
+   */
+  getBreakerForTask(taskName) {
+    const breakerName = this.bindings.get(taskName);
+    return breakerName ? this.breakers.get(breakerName) : undefined;
+  }
+}
+
+exports.CircuitBreakerRegistry = CircuitBreakerRegistry;
+
+/**
+ * Returns the circuit breaker registry on the given context, first creating & installing it (as its
+ * `circuitBreakerRegistry` property) with every circuit breaker configured in the `circuitBreakers` setting (and bound
+ * to its configured `taskNames`) if the context does not have one yet.
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {CircuitBreakerRegistry} the context's circuit breaker registry
+ */
+function getCircuitBreakerRegistry(context) {
+  if (!context.circuitBreakerRegistry) {
+    const registry = new CircuitBreakerRegistry();
+    settings.getCircuitBreakerNames(context).forEach(breakerName => {
+      const opts = settings.getCircuitBreakerOptions(context, breakerName);
+      registry.getOrCreate(breakerName, opts);
+      opts.taskNames.forEach(taskName => registry.bind(taskName, breakerName));
+    });
+    context.circuitBreakerRegistry = registry;
+  }
+  return context.circuitBreakerRegistry;
+}
+
+/**
+ * Executes the given task via the given execute function, but ONLY if its task definition is NOT bound to a circuit
+ * breaker or if its breaker grants permission; otherwise skips execution (leaving the task unattempted). Records the
+ * task's outcome on its breaker (if any) and reverts the task's attempts if it failed once its breaker had opened.
+ * @param {Task} task - the task to execute
+ * @param {function(): Promise.<*>} execute - a function that executes the task & returns a promise of its done outcome
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<*>} a promise of the outcome of the task's execution (or of undefined if it was skipped)
+ */
+function executeWithCircuitBreaker(task, execute, context) {
+  const breaker = getCircuitBreakerRegistry(context).getBreakerForTask(task.name);
+  if (!breaker) {
+    return execute();
+  }
+  if (!breaker.tryAcquire()) {
+    if (context.debugEnabled) context.debug(`Skipping execution of ${task.name}, since its circuit breaker (${breaker.name}) is ${breaker.state}`);
+    return Promise.resolve(undefined);
+  }
+
+  function recordOutcome() {
+    if (task.failed) {
+      breaker.recordFailure();
+      if (breaker.isOpen()) {
+        // Do not count a failure during an outage as an attempt
+        task.revertAttempts(true);
+        context.warn(`Reverted attempts of ${task.name}, since it failed while its circuit breaker (${breaker.name}) is open - ${task.error}`);
+      }
+    } else if (task.completed) {
+      breaker.recordSuccess();
+    } else {
+      breaker.release();
+    }
+  }
+
+  return Promises.try(execute).then(
+    outcome => {
+      recordOutcome();
+      return outcome;
+    },
+    err => {
+      recordOutcome();
+      throw err;
+    }
+  );
+}
@@ -0,0 +1,125 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const settings = require('./settings');
+
+/**
+ * Utilities for bounding the number of messages and the number of each "process one" task that a stream consumer may
+ * execute at the same time, which are configured via the `maxConcurrentMessages` setting and the `maxConcurrentTasks`
+ * map of task definition names to limits. Work that exceeds a limit is queued (in the order in which it was scheduled)
+ * until a running execution settles.
+ * @module aws-stream-consumer-core/concurrency
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getProcessOneLimiters = getProcessOneLimiters;
+exports.runLimited = runLimited;
+
+/**
+ * A limiter that bounds the number of functions that may run (i.e. whose returned promises have not settled yet) at the
+ * same time, which queues any function scheduled while the limit is reached until a running function's promise settles.
+ */
+class ConcurrencyLimiter {
+  /**
+   * Constructs a new concurrency limiter.
+   * @param {number} limit - the maximum number of functions that may run at the same time
+   * @param {string|undefined} [name] - an optional name for this limiter for logging purposes
+   */
+  constructor(limit, name) {
+    Object.defineProperty(this, 'limit', {value: limit, enumerable: true});
+    Object.defineProperty(this, 'name', {value: name, enumerable: true});
+    Object.defineProperty(this, 'active', {value: 0, enumerable: true, writable: true});
+    Object.defineProperty(this, 'queue', {value: [], enumerable: false});
+  }
+
+  /**
+   * The number of scheduled functions that are still waiting to run.
+   * @type {number}
+   */
+  get pending() {
+    return this.queue.length;
+  }
+
+  /**
+   * Runs the given function immediately (if below this limiter's limit) or as soon as a running function settles.
+   * @param {function(): (Promise.<*>|*)} fn - the function to run
+   * @returns {Promise.<*>} a promise that will resolve or reject with the outcome of the given function
+   */
+  run(fn) {
+    return new Promise((resolve, reject) => {
+      const job = () => {
+        ++this.active;
+        Promises.try(fn).then(
+          result => {
+            this.release();
+            resolve(result);
+          },
+          err => {
+            this.release();
+            reject(err);
+          }
+        );
+      };
+      if (this.active < this.limit) {
+        job();
+      } else {
+        this.queue.push(job);
+      }
+    });
+  }
+
+  /**
+   * Releases a running function's slot and starts the next queued function (if any).
+   * @private
+   */
+  release() {
+    --this.active;
+    const next = this.queue.shift();
+    if (next) next();
+  }
+}
+
+exports.ConcurrencyLimiter = ConcurrencyLimiter;
+
+// A cache of the "process one" limiters of each batch
+const processOneLimitersByBatch = new WeakMap();
+
+/**
+ * Returns the given batch's "process one" limiters (creating them on first use), i.e. a limiter for the number of
+ * messages whose "process one" tasks may be executed at the same time (if `maxConcurrentMessages` is configured) and a
+ * limiter per "process one" task definition name for which a limit is configured in `maxConcurrentTasks`.
+ * @param {Batch} batch - the batch being processed
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {ProcessOneLimiters} the batch's "process one" limiters
+ */
+function getProcessOneLimiters(batch, context) {
+  let limiters = processOneLimitersByBatch.get(batch);
+  if (!limiters) {
+    const maxConcurrentMessages = settings.getMaxConcurrentMessages(context);
+    const tasks = new Map();
+    batch.taskDefs.processOneTaskDefs.forEach(taskDef => {
+      const maxConcurrentTasks = settings.getMaxConcurrentTasks(context, taskDef.name);
+      if (maxConcurrentTasks) {
+        tasks.set(taskDef.name, new ConcurrencyLimiter(maxConcurrentTasks, taskDef.name));
+      }
+    });
+    limiters = {
+      messages: maxConcurrentMessages ? new ConcurrencyLimiter(maxConcurrentMessages, 'messages') : undefined,
+      tasks: tasks
+    };
+    processOneLimitersByBatch.set(batch, limiters);
+  }
+  return limiters;
+}
+
+/**
+ * Runs the given function via the given limiter (if any) or immediately (if none).
+ * @param {ConcurrencyLimiter|undefined} limiter - the limiter to use (if any)
+ * @param {function(): Promise.<*>} fn - the function to run
+ * @returns {Promise.<*>} a promise of the outcome of the given function
+ */
+function runLimited(limiter, fn) {
+  return limiter ? limiter.run(fn) : fn();
+}
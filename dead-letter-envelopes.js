@@ -0,0 +1,188 @@
+'use strict';
+
+const Strings = require('core-functions/strings');
+const isNotBlank = Strings.isNotBlank;
+
+const taskUtils = require('task-utils');
+
+const settings = require('./settings');
+
+/**
+ * Utilities for building the standard, versioned envelopes in which unusable records & rejected messages are sent to
+ * the Dead Record Queue (DRQ) & Dead Message Queue (DMQ), which give every downstream dead letter tool one consistent
+ * schema to parse, and default `toDRQPutRequest` & `toDMQPutRequest` functions that use these envelopes.
+ * @module aws-stream-consumer-core/dead-letter-envelopes
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.toUnusableRecordEnvelope = toUnusableRecordEnvelope;
+exports.toRejectedMessageEnvelope = toRejectedMessageEnvelope;
+exports.toTaskSummaries = toTaskSummaries;
+exports.toDRQPutRequest = toDRQPutRequest;
+exports.toDMQPutRequest = toDMQPutRequest;
+
+/**
+ * The current version of the dead letter envelope schema, which must be incremented whenever the schema changes.
+ * @type {number}
+ */
+const ENVELOPE_VERSION = 1;
+exports.ENVELOPE_VERSION = ENVELOPE_VERSION;
+
+/**
+ * An enum for the kinds of dead letters.
+ * @enum {string}
+ * @readonly
+ */
+const DeadLetterKind = {
+  UnusableRecord: 'UnusableRecord',
+  RejectedMessage: 'RejectedMessage'
+};
+Object.freeze(DeadLetterKind);
+exports.DeadLetterKind = DeadLetterKind;
+
+// The maximum length of a Kinesis partition key
+const MAX_PARTITION_KEY_LENGTH = 256;
+
+/**
+ * Builds a dead letter envelope for the given unusable record.
+ * @param {UnusableRecord} unusableRecord - the unusable record to be discarded
+ * @param {Batch} batch - the batch being processed
+ * @param {StreamProcessing} context - the context to use
+ * @returns {DeadLetterEnvelope} the dead letter envelope
+ */
+function toUnusableRecordEnvelope(unusableRecord, batch, context) {
+  const state = (batch && batch.states.get(unusableRecord)) || {};
+  const envelope = toEnvelope(DeadLetterKind.UnusableRecord, state, batch, context);
+  envelope.reasonUnusable = state.reasonUnusable;
+  envelope.record = state.record || unusableRecord;
+  envelope.userRecord = state.userRecord;
+  envelope.tasks = {discards: toTaskSummaries(state.discards)};
+  return envelope;
+}
+
+/**
+ * Builds a dead letter envelope for the given rejected message.
+ * @param {Message} rejectedMessage - the rejected message to be discarded
+ * @param {Batch} batch - the batch being processed
+ * @param {StreamProcessing} context - the context to use
+ * @returns {DeadLetterEnvelope} the dead letter envelope
+ */
+function toRejectedMessageEnvelope(rejectedMessage, batch, context) {
+  const state = (batch && batch.states.get(rejectedMessage)) || {};
+  const envelope = toEnvelope(DeadLetterKind.RejectedMessage, state, batch, context);
+  envelope.reasonRejected = state.reasonRejected;
+  envelope.ids = state.ids;
+  envelope.keys = state.keys;
+  envelope.seqNos = state.seqNos;
+  envelope.message = rejectedMessage;
+  envelope.record = state.record;
+  envelope.userRecord = state.userRecord;
+  envelope.tasks = {
+    ones: toTaskSummaries(state.ones),
+    alls: toTaskSummaries(state.alls),
+    discards: toTaskSummaries(state.discards)
+  };
+  return envelope;
+}
+
+function toEnvelope(kind, state, batch, context) {
+  const key = batch && batch.key;
+  return {
+    envelopeVersion: ENVELOPE_VERSION,
+    kind: kind,
+    streamType: settings.getStreamType(context),
+    consumerId: settings.getConsumerId(context),
+    batchKey: key ? {streamConsumerId: key.streamConsumerId, shardOrEventID: key.shardOrEventID} : undefined,
+    eventID: state.eventID,
+    eventSeqNo: state.eventSeqNo,
+    eventSubSeqNo: state.eventSubSeqNo,
+    md5s: state.md5s,
+    recordArrivedAt: toRecordArrivedAt(state.record),
+    discardedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Summarizes the given tasks (and their sub-tasks) as a list of their names, states, attempt counts, last errors or
+ * reasons & timestamps.
+ * @param {TasksByName|undefined} [tasksByName] - the tasks to summarize (if any)
+ * @returns {DeadLetterTaskSummary[]} the task summaries
+ */
+function toTaskSummaries(tasksByName) {
+  return taskUtils.getTasks(tasksByName).map(toTaskSummary);
+}
+
+function toTaskSummary(task) {
+  const state = task.state || {};
+  const error = task.error ? `${task.error}` : state.error;
+  const summary = {
+    name: task.name,
+    state: state.name || state.type,
+    attempts: task.attempts,
+    totalAttempts: task.totalAttempts
+  };
+  if (error) summary.lastError = error;
+  if (state.reason) summary.reason = state.reason;
+  if (task.began) summary.began = task.began;
+  if (task.ended) summary.ended = task.ended;
+  const subTasks = task.subTasks;
+  if (subTasks && subTasks.length > 0) summary.subTasks = subTasks.map(toTaskSummary);
+  return summary;
+}
+
+function toRecordArrivedAt(record) {
+  const seconds = record && ((record.kinesis && record.kinesis.approximateArrivalTimestamp) ||
+    (record.dynamodb && record.dynamodb.ApproximateCreationDateTime));
+  return typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+/**
+ * Converts the given unusable record into a Kinesis PutRecord request containing its dead letter envelope, which is
+ * partitioned by the record's eventID. Default `toDRQPutRequest` function used by `discardUnusableRecordToDRQ`.
+ * @param {UnusableRecord} unusableRecord - the unusable record to be discarded
+ * @param {Batch} batch - the batch being processed
+ * @param {string} deadRecordQueueName - the stage-qualified name of the Dead Record Queue
+ * @param {StreamProcessing} context - the context to use
+ * @returns {KinesisPutRecordRequest} the put request
+ */
+function toDRQPutRequest(unusableRecord, batch, deadRecordQueueName, context) {
+  const envelope = toUnusableRecordEnvelope(unusableRecord, batch, context);
+  const md5s = envelope.md5s || {};
+  return {
+    StreamName: deadRecordQueueName,
+    PartitionKey: toPartitionKey(envelope.eventID, md5s.userRec, md5s.rec),
+    Data: JSON.stringify(envelope)
+  };
+}
+
+/**
+ * Converts the given rejected message into a Kinesis PutRecord request containing its dead letter envelope, which is
+ * partitioned by the message's key (or id or eventID). Default `toDMQPutRequest` function used by
+ * `discardRejectedMessageToDMQ`.
+ * @param {Message} rejectedMessage - the rejected message to be discarded
+ * @param {Batch} batch - the batch being processed
+ * @param {string} deadMessageQueueName - the stage-qualified name of the Dead Message Queue
+ * @param {StreamProcessing} context - the context to use
+ * @returns {KinesisPutRecordRequest} the put request
+ */
+function toDMQPutRequest(rejectedMessage, batch, deadMessageQueueName, context) {
+  const envelope = toRejectedMessageEnvelope(rejectedMessage, batch, context);
+  const state = (batch && batch.states.get(rejectedMessage)) || {};
+  const md5s = envelope.md5s || {};
+  return {
+    StreamName: deadMessageQueueName,
+    PartitionKey: toPartitionKey(state.key, state.id, envelope.eventID, md5s.msg),
+    Data: JSON.stringify(envelope)
+  };
+}
+
+function toPartitionKey() {
+  for (let i = 0; i < arguments.length; ++i) {
+    const candidate = arguments[i];
+    if (isNotBlank(candidate)) {
+      return `${candidate}`.substring(0, MAX_PARTITION_KEY_LENGTH);
+    }
+  }
+  return 'UNKNOWN';
+}
@@ -0,0 +1,453 @@
+'use strict';
+
+const fs = require('fs');
+
+const deepEqual = require('deep-equal');
+
+const streamEvents = require('aws-core-utils/stream-events');
+
+const Promises = require('core-functions/promises');
+
+const Strings = require('core-functions/strings');
+const isNotBlank = Strings.isNotBlank;
+
+const isInstanceOf = require('core-functions/objects').isInstanceOf;
+
+const getTasksAndSubTasks = require('task-utils').getTasksAndSubTasks;
+
+const Batch = require('./batch');
+
+const deadLetterSinks = require('./dead-letter-sinks');
+const DeadLetterQueueType = deadLetterSinks.DeadLetterQueueType;
+const getKinesis = deadLetterSinks.getKinesis;
+
+const deadLetterEnvelopes = require('./dead-letter-envelopes');
+const DeadLetterKind = deadLetterEnvelopes.DeadLetterKind;
+
+/**
+ * Utilities for replaying dead letters (i.e. rejected messages sent to the Dead Message Queue (DMQ) in standard dead
+ * letter envelopes) once the cause of their rejection has been fixed, which are used by the `dead-letter-replay` CLI.
+ * Envelopes can be read from the DMQ stream or from a local JSON dump, filtered by reason, task name or key and then
+ * either re-put onto their source streams or fed straight into a local `processStreamEvent` call (e.g. via
+ * `event => streamConsumer.processStreamEvent(event, processOneTaskDefs, processAllTaskDefs, context)`).
+ *
+ * A local replay assesses the outcome of each replayed message from the result with which `processEvent` resolves, which
+ * should be the processed `Batch` or a partial batch response (with `batchItemFailures` & its `batch`) as returned by
+ * `processStreamEvent`. A message is only reported as `Replayed` if its tasks executed & completed; as `Failed` if it was
+ * rejected again, is still incomplete, came from an unusable record or was at or after a batch item failure; as
+ * `Skipped` if it was already finalised without executing any of its tasks; and as `Unverified` if the result did not
+ * include its batch. NB: A local replay still restores the prior state of its batch from the batch state store & still
+ * completes duplicate messages already recorded in the deduplication store, so a replayed message can be skipped as
+ * already completed or reported as rejected again WITHOUT executing any of its tasks. To avoid this, configure the local
+ * replay's context without a deduplication store & with a `loadBatchState` function that loads nothing.
+ *
+ * NB: Envelopes can ONLY be read directly from a Kinesis DMQ stream (i.e. from the default `kinesis` dead letter sink).
+ * To replay the envelopes sent to an `sqs`, `sns` or `s3` dead letter sink, first export them (e.g. the bodies of the SQS
+ * queue's or SNS subscription's messages or the S3 objects) to a local JSON dump & then read them from the file.
+ * @module aws-stream-consumer-core/dead-letter-replay
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.isDeadLetterEnvelope = isDeadLetterEnvelope;
+exports.readEnvelopesFromStream = readEnvelopesFromStream;
+exports.readEnvelopesFromFile = readEnvelopesFromFile;
+exports.filterEnvelopes = filterEnvelopes;
+exports.toReplayPutRequest = toReplayPutRequest;
+exports.toReplayEvent = toReplayEvent;
+exports.replayDeadLetters = replayDeadLetters;
+exports.describeReplayReport = describeReplayReport;
+
+/**
+ * An enum for the outcomes of replaying a dead letter.
+ * @enum {string}
+ * @readonly
+ */
+const ReplayOutcome = {
+  Replayed: 'Replayed',
+  WouldReplay: 'WouldReplay',
+  Skipped: 'Skipped',
+  Unverified: 'Unverified',
+  Failed: 'Failed'
+};
+Object.freeze(ReplayOutcome);
+exports.ReplayOutcome = ReplayOutcome;
+
+/** The default number of milliseconds to wait between consecutive `getRecords` calls on the same shard, which keeps
+ * within Kinesis' limit of 5 `getRecords` calls per second per shard */
+const DEFAULT_POLL_INTERVAL_MS = 200;
+exports.DEFAULT_POLL_INTERVAL_MS = DEFAULT_POLL_INTERVAL_MS;
+
+/**
+ * Returns true if the given object looks like a standard dead letter envelope; false otherwise.
+ * @param {*} object - the object to check
+ * @returns {boolean} true if a dead letter envelope; false otherwise
+ */
+function isDeadLetterEnvelope(object) {
+  return !!object && typeof object === 'object' && typeof object.envelopeVersion === 'number' &&
+    (object.kind === DeadLetterKind.RejectedMessage || object.kind === DeadLetterKind.UnusableRecord);
+}
+
+/**
+ * Reads the dead letter envelopes from every shard of the given Kinesis DMQ stream (skipping any records that do not
+ * contain an envelope), while pacing its `getRecords` calls on each shard by the given poll interval.
+ * @param {string} streamName - the stage-qualified name of the DMQ stream
+ * @param {Object|undefined} [opts] - optional options
+ * @param {string|Date|undefined} [opts.since] - an optional time from which to read (defaults to the stream's trim horizon)
+ * @param {number|undefined} [opts.limit] - an optional maximum number of envelopes to read
+ * @param {number|undefined} [opts.pollIntervalMs] - an optional number of milliseconds to wait between consecutive
+ * `getRecords` calls on the same shard (defaults to DEFAULT_POLL_INTERVAL_MS)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<DeadLetterEnvelope[]>} a promise of the envelopes read
+ */
+function readEnvelopesFromStream(streamName, opts, context) {
+  const kinesis = getKinesis(context);
+  const since = opts && opts.since ? new Date(opts.since) : undefined;
+  const limit = opts && opts.limit > 0 ? opts.limit : Number.POSITIVE_INFINITY;
+  const pollIntervalMs = opts && opts.pollIntervalMs >= 0 ? opts.pollIntervalMs : DEFAULT_POLL_INTERVAL_MS;
+  const envelopes = [];
+
+  function readShard(shardId) {
+    const params = {StreamName: streamName, ShardId: shardId, ShardIteratorType: since ? 'AT_TIMESTAMP' : 'TRIM_HORIZON'};
+    if (since) params.Timestamp = since;
+
+    function next(shardIterator, first) {
+      if (!shardIterator || envelopes.length >= limit) {
+        return Promise.resolve(envelopes);
+      }
+      // Pace the calls on the shard to avoid exceeding its getRecords limit
+      const paced = first || pollIntervalMs <= 0 ? Promise.resolve() : Promises.delay(pollIntervalMs);
+      return paced.then(() => kinesis.getRecords({ShardIterator: shardIterator}).promise()).then(result => {
+        result.Records.forEach(record => {
+          if (envelopes.length < limit) {
+            const envelope = parseEnvelope(record.Data, context);
+            if (envelope) envelopes.push(envelope);
+          }
+        });
+        // Stop at the tip of the shard
+        return result.MillisBehindLatest === 0 && result.Records.length === 0 ? envelopes : next(result.NextShardIterator, false);
+      });
+    }
+
+    return kinesis.getShardIterator(params).promise().then(result => next(result.ShardIterator, true));
+  }
+
+  return listShardIds(kinesis, streamName, undefined, [])
+    .then(shardIds => shardIds.reduce((p, shardId) => p.then(() => readShard(shardId)), Promise.resolve()))
+    .then(() => {
+      context.info(`Read ${envelopes.length} dead letter envelope${envelopes.length !== 1 ? 's' : ''} from stream (${streamName})`);
+      return envelopes;
+    });
+}
+
+function listShardIds(kinesis, streamName, exclusiveStartShardId, shardIds) {
+  const params = {StreamName: streamName};
+  if (exclusiveStartShardId) params.ExclusiveStartShardId = exclusiveStartShardId;
+
+  return kinesis.describeStream(params).promise().then(result => {
+    const shards = result.StreamDescription.Shards;
+    shards.forEach(shard => shardIds.push(shard.ShardId));
+    return result.StreamDescription.HasMoreShards && shards.length > 0 ?
+      listShardIds(kinesis, streamName, shards[shards.length - 1].ShardId, shardIds) : shardIds;
+  });
+}
+
+/**
+ * Reads the dead letter envelopes from the given local JSON dump file, which can contain either: a JSON array or
+ * newline-delimited JSON of envelopes or of Kinesis records with base 64-encoded `Data`; or the JSON output of a Kinesis
+ * `get-records` call (skipping any entries that do not contain an envelope).
+ * @param {string} path - the path of the file
+ * @param {StreamProcessing} context - the context to use
+ * @returns {DeadLetterEnvelope[]} the envelopes read
+ */
+function readEnvelopesFromFile(path, context) {
+  const content = fs.readFileSync(path, 'utf8').trim();
+  let entries;
+  if (content.startsWith('[') || /^\{\s*"Records"\s*:/.test(content)) {
+    const json = JSON.parse(content);
+    entries = Array.isArray(json) ? json : json.Records;
+  } else {
+    entries = content.split(/\r?\n/).filter(line => isNotBlank(line)).map(line => JSON.parse(line));
+  }
+  const envelopes = entries.map(entry => isDeadLetterEnvelope(entry) ? entry : parseEnvelope(entry && entry.Data, context))
+    .filter(envelope => !!envelope);
+  context.info(`Read ${envelopes.length} dead letter envelope${envelopes.length !== 1 ? 's' : ''} from file (${path})`);
+  return envelopes;
+}
+
+function parseEnvelope(data, context) {
+  try {
+    const json = Buffer.isBuffer(data) ? data.toString('utf8') :
+      typeof data === 'string' ? Buffer.from(data, 'base64').toString('utf8') : undefined;
+    const envelope = json ? JSON.parse(json) : undefined;
+    if (isDeadLetterEnvelope(envelope)) {
+      return envelope;
+    }
+  } catch (err) {
+    // Fall through to the warning below
+  }
+  context.warn(`Skipping a dead letter that does not contain a dead letter envelope`);
+  return undefined;
+}
+
+/**
+ * Filters the given dead letter envelopes down to the rejected messages that match ALL of the given filter's criteria.
+ * @param {DeadLetterEnvelope[]} envelopes - the envelopes to filter
+ * @param {Object|undefined} [filter] - the optional filter criteria
+ * @param {string|undefined} [filter.reason] - text that a matching message's `reasonRejected` must contain
+ * @param {string|undefined} [filter.taskName] - the name of a task that a matching message must have left incomplete, rejected or discarded
+ * @param {string|undefined} [filter.key] - a value that one of a matching message's keys must have (or the matching message's whole key)
+ * @returns {DeadLetterEnvelope[]} the matching envelopes
+ */
+function filterEnvelopes(envelopes, filter) {
+  const reason = filter && filter.reason;
+  const taskName = filter && filter.taskName;
+  const key = filter && filter.key;
+
+  return envelopes.filter(envelope => envelope.kind === DeadLetterKind.RejectedMessage &&
+    (!isNotBlank(reason) || (envelope.reasonRejected || '').indexOf(reason) !== -1) &&
+    (!isNotBlank(taskName) || hasUnfinishedTask(envelope, taskName)) &&
+    (!isNotBlank(key) || hasKey(envelope, key)));
+}
+
+function hasUnfinishedTask(envelope, taskName) {
+  const tasks = envelope.tasks || {};
+  const matches = summaries => (summaries || []).some(summary =>
+    (summary.name === taskName && summary.state !== 'Completed') || matches(summary.subTasks));
+  return matches(tasks.ones) || matches(tasks.alls);
+}
+
+function hasKey(envelope, key) {
+  const keys = envelope.keys || [];
+  return keys.some(kv => `${kv[1]}` === key) || keys.map(kv => `${kv[0]}:${kv[1]}`).join('|') === key;
+}
+
+/**
+ * Converts the given dead letter envelope into a Kinesis PutRecord request that re-puts its original message (i.e. its
+ * original user record's or record's data, if available; otherwise its JSON-stringified message) onto the given stream
+ * (if any) or onto its source Kinesis stream.
+ * @param {DeadLetterEnvelope} envelope - the envelope containing the original message
+ * @param {string|undefined} [streamName] - an optional name of the stream onto which to re-put the message (defaults to its source stream)
+ * @returns {KinesisPutRecordRequest} the put request
+ * @throws {Error} if no stream name is given and the envelope's source stream cannot be resolved
+ */
+function toReplayPutRequest(envelope, streamName) {
+  const record = envelope.record || {};
+  const userRecord = envelope.userRecord;
+  const kinesis = record.kinesis || {};
+
+  const targetStreamName = isNotBlank(streamName) ? streamName :
+    record.kinesis && record.eventSourceARN ? streamEvents.getKinesisEventSourceStreamName(record) : undefined;
+  if (!isNotBlank(targetStreamName)) {
+    throw new Error(`Cannot resolve the source Kinesis stream of dead letter (${envelope.eventID}) - specify the stream to replay to`);
+  }
+
+  const data = userRecord && typeof userRecord.data === 'string' ? Buffer.from(userRecord.data, 'base64') :
+    typeof kinesis.data === 'string' ? Buffer.from(kinesis.data, 'base64') : Buffer.from(JSON.stringify(envelope.message), 'utf8');
+
+  const keyValues = (envelope.keys || []).map(kv => kv[1]).filter(v => v !== undefined && v !== null);
+  const partitionKey = (userRecord && userRecord.partitionKey) || kinesis.partitionKey ||
+    (keyValues.length > 0 ? keyValues.join('|') : envelope.eventID);
+
+  return {StreamName: targetStreamName, PartitionKey: `${partitionKey}`.substring(0, 256), Data: data};
+}
+
+/**
+ * Converts the given dead letter envelopes into a synthetic stream event containing their distinct original records.
+ * Note that an aggregate Kinesis record will replay ALL of its user records.
+ * @param {DeadLetterEnvelope[]} envelopes - the envelopes containing the original records
+ * @returns {{Records: Record[]}} the stream event
+ */
+function toReplayEvent(envelopes) {
+  const eventIDs = new Set();
+  const records = [];
+  envelopes.forEach(envelope => {
+    const record = envelope.record;
+    if (record && !eventIDs.has(record.eventID)) {
+      eventIDs.add(record.eventID);
+      records.push(record);
+    }
+  });
+  return {Records: records};
+}
+
+/**
+ * Replays the rejected messages in the given dead letter envelopes that match the given options' filter criteria by
+ * either feeding them into the given `processEvent` function (if any) or re-putting them onto the given stream (if any)
+ * or onto their source streams.
+ * @param {DeadLetterEnvelope[]} envelopes - the envelopes to replay
+ * @param {Object|undefined} [opts] - optional options
+ * @param {string|undefined} [opts.reason] - see {@link filterEnvelopes}
+ * @param {string|undefined} [opts.taskName] - see {@link filterEnvelopes}
+ * @param {string|undefined} [opts.key] - see {@link filterEnvelopes}
+ * @param {boolean|undefined} [opts.dryRun] - whether to only report what would be replayed or not
+ * @param {string|undefined} [opts.streamName] - an optional stage-qualified name of the stream onto which to re-put the messages
+ * @param {function(event: {Records: Record[]}): Promise.<*>|undefined} [opts.processEvent] - an optional function with which to process the replayed messages locally instead (e.g. a wrapper around `processStreamEvent`)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<ReplayReport>} a promise of a report of what was (or would have been) replayed
+ */
+function replayDeadLetters(envelopes, opts, context) {
+  const options = opts || {};
+  const matched = filterEnvelopes(envelopes, options);
+  const local = typeof options.processEvent === 'function';
+
+  const report = {
+    dryRun: !!options.dryRun,
+    target: local ? 'local' : isNotBlank(options.streamName) ? options.streamName : 'source streams',
+    read: envelopes.length,
+    matched: matched.length,
+    replayed: 0,
+    skipped: 0,
+    unverified: 0,
+    failed: 0,
+    items: matched.map(envelope => ({
+      eventID: envelope.eventID,
+      key: (envelope.keys || []).map(kv => `${kv[0]}:${kv[1]}`).join('|'),
+      reasonRejected: envelope.reasonRejected
+    }))
+  };
+
+  if (matched.length <= 0 || options.dryRun) {
+    report.items.forEach(item => item.outcome = ReplayOutcome.WouldReplay);
+    return Promise.resolve(report);
+  }
+
+  const promise = local ?
+    replayLocally(matched, report.items, options.processEvent) :
+    replayToStreams(matched, report.items, options.streamName, context);
+
+  return promise.then(() => {
+    report.replayed = report.items.filter(item => item.outcome === ReplayOutcome.Replayed).length;
+    report.skipped = report.items.filter(item => item.outcome === ReplayOutcome.Skipped).length;
+    report.unverified = report.items.filter(item => item.outcome === ReplayOutcome.Unverified).length;
+    report.failed = report.items.filter(item => item.outcome === ReplayOutcome.Failed).length;
+    context.info(`Replayed ${report.replayed}, skipped ${report.skipped}, could not verify ${report.unverified} & failed to replay ${report.failed} of ${report.matched} matching dead letters`);
+    return report;
+  });
+}
+
+function replayLocally(envelopes, items, processEvent) {
+  const event = toReplayEvent(envelopes);
+  const replayStarted = new Date().toISOString();
+  return Promise.resolve()
+    .then(() => processEvent(event))
+    .then(
+      result => envelopes.forEach((envelope, i) => assessLocalReplay(envelope, items[i], event, result, replayStarted)),
+      err => items.forEach(item => {
+        item.outcome = ReplayOutcome.Failed;
+        item.error = `${err}`;
+      })
+    );
+}
+
+/**
+ * Assesses the outcome of locally replaying the given envelope's message from the given result of processing the given
+ * replay event, which should be the processed batch or a partial batch response (with its `batch`).
+ * @param {DeadLetterEnvelope} envelope - the envelope that was replayed
+ * @param {Object} item - the envelope's report item to update
+ * @param {{Records: Record[]}} event - the replay event
+ * @param {Batch|BatchItemFailuresResponse|*} result - the result with which the replay event's processing resolved
+ * @param {string} replayStarted - the ISO date-time at which the replay started
+ */
+function assessLocalReplay(envelope, item, event, result, replayStarted) {
+  const fail = error => {
+    item.outcome = ReplayOutcome.Failed;
+    item.error = error;
+  };
+
+  const eventID = envelope.record ? envelope.record.eventID : envelope.eventID;
+
+  // Lambda checkpoints every record before the first batch item failure & retries from it
+  const failures = result && Array.isArray(result.batchItemFailures) ? result.batchItemFailures : undefined;
+  const failedSeqNos = new Set((failures || []).map(failure => failure.itemIdentifier));
+  const failedAt = event.Records.findIndex(record => failedSeqNos.has(getSequenceNumber(record)));
+  if (failedAt !== -1 && event.Records.findIndex(record => record.eventID === eventID) >= failedAt) {
+    fail(`Reported as a batch item failure`);
+    return;
+  }
+
+  const batch = isInstanceOf(result, Batch) ? result : result && isInstanceOf(result.batch, Batch) ? result.batch : undefined;
+  if (!batch) {
+    item.outcome = ReplayOutcome.Unverified;
+    return;
+  }
+
+  const isOfEnvelope = trackedItem => {
+    const record = batch.getRecord(trackedItem);
+    return !!record && record.eventID === eventID;
+  };
+  if (batch.unusableRecords.some(isOfEnvelope)) {
+    fail(`Record is unusable`);
+    return;
+  }
+
+  const candidates = batch.messages.concat(batch.rejectedMessages).filter(isOfEnvelope);
+  const matching = candidates.filter(msg => deepEqual(msg, envelope.message, {strict: true}));
+  const messages = matching.length > 0 ? matching : candidates;
+  if (messages.length <= 0) {
+    fail(`Message not found in the replayed batch`);
+    return;
+  }
+
+  const executed = messages.some(msg => wasAnyTaskExecutedSince(batch, msg, replayStarted));
+  const rejected = messages.find(msg => batch.rejectedMessages.includes(msg) || batch.isMessageFullyFinalisedButRejected(msg));
+  if (rejected) {
+    fail(executed ? `Rejected again - ${batch.findReasonRejected(rejected)}` :
+      `Still rejected in its restored batch state without executing any of its tasks`);
+  } else if (messages.some(msg => batch.isMessageIncomplete(msg))) {
+    fail(`Still incomplete`);
+  } else if (!executed) {
+    // e.g. restored as completed from its batch's saved state or completed as an already processed duplicate
+    item.outcome = ReplayOutcome.Skipped;
+    item.error = `Already finalised without executing any of its tasks`;
+  } else {
+    item.outcome = ReplayOutcome.Replayed;
+  }
+}
+
+function wasAnyTaskExecutedSince(batch, message, since) {
+  const tasks = getTasksAndSubTasks(batch.getProcessOneTasks(message)).concat(
+    getTasksAndSubTasks(batch.getProcessAllTasks(message)));
+  return tasks.some(task => !!task.began && task.began >= since);
+}
+
+function getSequenceNumber(record) {
+  return streamEvents.getKinesisSequenceNumber(record) || streamEvents.getDynamoDBSequenceNumber(record);
+}
+
+function replayToStreams(envelopes, items, streamName, context) {
+  const sink = deadLetterSinks.getDeadLetterSink(DeadLetterQueueType.kinesis);
+
+  // Start all of the puts together, so that the Kinesis sink can group them into PutRecords calls
+  const promises = envelopes.map((envelope, i) => {
+    const item = items[i];
+    return Promise.resolve()
+      .then(() => {
+        const request = toReplayPutRequest(envelope, streamName);
+        item.streamName = request.StreamName;
+        return sink.send(request, context);
+      })
+      .then(
+        () => item.outcome = ReplayOutcome.Replayed,
+        err => {
+          item.outcome = ReplayOutcome.Failed;
+          item.error = `${err}`;
+        }
+      );
+  });
+  return Promise.all(promises);
+}
+
+/**
+ * Describes the given replay report as human-readable text (one line per item followed by a summary line).
+ * @param {ReplayReport} report - the report to describe
+ * @returns {string} the description
+ */
+function describeReplayReport(report) {
+  const lines = report.items.map(item => `${item.outcome}: ${item.eventID} (${item.key}) - ${item.reasonRejected}` +
+    `${item.streamName ? ` -> ${item.streamName}` : ''}${item.error ? ` - ${item.error}` : ''}`);
+  lines.push(report.dryRun ?
+    `DRY RUN - would replay ${report.matched} of ${report.read} dead letters to ${report.target}` :
+    `Replayed ${report.replayed}, skipped ${report.skipped}, could not verify ${report.unverified} & failed to replay ${report.failed} of ${report.matched} matching of ${report.read} dead letters to ${report.target}`);
+  return lines.join('\n');
+}
@@ -0,0 +1,435 @@
+'use strict';
+
+const crypto = require('crypto');
+
+const stages = require('aws-core-utils/stages');
+const regions = require('aws-core-utils/regions');
+const arns = require('aws-core-utils/arns');
+const awsErrors = require('aws-core-utils/aws-errors');
+const kinesisCache = require('aws-core-utils/kinesis-cache');
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+const TransientError = errors.TransientError;
+
+const Strings = require('core-functions/strings');
+const isBlank = Strings.isBlank;
+
+/**
+ * A pluggable {@link DeadLetterSink} abstraction for sending unusable records & rejected messages to a Dead Record Queue
+ * (DRQ) or Dead Message Queue (DMQ) together with built-in Kinesis stream, SQS queue, SNS topic & dated S3 object
+ * implementations, which are selected by the `deadRecordQueueType` & `deadMessageQueueType` settings. Every sink
+ * accepts the Kinesis PutRecord request produced by a stream consumer's `toDRQPutRequest` or `toDMQPutRequest` function
+ * and sends its `Data` (and `PartitionKey`) to its own kind of destination.
+ *
+ * The SQS, SNS & S3 sinks use the `AWS.SQS`, `AWS.SNS` & `AWS.S3` instances configured on `context.sqs`, `context.sns` &
+ * `context.s3` (if any). Otherwise, they construct default instances for the current region from the AWS SDK on
+ * `context.AWS` (if any) or from the `aws-sdk` module, which is NOT a dependency of this module & is ONLY required
+ * lazily (e.g. from the AWS Lambda runtime) when such a default instance is first needed.
+ * @module aws-stream-consumer-core/dead-letter-sinks
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getDeadLetterSink = getDeadLetterSink;
+exports.registerDeadLetterSink = registerDeadLetterSink;
+exports.classifyDeadLetterError = classifyDeadLetterError;
+exports.getKinesis = getKinesis;
+
+/**
+ * Enum for the built-in types of dead letter queues.
+ * @enum {string}
+ * @readonly
+ */
+const DeadLetterQueueType = {
+  kinesis: 'kinesis',
+  sqs: 'sqs',
+  sns: 'sns',
+  s3: 's3'
+};
+Object.freeze(DeadLetterQueueType);
+exports.DeadLetterQueueType = DeadLetterQueueType;
+
+const FIFO_SUFFIX = '.fifo';
+
+// The limits of a single Kinesis PutRecords call
+const MAX_PUT_RECORDS_COUNT = 500;
+const MAX_PUT_RECORDS_SIZE_IN_BYTES = 5 * 1024 * 1024; // 5 MB
+
+// The error codes (other than ResourceNotFoundException) with which SQS, SNS & S3 report that a destination does not exist
+const MISSING_DESTINATION_ERROR_CODES = ['AWS.SimpleQueueService.NonExistentQueue', 'QueueDoesNotExist', 'NotFound',
+  'NoSuchBucket'];
+
+/**
+ * The base class & contract of a sink to which dead letters (i.e. unusable records & rejected messages) are sent.
+ */
+class DeadLetterSink {
+  /**
+   * Constructs a new dead letter sink.
+   * @param {string} type - the type of this sink
+   */
+  constructor(type) {
+    Object.defineProperty(this, 'type', {value: type, enumerable: true});
+  }
+
+  /**
+   * Resolves the stage-qualified name of this sink's destination from the given unqualified name.
+   * @param {string} unqualifiedName - the unqualified name of the destination (e.g. `deadRecordQueueName`)
+   * @param {StreamProcessing} context - the context to use
+   * @returns {string} the stage-qualified name of the destination
+   */
+  toQualifiedName(unqualifiedName, context) {
+    return stages.toStageQualifiedResourceName(unqualifiedName, context.stage, context);
+  }
+
+  /**
+   * Sends the dead letter in the given Kinesis PutRecord request to the destination named by its `StreamName`.
+   * @param {KinesisPutRecordRequest} request - the request containing the dead letter
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<*>} a promise of the destination's response
+   */
+  send(request, context) {
+    return Promise.reject(new Error(`${this.type} dead letter sink does not implement send`));
+  }
+}
+
+exports.DeadLetterSink = DeadLetterSink;
+
+/**
+ * A dead letter sink that puts each dead letter as a record onto a Kinesis stream (the original behaviour). All of the
+ * dead letters sent to the same stream via the same Kinesis instance before the next turn of the event loop (e.g. all
+ * of a batch's discards, which are started together) are grouped into as few `PutRecords` calls as possible (of up to
+ * 500 records & 5 MB each) and each entry's result (or error) is then mapped back onto its own `send` promise.
+ */
+class KinesisDeadLetterSink extends DeadLetterSink {
+  constructor() {
+    super(DeadLetterQueueType.kinesis);
+    // Queue each Kinesis instance's pending sends until they are flushed
+    Object.defineProperty(this, 'pendingSends', {value: new Map(), enumerable: false});
+  }
+
+  toQualifiedName(unqualifiedName, context) {
+    return stages.toStageQualifiedStreamName(unqualifiedName, context.stage, context);
+  }
+
+  send(request, context) {
+    const kinesis = getKinesis(context);
+    return new Promise((resolve, reject) => {
+      let pendingSends = this.pendingSends.get(kinesis);
+      if (!pendingSends) {
+        pendingSends = [];
+        this.pendingSends.set(kinesis, pendingSends);
+        setImmediate(() => this.flush(kinesis, context));
+      }
+      pendingSends.push({request: request, resolve: resolve, reject: reject});
+    });
+  }
+
+  /**
+   * Puts all of the given Kinesis instance's pending dead letters onto their streams in as few `PutRecords` calls as
+   * possible & settles each dead letter's `send` promise with its own entry's result or error.
+   * @param {AWS.Kinesis} kinesis - the Kinesis instance to use
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<*>} a promise that will resolve when every pending send has been settled
+   */
+  flush(kinesis, context) {
+    const pendingSends = this.pendingSends.get(kinesis) || [];
+    this.pendingSends.delete(kinesis);
+
+    const groups = toPutRecordsGroups(pendingSends);
+    if (context.debugEnabled) context.debug(`Putting ${pendingSends.length} dead letter${pendingSends.length !== 1 ? 's' : ''} in ${groups.length} PutRecords call${groups.length !== 1 ? 's' : ''}`);
+
+    // Put the groups sequentially to avoid needlessly exceeding the streams' throughput limits
+    return groups.reduce((p, group) => p.then(() => putRecords(kinesis, group)), Promise.resolve());
+  }
+}
+
+exports.KinesisDeadLetterSink = KinesisDeadLetterSink;
+
+/**
+ * A dead letter sink that sends each dead letter as a message to an SQS queue (with the record's partition key as a
+ * message attribute & also as the message group id of a FIFO queue, whose stage-qualified name keeps its ".fifo" suffix).
+ * A dead letter without a partition key is sent to a FIFO queue with the queue's name as its message group id.
+ */
+class SqsDeadLetterSink extends DeadLetterSink {
+  constructor() {
+    super(DeadLetterQueueType.sqs);
+    // Cache each SQS instance's resolved queue URLs by queue name
+    Object.defineProperty(this, 'queueUrls', {value: new WeakMap(), enumerable: false});
+  }
+
+  toQualifiedName(unqualifiedName, context) {
+    const fifo = typeof unqualifiedName === 'string' && unqualifiedName.endsWith(FIFO_SUFFIX);
+    const name = fifo ? unqualifiedName.substring(0, unqualifiedName.length - FIFO_SUFFIX.length) : unqualifiedName;
+    const qualifiedName = super.toQualifiedName(name, context);
+    return fifo ? `${qualifiedName}${FIFO_SUFFIX}` : qualifiedName;
+  }
+
+  send(request, context) {
+    const sqs = getAwsClient('sqs', 'SQS', context);
+    const queueName = request.StreamName;
+    const body = toBody(request.Data);
+
+    return this.getQueueUrl(sqs, queueName).then(queueUrl => {
+      const params = {
+        QueueUrl: queueUrl,
+        MessageBody: body,
+        MessageAttributes: toMessageAttributes(request)
+      };
+      if (queueName.endsWith(FIFO_SUFFIX)) {
+        params.MessageGroupId = isBlank(request.PartitionKey) ? queueName : request.PartitionKey;
+        params.MessageDeduplicationId = md5(body);
+      }
+      return sqs.sendMessage(params).promise();
+    });
+  }
+
+  getQueueUrl(sqs, queueName) {
+    let urlsByName = this.queueUrls.get(sqs);
+    if (!urlsByName) {
+      urlsByName = new Map();
+      this.queueUrls.set(sqs, urlsByName);
+    }
+    if (urlsByName.has(queueName)) {
+      return Promise.resolve(urlsByName.get(queueName));
+    }
+    return sqs.getQueueUrl({QueueName: queueName}).promise().then(result => {
+      urlsByName.set(queueName, result.QueueUrl);
+      return result.QueueUrl;
+    });
+  }
+}
+
+exports.SqsDeadLetterSink = SqsDeadLetterSink;
+
+/**
+ * A dead letter sink that publishes each dead letter as a message to an SNS topic in the Lambda's own account & region
+ * (with the record's partition key as a message attribute).
+ */
+class SnsDeadLetterSink extends DeadLetterSink {
+  constructor() {
+    super(DeadLetterQueueType.sns);
+  }
+
+  send(request, context) {
+    const sns = getAwsClient('sns', 'SNS', context);
+    const params = {
+      TopicArn: toTopicArn(request.StreamName, context),
+      Message: toBody(request.Data),
+      MessageAttributes: toMessageAttributes(request)
+    };
+    return sns.publish(params).promise();
+  }
+}
+
+exports.SnsDeadLetterSink = SnsDeadLetterSink;
+
+/**
+ * A dead letter sink that puts each dead letter as a JSON object into an S3 bucket under a dated (i.e. "YYYY/MM/DD/")
+ * key named by the time at which it was sent, the MD5 of its data & a random suffix (so that re-sending the same dead
+ * letter never overwrites an earlier copy of it, even within the same millisecond). Since S3
+ * bucket names must be lower case without underscores, the stage-qualified name is lower cased & any underscores are
+ * replaced with hyphens.
+ */
+class S3DeadLetterSink extends DeadLetterSink {
+  constructor() {
+    super(DeadLetterQueueType.s3);
+  }
+
+  toQualifiedName(unqualifiedName, context) {
+    return super.toQualifiedName(unqualifiedName, context).toLowerCase().replace(/_/g, '-');
+  }
+
+  send(request, context) {
+    const s3 = getAwsClient('s3', 'S3', context);
+    const body = toBody(request.Data);
+    const now = new Date();
+    const date = now.toISOString().substring(0, 10).replace(/-/g, '/');
+    const suffix = crypto.randomBytes(4).toString('hex');
+    const params = {
+      Bucket: request.StreamName,
+      Key: `${date}/${now.getTime()}-${md5(body)}-${suffix}.json`,
+      Body: body,
+      ContentType: 'application/json'
+    };
+    if (request.PartitionKey) {
+      params.Metadata = {partitionkey: request.PartitionKey};
+    }
+    return s3.putObject(params).promise();
+  }
+}
+
+exports.S3DeadLetterSink = S3DeadLetterSink;
+
+const sinksByType = new Map([
+  [DeadLetterQueueType.kinesis, new KinesisDeadLetterSink()],
+  [DeadLetterQueueType.sqs, new SqsDeadLetterSink()],
+  [DeadLetterQueueType.sns, new SnsDeadLetterSink()],
+  [DeadLetterQueueType.s3, new S3DeadLetterSink()]
+]);
+
+/**
+ * Returns the dead letter sink registered for the given type.
+ * @param {DeadLetterQueueType|string} type - the type of dead letter queue
+ * @returns {DeadLetterSink} the dead letter sink
+ * @throws {FatalError} if no dead letter sink is registered for the given type
+ */
+function getDeadLetterSink(type) {
+  const sink = sinksByType.get(type);
+  if (!sink) {
+    throw new FatalError(`FATAL - No dead letter sink is registered for dead letter queue type (${type}) - valid types are ${JSON.stringify(Array.from(sinksByType.keys()))}`);
+  }
+  return sink;
+}
+
+/**
+ * Registers the given dead letter sink for the given type (replacing any sink already registered for the type).
+ * @param {string} type - the type of dead letter queue
+ * @param {DeadLetterSink} sink - the dead letter sink to use for the type
+ */
+function registerDeadLetterSink(type, sink) {
+  if (isBlank(type) || !sink || typeof sink.send !== 'function' || typeof sink.toQualifiedName !== 'function') {
+    throw new Error(`Cannot register an invalid dead letter sink (${sink && sink.type}) for type (${type})`);
+  }
+  sinksByType.set(type, sink);
+}
+
+/**
+ * Classifies the given error thrown by a dead letter sink as a `FatalError` (if its destination does not exist), as a
+ * `TransientError` (if it is retryable) or leaves it as is (otherwise).
+ * @param {Error} err - the error to classify
+ * @param {string} desc - a description of the failed send
+ * @returns {Error|FatalError|TransientError} the classified error
+ */
+function classifyDeadLetterError(err, desc) {
+  if (err instanceof FatalError || err instanceof TransientError) {
+    return err;
+  }
+  if (err && (awsErrors.isResourceNotFoundException(err) || MISSING_DESTINATION_ERROR_CODES.indexOf(err.code) !== -1)) {
+    return new FatalError(`FATAL - Cannot ${desc}, since its destination does not exist - ${err.message}`, err);
+  }
+  if (err && awsErrors.isRetryable(err)) {
+    return new TransientError(`TRANSIENT - Failed to ${desc} - ${err.message}`, err);
+  }
+  return err;
+}
+
+/**
+ * Returns the AWS Kinesis instance configured on the given context, after first configuring a default instance on it
+ * (with the default `kinesisOptions`) if none was configured yet.
+ * @param {StreamProcessing|Object} context - the context to use
+ * @returns {AWS.Kinesis} the context's Kinesis instance
+ */
+function getKinesis(context) {
+  if (!context.kinesis) {
+    // Configure a default Kinesis instance on context.kinesis if not already configured
+    const kinesisOptions = require('./default-options.json').kinesisOptions;
+
+    context.warn(`An AWS Kinesis instance was not configured on context.kinesis yet - configuring an instance with default options (${JSON.stringify(kinesisOptions)}). Preferably configure this beforehand by setting kinesisOptions in your stream consumer configuration settings/options`);
+    kinesisCache.configureKinesis(context, kinesisOptions);
+  }
+  return context.kinesis;
+}
+
+function toPutRecordsGroups(pendingSends) {
+  const groups = [];
+  const lastGroupsByStreamName = new Map();
+  pendingSends.forEach(pendingSend => {
+    const streamName = pendingSend.request.StreamName;
+    const size = byteLength(pendingSend.request.Data) + byteLength(pendingSend.request.PartitionKey);
+
+    let group = lastGroupsByStreamName.get(streamName);
+    if (!group || group.sends.length >= MAX_PUT_RECORDS_COUNT || group.size + size > MAX_PUT_RECORDS_SIZE_IN_BYTES) {
+      group = {streamName: streamName, sends: [], size: 0};
+      groups.push(group);
+      lastGroupsByStreamName.set(streamName, group);
+    }
+    group.sends.push(pendingSend);
+    group.size += size;
+  });
+  return groups;
+}
+
+function putRecords(kinesis, group) {
+  const params = {
+    StreamName: group.streamName,
+    Records: group.sends.map(pendingSend => {
+      const request = pendingSend.request;
+      const entry = {Data: request.Data, PartitionKey: request.PartitionKey};
+      if (request.ExplicitHashKey) entry.ExplicitHashKey = request.ExplicitHashKey;
+      return entry;
+    })
+  };
+  return Promise.resolve()
+    .then(() => kinesis.putRecords(params).promise())
+    .then(
+      result => {
+        const results = (result && result.Records) || [];
+        group.sends.forEach((pendingSend, i) => {
+          const entryResult = results[i];
+          if (!entryResult) {
+            pendingSend.reject(new Error(`Missing PutRecords result for entry ${i} of ${group.sends.length} to stream (${group.streamName})`));
+          } else if (entryResult.ErrorCode) {
+            pendingSend.reject(toPutRecordsEntryError(entryResult));
+          } else {
+            pendingSend.resolve({ShardId: entryResult.ShardId, SequenceNumber: entryResult.SequenceNumber});
+          }
+        });
+      },
+      err => group.sends.forEach(pendingSend => pendingSend.reject(err))
+    );
+}
+
+function toPutRecordsEntryError(entryResult) {
+  const err = new Error(entryResult.ErrorMessage || entryResult.ErrorCode);
+  err.code = entryResult.ErrorCode;
+  if (entryResult.ErrorCode === 'InternalFailure') {
+    err.retryable = true;
+  }
+  return err;
+}
+
+function byteLength(data) {
+  return !data ? 0 : Buffer.isBuffer(data) ? data.length : Buffer.byteLength(typeof data === 'string' ? data : JSON.stringify(data), 'utf8');
+}
+
+function getAwsClient(propertyName, serviceName, context) {
+  if (!context[propertyName]) {
+    // Configure a default client on the context if not already configured
+    context.warn(`An AWS ${serviceName} instance was not configured on context.${propertyName} yet - configuring an instance for the current region. Preferably configure this beforehand`);
+    const AWS = context.AWS || requireAwsSdk(serviceName, propertyName);
+    context[propertyName] = new AWS[serviceName]({region: regions.getRegion()});
+  }
+  return context[propertyName];
+}
+
+function requireAwsSdk(serviceName, propertyName) {
+  try {
+    return require('aws-sdk');
+  } catch (err) {
+    throw new FatalError(`FATAL - Cannot configure a default AWS ${serviceName} instance, since the aws-sdk module is not available (${err}) - configure an AWS.${serviceName} instance on context.${propertyName} or the AWS SDK on context.AWS beforehand`);
+  }
+}
+
+function toTopicArn(topicName, context) {
+  const functionArn = context.awsContext && context.awsContext.invokedFunctionArn;
+  const accountId = functionArn && arns.getArnAccountId(functionArn);
+  if (isBlank(accountId)) {
+    throw new FatalError(`FATAL - Cannot resolve the ARN of SNS topic (${topicName}) without the account id of the invoked function (${functionArn})`);
+  }
+  const partition = arns.getArnPartition(functionArn) || 'aws';
+  const region = arns.getArnRegion(functionArn) || regions.getRegion();
+  return `arn:${partition}:sns:${region}:${accountId}:${topicName}`;
+}
+
+function toBody(data) {
+  return Buffer.isBuffer(data) ? data.toString('utf8') : typeof data === 'string' ? data : JSON.stringify(data);
+}
+
+function toMessageAttributes(request) {
+  return request.PartitionKey ? {partitionKey: {DataType: 'String', StringValue: request.PartitionKey}} : undefined;
+}
+
+function md5(data) {
+  return crypto.createHash('md5').update(data, 'utf8').digest('hex');
+}
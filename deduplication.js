@@ -0,0 +1,254 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const strings = require('core-functions/strings');
+const isBlank = strings.isBlank;
+const isNotBlank = strings.isNotBlank;
+
+const settings = require('./settings');
+
+const tracking = require('./tracking');
+const toCountString = tracking.toCountString;
+const TaskMapNames = tracking.TaskMapNames;
+
+const persisting = require('./persisting');
+
+const stages = require('aws-core-utils/stages');
+
+const taskUtils = require('task-utils');
+const getTasksAndSubTasks = taskUtils.getTasksAndSubTasks;
+
+/**
+ * An opt-in, cross-batch message deduplication subsystem, which records the deduplication ids of fully processed
+ * messages (with a time-to-live) in a configured {@link DeduplicationStore} and, while initiating a batch, marks any
+ * incomplete message whose deduplication id was already recorded (e.g. a duplicate created by a producer retrying a
+ * `PutRecord`) as completed, so that none of its tasks are executed again. A message's deduplication id is resolved
+ * from its message ids. A message without any message ids is NOT deduplicated, unless the `deduplicatedByMessageMD5`
+ * setting is enabled, in which case its deduplication id is resolved from its message MD5 (NB: distinct messages with
+ * identical content are then treated as duplicates). Enable it by configuring the `deduplicationStore` setting with a
+ * store (and optionally the `deduplicationTtlInSeconds` setting).
+ * @module aws-stream-consumer-core/deduplication
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.isDeduplicationStore = isDeduplicationStore;
+exports.toDeduplicationId = toDeduplicationId;
+exports.completeDuplicateMessages = completeDuplicateMessages;
+exports.recordProcessedMessages = recordProcessedMessages;
+
+/**
+ * Returns true if the given object looks like a deduplication store (i.e. implements every function of the
+ * {@link DeduplicationStore} contract); false otherwise.
+ * @param {*} store - the object to check
+ * @returns {boolean} true if a deduplication store; false otherwise
+ */
+function isDeduplicationStore(store) {
+  return !!store && typeof store === 'object' && typeof store.getProcessedIds === 'function' &&
+    typeof store.putProcessedIds === 'function';
+}
+
+/**
+ * The base class & contract of a store that records & looks up the deduplication ids of processed messages. Each of its
+ * methods MUST return a promise.
+ */
+class DeduplicationStore {
+  /**
+   * Constructs a new deduplication store.
+   * @param {string} name - a name for this store for logging purposes
+   */
+  constructor(name) {
+    Object.defineProperty(this, 'name', {value: name || this.constructor.name, enumerable: true});
+  }
+
+  /**
+   * Looks up which of the given deduplication ids were already recorded (and have not expired yet) for the given
+   * stream consumer.
+   * @param {string} streamConsumerId - the stream consumer's id
+   * @param {string[]} ids - the deduplication ids to look up
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<string[]>} a promise of the deduplication ids that were already recorded
+   */
+  getProcessedIds(streamConsumerId, ids, context) {
+    return Promise.reject(new Error(`${this.name} does not implement getProcessedIds`));
+  }
+
+  /**
+   * Records the given deduplication ids of processed messages for the given stream consumer.
+   * @param {string} streamConsumerId - the stream consumer's id
+   * @param {string[]} ids - the deduplication ids to record
+   * @param {number|undefined} expiresAt - the epoch (in seconds) at which the recorded ids expire (if any)
+   * @param {StreamProcessing} context - the context to use
+   * @returns {Promise.<*>} a promise that will resolve when the ids have been recorded
+   */
+  putProcessedIds(streamConsumerId, ids, expiresAt, context) {
+    return Promise.reject(new Error(`${this.name} does not implement putProcessedIds`));
+  }
+}
+
+exports.DeduplicationStore = DeduplicationStore;
+
+/**
+ * A deduplication store that keeps its recorded deduplication ids in memory, which is primarily useful for unit & local
+ * integration testing.
+ */
+class InMemoryDeduplicationStore extends DeduplicationStore {
+  constructor() {
+    super('InMemoryDeduplicationStore');
+    Object.defineProperty(this, 'expiries', {value: new Map(), enumerable: false});
+  }
+
+  getProcessedIds(streamConsumerId, ids, context) {
+    return Promises.try(() => {
+      const now = Math.floor(Date.now() / 1000);
+      return ids.filter(id => {
+        const key = JSON.stringify([streamConsumerId, id]);
+        if (!this.expiries.has(key)) return false;
+        const expiresAt = this.expiries.get(key);
+        return !expiresAt || expiresAt > now;
+      });
+    });
+  }
+
+  putProcessedIds(streamConsumerId, ids, expiresAt, context) {
+    return Promises.try(() => {
+      ids.forEach(id => this.expiries.set(JSON.stringify([streamConsumerId, id]), expiresAt));
+      return ids;
+    });
+  }
+}
+
+exports.InMemoryDeduplicationStore = InMemoryDeduplicationStore;
+
+/**
+ * A deduplication store that records deduplication ids as items in a DynamoDB table with a hash key of
+ * `streamConsumerId`, a range key of `messageId` & an `expiresAt` attribute, which should be configured as the table's
+ * DynamoDB TTL attribute. Since DynamoDB TTL deletes expired items lazily, expired items are also ignored on look up.
+ */
+class DynamoDBDeduplicationStore extends DeduplicationStore {
+  /**
+   * Constructs a new DynamoDB deduplication store.
+   * @param {string|undefined} [tableName] - the unqualified name of the table (defaults to "StreamConsumerDeduplication")
+   */
+  constructor(tableName) {
+    super('DynamoDBDeduplicationStore');
+    Object.defineProperty(this, 'tableName', {
+      value: isNotBlank(tableName) ? tableName : 'StreamConsumerDeduplication', enumerable: true
+    });
+  }
+
+  getProcessedIds(streamConsumerId, ids, context) {
+    return Promises.try(() => {
+      const tableName = stages.toStageQualifiedResourceName(this.tableName, context.stage, context);
+      const keys = Array.from(new Set(ids)).map(id => ({streamConsumerId: streamConsumerId, messageId: id}));
+      const dynamoDBDocClient = persisting.getDynamoDBDocClient(context);
+      return persisting.batchGetItems(dynamoDBDocClient, tableName, keys, context);
+    }).then(items => {
+      const now = Math.floor(Date.now() / 1000);
+      return items.filter(item => !item.expiresAt || item.expiresAt > now).map(item => item.messageId);
+    });
+  }
+
+  putProcessedIds(streamConsumerId, ids, expiresAt, context) {
+    return Promises.try(() => {
+      const tableName = stages.toStageQualifiedResourceName(this.tableName, context.stage, context);
+      const updatedAt = new Date().toISOString();
+      const items = Array.from(new Set(ids)).map(id => {
+        const item = {streamConsumerId: streamConsumerId, messageId: id, updatedAt: updatedAt};
+        if (expiresAt) item.expiresAt = expiresAt;
+        return item;
+      });
+      const dynamoDBDocClient = persisting.getDynamoDBDocClient(context);
+      return persisting.batchWriteItems(dynamoDBDocClient, tableName, items, context);
+    });
+  }
+}
+
+exports.DynamoDBDeduplicationStore = DynamoDBDeduplicationStore;
+
+/**
+ * Resolves the deduplication id of the message with the given state from its message id(s) (if any) or, ONLY if the
+ * `deduplicatedByMessageMD5` setting is enabled, from its message MD5 (if not).
+ * @param {MessageState|undefined} state - the message's state
+ * @param {StreamProcessing} context - the context to use
+ * @returns {string|undefined} the message's deduplication id (if resolvable); otherwise undefined
+ */
+function toDeduplicationId(state, context) {
+  if (!state) return undefined;
+  if (isNotBlank(state.id)) return `I|${state.id}`;
+  const md5 = settings.isDeduplicatedByMessageMD5(context) && state.md5s && state.md5s.msg;
+  return isNotBlank(md5) ? `M|${md5}` : undefined;
+}
+
+/**
+ * Looks up the deduplication ids of the given batch's incomplete messages in the given store & completes every
+ * incomplete "process one" & "process all" task of each message that was already processed.
+ * @param {Batch} batch - the batch being initiated (after its tasks were revived)
+ * @param {DeduplicationStore} store - the deduplication store to use
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Message[]>} a promise of the duplicate messages that were completed
+ */
+function completeDuplicateMessages(batch, store, context) {
+  const streamConsumerId = batch.streamConsumerId;
+  const states = batch.states;
+
+  const messagesById = new Map();
+  batch.messages.forEach(msg => {
+    if (!batch.isMessageIncomplete(msg)) return;
+    const id = toDeduplicationId(states.get(msg), context);
+    if (!id) return;
+    if (!messagesById.has(id)) messagesById.set(id, []);
+    messagesById.get(id).push(msg);
+  });
+
+  if (isBlank(streamConsumerId) || messagesById.size <= 0) {
+    return Promise.resolve([]);
+  }
+
+  return store.getProcessedIds(streamConsumerId, Array.from(messagesById.keys()), context).then(processedIds => {
+    const duplicates = processedIds.reduce((acc, id) => acc.concat(messagesById.get(id) || []), []);
+
+    duplicates.forEach(msg => {
+      const state = states.get(msg);
+      const tasks = getTasksAndSubTasks(state[TaskMapNames.ones]).concat(getTasksAndSubTasks(state[TaskMapNames.alls]));
+      tasks.forEach(task => task.complete(undefined, undefined, true));
+      if (context.traceEnabled) context.trace(`Completed duplicate message (${state.msgDesc}), since its id (${toDeduplicationId(state, context)}) was already processed`);
+    });
+
+    if (duplicates.length > 0) {
+      context.info(`Completed ${toCountString(duplicates.length, 'duplicate message')} already processed by a previous batch in ${batch.describe(false)}`);
+    }
+    return duplicates;
+  });
+}
+
+/**
+ * Records the deduplication ids of the given batch's fully finalised & NOT rejected messages in the given store with an
+ * expiry of the configured `deduplicationTtlInSeconds` (if any).
+ * @param {Batch} batch - the batch being finalised
+ * @param {DeduplicationStore} store - the deduplication store to use
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<string[]>} a promise of the deduplication ids that were recorded
+ */
+function recordProcessedMessages(batch, store, context) {
+  const streamConsumerId = batch.streamConsumerId;
+  const states = batch.states;
+
+  const ids = Array.from(new Set(batch.messages
+    .filter(msg => !batch.isMessageIncomplete(msg) && !batch.isMessageFullyFinalisedButRejected(msg))
+    .map(msg => toDeduplicationId(states.get(msg), context))
+    .filter(id => !!id)));
+
+  if (isBlank(streamConsumerId) || ids.length <= 0) {
+    return Promise.resolve([]);
+  }
+
+  const ttlInSeconds = settings.getDeduplicationTtlInSeconds(context);
+  const expiresAt = ttlInSeconds ? Math.floor(Date.now() / 1000) + Math.ceil(ttlInSeconds) : undefined;
+
+  return store.putProcessedIds(streamConsumerId, ids, expiresAt, context).then(() => {
+    if (context.traceEnabled) context.trace(`Recorded ${toCountString(ids.length, 'processed message id')} of ${batch.describe(false)} in ${store.name}`);
+    return ids;
+  });
+}
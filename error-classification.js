@@ -0,0 +1,111 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+const TransientError = errors.TransientError;
+const TimeoutError = errors.TimeoutError;
+
+const isInstanceOf = require('core-functions/objects').isInstanceOf;
+
+const settings = require('./settings');
+
+/**
+ * Utilities for outage-aware attempt accounting, which classify the failures of "process one" and "process all" tasks
+ * as either transient or permanent (via the configured `errorClassifier` function or the default error classifier) and
+ * which, when a `maxTransientAttempts` limit is configured, revert the attempts of a task that failed transiently (as
+ * `persisting` already does for a transient failure to save a batch's state). A task's `attempts` then only counts its
+ * permanent attempts (which are limited by `maxPermanentAttempts`, which defaults to `maxNumberOfAttempts`), while the
+ * difference between its `totalAttempts` and its `attempts` counts its transient attempts (including any timeouts),
+ * which are limited by `maxTransientAttempts`. Transient failures thus move a message towards rejection more slowly.
+ * @module aws-stream-consumer-core/error-classification
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.defaultErrorClassifier = defaultErrorClassifier;
+exports.classifyError = classifyError;
+exports.getTransientAttempts = getTransientAttempts;
+exports.executeWithErrorClassification = executeWithErrorClassification;
+
+/**
+ * An enum for the classifications of a task's error.
+ * @enum {string}
+ * @readonly
+ */
+const ErrorClassification = {
+  /** A failure that is expected to go away on its own (e.g. a throttling error, a timeout or an outage) */
+  transient: 'transient',
+  /** A failure that is expected to recur on every attempt (e.g. a bad message or a bug) */
+  permanent: 'permanent'
+};
+Object.freeze(ErrorClassification);
+exports.ErrorClassification = ErrorClassification;
+
+/**
+ * The default error classifier, which classifies a `TransientError`, a `TimeoutError` or an error flagged as `retryable`
+ * (e.g. a throttling error from the AWS SDK) as transient, unless it is a `FatalError`, and any other error as permanent.
+ * @param {Error} error - the error to classify
+ * @returns {ErrorClassification} the error's classification
+ */
+function defaultErrorClassifier(error) {
+  return !!error && !isInstanceOf(error, FatalError) && (isInstanceOf(error, TransientError) ||
+    isInstanceOf(error, TimeoutError) || error.retryable === true) ? ErrorClassification.transient : ErrorClassification.permanent;
+}
+
+/**
+ * Classifies the given error of the given task using the configured `errorClassifier` function (if any) or the default
+ * error classifier (if none). Any classification other than transient is regarded as permanent.
+ * @param {Error} error - the error to classify
+ * @param {Task} task - the task that failed with the error
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {ErrorClassification} the error's classification
+ */
+function classifyError(error, task, context) {
+  const errorClassifier = settings.getErrorClassifierFunction(context) || defaultErrorClassifier;
+  return errorClassifier(error, task, context) === ErrorClassification.transient ?
+    ErrorClassification.transient : ErrorClassification.permanent;
+}
+
+/**
+ * Returns the number of the given task's attempts that were not counted as attempts, i.e. its transient attempts.
+ * @param {Task} task - the task
+ * @returns {number} the number of transient attempts
+ */
+function getTransientAttempts(task) {
+  return Math.max(task.totalAttempts - task.attempts, 0);
+}
+
+/**
+ * Executes the given task via the given execute function and then, if the task failed with an error classified as
+ * transient and a `maxTransientAttempts` limit is configured, reverts the task's attempts, so that its failure is only
+ * counted as a transient attempt.
+ * @param {Task} task - the task to execute
+ * @param {function(): Promise.<*>} execute - a function that executes the task & returns a promise of its done outcome
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<*>} a promise of the outcome of the task's execution
+ */
+function executeWithErrorClassification(task, execute, context) {
+  if (!settings.getMaxTransientAttempts(context)) {
+    return execute();
+  }
+
+  function accountForFailure() {
+    if (task.failed && classifyError(task.error, task, context) === ErrorClassification.transient) {
+      task.revertAttempts(true);
+      if (context.debugEnabled) context.debug(`Counted failure of ${task.name} as a transient attempt (${getTransientAttempts(task)}) - ${task.error}`);
+    }
+  }
+
+  return Promises.try(execute).then(
+    outcome => {
+      accountForFailure();
+      return outcome;
+    },
+    err => {
+      accountForFailure();
+      throw err;
+    }
+  );
+}
@@ -0,0 +1,269 @@
+'use strict';
+
+const strings = require('core-functions/strings');
+const isNotBlank = strings.isNotBlank;
+const stringify = strings.stringify;
+
+const Objects = require('core-functions/objects');
+const getPropertyValueByCompoundName = Objects.getPropertyValueByCompoundName;
+const isInstanceOf = Objects.isInstanceOf;
+
+const TaskDef = require('task-utils/task-defs');
+
+const streamConsumer = require('./stream-consumer');
+const taskPredicates = require('./task-predicates');
+
+/**
+ * Utilities for routing the messages of a stream that carries many types of messages to separate task pipelines, where
+ * each message's type is resolved from a configurable property path or via a configurable function and each pipeline
+ * (i.e. route) consists of its own "process one" and "process all" task definitions.
+ *
+ * A message router copies each route's task definitions under route-qualified names (i.e. `<route>|<task name>`), so
+ * that the states of the tasks of different pipelines are tracked & persisted separately, and gives each copy a `when`
+ * predicate (see the `task-predicates` module), which combines its route with the original task definition's own `when`
+ * predicate (if any), so that a message's tasks are ONLY created from its own route's applicable task definitions. A
+ * message whose type has no route is processed by the default route (if configured) or is otherwise rejected (and
+ * discarded to the Dead Message Queue) with a clear `reasonRejected`. A message whose type cannot be resolved, because
+ * the configured `resolveMessageType` function (or property path) throws an error, is ALWAYS rejected with a
+ * `reasonRejected` that names the error. NB: Any per-task settings (e.g. `rateLimits`, `retryPolicies` or
+ * `attemptPolicies`) of a routed task must be keyed by its route-qualified name.
+ * @module aws-stream-consumer-core/message-routing
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.toRoutedTaskName = toRoutedTaskName;
+exports.processRoutedStreamEvent = processRoutedStreamEvent;
+
+/** The name of the default route, which processes any message whose type has no route of its own */
+const DEFAULT_ROUTE = '$default';
+exports.DEFAULT_ROUTE = DEFAULT_ROUTE;
+
+/** The name of the "process one" task that rejects any message whose type has no route (if no default route) or
+ * could not be resolved */
+const REJECT_UNROUTED_MESSAGE = 'rejectUnroutedMessage';
+exports.REJECT_UNROUTED_MESSAGE = REJECT_UNROUTED_MESSAGE;
+
+/**
+ * A message router, which routes each message to the task pipeline of the route for its message type.
+ */
+class MessageRouter {
+  /**
+   * Constructs a new message router with the given options.
+   * @param {MessageRouterOptions} options - the options to use
+   * @throws {Error} if the given options are invalid
+   */
+  constructor(options) {
+    const opts = options && typeof options === 'object' ? options : {};
+    const typePropertyName = isNotBlank(opts.typePropertyName) ? opts.typePropertyName.trim() : undefined;
+    const resolveMessageType = typeof opts.resolveMessageType === 'function' ? opts.resolveMessageType : undefined;
+    if (!typePropertyName && !resolveMessageType) {
+      throw new Error(`Cannot create a message router without either a typePropertyName or a resolveMessageType function`);
+    }
+    const routes = opts.routes && typeof opts.routes === 'object' ? opts.routes : {};
+    const routeNames = Object.keys(routes);
+    if (routeNames.length <= 0) {
+      throw new Error(`Cannot create a message router without any routes`);
+    }
+    if (routeNames.indexOf(DEFAULT_ROUTE) !== -1) {
+      throw new Error(`Cannot create a message router with a route named (${DEFAULT_ROUTE}) - use the defaultRoute option instead`);
+    }
+
+    Object.defineProperty(this, 'typePropertyName', {value: typePropertyName, enumerable: true});
+    Object.defineProperty(this, 'resolveType', {value: resolveMessageType, enumerable: false});
+    Object.defineProperty(this, 'routeNames', {value: routeNames, enumerable: true});
+    Object.defineProperty(this, 'hasDefaultRoute', {value: !!opts.defaultRoute, enumerable: true});
+    Object.defineProperty(this, 'typesByMessage', {value: new WeakMap(), enumerable: false});
+    Object.defineProperty(this, 'typeErrorsByMessage', {value: new WeakMap(), enumerable: false});
+
+    const processOneTaskDefs = [];
+    const processAllTaskDefs = [];
+    const addRoute = (routeName, route) => {
+      toTaskDefs(route.processOneTaskDefs, routeName, 'processOneTaskDefs')
+        .forEach(taskDef => processOneTaskDefs.push(this.toRoutedProcessOneTaskDef(routeName, taskDef)));
+      toTaskDefs(route.processAllTaskDefs, routeName, 'processAllTaskDefs')
+        .forEach(taskDef => processAllTaskDefs.push(this.toRoutedProcessAllTaskDef(routeName, taskDef)));
+    };
+    routeNames.forEach(routeName => addRoute(routeName, routes[routeName]));
+
+    if (opts.defaultRoute) {
+      addRoute(DEFAULT_ROUTE, opts.defaultRoute);
+    }
+    processOneTaskDefs.push(this.defineRejectUnroutedMessageTaskDef());
+
+    Object.defineProperty(this, 'processOneTaskDefs', {value: processOneTaskDefs, enumerable: true});
+    Object.defineProperty(this, 'processAllTaskDefs', {value: processAllTaskDefs, enumerable: true});
+  }
+
+  /**
+   * Resolves the type of the given message (via the configured `resolveMessageType` function or from the configured
+   * `typePropertyName` property path) & caches it for subsequent use. Any error thrown while resolving the message's
+   * type is caught & cached instead (see `getMessageTypeError`).
+   * @param {Message} message - the message
+   * @param {MessageState|undefined} [messageState] - the message's state
+   * @returns {string|undefined} the message's type (if any); otherwise undefined
+   */
+  resolveMessageType(message, messageState) {
+    if (this.typesByMessage.has(message)) {
+      return this.typesByMessage.get(message);
+    }
+    let messageType = undefined;
+    try {
+      const type = this.resolveType ? this.resolveType(message, messageState) :
+        message && typeof message === 'object' ? getPropertyValueByCompoundName(message, this.typePropertyName) : undefined;
+      messageType = type !== undefined && type !== null ? stringify(type) : undefined;
+    } catch (err) {
+      this.typeErrorsByMessage.set(message, err);
+    }
+    this.typesByMessage.set(message, messageType);
+    return messageType;
+  }
+
+  /**
+   * Returns the error (if any) that was thrown while resolving the type of the given message.
+   * @param {Message} message - the message
+   * @param {MessageState|undefined} [messageState] - the message's state
+   * @returns {Error|undefined} the error thrown while resolving the message's type (if any); otherwise undefined
+   */
+  getMessageTypeError(message, messageState) {
+    this.resolveMessageType(message, messageState);
+    return this.typeErrorsByMessage.get(message);
+  }
+
+  /**
+   * Resolves the name of the route to which the given message must be routed.
+   * @param {Message} message - the message
+   * @param {MessageState|undefined} [messageState] - the message's state
+   * @returns {string|undefined} the name of the message's route (or of the default route, if configured); otherwise
+   * undefined if the message is unroutable or if its type could not be resolved due to an error
+   */
+  resolveRouteName(message, messageState) {
+    const messageType = this.resolveMessageType(message, messageState);
+    if (this.typeErrorsByMessage.has(message)) {
+      return undefined;
+    }
+    return messageType !== undefined && this.routeNames.indexOf(messageType) !== -1 ? messageType :
+      this.hasDefaultRoute ? DEFAULT_ROUTE : undefined;
+  }
+
+  /**
+   * Returns a `when` predicate for a routed copy of the given task definition, which ONLY applies to the messages routed
+   * to the named route, to which the task definition's own `when` predicate (if any) also applies.
+   * @param {string} routeName - the name of the route
+   * @param {TaskDef} taskDef - the task definition being copied
+   * @returns {TaskPredicate} the routed `when` predicate
+   * @private
+   */
+  toRoutedWhen(routeName, taskDef) {
+    const when = taskPredicates.getWhen(taskDef);
+    return (msg, state) => this.resolveRouteName(msg, state) === routeName && (!when || !!when(msg, state));
+  }
+
+  /**
+   * Copies the given "process one" task definition as a routed task definition, which ONLY applies to the messages
+   * routed to the named route (and to which the task definition's own `when` predicate, if any, applies).
+   * @param {string} routeName - the name of the route
+   * @param {TaskDef} taskDef - the "process one" task definition to copy
+   * @returns {TaskDef} the routed copy of the task definition
+   * @private
+   */
+  toRoutedProcessOneTaskDef(routeName, taskDef) {
+    const routedTaskDef = copyTaskDef(taskDef, toRoutedTaskName(routeName, taskDef.name), taskDef.execute);
+    return taskPredicates.setWhen(routedTaskDef, this.toRoutedWhen(routeName, taskDef));
+  }
+
+  /**
+   * Copies the given "process all" task definition as a routed task definition, which ONLY applies to the messages
+   * routed to the named route (and to which the task definition's own `when` predicate, if any, applies) & whose
+   * execute function is ONLY passed the incomplete messages routed to the named route.
+   * @param {string} routeName - the name of the route
+   * @param {TaskDef} taskDef - the "process all" task definition to copy
+   * @returns {TaskDef} the routed copy of the task definition
+   * @private
+   */
+  toRoutedProcessAllTaskDef(routeName, taskDef) {
+    const router = this;
+    const execute = taskDef.execute;
+
+    function executeRouted(batch, incompleteMessages, context) {
+      const routedMessages = incompleteMessages.filter(msg => router.resolveRouteName(msg, batch.states.get(msg)) === routeName);
+      return execute.call(this, batch, routedMessages, context);
+    }
+
+    const routedTaskDef = copyTaskDef(taskDef, toRoutedTaskName(routeName, taskDef.name), executeRouted);
+    return taskPredicates.setWhen(routedTaskDef, this.toRoutedWhen(routeName, taskDef));
+  }
+
+  /**
+   * Defines a "process one" task definition that rejects any message whose type has no route (if no default route) or
+   * whose type could not be resolved due to an error.
+   * @returns {TaskDef} the reject unrouted message task definition
+   * @private
+   */
+  defineRejectUnroutedMessageTaskDef() {
+    const router = this;
+
+    function rejectUnroutedMessage(message, batch, context) {
+      const state = batch.states.get(message);
+      const messageType = router.resolveMessageType(message, state);
+      const typeError = router.getMessageTypeError(message, state);
+      const reason = typeError ? `Unroutable message, since its message type could not be resolved due to an error (${typeError})` :
+        messageType !== undefined ?
+        `Unroutable message, since no route exists for its message type (${messageType})` :
+        `Unroutable message, since its message type could not be resolved`;
+      state.reasonRejected = reason;
+      this.reject(reason, undefined, true);
+      context.warn(`Rejected message (${state.msgDesc || state.id}) - ${reason}`);
+    }
+
+    const taskDef = TaskDef.defineTask(REJECT_UNROUTED_MESSAGE, rejectUnroutedMessage);
+    return taskPredicates.setWhen(taskDef, (msg, state) => this.resolveRouteName(msg, state) === undefined);
+  }
+}
+
+exports.MessageRouter = MessageRouter;
+
+/**
+ * Returns the route-qualified name of the named task of the named route.
+ * @param {string} routeName - the name of the route
+ * @param {string} taskName - the name of the task definition
+ * @returns {string} the routed task name
+ */
+function toRoutedTaskName(routeName, taskName) {
+  return `${routeName}|${taskName}`;
+}
+
+/**
+ * Processes the given Kinesis or DynamoDB stream event using the given message router's routed "process one" and
+ * "process all" task definitions (see `processStreamEvent` in the `stream-consumer` module).
+ * @param {AnyStreamEvent} event - the AWS stream event (or simulated AWS stream event) to be processed
+ * @param {MessageRouter} router - the message router to use
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<Batch|BatchItemFailuresResponse|BatchError>} the result of `processStreamEvent`
+ */
+function processRoutedStreamEvent(event, router, context) {
+  return streamConsumer.processStreamEvent(event, router.processOneTaskDefs, router.processAllTaskDefs, context);
+}
+
+function toTaskDefs(taskDefs, routeName, name) {
+  if (taskDefs === undefined) {
+    return [];
+  }
+  if (!Array.isArray(taskDefs) || !taskDefs.every(taskDef => isInstanceOf(taskDef, TaskDef) && taskDef.executable)) {
+    throw new Error(`The ${name} of route (${routeName}) must be an array of executable TaskDef instances`);
+  }
+  return taskDefs;
+}
+
+function copyTaskDef(taskDef, taskName, execute) {
+  const copy = TaskDef.defineTask(taskName, execute, {describeItem: taskDef.describeItem});
+  copySubTaskDefs(taskDef, copy);
+  return copy;
+}
+
+function copySubTaskDefs(source, target) {
+  source.subTaskDefs.forEach(subTaskDef => {
+    const subTaskCopy = target.defineSubTask(subTaskDef.name, subTaskDef.execute, {describeItem: subTaskDef.describeItem});
+    copySubTaskDefs(subTaskDef, subTaskCopy);
+  });
+}
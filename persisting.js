@@ -1,5 +1,8 @@
 'use strict';
 
+const zlib = require('zlib');
+const crypto = require('crypto');
+
 const strings = require('core-functions/strings');
 const isBlank = strings.isBlank;
 const isNotBlank = strings.isNotBlank;
@@ -9,6 +12,8 @@ const errors = require('core-functions/errors');
 const FatalError = errors.FatalError;
 const TransientError = errors.TransientError;
 
+const settings = require('./settings');
+
 const tracking = require('./tracking');
 const toCountString = tracking.toCountString;
 const TaskMapNames = tracking.TaskMapNames;
@@ -19,7 +24,14 @@ const stages = require('aws-core-utils/stages');
 const dynamoDBDocClientCache = require('aws-core-utils/dynamodb-doc-client-cache');
 const dynamoDBUtils = require('aws-core-utils/dynamodb-utils');
 
+const taskStates = require('task-utils/task-states');
+const StateType = taskStates.StateType;
+
 const deepEqual = require('deep-equal');
+
+const Promises = require('core-functions/promises');
+
+const ConcurrencyLimiter = require('./concurrency').ConcurrencyLimiter;
 // const strict = {strict: true};
 
 /**
@@ -32,10 +44,24 @@ exports._$_ = '_$_'; //IDE workaround
 exports.saveBatchStateToDynamoDB = saveBatchStateToDynamoDB;
 exports.loadBatchStateFromDynamoDB = loadBatchStateFromDynamoDB;
 
+exports.saveBatchStateToStore = saveBatchStateToStore;
+exports.loadBatchStateFromStore = loadBatchStateFromStore;
+
+exports.saveBatchStateToDynamoDBPerMessage = saveBatchStateToDynamoDBPerMessage;
+exports.loadBatchStateFromDynamoDBPerMessage = loadBatchStateFromDynamoDBPerMessage;
+
 // Internal functions - only exposed for testing
 exports.getBatchStateTableName = getBatchStateTableName;
+exports.getMessageStateTableName = getMessageStateTableName;
+exports.toMessageStateItems = toMessageStateItems;
+exports.toMessageStateItemKey = toMessageStateItemKey;
+exports.batchGetItems = batchGetItems;
+exports.batchWriteItems = batchWriteItems;
 exports.toBatchStateItem = toBatchStateItem;
+exports.updateBatchWithPriorState = updateBatchWithPriorState;
 exports.getDynamoDBDocClient = getDynamoDBDocClient;
+exports.getBatchStateItem = getBatchStateItem;
+exports.putBatchStateItem = putBatchStateItem;
 
 exports.hasUnusableRecordIdentifier = hasUnusableRecordIdentifier;
 exports.toUnusableRecordBFK = toUnusableRecordBFK;
@@ -43,6 +69,38 @@ exports.toUnusableRecordBFK = toUnusableRecordBFK;
 exports.hasMessageIdentifier = hasMessageIdentifier;
 exports.toMessageBFK = toMessageBFK;
 
+exports.mergeBatchStateItems = mergeBatchStateItems;
+
+exports.packBatchStateItem = packBatchStateItem;
+exports.unpackBatchStateItem = unpackBatchStateItem;
+exports.toChunkShardOrEventID = toChunkShardOrEventID;
+exports.toIndexShardOrEventID = toIndexShardOrEventID;
+exports.loadBatchStateItemViaIndex = loadBatchStateItemViaIndex;
+
+// Constants
+const MAX_NUMBER_OF_CONFLICTING_UPDATES = 3;
+
+const STATES_NAMES = ['messageStates', 'rejectedMessageStates', 'unusableRecordStates'];
+
+const MAX_BATCH_WRITE_ITEMS = 25; // DynamoDB's limit on the number of items per BatchWriteItem request
+const MAX_BATCH_GET_KEYS = 100; // DynamoDB's limit on the number of keys per BatchGetItem request
+const MAX_NUMBER_OF_UNPROCESSED_RETRIES = 3;
+const UNPROCESSED_RETRY_BASE_DELAY_MS = 50; // doubled before each subsequent retry of unprocessed items or keys
+const MAX_CONCURRENT_REQUESTS = 4; // the maximum number of batch or message state item requests in flight at once
+
+/**
+ * The prefixes of the range keys (i.e. `stateKey`) of the message, unusable record & batch state items saved in the
+ * per-message layout.
+ * @namespace {Object.<string, string>} StateKeyPrefix
+ */
+const StateKeyPrefix = {
+  message: 'M|',
+  unusableRecord: 'U|',
+  batch: 'B|'
+};
+Object.freeze(StateKeyPrefix);
+exports.StateKeyPrefix = StateKeyPrefix;
+
 /**
  * Saves the given batch's current state to the DynamoDB stream consumer batch state table.
  * @this {Task}
@@ -84,11 +142,17 @@ function saveBatchStateToDynamoDB(batch, context) {
     const dynamoDBDocClient = getDynamoDBDocClient(context);
 
     // Save a batch state item for the entire batch of messages, rejected messages and unusable records to DynamoDB
+    // (and, if configured & not previously saved, also index the batch state item by the eventIDs of its records)
     return (batch.previouslySaved ?
-        updateBatchState(dynamoDBDocClient, tableName, item, batch, context) :
-        insertBatchState(dynamoDBDocClient, tableName, item, batch, context)
+        updateBatchState(dynamoDBDocClient, tableName, item, batch.previousVersion, batch, context, 0) :
+        insertBatchState(dynamoDBDocClient, tableName, item, batch, context, 0).then(result =>
+          settings.isBatchStateIndexed(context) ?
+            putBatchStateIndexItems(dynamoDBDocClient, tableName, item, batch, context).then(() => result) : result)
     ).then(
       result => {
+        // Remember the version just saved to enable any subsequent save of the same batch to be conditional on it
+        batch.previouslySaved = true;
+        batch.previousVersion = item.version;
         if (context.traceEnabled) {
           context.trace(`Saved state of batch to ${tableName} -`, batch.describe(false), took(startTime));
         }
@@ -100,6 +164,11 @@ function saveBatchStateToDynamoDB(batch, context) {
           context.error(errMsg, '-', batch.describe(false), took(startTime), err);
           throw new FatalError(errMsg, err);
         }
+        if (err instanceof TransientError) {
+          context.error(`Failed to save state of batch to ${tableName} -`, batch.describe(false), took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
         if (awsErrors.isRetryable(err)) {
           const errMsg = `TRANSIENT - Failed to save state of batch to ${tableName} - ${err.message}`;
           context.error(errMsg, '-', batch.describe(false), took(startTime), err);
@@ -119,7 +188,9 @@ function saveBatchStateToDynamoDB(batch, context) {
 
 /**
  * Loads the given batch's previous state from the DynamoDB stream consumer batch state table and restores the batch's
- * state to this previous state.
+ * state to this previous state. If no previous state is found under the batch's own key and `batchStateIndexed` is
+ * configured, then falls back to finding & restoring the previous state of any differently keyed batch that contained
+ * any of the same records via its index items.
  * @this {Task}
  * @param {Batch} batch - the batch to be loaded
  * @param {StreamProcessing} context - the context to use
@@ -145,13 +216,19 @@ function loadBatchStateFromDynamoDB(batch, context) {
       Key: {streamConsumerId: streamConsumerId, shardOrEventID: shardOrEventID},
       ConsistentRead: true,
       ReturnConsumedCapacity: "NONE", //"TOTAL" or "INDEXES" or "NONE"
-      ProjectionExpression: "#streamConsumerId, #shardOrEventID, #messageStates, #rejectedMessageStates, #unusableRecordStates",
+      ProjectionExpression: "#streamConsumerId, #shardOrEventID, #messageStates, #rejectedMessageStates, #unusableRecordStates, #batchState, #version, #updatedAt, #compressedStates, #chunkCount, #chunkSetId",
       ExpressionAttributeNames: {
         "#streamConsumerId": "streamConsumerId",
         "#shardOrEventID": "shardOrEventID",
         "#messageStates": "messageStates",
         "#rejectedMessageStates": "rejectedMessageStates",
-        "#unusableRecordStates": "unusableRecordStates"
+        "#unusableRecordStates": "unusableRecordStates",
+        "#batchState": "batchState",
+        "#version": "version",
+        "#updatedAt": "updatedAt",
+        "#compressedStates": "compressedStates",
+        "#chunkCount": "chunkCount",
+        "#chunkSetId": "chunkSetId"
       }
     };
 
@@ -161,6 +238,11 @@ function loadBatchStateFromDynamoDB(batch, context) {
 
     // Load the batch state for the entire batch of messages, rejected messages and unusable records from DynamoDB
     return dynamoDBDocClient.get(getRequest).promise()
+      .then(result => {
+        // Decompress & reassemble the item's states (if they were compressed and/or chunked)
+        const item = result && result.Item;
+        return resolveBatchStateItem(dynamoDBDocClient, tableName, item, context).then(() => result);
+      })
       .then(result => {
         const hasPreviouslySavedItem = !!(result && result.Item);
         if (context.traceEnabled) {
@@ -176,19 +258,37 @@ function loadBatchStateFromDynamoDB(batch, context) {
         }
 
         batch.previouslySaved = hasPreviouslySavedItem;
+        batch.previousVersion = hasPreviouslySavedItem ? result.Item.version : undefined;
         if (hasPreviouslySavedItem) {
           updateBatchWithPriorState(batch, result.Item, context);
+          return result;
         }
-        return result;
+        if (!settings.isBatchStateIndexed(context)) {
+          return result;
+        }
+        // Fallback to restoring the prior state of any differently keyed batch that contained any of the same records
+        return loadBatchStateItemViaIndex(dynamoDBDocClient, tableName, batch, context).then(priorItem => {
+          if (priorItem) {
+            context.info(`Restoring state of ${batchDesc} from the state of differently keyed batch(es) (${priorItem.shardOrEventIDs.join(', ')}) found via their index items in ${tableName}`);
+            updateBatchWithPriorState(batch, priorItem, context);
+          }
+          return result;
+        });
       })
       .catch(err => {
         batch.previouslySaved = undefined;
+        batch.previousVersion = undefined;
 
         if (awsErrors.isResourceNotFoundException(err)) {
           const errMsg = `FATAL - Cannot load state of batch, since missing DynamoDB table (${tableName}) - ${err.message}`;
           context.error(errMsg, '-', batchDesc, took(startTime), err);
           throw new FatalError(errMsg, err);
         }
+        if (err instanceof TransientError) {
+          context.error('Failed to load state of', batchDesc, 'from', tableName, took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
         if (awsErrors.isRetryable(err)) {
           const errMsg = `TRANSIENT - Failed to load state of batch from ${tableName} - ${err.message}`;
           context.error(errMsg, '-', batchDesc, took(startTime), err);
@@ -199,11 +299,635 @@ function loadBatchStateFromDynamoDB(batch, context) {
         throw err;
       });
 
-  } catch (err) {
-    batch.previouslySaved = undefined;
-    context.error('Failed to load state of batch', took(startTime), err);
-    return Promise.reject(err);
+  } catch (err) {
+    batch.previouslySaved = undefined;
+    batch.previousVersion = undefined;
+    context.error('Failed to load state of batch', took(startTime), err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Saves the given batch's current state to the batch state store configured at `context.streamProcessing.batchStateStore`.
+ * NB: Unlike `saveBatchStateToDynamoDB`, saves to a store are NOT versioned, i.e. the saved item's `version` is stamped,
+ * but NOT checked against the store's existing item, so the last save of a batch wins & any conflicting concurrent save
+ * is neither detected nor merged. This is only safe for the single consumer uses (e.g. local integration tests &
+ * development loops) for which the built-in stores are intended.
+ * @this {Task}
+ * @param {Batch} batch - the batch to be saved
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem|undefined>} a promise that will resolve with the saved batch state item (or undefined if the batch was empty) or reject with the error thrown
+ */
+function saveBatchStateToStore(batch, context) {
+  const task = this;
+  const startTime = Date.now();
+
+  try {
+    const store = getBatchStateStore(context);
+    const streamConsumerId = batch.streamConsumerId || (batch.key && batch.key.streamConsumerId);
+    const shardOrEventID = batch.shardOrEventID || (batch.key && batch.key.shardOrEventID);
+
+    if (isBlank(streamConsumerId) || isBlank(shardOrEventID)) {
+      if (batch.messages.length <= 0 && batch.rejectedMessages.length <= 0 && batch.unusableRecords.length <= 0) {
+        context.warn('Skipping save state of an empty batch - ', batch.describe(false));
+        return Promise.resolve(undefined);
+      }
+      const errMsg = `Cannot save state of batch to ${store.name} WITHOUT a complete batch key - streamConsumerId (${streamConsumerId}) & shardOrEventID (${shardOrEventID})`;
+      context.error(errMsg, '-', batch.describe(false));
+      return Promise.reject(new Error(errMsg));
+    }
+
+    // Transform the batch into a batch state item to be saved
+    const item = toBatchStateItem(batch, context);
+
+    return store.save(item, context).then(
+      result => {
+        batch.previouslySaved = true;
+        batch.previousVersion = item.version;
+        if (context.traceEnabled) {
+          context.trace(`Saved state of batch to ${store.name} -`, batch.describe(false), took(startTime));
+        }
+        return result;
+      },
+      err => {
+        if (err instanceof TransientError) {
+          context.error(`TRANSIENT - Failed to save state of batch to ${store.name} -`, batch.describe(false), took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
+        context.error(`Failed to save state of batch to ${store.name} -`, batch.describe(false), took(startTime), err);
+        throw err;
+      }
+    );
+
+  } catch (err) {
+    context.error('Failed to save state of ', batch.describe(false), took(startTime), err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Loads the given batch's previous state from the batch state store configured at `context.streamProcessing.batchStateStore`
+ * and restores the batch's state to this previous state.
+ * @this {Task}
+ * @param {Batch} batch - the batch to be loaded
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem|undefined>} a promise that will resolve with the loaded batch state item (if any) or reject with the error thrown
+ */
+function loadBatchStateFromStore(batch, context) {
+  const task = this;
+  const startTime = Date.now();
+
+  try {
+    const store = getBatchStateStore(context);
+    const streamConsumerId = batch.streamConsumerId || (batch.key && batch.key.streamConsumerId);
+    const shardOrEventID = batch.shardOrEventID || (batch.key && batch.key.shardOrEventID);
+
+    const batchDesc = `batch (${shardOrEventID}) with ${batch.describeContents()}`;
+
+    // Load the batch state for the entire batch of messages, rejected messages and unusable records from the store
+    return store.load({streamConsumerId: streamConsumerId, shardOrEventID: shardOrEventID}, context).then(
+      item => {
+        const hasPreviouslySavedItem = !!item;
+        if (context.traceEnabled) {
+          context.debug('Loaded state of', batchDesc, 'from', store.name, '-',
+            hasPreviouslySavedItem ? 'found previously saved state' : 'found no previously saved state', took(startTime));
+        }
+        batch.previouslySaved = hasPreviouslySavedItem;
+        batch.previousVersion = hasPreviouslySavedItem ? item.version : undefined;
+        if (hasPreviouslySavedItem) {
+          updateBatchWithPriorState(batch, item, context);
+        }
+        return item;
+      },
+      err => {
+        batch.previouslySaved = undefined;
+        batch.previousVersion = undefined;
+        if (err instanceof TransientError) {
+          context.error(`TRANSIENT - Failed to load state of`, batchDesc, 'from', store.name, took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
+        context.error('Failed to load state of', batchDesc, 'from', store.name, took(startTime), err);
+        throw err;
+      }
+    );
+
+  } catch (err) {
+    batch.previouslySaved = undefined;
+    batch.previousVersion = undefined;
+    context.error('Failed to load state of batch', took(startTime), err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Saves the given batch's current state to the DynamoDB stream consumer message state table using a per-message layout,
+ * which saves one item per message, rejected message & unusable record keyed by the streamConsumerId & the message's or
+ * unusable record's BFK (and one item for the batch's own state keyed by its shardOrEventID). Unlike the default
+ * one-item-per-batch layout, this enables a message's prior task states to be restored when the message is redelivered
+ * in a differently keyed batch (e.g. after a shard split or merge). NB: Messages & unusable records without any
+ * identifiers cannot be keyed & are skipped (with a warning).
+ *
+ * Each item is versioned & conditionally put, but ONLY if its saved version is still the version that the batch
+ * previously loaded or saved (or if it has no saved version yet). If an item was concurrently saved by another
+ * invocation, then EITHER merges the item with its existing state & retries the put (if the configured
+ * `batchStateConflictResolution` is "merge") OR fails with a `TransientError` (if it is "fail").
+ *
+ * Since DynamoDB bills the write capacity of each write according to the size of the entire item, ONLY the items whose
+ * states changed since the batch previously loaded or saved them are put, which dramatically reduces the write capacity
+ * consumed by the saves of a large batch that is mostly complete. NB: An unchanged item's `expiresAt` (if any) is
+ * consequently NOT refreshed.
+ * @this {Task}
+ * @param {Batch} batch - the batch to be saved
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<MessageLayoutStateItem[]|undefined>} a promise that will resolve with the changed items that were saved (or undefined if the batch was empty) or reject with the error thrown
+ */
+function saveBatchStateToDynamoDBPerMessage(batch, context) {
+  const task = this;
+  const startTime = Date.now();
+
+  try {
+    const streamConsumerId = batch.streamConsumerId || (batch.key && batch.key.streamConsumerId);
+    const shardOrEventID = batch.shardOrEventID || (batch.key && batch.key.shardOrEventID);
+
+    // Resolve the stage-qualified table name
+    const unqualifiedTableName = getMessageStateTableName(context);
+    const tableName = stages.toStageQualifiedResourceName(unqualifiedTableName, context.stage, context);
+
+    if (isBlank(streamConsumerId) || isBlank(shardOrEventID)) {
+      if (batch.messages.length <= 0 && batch.rejectedMessages.length <= 0 && batch.unusableRecords.length <= 0) {
+        context.warn('Skipping save state of an empty batch - ', batch.describe(false));
+        return Promise.resolve(undefined);
+      }
+      const errMsg = `Cannot save state of batch to ${tableName} WITHOUT a complete batch key - streamConsumerId (${streamConsumerId}) & shardOrEventID (${shardOrEventID})`;
+      context.error(errMsg, '-', batch.describe(false));
+      return Promise.reject(new Error(errMsg));
+    }
+
+    // Transform the batch into a message state item per message, rejected message & unusable record to be saved
+    const items = toMessageStateItems(batch, context);
+
+    const dynamoDBDocClient = getDynamoDBDocClient(context);
+
+    const previousItems = batch.previousStateItems || (batch.previousStateItems = new Map());
+    const mergedItems = [];
+    const limiter = new ConcurrencyLimiter(MAX_CONCURRENT_REQUESTS, `puts to ${tableName}`);
+
+    // Only put the items whose states changed since they were previously loaded or saved
+    const changedItems = items.filter(item => isMessageStateItemChanged(item, previousItems.get(item.stateKey)));
+
+    const promises = changedItems.map(item => {
+      const previousItem = previousItems.get(item.stateKey);
+      return limiter.run(() => putMessageStateItem(dynamoDBDocClient, tableName, item, previousItem && previousItem.version,
+        mergedItems, context, 0).then(() => previousItems.set(item.stateKey, copyMessageStateItem(item))));
+    });
+
+    return Promise.all(promises).then(
+      () => {
+        batch.previouslySaved = true;
+        if (mergedItems.length > 0) {
+          // Apply the merged states to the batch, so that its in-memory tasks reflect the states that were actually saved
+          updateBatchWithPriorState(batch, assembleBatchStateItem(streamConsumerId, shardOrEventID, mergedItems), context);
+          batch.reviveTasks(context);
+        }
+        if (context.traceEnabled) {
+          context.trace(`Saved state of batch as ${toCountString(changedItems.length, 'changed item')} (of ${items.length}) to ${tableName} -`, batch.describe(false), took(startTime));
+        }
+        return changedItems;
+      },
+      err => {
+        if (awsErrors.isResourceNotFoundException(err)) {
+          const errMsg = `FATAL - Cannot save state of batch, since missing DynamoDB table (${tableName}) - ${err.message}`;
+          context.error(errMsg, '-', batch.describe(false), took(startTime), err);
+          throw new FatalError(errMsg, err);
+        }
+        if (err instanceof TransientError) {
+          context.error(`Failed to save state of batch to ${tableName} -`, batch.describe(false), took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
+        if (awsErrors.isRetryable(err)) {
+          const errMsg = `TRANSIENT - Failed to save state of batch to ${tableName} - ${err.message}`;
+          context.error(errMsg, '-', batch.describe(false), took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw new TransientError(errMsg, err);
+        }
+        context.error(`Failed to save state of batch to ${tableName} -`, batch.describe(false), took(startTime), err);
+        throw err;
+      }
+    );
+
+  } catch (err) {
+    context.error('Failed to save state of ', batch.describe(false), took(startTime), err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Loads the previous states of the given batch's messages, rejected messages & unusable records (and of the batch
+ * itself) from the DynamoDB stream consumer message state table (see {@link saveBatchStateToDynamoDBPerMessage}) and
+ * restores the batch's state to these previous states.
+ * @this {Task}
+ * @param {Batch} batch - the batch to be loaded
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem>} a promise that will resolve with a batch state item assembled from the loaded items or reject with the error thrown
+ */
+function loadBatchStateFromDynamoDBPerMessage(batch, context) {
+  const task = this;
+  const startTime = Date.now();
+
+  try {
+    const streamConsumerId = batch.streamConsumerId || (batch.key && batch.key.streamConsumerId);
+    const shardOrEventID = batch.shardOrEventID || (batch.key && batch.key.shardOrEventID);
+
+    const batchDesc = `batch (${shardOrEventID}) with ${batch.describeContents()}`;
+
+    // Resolve the stage-qualified table name
+    const unqualifiedTableName = getMessageStateTableName(context);
+    const tableName = stages.toStageQualifiedResourceName(unqualifiedTableName, context.stage, context);
+
+    // Resolve the keys of the items to load for every message, rejected message & unusable record with an identifier
+    const states = batch.states;
+    const stateKeys = batch.messages.concat(batch.rejectedMessages)
+      .map(msg => states.get(msg))
+      .filter(state => state && hasMessageIdentifier(state))
+      .map(state => StateKeyPrefix.message + toMessageBFK(state))
+      .concat(batch.unusableRecords
+        .map(uRec => states.get(uRec))
+        .filter(state => state && hasUnusableRecordIdentifier(state))
+        .map(state => StateKeyPrefix.unusableRecord + toUnusableRecordBFK(state)));
+    if (isNotBlank(shardOrEventID)) {
+      stateKeys.push(StateKeyPrefix.batch + shardOrEventID);
+    }
+    const keys = Array.from(new Set(stateKeys)).map(stateKey => toMessageStateItemKey(streamConsumerId, stateKey));
+
+    const dynamoDBDocClient = getDynamoDBDocClient(context);
+
+    return batchGetItems(dynamoDBDocClient, tableName, keys, context).then(
+      items => {
+        // Remember the loaded items' versions to enable any subsequent save of the same items to be conditional on them
+        batch.previousStateItems = new Map(items.map(i => [i.stateKey, copyMessageStateItem(i)]));
+
+        // Assemble the loaded items into a batch state item
+        const item = assembleBatchStateItem(streamConsumerId, shardOrEventID, items);
+
+        const hasPreviouslySavedItems = items.length > 0;
+        if (context.traceEnabled) {
+          const loadedDesc = `found ${toCountString(item.messageStates.length, 'msg state')}, ${toCountString(item.rejectedMessageStates.length, 'rejected msg state')} & ${toCountString(item.unusableRecordStates.length, 'unusable rec state')}`;
+          context.debug('Loaded state of', batchDesc, 'from', tableName, '-', loadedDesc, took(startTime));
+        }
+
+        batch.previouslySaved = hasPreviouslySavedItems;
+        if (hasPreviouslySavedItems) {
+          updateBatchWithPriorState(batch, item, context);
+        }
+        return item;
+      },
+      err => {
+        batch.previouslySaved = undefined;
+        batch.previousStateItems = undefined;
+
+        if (awsErrors.isResourceNotFoundException(err)) {
+          const errMsg = `FATAL - Cannot load state of batch, since missing DynamoDB table (${tableName}) - ${err.message}`;
+          context.error(errMsg, '-', batchDesc, took(startTime), err);
+          throw new FatalError(errMsg, err);
+        }
+        if (err instanceof TransientError) {
+          context.error('Failed to load state of', batchDesc, 'from', tableName, took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw err;
+        }
+        if (awsErrors.isRetryable(err)) {
+          const errMsg = `TRANSIENT - Failed to load state of batch from ${tableName} - ${err.message}`;
+          context.error(errMsg, '-', batchDesc, took(startTime), err);
+          if (task) task.revertAttempts(true);
+          throw new TransientError(errMsg, err);
+        }
+        context.error('Failed to load state of', batchDesc, 'from', tableName, took(startTime), err);
+        throw err;
+      }
+    );
+
+  } catch (err) {
+    batch.previouslySaved = undefined;
+    batch.previousStateItems = undefined;
+    context.error('Failed to load state of batch', took(startTime), err);
+    return Promise.reject(err);
+  }
+}
+
+/**
+ * Assembles the given message state items into a batch state item.
+ * @param {string} streamConsumerId - the batch's streamConsumerId
+ * @param {string} shardOrEventID - the batch's shardOrEventID
+ * @param {MessageLayoutStateItem[]} items - the message state items to assemble
+ * @returns {BatchStateItem} the assembled batch state item
+ */
+function assembleBatchStateItem(streamConsumerId, shardOrEventID, items) {
+  const item = {
+    streamConsumerId: streamConsumerId,
+    shardOrEventID: shardOrEventID,
+    messageStates: [],
+    rejectedMessageStates: [],
+    unusableRecordStates: [],
+    batchState: null
+  };
+  items.forEach(i => {
+    if (i.stateKey.startsWith(StateKeyPrefix.message)) {
+      (i.rejected ? item.rejectedMessageStates : item.messageStates).push(i.state);
+    } else if (i.stateKey.startsWith(StateKeyPrefix.unusableRecord)) {
+      item.unusableRecordStates.push(i.state);
+    } else if (i.stateKey.startsWith(StateKeyPrefix.batch)) {
+      item.batchState = i.state || null;
+    }
+  });
+  return item;
+}
+
+/**
+ * Puts the given message state item as the next version of its saved state, but ONLY if its saved state's version is
+ * still the given expected version (or if its saved state has no version and the expected version is undefined). If
+ * its saved state was concurrently updated by another invocation, then EITHER merges the given item with its saved
+ * state & retries the put (if the configured `batchStateConflictResolution` is "merge") OR fails with a
+ * `TransientError` (if it is "fail").
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the message state table
+ * @param {MessageLayoutStateItem} item - the message state item to put
+ * @param {number|undefined} expectedVersion - the expected version of the item's saved state (if any)
+ * @param {MessageLayoutStateItem[]} mergedItems - the list of merged items to which to add the item (if merged)
+ * @param {StreamProcessing} context - the context to use
+ * @param {number} conflicts - the number of conflicting concurrent saves of the item encountered so far
+ * @returns {Promise.<*>} a promise of the put result
+ */
+function putMessageStateItem(dynamoDBDocClient, tableName, item, expectedVersion, mergedItems, context, conflicts) {
+  const hasExpectedVersion = expectedVersion !== undefined && expectedVersion !== null;
+  item.version = (hasExpectedVersion ? expectedVersion : 0) + 1;
+
+  const putRequest = {
+    TableName: tableName,
+    Item: item,
+    // Only put the item if its saved state has NOT been concurrently updated since it was loaded or saved
+    ConditionExpression: hasExpectedVersion ? '#version = :expectedVersion' : 'attribute_not_exists(#version)',
+    ExpressionAttributeNames: {'#version': 'version'}
+  };
+  if (hasExpectedVersion) {
+    putRequest.ExpressionAttributeValues = {':expectedVersion': expectedVersion};
+  }
+  if (context.traceEnabled) context.trace("put request: " + JSON.stringify(putRequest));
+
+  return dynamoDBDocClient.put(putRequest).promise().catch(err => {
+    if (!awsErrors.isConditionalCheckFailed(err)) {
+      throw err;
+    }
+    const getRequest = {TableName: tableName, Key: toMessageStateItemKey(item.streamConsumerId, item.stateKey), ConsistentRead: true};
+    return dynamoDBDocClient.get(getRequest).promise().then(result => {
+      const existingItem = result && result.Item;
+      const existingVersion = existingItem ? existingItem.version : undefined;
+      const conflictDesc = `state (${item.stateKey}) in ${tableName} was concurrently ${existingItem ? `updated to version (${existingVersion}) at (${existingItem.updatedAt})` : 'deleted'} - expected version (${expectedVersion})`;
+
+      if (existingItem && settings.getBatchStateConflictResolution(context) === settings.BatchStateConflictResolution.fail) {
+        const errMsg = `TRANSIENT - Cannot update state of batch, since ${conflictDesc}`;
+        context.warn(errMsg);
+        throw new TransientError(errMsg);
+      }
+
+      failIfTooManyConflicts(conflicts, conflictDesc, context);
+
+      if (existingItem) {
+        // Merge the existing state into the item (keeping the most advanced state of each task) & retry the put
+        context.warn(`Merging with existing state, since ${conflictDesc}`);
+        mergeMessageStateItems(item, existingItem);
+        if (mergedItems.indexOf(item) === -1) mergedItems.push(item);
+      }
+      item.updatedAt = new Date().toISOString();
+
+      return putMessageStateItem(dynamoDBDocClient, tableName, item, existingVersion, mergedItems, context, conflicts + 1);
+    });
+  });
+}
+
+/**
+ * Returns a deep copy of the given message state item to be remembered as previously loaded or saved, since its state
+ * may subsequently be restored onto (and hence mutated by) the batch.
+ * @param {MessageLayoutStateItem} item - the message state item to copy
+ * @returns {MessageLayoutStateItem} a copy of the item
+ */
+function copyMessageStateItem(item) {
+  return JSON.parse(JSON.stringify(item));
+}
+
+/**
+ * Returns true if the given message state item's state (or rejected flag) differs from that of the given previously
+ * loaded or saved message state item (or if there is no previous item); otherwise false.
+ * @param {MessageLayoutStateItem} item - the message state item to be saved
+ * @param {MessageLayoutStateItem|undefined} previousItem - the previously loaded or saved message state item (if any)
+ * @returns {boolean} true if the item changed; false otherwise
+ */
+function isMessageStateItemChanged(item, previousItem) {
+  return !previousItem || !!item.rejected !== !!previousItem.rejected ||
+    !deepEqual(item.state, previousItem.state, {strict: true});
+}
+
+/**
+ * Merges the state of the given other message state item into the state of the given message state item (keeping the
+ * most advanced state of each task).
+ * @param {MessageLayoutStateItem} item - the message state item to update
+ * @param {MessageLayoutStateItem} otherItem - the other message state item to merge into the item
+ * @returns {MessageLayoutStateItem} the given item updated with the merged state
+ */
+function mergeMessageStateItems(item, otherItem) {
+  const state = item.state;
+  const otherState = otherItem.state;
+  if (!state) {
+    item.state = otherState;
+  } else if (otherState) {
+    if (item.stateKey.startsWith(StateKeyPrefix.message)) {
+      mergeMessageStates(state, otherState);
+      // If the other invocation rejected the message, then it must stay rejected
+      if (otherItem.rejected) item.rejected = true;
+    } else if (item.stateKey.startsWith(StateKeyPrefix.unusableRecord)) {
+      state[TaskMapNames.discards] = mergeTasksByName(state[TaskMapNames.discards], otherState[TaskMapNames.discards]);
+    } else {
+      state[TaskMapNames.alls] = mergeTasksByName(state[TaskMapNames.alls], otherState[TaskMapNames.alls]);
+    }
+  }
+  if (item.expiresAt && otherItem.expiresAt) {
+    item.expiresAt = Math.max(item.expiresAt, otherItem.expiresAt);
+  }
+  return item;
+}
+
+/**
+ * Converts the given batch into a message state item per message, rejected message & unusable record (with an
+ * identifier) & an item for the batch's own state (if any) to be subsequently persisted to DynamoDB.
+ * @param {Batch} batch - the batch to be converted into message state items
+ * @param {StreamProcessing} context - the context to use
+ * @returns {MessageLayoutStateItem[]} the message state items
+ */
+function toMessageStateItems(batch, context) {
+  const batchStateItem = toBatchStateItem(batch, context);
+  const streamConsumerId = batchStateItem.streamConsumerId;
+  const shardOrEventID = batchStateItem.shardOrEventID;
+
+  const itemsByStateKey = new Map();
+
+  function addItem(stateKey, state, rejected) {
+    const item = {
+      streamConsumerId: streamConsumerId, // hash key
+      stateKey: stateKey, // range key
+      shardOrEventID: shardOrEventID, // the batch that last saved this state
+      state: state,
+      updatedAt: batchStateItem.updatedAt
+    };
+    if (rejected) {
+      item.rejected = true;
+    }
+    if (batchStateItem.expiresAt) {
+      item.expiresAt = batchStateItem.expiresAt;
+    }
+    // Keep only the last state of any duplicate messages, since a batch write cannot contain duplicate keys
+    itemsByStateKey.set(stateKey, item);
+  }
+
+  function addMessageItem(state, rejected) {
+    if (!hasMessageIdentifier(state)) {
+      context.warn(`Skipping save of state of ${rejected ? 'rejected ' : ''}message, since it has no identifier with which to key its item - state (${JSON.stringify(state)})`);
+      return;
+    }
+    addItem(StateKeyPrefix.message + toMessageBFK(state), state, rejected);
+  }
+
+  batchStateItem.messageStates.forEach(state => addMessageItem(state, false));
+  batchStateItem.rejectedMessageStates.forEach(state => addMessageItem(state, true));
+
+  batchStateItem.unusableRecordStates.forEach(state => {
+    if (!hasUnusableRecordIdentifier(state)) {
+      context.warn(`Skipping save of state of unusable record, since it has no identifier with which to key its item - state (${JSON.stringify(state)})`);
+      return;
+    }
+    addItem(StateKeyPrefix.unusableRecord + toUnusableRecordBFK(state), state, false);
+  });
+
+  if (batchStateItem.batchState) {
+    addItem(StateKeyPrefix.batch + shardOrEventID, batchStateItem.batchState, false);
+  }
+
+  return Array.from(itemsByStateKey.values());
+}
+
+/**
+ * Returns the key of the message state item with the given streamConsumerId & state key.
+ * @param {string} streamConsumerId - the streamConsumerId
+ * @param {string} stateKey - the state key (i.e. a {@link StateKeyPrefix} followed by a BFK or shardOrEventID)
+ * @returns {MessageLayoutStateItemKey} the item's key
+ */
+function toMessageStateItemKey(streamConsumerId, stateKey) {
+  return {streamConsumerId: streamConsumerId, stateKey: stateKey};
+}
+
+/**
+ * Writes (i.e. puts) the given items to the given table using as many BatchWriteItem requests as needed (with a limited
+ * number in flight at once) & retrying any unprocessed items after an exponential backoff delay (up to a limit, after
+ * which fails with a `TransientError`). NB: These unconditional puts are NOT versioned.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the table
+ * @param {Object[]} items - the items to put (without any duplicate keys)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<*>} a promise that will resolve when every item has been written
+ */
+function batchWriteItems(dynamoDBDocClient, tableName, items, context) {
+  const limiter = new ConcurrencyLimiter(MAX_CONCURRENT_REQUESTS, `batch writes to ${tableName}`);
+  const promises = [];
+  for (let i = 0; i < items.length; i += MAX_BATCH_WRITE_ITEMS) {
+    const writeRequests = items.slice(i, i + MAX_BATCH_WRITE_ITEMS).map(item => ({PutRequest: {Item: item}}));
+    promises.push(limiter.run(() => batchWriteRequests(dynamoDBDocClient, tableName, writeRequests, context, 0)));
+  }
+  return Promise.all(promises);
+}
+
+function batchWriteRequests(dynamoDBDocClient, tableName, writeRequests, context, retries) {
+  const request = {RequestItems: {[tableName]: writeRequests}};
+  if (context.traceEnabled) context.trace(`batch write request: ${toCountString(writeRequests.length, 'item')} to ${tableName}`);
+
+  return dynamoDBDocClient.batchWrite(request).promise().then(result => {
+    const unprocessed = result && result.UnprocessedItems && result.UnprocessedItems[tableName];
+    if (!unprocessed || unprocessed.length <= 0) {
+      return result;
+    }
+    if (retries >= MAX_NUMBER_OF_UNPROCESSED_RETRIES) {
+      throw new TransientError(`TRANSIENT - Failed to write ${toCountString(unprocessed.length, 'unprocessed item')} to ${tableName} after ${retries} retries`);
+    }
+    return Promises.delay(calculateUnprocessedRetryDelayMs(retries + 1))
+      .then(() => batchWriteRequests(dynamoDBDocClient, tableName, unprocessed, context, retries + 1));
+  });
+}
+
+/**
+ * Gets the items with the given keys from the given table using as many consistent BatchGetItem requests as needed
+ * (with a limited number in flight at once) & retrying any unprocessed keys after an exponential backoff delay (up to a
+ * limit, after which fails with a `TransientError`).
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the table
+ * @param {Object[]} keys - the keys of the items to get (without any duplicates)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<Object[]>} a promise of the items found (in no particular order)
+ */
+function batchGetItems(dynamoDBDocClient, tableName, keys, context) {
+  const limiter = new ConcurrencyLimiter(MAX_CONCURRENT_REQUESTS, `batch gets from ${tableName}`);
+  const promises = [];
+  for (let i = 0; i < keys.length; i += MAX_BATCH_GET_KEYS) {
+    const batchKeys = keys.slice(i, i + MAX_BATCH_GET_KEYS);
+    promises.push(limiter.run(() => batchGetKeys(dynamoDBDocClient, tableName, batchKeys, context, 0)));
+  }
+  return Promise.all(promises).then(itemsArrays => itemsArrays.reduce((acc, items) => acc.concat(items), []));
+}
+
+function batchGetKeys(dynamoDBDocClient, tableName, keys, context, retries) {
+  const request = {RequestItems: {[tableName]: {Keys: keys, ConsistentRead: true}}};
+  if (context.traceEnabled) context.trace(`batch get request: ${toCountString(keys.length, 'key')} from ${tableName}`);
+
+  return dynamoDBDocClient.batchGet(request).promise().then(result => {
+    const items = (result && result.Responses && result.Responses[tableName]) || [];
+    const unprocessed = result && result.UnprocessedKeys && result.UnprocessedKeys[tableName];
+    if (!unprocessed || !unprocessed.Keys || unprocessed.Keys.length <= 0) {
+      return items;
+    }
+    if (retries >= MAX_NUMBER_OF_UNPROCESSED_RETRIES) {
+      throw new TransientError(`TRANSIENT - Failed to get ${toCountString(unprocessed.Keys.length, 'unprocessed key')} from ${tableName} after ${retries} retries`);
+    }
+    return Promises.delay(calculateUnprocessedRetryDelayMs(retries + 1))
+      .then(() => batchGetKeys(dynamoDBDocClient, tableName, unprocessed.Keys, context, retries + 1))
+      .then(moreItems => items.concat(moreItems));
+  });
+}
+
+/**
+ * Calculates the number of milliseconds to wait before the given retry of unprocessed items or keys (i.e. the base delay
+ * doubled for every preceding retry, of which half is randomised), since unprocessed items or keys are usually the
+ * result of throttling.
+ * @param {number} retry - the number of the retry (starting from 1)
+ * @returns {number} the number of milliseconds to wait
+ */
+function calculateUnprocessedRetryDelayMs(retry) {
+  const delayMs = UNPROCESSED_RETRY_BASE_DELAY_MS * Math.pow(2, retry - 1);
+  return Math.round(delayMs * (1 - (0.5 * Math.random())));
+}
+
+/**
+ * Returns the batch state store configured at `context.streamProcessing.batchStateStore`.
+ * @param {StreamProcessing} context - the context from which to fetch the batch state store
+ * @returns {BatchStateStore} the configured batch state store
+ * @throws {FatalError} if no valid batch state store is configured
+ */
+function getBatchStateStore(context) {
+  const store = settings.getBatchStateStore(context);
+  if (!store) {
+    const errMsg = `FATAL - Cannot load or save state of batch without a valid batch state store configured at context.streamProcessing.batchStateStore`;
+    context.error(errMsg);
+    throw new FatalError(errMsg);
   }
+  return store;
 }
 
 /**
@@ -216,6 +940,17 @@ function getBatchStateTableName(context) {
   return context.streamProcessing.batchStateTableName;
 }
 
+/**
+ * Returns the name of the stream consumer's message state table from which to load the previous states (if any) and
+ * to which to save the current states of the {@link Batch} being processed when using the per-message layout (see
+ * {@link saveBatchStateToDynamoDBPerMessage}).
+ * @param {StreamProcessing} context - the context from which to fetch the stream consumer's message state table name
+ * @returns {string} the name of the stream consumer's message state table
+ */
+function getMessageStateTableName(context) {
+  return context.streamProcessing.messageStateTableName || settings.defaults.messageStateTableName;
+}
+
 /**
  * Converts the given batch into a stream consumer batch state item to be subsequently persisted to DynamoDB.
  * @param {Batch} batch - the batch to be converted into a batch state item
@@ -243,14 +978,37 @@ function toBatchStateItem(batch, context) {
 
   const batchState = toStorableBatchState(states.get(batch), batch, context);
 
-  return {
+  const fullyFinalised = batch.isFullyFinalised();
+
+  const item = {
     streamConsumerId: batch.streamConsumerId, // hash key
     shardOrEventID: batch.shardOrEventID, // range key
     messageStates: messageStates,
     rejectedMessageStates: rejectedMessageStates,
     unusableRecordStates: unusableRecordStates,
-    batchState: batchState || null
+    batchState: batchState || null,
+    version: (batch.previousVersion || 0) + 1,
+    updatedAt: new Date().toISOString(),
+    fullyFinalised: fullyFinalised
   };
+
+  // Stamp an expiry epoch (in seconds) on the item (if configured) for DynamoDB TTL to clean up
+  const ttlInSeconds = fullyFinalised ?
+    settings.getFinalisedBatchStateTtlInSeconds(context) : settings.getBatchStateTtlInSeconds(context);
+  if (ttlInSeconds) {
+    item.expiresAt = toExpiresAt(ttlInSeconds);
+  }
+
+  return item;
+}
+
+/**
+ * Converts the given time-to-live into an expiry epoch in seconds from now.
+ * @param {number} ttlInSeconds - the time-to-live in seconds
+ * @returns {number} the expiry epoch in seconds
+ */
+function toExpiresAt(ttlInSeconds) {
+  return Math.floor(Date.now() / 1000) + Math.ceil(ttlInSeconds);
 }
 
 /**
@@ -362,81 +1120,690 @@ function getDynamoDBDocClient(context) {
   return context.dynamoDBDocClient;
 }
 
-function insertBatchState(dynamoDBDocClient, tableName, item, batch, context) {
-  const putRequest = {
-    TableName: tableName,
-    Item: item,
-    ConditionExpression: 'attribute_not_exists(streamConsumerId) AND attribute_not_exists(shardOrEventID)'
-  };
+/**
+ * Inserts the given item as the state of the batch, but ONLY if the batch has no existing state; otherwise switches to
+ * an update of the existing state (unless too many conflicting saves have already been encountered).
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} item - the batch state item to save
+ * @param {Batch} batch - the batch being saved
+ * @param {StreamProcessing} context - the context to use
+ * @param {number} conflicts - the number of conflicting concurrent saves encountered so far
+ * @returns {Promise.<*>} a promise of the insert (or update) result
+ */
+function insertBatchState(dynamoDBDocClient, tableName, item, batch, context, conflicts) {
+  const startTime = Date.now();
 
-  if (context.traceEnabled) context.trace("put request: " + JSON.stringify(putRequest));
+  function putItem(packedItem) {
+    const putRequest = {
+      TableName: tableName,
+      Item: packedItem,
+      ConditionExpression: 'attribute_not_exists(streamConsumerId) AND attribute_not_exists(shardOrEventID)'
+    };
+    if (context.traceEnabled) context.trace("put request: " + JSON.stringify(putRequest));
+    return dynamoDBDocClient.put(putRequest).promise();
+  }
+
+  return writeBatchStateItem(dynamoDBDocClient, tableName, item, putItem, context)
+    .then(
+      result => {
+        if (context.traceEnabled) {
+          context.trace(`Inserted state of batch into ${tableName}`, took(startTime));
+        }
+        return result;
+      },
+      err => {
+        if (awsErrors.isConditionalCheckFailed(err)) {
+          failIfTooManyConflicts(conflicts, `state of batch was concurrently inserted into ${tableName}`, context);
+          const errMsg = `Cannot insert over EXISTING state of batch in ${tableName} - switching to update ${took(startTime)}`;
+          batch.previouslySaved === false ? context.warn(errMsg) : context.trace(errMsg);
+          return updateBatchState(dynamoDBDocClient, tableName, item, batch.previousVersion, batch, context, conflicts + 1);
+        }
+        context.error(`Failed to insert state of batch into ${tableName}`, took(startTime), err);
+        throw err;
+      });
+}
 
+/**
+ * Updates the existing state of the batch with the given item, but ONLY if the existing state's version is still the
+ * given expected version (or if the existing state has no version and the expected version is undefined). If the
+ * existing state no longer exists, then switches to an insert. If the existing state was concurrently updated by
+ * another invocation, then EITHER merges the given item with the existing state & retries the update (if the configured
+ * `batchStateConflictResolution` is "merge") OR fails with a `TransientError` (if it is "fail").
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} item - the batch state item to save
+ * @param {number|undefined} expectedVersion - the expected version of the existing state (if any)
+ * @param {Batch} batch - the batch being saved
+ * @param {StreamProcessing} context - the context to use
+ * @param {number} conflicts - the number of conflicting concurrent saves encountered so far
+ * @returns {Promise.<*>} a promise of the update (or insert) result
+ */
+function updateBatchState(dynamoDBDocClient, tableName, item, expectedVersion, batch, context, conflicts) {
   const startTime = Date.now();
 
-  return dynamoDBDocClient.put(putRequest).promise().then(
-    result => {
-      if (context.traceEnabled) {
-        context.trace(`Inserted state of batch into ${tableName}`, took(startTime));
-      }
-      return result;
-    },
-    err => {
-      if (awsErrors.isConditionalCheckFailed(err)) {
-        const errMsg = `Cannot insert over EXISTING state of batch in ${tableName} - switching to update ${took(startTime)}`;
-        batch.previouslySaved === false ? context.warn(errMsg) : context.trace(errMsg);
-        return updateBatchState(dynamoDBDocClient, tableName, item, batch, context);
+  return writeBatchStateItem(dynamoDBDocClient, tableName, item, packedItem =>
+    dynamoDBDocClient.update(toUpdateRequest(tableName, packedItem, expectedVersion)).promise(), context)
+    .then(
+      result => {
+        if (context.traceEnabled) {
+          context.trace(`Updated state of batch to ${tableName}`, took(startTime));
+        }
+        return result;
+      },
+      err => {
+        if (awsErrors.isConditionalCheckFailed(err)) {
+          // Either the existing state no longer exists or it was concurrently updated, so find out which it was
+          return getBatchStateItem(dynamoDBDocClient, tableName, item, context).then(existingItem => {
+            if (!existingItem) {
+              failIfTooManyConflicts(conflicts, `state of batch was concurrently deleted from ${tableName}`, context);
+              const errMsg = `Cannot update NON-EXISTENT state of batch in ${tableName} - switching to insert ${took(startTime)}`;
+              batch.previouslySaved === true ? context.warn(errMsg) : context.trace(errMsg);
+              return insertBatchState(dynamoDBDocClient, tableName, item, batch, context, conflicts + 1);
+            }
+            return resolveConflictingUpdate(dynamoDBDocClient, tableName, item, expectedVersion, existingItem, batch, context, conflicts);
+          });
+        }
+        context.error(`Failed to update state of batch to ${tableName}`, took(startTime), err);
+        throw err;
       }
-      context.error(`Failed to insert state of batch into ${tableName}`, took(startTime), err);
-      throw err;
-    });
+    );
 }
 
-function updateBatchState(dynamoDBDocClient, tableName, item, batch, context) {
-  const updateExpression = 'set #messageStates = :messageStates, #rejectedMessageStates = :rejectedMessageStates, #unusableRecordStates = :unusableRecordStates, #batchState = :batchState';
-  const expressionAttributeNames = {
-    '#messageStates': 'messageStates',
-    '#rejectedMessageStates': 'rejectedMessageStates',
-    '#unusableRecordStates': 'unusableRecordStates',
-    '#batchState': 'batchState'
-  };
-  const expressionAttributeValues = {
-    ':messageStates': item.messageStates || [],
-    ':rejectedMessageStates': item.rejectedMessageStates || [],
-    ':unusableRecordStates': item.unusableRecordStates || [],
-    ':batchState': item.batchState || null
-  };
+/**
+ * Builds a request to update the existing state of a batch with the given packed batch state item, which is conditional
+ * on the existing state's version being the given expected version & which returns the old values of the updated
+ * attributes (e.g. the superseded `chunkSetId` & `chunkCount`).
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} packedItem - the packed batch state item to save
+ * @param {number|undefined} expectedVersion - the expected version of the existing state (if any)
+ * @returns {Object} the update request
+ */
+function toUpdateRequest(tableName, packedItem, expectedVersion) {
+  const setExpressions = [];
+  const expressionAttributeNames = {};
+  const expressionAttributeValues = {};
+
+  STATES_NAMES.forEach(name => {
+    setExpressions.push(`#${name} = :${name}`);
+    expressionAttributeNames[`#${name}`] = name;
+    expressionAttributeValues[`:${name}`] = packedItem[name] || [];
+  });
+
+  setExpressions.push('#batchState = :batchState', '#version = :version', '#updatedAt = :updatedAt', '#fullyFinalised = :fullyFinalised');
+  expressionAttributeNames['#batchState'] = 'batchState';
+  expressionAttributeNames['#version'] = 'version';
+  expressionAttributeNames['#updatedAt'] = 'updatedAt';
+  expressionAttributeNames['#fullyFinalised'] = 'fullyFinalised';
+  expressionAttributeValues[':batchState'] = packedItem.batchState || null;
+  expressionAttributeValues[':version'] = packedItem.version;
+  expressionAttributeValues[':updatedAt'] = packedItem.updatedAt;
+  expressionAttributeValues[':fullyFinalised'] = !!packedItem.fullyFinalised;
+
+  // Refresh the item's expiry epoch (if any)
+  if (packedItem.expiresAt) {
+    setExpressions.push('#expiresAt = :expiresAt');
+    expressionAttributeNames['#expiresAt'] = 'expiresAt';
+    expressionAttributeValues[':expiresAt'] = packedItem.expiresAt;
+  }
+
+  // Set the item's compressed states or chunk count & chunk set id (if any) & remove any stale ones
+  const removeExpressions = [];
+  ['compressedStates', 'chunkCount', 'chunkSetId'].forEach(name => {
+    expressionAttributeNames[`#${name}`] = name;
+    if (packedItem[name]) {
+      setExpressions.push(`#${name} = :${name}`);
+      expressionAttributeValues[`:${name}`] = packedItem[name];
+    } else {
+      removeExpressions.push(`#${name}`);
+    }
+  });
+  const updateExpression = `set ${setExpressions.join(', ')} remove ${removeExpressions.join(', ')}`;
+
+  // Only update the existing state if it has NOT been concurrently updated since it was loaded
+  const hasExpectedVersion = expectedVersion !== undefined && expectedVersion !== null;
+  if (hasExpectedVersion) {
+    expressionAttributeValues[':expectedVersion'] = expectedVersion;
+  }
+  const versionCondition = hasExpectedVersion ? '#version = :expectedVersion' : 'attribute_not_exists(#version)';
 
-  const updateRequest = {
+  return {
     TableName: tableName,
-    Key: {streamConsumerId: item.streamConsumerId, shardOrEventID: item.shardOrEventID},
+    Key: {streamConsumerId: packedItem.streamConsumerId, shardOrEventID: packedItem.shardOrEventID},
     UpdateExpression: updateExpression,
-    ConditionExpression: 'attribute_exists(streamConsumerId) AND attribute_exists(shardOrEventID)',
+    ConditionExpression: `attribute_exists(streamConsumerId) AND attribute_exists(shardOrEventID) AND ${versionCondition}`,
     ExpressionAttributeNames: expressionAttributeNames,
     ExpressionAttributeValues: expressionAttributeValues,
-    ReturnValues: 'ALL_NEW'
+    ReturnValues: 'UPDATED_OLD'
   };
+}
 
-  const startTime = Date.now();
+function resolveConflictingUpdate(dynamoDBDocClient, tableName, item, expectedVersion, existingItem, batch, context, conflicts) {
+  const existingVersion = existingItem.version;
+  const conflictDesc = `state of batch in ${tableName} was concurrently updated to version (${existingVersion}) at (${existingItem.updatedAt}) - expected version (${expectedVersion})`;
+
+  const resolution = settings.getBatchStateConflictResolution(context);
+  if (resolution === settings.BatchStateConflictResolution.fail) {
+    const errMsg = `TRANSIENT - Cannot update state of batch, since ${conflictDesc}`;
+    context.warn(errMsg);
+    throw new TransientError(errMsg);
+  }
+
+  failIfTooManyConflicts(conflicts, conflictDesc, context);
 
-  return dynamoDBDocClient.update(updateRequest).promise().then(
+  // Merge the existing state into the item (keeping the most advanced state of each task) & retry the update
+  context.warn(`Merging with existing state of batch, since ${conflictDesc}`);
+  mergeBatchStateItems(item, existingItem, context);
+  item.version = (existingVersion || 0) + 1;
+  item.updatedAt = new Date().toISOString();
+
+  return updateBatchState(dynamoDBDocClient, tableName, item, existingVersion, batch, context, conflicts + 1).then(
     result => {
-      if (context.traceEnabled) {
-        context.trace(`Updated state of batch to ${tableName}`, took(startTime));
-      }
+      // Apply the merged state to the batch, so that its in-memory tasks reflect the state that was actually saved
+      updateBatchWithPriorState(batch, item, context);
+      batch.reviveTasks(context);
       return result;
+    }
+  );
+}
+
+/**
+ * Fails with a `TransientError` if the given number of conflicting concurrent saves encountered so far (plus the latest
+ * one) has reached the maximum number of conflicting saves allowed, which bounds the switching between inserts, updates
+ * & merges of a batch's state.
+ * @param {number} conflicts - the number of conflicting concurrent saves encountered before the latest one
+ * @param {string} conflictDesc - a description of the latest conflict
+ * @param {StreamProcessing} context - the context to use
+ * @throws {TransientError} if there were too many conflicting saves
+ */
+function failIfTooManyConflicts(conflicts, conflictDesc, context) {
+  if (conflicts + 1 >= MAX_NUMBER_OF_CONFLICTING_UPDATES) {
+    const errMsg = `TRANSIENT - Cannot save state of batch after ${conflicts + 1} conflicting saves, since ${conflictDesc}`;
+    context.warn(errMsg);
+    throw new TransientError(errMsg);
+  }
+}
+
+/**
+ * Gets the batch state item (if any) with the given key from the given table with a consistent read & reassembles its
+ * states (if they were compressed and/or chunked).
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItemKey} key - the key of the batch state item to get
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem|undefined>} a promise of the unpacked batch state item (if found); otherwise undefined
+ */
+function getBatchStateItem(dynamoDBDocClient, tableName, key, context) {
+  const getRequest = {
+    TableName: tableName,
+    Key: {streamConsumerId: key.streamConsumerId, shardOrEventID: key.shardOrEventID},
+    ConsistentRead: true
+  };
+  if (context.traceEnabled) context.trace("get request: " + JSON.stringify(getRequest));
+  return dynamoDBDocClient.get(getRequest).promise()
+    .then(result => resolveBatchStateItem(dynamoDBDocClient, tableName, result ? result.Item : undefined, context));
+}
+
+/**
+ * Puts the given (unpacked) batch state item into the given table, but ONLY if the existing item's version is still the
+ * given expected version (or if there is no existing item and the expected version is undefined), by packing it &
+ * writing its chunk items (if any) in the same way as `saveBatchStateToDynamoDB`, which includes deleting the chunk
+ * items (if any) of the chunk set that it superseded. Used by the `batch-state-admin` module to save repaired items.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} item - the batch state item to put
+ * @param {number|undefined} expectedVersion - the expected version of the existing item (if any)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<*>} a promise of the put result, which fails with a conditional check failure if the existing
+ * item's version was not the expected version
+ */
+function putBatchStateItem(dynamoDBDocClient, tableName, item, expectedVersion, context) {
+  return writeBatchStateItem(dynamoDBDocClient, tableName, item, packedItem => {
+    const putRequest = {
+      TableName: tableName,
+      Item: packedItem,
+      ConditionExpression: expectedVersion !== undefined ? '#version = :expectedVersion' : 'attribute_not_exists(#version)',
+      ExpressionAttributeNames: {'#version': 'version'},
+      ReturnValues: 'ALL_OLD'
+    };
+    if (expectedVersion !== undefined) {
+      putRequest.ExpressionAttributeValues = {':expectedVersion': expectedVersion};
+    }
+    if (context.traceEnabled) context.trace(`put request: batch state item (${packedItem.shardOrEventID}) with expected version (${expectedVersion})`);
+    return dynamoDBDocClient.put(putRequest).promise();
+  }, context);
+}
+
+/**
+ * Returns the shardOrEventID of the index item of the record with the given eventID.
+ * @param {string} eventID - the record's eventID
+ * @returns {string} the index item's shardOrEventID
+ */
+function toIndexShardOrEventID(eventID) {
+  return `R|${eventID}`;
+}
+
+function getRecordEventIDs(batch) {
+  const eventIDs = batch.records.filter(r => r && typeof r === 'object' && isNotBlank(r.eventID)).map(r => r.eventID);
+  return Array.from(new Set(eventIDs));
+}
+
+/**
+ * Puts an index item for each of the given batch's records, which maps the record's eventID to the given batch state
+ * item's key, so that a later batch that contains any of the same records, but which is keyed differently (e.g. after a
+ * shard split or merge or after its first record was trimmed), can still find & restore this batch's state.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} item - the batch state item being saved
+ * @param {Batch} batch - the batch being saved
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<*>} a promise that will resolve when every index item has been written
+ */
+function putBatchStateIndexItems(dynamoDBDocClient, tableName, item, batch, context) {
+  const indexItems = getRecordEventIDs(batch).map(eventID => {
+    const indexItem = {
+      streamConsumerId: item.streamConsumerId,
+      shardOrEventID: toIndexShardOrEventID(eventID),
+      batchShardOrEventID: item.shardOrEventID
+    };
+    if (item.expiresAt) indexItem.expiresAt = item.expiresAt;
+    return indexItem;
+  });
+  return batchWriteItems(dynamoDBDocClient, tableName, indexItems, context);
+}
+
+/**
+ * Looks up the index items of the given batch's records to find the keys of any differently keyed batches that
+ * previously contained any of the same records & then gets and merges their batch state items into a single prior batch
+ * state item, which also carries the `shardOrEventIDs` of the batches found.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {Batch} batch - the batch being loaded
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem|undefined>} a promise of the merged prior batch state item (if any found); otherwise undefined
+ */
+function loadBatchStateItemViaIndex(dynamoDBDocClient, tableName, batch, context) {
+  const streamConsumerId = batch.streamConsumerId || (batch.key && batch.key.streamConsumerId);
+  const shardOrEventID = batch.shardOrEventID || (batch.key && batch.key.shardOrEventID);
+
+  const keys = getRecordEventIDs(batch).map(eventID =>
+    ({streamConsumerId: streamConsumerId, shardOrEventID: toIndexShardOrEventID(eventID)}));
+
+  if (keys.length <= 0) {
+    return Promise.resolve(undefined);
+  }
+
+  return batchGetItems(dynamoDBDocClient, tableName, keys, context).then(indexItems => {
+    const batchShardOrEventIDs = Array.from(new Set(indexItems.map(i => i.batchShardOrEventID)
+      .filter(id => isNotBlank(id) && id !== shardOrEventID)));
+
+    if (batchShardOrEventIDs.length <= 0) {
+      return undefined;
+    }
+
+    const promises = batchShardOrEventIDs.map(id =>
+      getBatchStateItem(dynamoDBDocClient, tableName, {streamConsumerId: streamConsumerId, shardOrEventID: id}, context));
+
+    return Promise.all(promises).then(items => {
+      const found = items.filter(item => !!item);
+      if (found.length <= 0) {
+        return undefined;
+      }
+      const priorItem = found.slice(1).reduce((acc, item) => mergeBatchStateItems(acc, item, context), found[0]);
+      // A differently keyed batch's own "process all" tasks do NOT apply to this batch's (different) messages
+      delete priorItem.batchState;
+      Object.defineProperty(priorItem, 'shardOrEventIDs', {value: found.map(item => item.shardOrEventID), enumerable: false});
+      return priorItem;
+    });
+  });
+}
+
+/**
+ * Packs the given batch state item for saving to DynamoDB by gzip-compressing its message, rejected message & unusable
+ * record states (if their serialized size exceeds the configured `batchStateCompressionThresholdInBytes`) into the
+ * packed item's `compressedStates` and, if the compressed states still exceed the configured
+ * `batchStateChunkSizeInBytes`, by instead splitting them across multiple chunk items & recording their number in the
+ * packed item's `chunkCount` & the new, unique id of their chunk set in its `chunkSetId`. The chunk items' range keys
+ * (i.e. `<shardOrEventID>#<chunkSetId>#1` to `<shardOrEventID>#<chunkSetId>#<chunkCount>`) include the chunk set id,
+ * so that the chunks of concurrent saves of the same batch can never overwrite or be mixed with each other.
+ * @param {BatchStateItem} item - the batch state item to pack (left unchanged)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {{item: BatchStateItem, chunks: BatchStateChunkItem[]}} the packed item (or the given item, if it did not
+ * need to be packed) and its chunk items (if any)
+ */
+function packBatchStateItem(item, context) {
+  const states = {
+    messageStates: item.messageStates || [],
+    rejectedMessageStates: item.rejectedMessageStates || [],
+    unusableRecordStates: item.unusableRecordStates || []
+  };
+  const json = JSON.stringify(states);
+  const size = Buffer.byteLength(json, 'utf8');
+
+  if (size <= settings.getBatchStateCompressionThresholdInBytes(context)) {
+    return {item: item, chunks: []};
+  }
+
+  const compressedStates = zlib.gzipSync(json);
+
+  const packedItem = Object.assign({}, item, {messageStates: [], rejectedMessageStates: [], unusableRecordStates: []});
+  delete packedItem.compressedStates;
+  delete packedItem.chunkCount;
+  delete packedItem.chunkSetId;
+
+  const chunkSize = settings.getBatchStateChunkSizeInBytes(context);
+  if (compressedStates.length <= chunkSize) {
+    packedItem.compressedStates = compressedStates;
+    if (context.traceEnabled) context.trace(`Compressed states of batch (${item.shardOrEventID}) from ${size} to ${compressedStates.length} bytes`);
+    return {item: packedItem, chunks: []};
+  }
+
+  const chunkSetId = toChunkSetId(item);
+  const chunks = [];
+  for (let offset = 0; offset < compressedStates.length; offset += chunkSize) {
+    const chunkItem = {
+      streamConsumerId: item.streamConsumerId, // hash key
+      shardOrEventID: toChunkShardOrEventID(item.shardOrEventID, chunkSetId, chunks.length + 1), // range key
+      chunk: compressedStates.slice(offset, offset + chunkSize),
+      chunkSetId: chunkSetId,
+      version: item.version
+    };
+    if (item.expiresAt) {
+      chunkItem.expiresAt = item.expiresAt;
+    }
+    chunks.push(chunkItem);
+  }
+  packedItem.chunkCount = chunks.length;
+  packedItem.chunkSetId = chunkSetId;
+
+  if (context.traceEnabled) context.trace(`Compressed states of batch (${item.shardOrEventID}) from ${size} to ${compressedStates.length} bytes & split them into ${chunks.length} chunks`);
+  return {item: packedItem, chunks: chunks};
+}
+
+/**
+ * Unpacks the given loaded batch state item (if packed) by decompressing its compressed states (or the concatenation
+ * of its given chunk items' chunks) back into its message, rejected message & unusable record states.
+ * @param {BatchStateItem} item - the loaded batch state item to unpack (in place)
+ * @param {BatchStateChunkItem[]|undefined} [chunks] - the item's chunk items (if any) in chunk number order
+ * @returns {BatchStateItem} the given item, unpacked
+ */
+function unpackBatchStateItem(item, chunks) {
+  if (!item || (!item.compressedStates && !item.chunkCount)) {
+    return item;
+  }
+
+  const compressedStates = item.chunkCount ?
+    Buffer.concat(chunks.map(chunkItem => toBuffer(chunkItem.chunk))) : toBuffer(item.compressedStates);
+
+  const states = JSON.parse(zlib.gunzipSync(compressedStates).toString('utf8'));
+
+  item.messageStates = states.messageStates || [];
+  item.rejectedMessageStates = states.rejectedMessageStates || [];
+  item.unusableRecordStates = states.unusableRecordStates || [];
+  delete item.compressedStates;
+  delete item.chunkCount;
+  delete item.chunkSetId;
+  return item;
+}
+
+/**
+ * Returns the range key of the chunk item with the given 1-based chunk number in the given chunk set of the batch state
+ * item with the given shardOrEventID.
+ * @param {string} shardOrEventID - the shardOrEventID of the batch state item
+ * @param {string} chunkSetId - the id of the chunk set (i.e. the batch state item's `chunkSetId`)
+ * @param {number} chunkNumber - the 1-based number of the chunk
+ * @returns {string} the chunk item's shardOrEventID
+ */
+function toChunkShardOrEventID(shardOrEventID, chunkSetId, chunkNumber) {
+  return `${shardOrEventID}#${chunkSetId}#${chunkNumber}`;
+}
+
+/**
+ * Generates a new, unique id for the chunk set of the given batch state item from its version, its updatedAt & a random
+ * suffix (to distinguish the chunk sets of concurrent saves of the same version).
+ * @param {BatchStateItem} item - the batch state item being packed
+ * @returns {string} a new chunk set id
+ */
+function toChunkSetId(item) {
+  return `${item.version || 0}-${item.updatedAt || new Date().toISOString()}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+function toBuffer(data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data);
+}
+
+/**
+ * Writes the given batch state item via the given (conditional) write function, after first packing it & putting its
+ * chunk items (if any), which cannot clash with those of any other save, since they are keyed by a new chunk set id.
+ * Once the write succeeds, deletes the chunk items of the chunk set (if any) that the item superseded (as identified by
+ * the old `chunkSetId` & `chunkCount` attributes returned by the write). If the write (or any chunk put) fails, then
+ * instead deletes the item's own, now orphaned chunk items before failing with the write's error.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem} item - the batch state item to save
+ * @param {function(packedItem: BatchStateItem): Promise.<*>} write - a function that conditionally writes the given
+ * packed item & returns a promise of the write's result, which must include the old values of its updated attributes
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<*>} a promise of the write's result
+ */
+function writeBatchStateItem(dynamoDBDocClient, tableName, item, write, context) {
+  // Compress and/or chunk the item's states (if they are too large)
+  const packed = packBatchStateItem(item, context);
+  const packedItem = packed.item;
+
+  return putBatchStateChunkItems(dynamoDBDocClient, tableName, packed.chunks, context)
+    .then(() => write(packedItem))
+    .then(
+      result => {
+        const oldItem = result && result.Attributes;
+        const superseded = oldItem && oldItem.chunkSetId && oldItem.chunkSetId !== packedItem.chunkSetId;
+        return superseded ? deleteBatchStateChunkItems(dynamoDBDocClient, tableName, item, oldItem.chunkSetId,
+          oldItem.chunkCount, context).then(() => result) : result;
+      },
+      err =>
+        deleteBatchStateChunkItems(dynamoDBDocClient, tableName, item, packedItem.chunkSetId, packedItem.chunkCount, context)
+          .then(() => {
+            throw err;
+          })
+    );
+}
+
+function putBatchStateChunkItems(dynamoDBDocClient, tableName, chunks, context) {
+  if (!chunks || chunks.length <= 0) {
+    return Promise.resolve([]);
+  }
+  return Promise.all(chunks.map(chunkItem => {
+    const putRequest = {TableName: tableName, Item: chunkItem};
+    if (context.traceEnabled) context.trace(`put request: chunk (${chunkItem.shardOrEventID}) of ${chunkItem.chunk.length} bytes`);
+    return dynamoDBDocClient.put(putRequest).promise();
+  }));
+}
+
+/**
+ * Deletes the chunk items (if any) of the given chunk set of the batch state item with the given key. Any failure to
+ * delete them is only logged, since they are no longer referenced by any batch state item.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItemKey} key - the key of the batch state item
+ * @param {string|undefined} chunkSetId - the id of the chunk set (if any)
+ * @param {number|undefined} chunkCount - the number of chunk items in the chunk set (if any)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<number>} a promise of the number of chunk items deleted
+ */
+function deleteBatchStateChunkItems(dynamoDBDocClient, tableName, key, chunkSetId, chunkCount, context) {
+  if (!chunkSetId || !chunkCount) {
+    return Promise.resolve(0);
+  }
+  const keys = Array.from({length: chunkCount}, (v, i) =>
+    ({streamConsumerId: key.streamConsumerId, shardOrEventID: toChunkShardOrEventID(key.shardOrEventID, chunkSetId, i + 1)}));
+
+  return Promise.all(keys.map(k => dynamoDBDocClient.delete({TableName: tableName, Key: k}).promise())).then(
+    () => {
+      if (context.traceEnabled) context.trace(`Deleted ${toCountString(chunkCount, 'chunk item')} of chunk set (${chunkSetId}) of batch (${key.shardOrEventID}) from ${tableName}`);
+      return chunkCount;
     },
     err => {
-      if (awsErrors.isConditionalCheckFailed(err)) {
-        const errMsg = `Cannot update NON-EXISTENT state of batch in ${tableName} - switching to insert ${took(startTime)}`;
-        batch.previouslySaved === true ? context.warn(errMsg) : context.trace(errMsg);
-        return insertBatchState(dynamoDBDocClient, tableName, item, batch, context);
-      }
-      context.error(`Failed to update state of batch to ${tableName}`, took(startTime), err);
-      throw err;
+      context.warn(`Failed to delete ${toCountString(chunkCount, 'chunk item')} of chunk set (${chunkSetId}) of batch (${key.shardOrEventID}) from ${tableName} - ${err.message}`);
+      return 0;
     }
   );
 }
 
+/**
+ * Resolves the given loaded batch state item (if any) by fetching the chunk items (if any) of its chunk set and then
+ * unpacking it. Fails with a `TransientError` if any of its chunk items is missing or belongs to a different chunk set,
+ * which can only happen if a concurrent save superseded the item's chunk set while it was being loaded.
+ * @param {DynamoDB.DocumentClient} dynamoDBDocClient - the DynamoDB.DocumentClient to use
+ * @param {string} tableName - the stage-qualified name of the batch state table
+ * @param {BatchStateItem|undefined} item - the loaded batch state item (if any)
+ * @param {StreamProcessing} context - the context to use
+ * @returns {Promise.<BatchStateItem|undefined>} a promise of the unpacked item (if any)
+ */
+function resolveBatchStateItem(dynamoDBDocClient, tableName, item, context) {
+  if (!item || !item.chunkCount) {
+    return Promise.resolve(unpackBatchStateItem(item, []));
+  }
+
+  const chunkNumbers = Array.from({length: item.chunkCount}, (v, i) => i + 1);
+
+  const promises = chunkNumbers.map(n => {
+    const getRequest = {
+      TableName: tableName,
+      Key: {streamConsumerId: item.streamConsumerId, shardOrEventID: toChunkShardOrEventID(item.shardOrEventID, item.chunkSetId, n)},
+      ConsistentRead: true
+    };
+    if (context.traceEnabled) context.trace("get request: " + JSON.stringify(getRequest));
+    return dynamoDBDocClient.get(getRequest).promise().then(result => {
+      const chunkItem = result && result.Item;
+      if (!chunkItem || !chunkItem.chunk || chunkItem.chunkSetId !== item.chunkSetId) {
+        const reason = chunkItem && chunkItem.chunk ? `belongs to chunk set (${chunkItem.chunkSetId})` : 'is missing';
+        const errMsg = `TRANSIENT - Cannot reassemble version (${item.version}) of state of batch (${item.shardOrEventID}) from ${tableName}, since its chunk ${n} of ${item.chunkCount} in chunk set (${item.chunkSetId}) ${reason}`;
+        context.warn(errMsg);
+        throw new TransientError(errMsg);
+      }
+      return chunkItem;
+    });
+  });
+
+  return Promise.all(promises).then(chunks => unpackBatchStateItem(item, chunks));
+}
+
+/**
+ * Merges the given other batch state item's message, rejected message, unusable record & batch states into the given
+ * batch state item, keeping the most advanced state of each task (or the most attempted one if equally advanced),
+ * moving any message that was rejected in either item to the item's rejected message states & adding any states that
+ * only exist in the other item.
+ * @param {BatchStateItem} item - the batch state item to update
+ * @param {BatchStateItem} otherItem - the other (e.g. concurrently saved) batch state item to merge into the item
+ * @param {StreamProcessing} context - the context to use
+ * @returns {BatchStateItem} the given item updated with the merged states
+ */
+function mergeBatchStateItems(item, otherItem, context) {
+  const otherMsgStates = otherItem.messageStates || [];
+  const otherRejMsgStates = otherItem.rejectedMessageStates || [];
+  const matched = new Set();
+
+  const messageStates = [];
+  const rejectedMessageStates = (item.rejectedMessageStates || []).map(state => {
+    const otherState = findMatchingMessageState(state, otherRejMsgStates) || findMatchingMessageState(state, otherMsgStates);
+    if (otherState) matched.add(otherState);
+    return mergeMessageStates(state, otherState);
+  });
+
+  (item.messageStates || []).forEach(state => {
+    const otherRejState = findMatchingMessageState(state, otherRejMsgStates);
+    const otherState = otherRejState || findMatchingMessageState(state, otherMsgStates);
+    if (otherState) matched.add(otherState);
+    // If the other invocation rejected the message, then it must stay rejected
+    (otherRejState ? rejectedMessageStates : messageStates).push(mergeMessageStates(state, otherState));
+  });
+
+  // Add any message states that only exist in the other item
+  otherMsgStates.forEach(s => { if (!matched.has(s)) messageStates.push(s); });
+  otherRejMsgStates.forEach(s => { if (!matched.has(s)) rejectedMessageStates.push(s); });
+
+  item.messageStates = messageStates;
+  item.rejectedMessageStates = rejectedMessageStates;
+
+  // Merge the unusable record states
+  const otherURecStates = otherItem.unusableRecordStates || [];
+  const matchedURecStates = new Set();
+  const unusableRecordStates = (item.unusableRecordStates || []).map(state => {
+    const otherState = findMatchingUnusableRecordState(state, otherURecStates);
+    if (!otherState) return state;
+    matchedURecStates.add(otherState);
+    state[TaskMapNames.discards] = mergeTasksByName(state[TaskMapNames.discards], otherState[TaskMapNames.discards]);
+    return state;
+  });
+  otherURecStates.forEach(s => { if (!matchedURecStates.has(s)) unusableRecordStates.push(s); });
+  item.unusableRecordStates = unusableRecordStates;
+
+  // Only treat the merged item as fully finalised if both were & keep the later of the two expiry epochs (if any)
+  item.fullyFinalised = !!item.fullyFinalised && !!otherItem.fullyFinalised;
+  if (item.expiresAt && otherItem.expiresAt) {
+    item.expiresAt = Math.max(item.expiresAt, otherItem.expiresAt);
+  }
+
+  // Merge the batch's own state
+  if (otherItem.batchState) {
+    if (item.batchState) {
+      item.batchState[TaskMapNames.alls] = mergeTasksByName(item.batchState[TaskMapNames.alls], otherItem.batchState[TaskMapNames.alls]);
+    } else {
+      item.batchState = otherItem.batchState;
+    }
+  }
+
+  if (context.traceEnabled) context.trace(`Merged batch state item ${JSON.stringify(item)}`);
+  return item;
+}
+
+function findMatchingMessageState(state, otherStates) {
+  if (hasMessageIdentifier(state)) {
+    const bfk = toMessageBFK(state);
+    return otherStates.find(s => hasMessageIdentifier(s) && toMessageBFK(s) === bfk);
+  }
+  return state.message ? otherStates.find(s => s.message && deepEqual(s.message, state.message)) :
+    state.userRecord ? otherStates.find(s => s.userRecord && deepEqual(s.userRecord, state.userRecord)) :
+      state.record ? otherStates.find(s => s.record && deepEqual(s.record, state.record)) : undefined;
+}
+
+function findMatchingUnusableRecordState(state, otherStates) {
+  if (hasUnusableRecordIdentifier(state)) {
+    const bfk = toUnusableRecordBFK(state);
+    return otherStates.find(s => hasUnusableRecordIdentifier(s) && toUnusableRecordBFK(s) === bfk);
+  }
+  return state.unusableRecord ? otherStates.find(s => s.unusableRecord && deepEqual(s.unusableRecord, state.unusableRecord)) :
+    state.userRecord ? otherStates.find(s => s.userRecord && deepEqual(s.userRecord, state.userRecord)) :
+      state.record ? otherStates.find(s => s.record && deepEqual(s.record, state.record)) : undefined;
+}
+
+function mergeMessageStates(state, otherState) {
+  if (otherState) {
+    state[TaskMapNames.ones] = mergeTasksByName(state[TaskMapNames.ones], otherState[TaskMapNames.ones]);
+    state[TaskMapNames.alls] = mergeTasksByName(state[TaskMapNames.alls], otherState[TaskMapNames.alls]);
+    state[TaskMapNames.discards] = mergeTasksByName(state[TaskMapNames.discards], otherState[TaskMapNames.discards]);
+  }
+  return state;
+}
+
+function mergeTasksByName(tasksByName, otherTasksByName) {
+  if (!otherTasksByName) return tasksByName;
+  if (!tasksByName) return otherTasksByName;
+  Object.getOwnPropertyNames(otherTasksByName).forEach(name => {
+    const task = tasksByName[name];
+    const otherTask = otherTasksByName[name];
+    if (!task || isMoreAdvancedTask(otherTask, task)) {
+      tasksByName[name] = otherTask;
+    }
+  });
+  return tasksByName;
+}
+
+function isMoreAdvancedTask(a, b) {
+  const comparison = StateType.compareStateTypes(a && a.state && a.state.type, b && b.state && b.state.type);
+  return comparison > 0 || (comparison === 0 && (a.attempts || 0) > (b.attempts || 0));
+}
+
 /**
  * Updates the given batch with the previous message states, previous unusable record states and previous batch state on
  * the given item, which was loaded from the database.
@@ -447,6 +1814,7 @@ function updateBatchState(dynamoDBDocClient, tableName, item, batch, context) {
 function updateBatchWithPriorState(batch, item, context) {
   restoreMessageAndRejectedMessageStates(batch, item, context);
   restoreUnusableRecordStates(batch, item, context);
+  restoreBatchState(batch, item, context);
 }
 
 /**
@@ -684,25 +2052,30 @@ function cachePrevURecStateByBfkOrURec(prevStates, unusableRecords, states) {
   return [prevStatesByBfk, prevStatesByUnusableRec];
 }
 
-// function restoreBatchState(batch, item, context) {
-//   const targetDesc = `batch (${batch.shardOrEventID})`;
-//   const states = batch.states;
-//   const prevState = item.batchState;
-//
-//   let currState = states.get(batch);
-//   if (!currState) {
-//     context.warn(`Setting ${targetDesc} missing current state to new empty object`);
-//     currState = {};
-//     states.set(batch, currState);
-//   }
-//
-//   // Restore previous batch state (if any)
-//   if (prevState) {
-//     setStatePropertyToPrevious(currState, TaskMapNames.alls, prevState, targetDesc, context);
-//   } else {
-//     context.trace(`Could NOT update ${targetDesc} state, since no previous batch state for current state (${JSON.stringify(currState)})`);
-//   }
-// }
+function restoreBatchState(batch, item, context) {
+  const targetDesc = `batch (${batch.shardOrEventID})`;
+  const states = batch.states;
+  const prevState = item.batchState;
+
+  let currState = states.get(batch);
+  if (!currState) {
+    context.warn(`Setting ${targetDesc} missing current state to new empty object`);
+    currState = {};
+    states.set(batch, currState);
+  }
+
+  // Restore previous batch state's "process all" tasks (if any), which `Batch.reviveTasks` will later revive
+  if (prevState && prevState[TaskMapNames.alls]) {
+    setStatePropertyToPrevious(currState, TaskMapNames.alls, prevState, targetDesc, context);
+  } else if (context.traceEnabled) {
+    context.trace(`Could NOT update ${targetDesc} state, since no previous batch state for current state (${JSON.stringify(currState)})`);
+  }
+
+  // Restore previous batch state's bisection (if any), which determines the messages to be processed while bisecting
+  if (prevState && prevState.bisection) {
+    setStatePropertyToPrevious(currState, 'bisection', prevState, targetDesc, context);
+  }
+}
 
 function took(startTimeInMs) {
   return `- Took ${(Date.now() - startTimeInMs)} ms`;
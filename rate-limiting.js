@@ -0,0 +1,172 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const settings = require('./settings');
+
+/**
+ * Utilities for throttling the executions of a stream consumer's tasks to the per-second quotas of the third-party
+ * services that they call, which are configured via the `rateLimits` map of task definition names to rate limits (i.e.
+ * `requestsPerSecond` and an optional `burst`). Each rate-limited task waits for a token from its task definition's
+ * token bucket before it executes, instead of failing (and a rate-limited "process one" task also waits for a token
+ * before each of its retries, if it has a retry policy). A task that is still waiting for a token when batch processing
+ * is cancelled (e.g. when the process timeout approaches) is never executed and is left incomplete (and unstarted), so
+ * that the wait is not counted as an attempt against `maxNumberOfAttempts`.
+ *
+ * Token buckets are kept across invocations (per configured context), since quotas span invocations of a warm Lambda.
+ * @module aws-stream-consumer-core/rate-limiting
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.getTokenBucket = getTokenBucket;
+exports.waitForToken = waitForToken;
+
+/**
+ * A token bucket, which holds up to `burst` tokens and is refilled at a rate of `requestsPerSecond` tokens per second,
+ * and which hands out its tokens to its waiters in the order in which they asked for them.
+ */
+class TokenBucket {
+  /**
+   * Constructs a new (full) token bucket.
+   * @param {number} requestsPerSecond - the number of tokens added to the bucket per second
+   * @param {number} burst - the maximum number of tokens that the bucket can hold
+   * @param {string|undefined} [name] - an optional name for this bucket for logging purposes
+   */
+  constructor(requestsPerSecond, burst, name) {
+    Object.defineProperty(this, 'requestsPerSecond', {value: requestsPerSecond, enumerable: true});
+    Object.defineProperty(this, 'burst', {value: burst, enumerable: true});
+    Object.defineProperty(this, 'name', {value: name, enumerable: true});
+    Object.defineProperty(this, 'tokens', {value: burst, enumerable: true, writable: true});
+    Object.defineProperty(this, 'lastRefilledAt', {value: Date.now(), enumerable: false, writable: true});
+    Object.defineProperty(this, 'waiters', {value: [], enumerable: false});
+    Object.defineProperty(this, 'timer', {value: undefined, enumerable: false, writable: true});
+  }
+
+  /**
+   * The number of callers that are still waiting for a token.
+   * @type {number}
+   */
+  get pending() {
+    return this.waiters.length;
+  }
+
+  /**
+   * Takes a token from this bucket as soon as one is available. If the given cancellable is cancelled while still
+   * waiting, then stops waiting and resolves with false instead.
+   * @param {Cancellable|Object|undefined} [cancellable] - a cancellable object onto which to install cancel functionality
+   * @returns {Promise.<boolean>} a promise that will resolve with true once a token was taken; or with false if cancelled
+   */
+  take(cancellable) {
+    this.refill();
+    if (this.waiters.length <= 0 && this.tokens >= 1) {
+      --this.tokens;
+      return Promise.resolve(true);
+    }
+    return new Promise(resolve => {
+      const waiter = {resolve: resolve, done: false};
+      this.waiters.push(waiter);
+
+      if (cancellable) Promises.installCancel(cancellable, () => {
+        if (!waiter.done) {
+          waiter.done = true;
+          this.waiters.splice(this.waiters.indexOf(waiter), 1);
+          resolve(false);
+          this.schedule();
+          return false;
+        }
+        return true;
+      });
+
+      this.schedule();
+    });
+  }
+
+  /**
+   * Adds the tokens accrued since this bucket was last refilled (up to its burst).
+   * @private
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefilledAt) * this.requestsPerSecond / 1000));
+    this.lastRefilledAt = now;
+  }
+
+  /**
+   * Schedules the next hand out of tokens to this bucket's waiters (if any) or clears any scheduled hand out (if none).
+   * @private
+   */
+  schedule() {
+    if (this.waiters.length <= 0) {
+      if (this.timer) {
+        clearTimeout(this.timer);
+        this.timer = undefined;
+      }
+      return;
+    }
+    if (this.timer) return;
+
+    this.refill();
+    const waitMs = Math.max(Math.ceil((1 - this.tokens) * 1000 / this.requestsPerSecond), 0);
+    this.timer = setTimeout(() => {
+      this.timer = undefined;
+      this.handOut();
+    }, waitMs);
+  }
+
+  /**
+   * Hands out all of the available tokens to this bucket's waiters in order & then schedules the next hand out.
+   * @private
+   */
+  handOut() {
+    this.refill();
+    while (this.waiters.length > 0 && this.tokens >= 1) {
+      --this.tokens;
+      const waiter = this.waiters.shift();
+      waiter.done = true;
+      waiter.resolve(true);
+    }
+    this.schedule();
+  }
+}
+
+exports.TokenBucket = TokenBucket;
+
+// A cache of the token buckets of each configured context's stream processing settings by task definition name
+const tokenBucketsBySettings = new WeakMap();
+
+/**
+ * Returns the token bucket of the named task (creating it on first use or if its rate limit was reconfigured) if a rate
+ * limit is configured for it in `rateLimits`; otherwise returns undefined.
+ * @param {string} taskName - the name of the task definition
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {TokenBucket|undefined} the named task's token bucket (if rate-limited); otherwise undefined
+ */
+function getTokenBucket(taskName, context) {
+  const rateLimit = settings.getRateLimit(context, taskName);
+  if (!rateLimit) {
+    return undefined;
+  }
+  let buckets = tokenBucketsBySettings.get(context.streamProcessing);
+  if (!buckets) {
+    buckets = new Map();
+    tokenBucketsBySettings.set(context.streamProcessing, buckets);
+  }
+  let bucket = buckets.get(taskName);
+  if (!bucket || bucket.requestsPerSecond !== rateLimit.requestsPerSecond || bucket.burst !== rateLimit.burst) {
+    bucket = new TokenBucket(rateLimit.requestsPerSecond, rateLimit.burst, taskName);
+    buckets.set(taskName, bucket);
+  }
+  return bucket;
+}
+
+/**
+ * Waits for a token from the given token bucket (if any) or resolves immediately (if none).
+ * @param {TokenBucket|undefined} bucket - the token bucket to use (if any)
+ * @param {Cancellable|Object|undefined} [cancellable] - a cancellable object onto which to install cancel functionality
+ * @returns {Promise.<boolean>} a promise that will resolve with true if the caller may proceed; or with false if it was
+ * cancelled while still waiting for a token
+ */
+function waitForToken(bucket, cancellable) {
+  return bucket ? bucket.take(cancellable) : Promise.resolve(true);
+}
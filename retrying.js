@@ -0,0 +1,121 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const settings = require('./settings');
+
+const errorClassification = require('./error-classification');
+const ErrorClassification = errorClassification.ErrorClassification;
+
+/**
+ * Utilities for retrying a failed "process one" task within the same invocation (with an exponential backoff delay
+ * between its retries), which are configured via the `retryPolicies` map of task definition names to retry policies
+ * (i.e. `maxRetries`, an optional `baseDelayMs`, an optional `jitter` and an optional `isRetryable` error predicate). A
+ * transient failure can then be retried in the current invocation instead of costing a replay of the entire batch.
+ *
+ * By default, an error is retryable if it is classified as transient by the configured (or default) error classifier.
+ * Each retry is still an attempt (see the `error-classification` module for how transient attempts may be counted
+ * separately). A task is NOT retried if its error is not retryable, if it has used up its retries or its attempts or if
+ * its next delay would not end before the processing timeout. A pending retry is abandoned (leaving the task failed) if
+ * batch processing gets cancelled during its delay.
+ * @module aws-stream-consumer-core/retrying
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.isRetryableError = isRetryableError;
+exports.calculateRetryDelayMs = calculateRetryDelayMs;
+exports.executeWithRetries = executeWithRetries;
+
+/**
+ * Returns true if the given error is classified as transient by the default error classifier (i.e. if it is a
+ * `TransientError`, a `TimeoutError` or an error flagged as `retryable` and NOT a `FatalError`); otherwise false.
+ * @param {Error} error - the error to check
+ * @returns {boolean} true if the error is retryable; false otherwise
+ */
+function isRetryableError(error) {
+  return errorClassification.defaultErrorClassifier(error) === ErrorClassification.transient;
+}
+
+/**
+ * Calculates the number of milliseconds to wait before the given retry (i.e. the given policy's base delay doubled for
+ * every preceding retry, of which the policy's jitter fraction is randomised).
+ * @param {RetryPolicy} retryPolicy - the retry policy to use
+ * @param {number} retry - the number of the retry (starting from 1)
+ * @returns {number} the number of milliseconds to wait
+ */
+function calculateRetryDelayMs(retryPolicy, retry) {
+  const delayMs = retryPolicy.baseDelayMs * Math.pow(2, retry - 1);
+  return Math.round(delayMs * (1 - (retryPolicy.jitter * Math.random())));
+}
+
+/**
+ * Executes the given task via the given execute function and, if the task fails with a retryable error, resets and
+ * re-executes it (after an exponential backoff delay) up to its retry policy's maximum number of retries, but ONLY if
+ * the named task has a retry policy configured in `retryPolicies`.
+ * @param {Task} task - the task to execute
+ * @param {function(): Promise.<*>} execute - a function that executes the task & returns a promise of its done outcome
+ * @param {function(): number} calculateTimeoutMs - a function that returns the number of milliseconds left before the
+ * batch's processing will time out
+ * @param {Cancellable|Object|undefined} [cancellable] - a cancellable object onto which to install cancel functionality
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<*>} a promise of the outcome of the task's last execution
+ */
+function executeWithRetries(task, execute, calculateTimeoutMs, cancellable, context) {
+  const retryPolicy = settings.getRetryPolicy(context, task.name);
+  if (!retryPolicy) {
+    return execute();
+  }
+  const isRetryable = retryPolicy.isRetryable ||
+    (error => errorClassification.classifyError(error, task, context) === ErrorClassification.transient);
+  const maxNumberOfAttempts = settings.getAttemptPolicy(context, task.name).maxNumberOfAttempts;
+
+  let completed = false;
+  let cancelled = false;
+  const delayCancellable = {};
+  if (cancellable) Promises.installCancel(cancellable, () => {
+    if (!completed) {
+      cancelled = true;
+      if (delayCancellable.cancelTimeout) delayCancellable.cancelTimeout(true);
+    }
+    return completed;
+  });
+
+  function attempt(retry) {
+    return Promises.try(execute).then(
+      outcome => retryIfNecessary(retry, () => outcome),
+      err => retryIfNecessary(retry, () => {
+        throw err;
+      })
+    );
+  }
+
+  function retryIfNecessary(retry, done) {
+    const error = task.failed ? task.error : undefined;
+    if (!error || cancelled || retry > retryPolicy.maxRetries || !isRetryable(error) ||
+      (maxNumberOfAttempts && task.attempts >= maxNumberOfAttempts)) {
+      completed = true;
+      return done();
+    }
+    const delayMs = calculateRetryDelayMs(retryPolicy, retry);
+    const timeoutMs = calculateTimeoutMs();
+    if (delayMs >= timeoutMs) {
+      completed = true;
+      context.warn(`Skipping retry ${retry} of ${task.name}, since its delay of ${delayMs} ms would not end before processing times out in ${timeoutMs} ms`);
+      return done();
+    }
+    context.warn(`Retrying ${task.name} (retry ${retry} of ${retryPolicy.maxRetries}) in ${delayMs} ms after it failed with ${error}`);
+
+    return Promises.delay(delayMs, delayCancellable).then(() => {
+      if (cancelled) {
+        completed = true;
+        context.debug(`Abandoned retry ${retry} of ${task.name}, since batch processing has been cancelled`);
+        return done();
+      }
+      task.reset();
+      return attempt(retry + 1);
+    });
+  }
+
+  return attempt(1);
+}
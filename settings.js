@@ -4,6 +4,8 @@ const Strings = require('core-functions/strings');
 const isNotBlank = Strings.isNotBlank;
 const trim = Strings.trim;
 
+const isBatchStateStore = require('./batch-state-stores').isBatchStateStore;
+
 // Constants
 const PROPERTY_NAME_SEPARATOR = ',';
 
@@ -30,9 +32,33 @@ exports.getConsumerIdSuffix = getConsumerIdSuffix;
 exports.getConsumerId = getConsumerId;
 exports.getLegacyTaskTrackingName = getLegacyTaskTrackingName;
 exports.getMaxNumberOfAttempts = getMaxNumberOfAttempts;
+exports.getMaxTransientAttempts = getMaxTransientAttempts;
+exports.getMaxPermanentAttempts = getMaxPermanentAttempts;
+exports.getAttemptPolicy = getAttemptPolicy;
+exports.isBisectBatchOnFailure = isBisectBatchOnFailure;
+exports.isReportBatchItemFailures = isReportBatchItemFailures;
+exports.getMaxConcurrentMessages = getMaxConcurrentMessages;
+exports.getMaxConcurrentTasks = getMaxConcurrentTasks;
+exports.getRateLimit = getRateLimit;
+exports.getRetryPolicy = getRetryPolicy;
+exports.getCircuitBreakerNames = getCircuitBreakerNames;
+exports.getCircuitBreakerOptions = getCircuitBreakerOptions;
+exports.toCircuitBreakerOptions = toCircuitBreakerOptions;
 exports.getIdPropertyNames = getIdPropertyNames;
 exports.getKeyPropertyNames = getKeyPropertyNames;
 exports.getSeqNoPropertyNames = getSeqNoPropertyNames;
+exports.getBatchStateStore = getBatchStateStore;
+exports.getBatchStateConflictResolution = getBatchStateConflictResolution;
+exports.getBatchStateTtlInSeconds = getBatchStateTtlInSeconds;
+exports.getFinalisedBatchStateTtlInSeconds = getFinalisedBatchStateTtlInSeconds;
+exports.getBatchStateCompressionThresholdInBytes = getBatchStateCompressionThresholdInBytes;
+exports.getBatchStateChunkSizeInBytes = getBatchStateChunkSizeInBytes;
+exports.isBatchStateIndexed = isBatchStateIndexed;
+exports.getDeduplicationStore = getDeduplicationStore;
+exports.getDeduplicationTtlInSeconds = getDeduplicationTtlInSeconds;
+exports.isDeduplicatedByMessageMD5 = isDeduplicatedByMessageMD5;
+exports.getDeadRecordQueueType = getDeadRecordQueueType;
+exports.getDeadMessageQueueType = getDeadMessageQueueType;
 
 // Convenience accessors for specific batch initiating functions
 exports.getGenerateMD5sFunction = getGenerateMD5sFunction;
@@ -50,6 +76,9 @@ exports.getDiscardUnusableRecordFunction = getDiscardUnusableRecordFunction;
 exports.getDiscardRejectedMessageFunction = getDiscardRejectedMessageFunction;
 exports.getPostFinaliseBatchFunction = getPostFinaliseBatchFunction;
 
+// Convenience accessors for specific task execution functions
+exports.getErrorClassifierFunction = getErrorClassifierFunction;
+
 /**
  * An enum for the valid stream types currently supported.
  * @enum {string}
@@ -62,6 +91,36 @@ const StreamType = {
 Object.freeze(StreamType);
 exports.StreamType = StreamType;
 
+/**
+ * An enum for the valid ways of resolving a conflicting concurrent update of a batch's saved state.
+ * @enum {string}
+ * @readonly
+ */
+const BatchStateConflictResolution = {
+  /** Merge the conflicting task states, keeping the most advanced state of each task */
+  merge: 'merge',
+  /** Fail the save with a TransientError, which will trigger a replay of the batch */
+  fail: 'fail'
+};
+Object.freeze(BatchStateConflictResolution);
+exports.BatchStateConflictResolution = BatchStateConflictResolution;
+
+/**
+ * An enum for the valid policies to apply to a "process one" or "process all" task once it has exhausted its attempts.
+ * @enum {string}
+ * @readonly
+ */
+const ExhaustionPolicy = {
+  /** Discard the task, which rejects its message to the Dead Message Queue */
+  reject: 'reject',
+  /** Never discard the task, but instead alert & leave it incomplete, which blocks the shard until it is resolved */
+  block: 'block',
+  /** Skip the task by completing it (in a `Skipped` state), which lets its message finalise without it */
+  skip: 'skip'
+};
+Object.freeze(ExhaustionPolicy);
+exports.ExhaustionPolicy = ExhaustionPolicy;
+
 /**
  * The names of the standard stream processing settings.
  * @namespace {StreamProcessingSettingNames} names
@@ -77,6 +136,16 @@ const names = {
   consumerId: 'consumerId',
   timeoutAtPercentageOfRemainingTime: 'timeoutAtPercentageOfRemainingTime',
   maxNumberOfAttempts: 'maxNumberOfAttempts',
+  maxTransientAttempts: 'maxTransientAttempts',
+  maxPermanentAttempts: 'maxPermanentAttempts',
+  attemptPolicies: 'attemptPolicies',
+  bisectBatchOnFailure: 'bisectBatchOnFailure',
+  reportBatchItemFailures: 'reportBatchItemFailures',
+  maxConcurrentMessages: 'maxConcurrentMessages',
+  maxConcurrentTasks: 'maxConcurrentTasks',
+  rateLimits: 'rateLimits',
+  retryPolicies: 'retryPolicies',
+  circuitBreakers: 'circuitBreakers',
   idPropertyNames: 'idPropertyNames',
   keyPropertyNames: 'keyPropertyNames',
   seqNoPropertyNames: 'seqNoPropertyNames',
@@ -94,11 +163,25 @@ const names = {
   saveBatchState: 'saveBatchState',
   discardRejectedMessage: 'discardRejectedMessage',
   postFinaliseBatch: 'postFinaliseBatch',
+  errorClassifier: 'errorClassifier',
 
   // Specialised implementation setting names
   batchStateTableName: 'batchStateTableName',
+  batchStateStore: 'batchStateStore',
+  batchStateConflictResolution: 'batchStateConflictResolution',
+  batchStateTtlInSeconds: 'batchStateTtlInSeconds',
+  finalisedBatchStateTtlInSeconds: 'finalisedBatchStateTtlInSeconds',
+  batchStateCompressionThresholdInBytes: 'batchStateCompressionThresholdInBytes',
+  batchStateChunkSizeInBytes: 'batchStateChunkSizeInBytes',
+  batchStateIndexed: 'batchStateIndexed',
+  messageStateTableName: 'messageStateTableName',
+  deduplicationStore: 'deduplicationStore',
+  deduplicationTtlInSeconds: 'deduplicationTtlInSeconds',
+  deduplicatedByMessageMD5: 'deduplicatedByMessageMD5',
   deadRecordQueueName: 'deadRecordQueueName',
-  deadMessageQueueName: 'deadMessageQueueName'
+  deadMessageQueueName: 'deadMessageQueueName',
+  deadRecordQueueType: 'deadRecordQueueType',
+  deadMessageQueueType: 'deadMessageQueueType'
 };
 exports.names = names;
 
@@ -111,8 +194,15 @@ const defaults = {
   timeoutAtPercentageOfRemainingTime: 0.9,
   maxNumberOfAttempts: 10,
   batchStateTableName: 'StreamConsumerBatchState',
+  batchStateConflictResolution: BatchStateConflictResolution.merge,
+  batchStateCompressionThresholdInBytes: 100 * 1024, // 100 KB
+  batchStateChunkSizeInBytes: 300 * 1024, // 300 KB (i.e. safely under DynamoDB's 400 KB item size limit)
+  messageStateTableName: 'StreamConsumerMessageState',
+  deduplicationTtlInSeconds: 24 * 60 * 60, // 1 day
   deadRecordQueueName: 'DeadRecordQueue',
   deadMessageQueueName: 'DeadMessageQueue',
+  deadRecordQueueType: 'kinesis',
+  deadMessageQueueType: 'kinesis'
 };
 exports.defaults = defaults;
 
@@ -254,6 +344,177 @@ function getMaxNumberOfAttempts(context) {
   return context.streamProcessing.maxNumberOfAttempts;
 }
 
+/**
+ * Returns the maximum number of transient failures (i.e. failures classified as transient by the configured or default
+ * error classifier, including timeouts) allowed on each of a message's "process one" and "process all" tasks before
+ * discarding the message as configured on the given context (if any and if it's a positive number); otherwise returns
+ * undefined, in which case transient failures are counted as ordinary attempts against the maximum number of attempts.
+ * @param {StreamProcessing} context - the context from which to fetch the maximum number of transient attempts
+ * @returns {number|undefined} the maximum number of transient attempts (if any); otherwise undefined
+ */
+function getMaxTransientAttempts(context) {
+  return toPositiveIntegerOrUndefined(context.streamProcessing.maxTransientAttempts);
+}
+
+/**
+ * Returns the maximum number of permanent (i.e. non-transient) attempts allowed on each of a message's "process one"
+ * and "process all" tasks before discarding the message as configured on the given context (if any and if it's a
+ * positive number); otherwise returns the maximum number of attempts.
+ * @param {StreamProcessing} context - the context from which to fetch the maximum number of permanent attempts
+ * @returns {number|undefined} the maximum number of permanent attempts (if any); otherwise undefined
+ */
+function getMaxPermanentAttempts(context) {
+  return toPositiveIntegerOrUndefined(context.streamProcessing.maxPermanentAttempts) || getMaxNumberOfAttempts(context);
+}
+
+/**
+ * Returns the attempt policy of the named "process one" or "process all" task, i.e. its maximum number of (permanent)
+ * attempts as configured in the `attemptPolicies` map of task definition names to attempt policies on the given context
+ * (if any and if it's a positive number; otherwise the maximum number of permanent attempts) and its policy to apply
+ * once it has exhausted its attempts (if any and if it's a valid `ExhaustionPolicy`; otherwise `reject`).
+ * @param {StreamProcessing} context - the context from which to fetch the attempt policy
+ * @param {string} taskName - the name of the task definition
+ * @returns {AttemptPolicy} the attempt policy of the named task
+ */
+function getAttemptPolicy(context, taskName) {
+  const attemptPolicies = context.streamProcessing.attemptPolicies;
+  const attemptPolicy = attemptPolicies && typeof attemptPolicies === 'object' ? attemptPolicies[taskName] : undefined;
+  const opts = attemptPolicy && typeof attemptPolicy === 'object' ? attemptPolicy : {};
+  const onExhaustion = trim(opts.onExhaustion);
+  return {
+    maxNumberOfAttempts: toPositiveIntegerOrUndefined(opts.maxNumberOfAttempts) || getMaxPermanentAttempts(context),
+    onExhaustion: isNotBlank(onExhaustion) && ExhaustionPolicy[onExhaustion] === onExhaustion ? onExhaustion :
+      ExhaustionPolicy.reject
+  };
+}
+
+/**
+ * Returns whether a batch that cannot be fully finalised must be bisected across its replays (in order to isolate its
+ * failing messages sooner) as configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the setting
+ * @returns {boolean} whether to bisect a batch that cannot be fully finalised
+ */
+function isBisectBatchOnFailure(context) {
+  return !!context.streamProcessing.bisectBatchOnFailure;
+}
+
+/**
+ * Returns whether `processStreamEvent` must resolve with a partial batch response (i.e. a `batchItemFailures` response
+ * for an event source mapping with `ReportBatchItemFailures` enabled) instead of rejecting when the batch cannot be fully
+ * finalised as configured on the given context.
+ * @param {StreamProcessing} context - the context from which to fetch the setting
+ * @returns {boolean} whether to resolve with a partial batch response
+ */
+function isReportBatchItemFailures(context) {
+  return !!context.streamProcessing.reportBatchItemFailures;
+}
+
+/**
+ * Returns the maximum number of messages whose "process one" tasks may be executed at the same time as configured on
+ * the given context (if any and if it's a positive number); otherwise returns undefined (i.e. no limit).
+ * @param {StreamProcessing} context - the context from which to fetch the maximum number of concurrent messages
+ * @returns {number|undefined} the maximum number of concurrent messages (if any); otherwise undefined
+ */
+function getMaxConcurrentMessages(context) {
+  return toPositiveIntegerOrUndefined(context.streamProcessing.maxConcurrentMessages);
+}
+
+/**
+ * Returns the maximum number of the named "process one" task that may be executed at the same time (across all of a
+ * batch's messages) as configured in the `maxConcurrentTasks` map of task definition names to limits on the given
+ * context (if any and if it's a positive number); otherwise returns undefined (i.e. no limit).
+ * @param {StreamProcessing} context - the context from which to fetch the maximum number of concurrent tasks
+ * @param {string} taskName - the name of the task definition
+ * @returns {number|undefined} the maximum number of concurrent executions of the named task (if any); otherwise undefined
+ */
+function getMaxConcurrentTasks(context, taskName) {
+  const maxConcurrentTasks = context.streamProcessing.maxConcurrentTasks;
+  return maxConcurrentTasks && typeof maxConcurrentTasks === 'object' ?
+    toPositiveIntegerOrUndefined(maxConcurrentTasks[taskName]) : undefined;
+}
+
+/**
+ * Returns the rate limit of the named task (i.e. its maximum number of executions per second and its burst, which is
+ * the maximum number of executions that may start at once after a quiet period) as configured in the `rateLimits` map
+ * of task definition names to rate limits on the given context (if any and if its `requestsPerSecond` is a positive
+ * number); otherwise returns undefined (i.e. no rate limit). The burst defaults to 1 if not configured.
+ * @param {StreamProcessing} context - the context from which to fetch the rate limit
+ * @param {string} taskName - the name of the task definition
+ * @returns {RateLimit|undefined} the rate limit of the named task (if any); otherwise undefined
+ */
+function getRateLimit(context, taskName) {
+  const rateLimits = context.streamProcessing.rateLimits;
+  const rateLimit = rateLimits && typeof rateLimits === 'object' ? rateLimits[taskName] : undefined;
+  const requestsPerSecond = rateLimit && typeof rateLimit === 'object' ?
+    toPositiveNumberOrUndefined(rateLimit.requestsPerSecond) : undefined;
+  return requestsPerSecond ? {
+    requestsPerSecond: requestsPerSecond,
+    burst: toPositiveIntegerOrUndefined(rateLimit.burst) || 1
+  } : undefined;
+}
+
+/**
+ * Returns the in-invocation retry policy of the named "process one" task as configured in the `retryPolicies` map of
+ * task definition names to retry policies on the given context (if any and if its `maxRetries` is a positive number);
+ * otherwise returns undefined (i.e. no retries within an invocation). The base delay defaults to 100 ms, the jitter
+ * (i.e. the fraction of each delay that is randomised) defaults to 0 and is capped at 1 and the retryable error
+ * predicate is only returned if it is a real function.
+ * @param {StreamProcessing} context - the context from which to fetch the retry policy
+ * @param {string} taskName - the name of the task definition
+ * @returns {RetryPolicy|undefined} the retry policy of the named task (if any); otherwise undefined
+ */
+function getRetryPolicy(context, taskName) {
+  const retryPolicies = context.streamProcessing.retryPolicies;
+  const retryPolicy = retryPolicies && typeof retryPolicies === 'object' ? retryPolicies[taskName] : undefined;
+  const maxRetries = retryPolicy && typeof retryPolicy === 'object' ?
+    toPositiveIntegerOrUndefined(retryPolicy.maxRetries) : undefined;
+  return maxRetries ? {
+    maxRetries: maxRetries,
+    baseDelayMs: toPositiveNumberOrUndefined(retryPolicy.baseDelayMs) || 100,
+    jitter: Math.min(toPositiveNumberOrUndefined(retryPolicy.jitter) || 0, 1),
+    isRetryable: typeof retryPolicy.isRetryable === 'function' ? retryPolicy.isRetryable : undefined
+  } : undefined;
+}
+
+/**
+ * Returns the names of all of the circuit breakers configured in the `circuitBreakers` map of circuit breaker names to
+ * circuit breaker options on the given context (if any).
+ * @param {StreamProcessing} context - the context from which to fetch the circuit breaker names
+ * @returns {string[]} the names of the configured circuit breakers (if any); otherwise an empty array
+ */
+function getCircuitBreakerNames(context) {
+  const circuitBreakers = context.streamProcessing.circuitBreakers;
+  return circuitBreakers && typeof circuitBreakers === 'object' ? Object.keys(circuitBreakers) : [];
+}
+
+/**
+ * Returns the options of the named circuit breaker as configured in the `circuitBreakers` map of circuit breaker names
+ * to circuit breaker options on the given context (if any), with its failure threshold defaulting to 5 consecutive
+ * failures, its reset timeout defaulting to 30 seconds and its bound task names defaulting to none.
+ * @param {StreamProcessing} context - the context from which to fetch the circuit breaker options
+ * @param {string} breakerName - the name of the circuit breaker
+ * @returns {CircuitBreakerOptions} the options of the named circuit breaker
+ */
+function getCircuitBreakerOptions(context, breakerName) {
+  const circuitBreakers = context.streamProcessing.circuitBreakers;
+  const opts = circuitBreakers && typeof circuitBreakers === 'object' ? circuitBreakers[breakerName] : undefined;
+  return toCircuitBreakerOptions(opts);
+}
+
+/**
+ * Converts the given circuit breaker options (if any) into complete circuit breaker options with defaults.
+ * @param {CircuitBreakerOptions|undefined} [opts] - the optional circuit breaker options
+ * @returns {CircuitBreakerOptions} complete circuit breaker options
+ */
+function toCircuitBreakerOptions(opts) {
+  const options = opts && typeof opts === 'object' ? opts : {};
+  return {
+    failureThreshold: toPositiveIntegerOrUndefined(options.failureThreshold) || 5,
+    resetTimeoutMs: toPositiveNumberOrUndefined(options.resetTimeoutMs) || 30000,
+    taskNames: Array.isArray(options.taskNames) ? options.taskNames.filter(n => isNotBlank(n)) : []
+  };
+}
+
 /**
  * Returns the the names of all of the message identifier properties configured on the given context, which are used to
  * extract a message's unique identifier(s), which uniquely identifies the message.
@@ -291,6 +552,145 @@ function getSeqNoPropertyNames(context) {
     typeof seqNoPropertyNames === 'string' ? toPropertyNamesArray(seqNoPropertyNames) : [];
 }
 
+/**
+ * Returns the batch state store configured on the given context (if any and if it implements every function of the
+ * `BatchStateStore` contract); otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the batch state store
+ * @returns {BatchStateStore|undefined} the batch state store (if any); otherwise undefined
+ */
+function getBatchStateStore(context) {
+  const store = context.streamProcessing.batchStateStore;
+  return isBatchStateStore(store) ? store : undefined;
+}
+
+/**
+ * Returns the way in which to resolve a conflicting concurrent update of a batch's saved state as configured on the
+ * given context (if valid); otherwise returns the default way.
+ * @param {StreamProcessing} context - the context from which to fetch the batch state conflict resolution
+ * @returns {BatchStateConflictResolution} the batch state conflict resolution
+ */
+function getBatchStateConflictResolution(context) {
+  const resolution = context.streamProcessing.batchStateConflictResolution;
+  return resolution === BatchStateConflictResolution.merge || resolution === BatchStateConflictResolution.fail ?
+    resolution : defaults.batchStateConflictResolution;
+}
+
+/**
+ * Returns the number of seconds after each save at which a batch's saved state must expire as configured on the given
+ * context (if any and if it's a positive number); otherwise returns undefined (i.e. the saved state never expires).
+ * @param {StreamProcessing} context - the context from which to fetch the batch state time-to-live
+ * @returns {number|undefined} the batch state time-to-live in seconds (if any); otherwise undefined
+ */
+function getBatchStateTtlInSeconds(context) {
+  return toPositiveNumberOrUndefined(context.streamProcessing.batchStateTtlInSeconds);
+}
+
+/**
+ * Returns the number of seconds after each save at which a fully finalised batch's saved state must expire as
+ * configured on the given context (if any and if it's a positive number); otherwise falls back to the configured batch
+ * state time-to-live (if any).
+ * @param {StreamProcessing} context - the context from which to fetch the finalised batch state time-to-live
+ * @returns {number|undefined} the finalised batch state time-to-live in seconds (if any); otherwise undefined
+ */
+function getFinalisedBatchStateTtlInSeconds(context) {
+  const ttl = toPositiveNumberOrUndefined(context.streamProcessing.finalisedBatchStateTtlInSeconds);
+  return ttl !== undefined ? ttl : getBatchStateTtlInSeconds(context);
+}
+
+/**
+ * Returns the size in bytes of a batch's serialized message, rejected message & unusable record states above which
+ * they must be gzip-compressed before being saved to DynamoDB as configured on the given context (if any and if it's a
+ * positive number); otherwise returns the default threshold.
+ * @param {StreamProcessing} context - the context from which to fetch the batch state compression threshold
+ * @returns {number} the batch state compression threshold in bytes
+ */
+function getBatchStateCompressionThresholdInBytes(context) {
+  const threshold = toPositiveNumberOrUndefined(context.streamProcessing.batchStateCompressionThresholdInBytes);
+  return threshold !== undefined ? threshold : defaults.batchStateCompressionThresholdInBytes;
+}
+
+/**
+ * Returns the maximum size in bytes of a batch's compressed states that can be saved within its batch state item in
+ * DynamoDB, above which they must instead be split across multiple chunk items of at most this size, as configured on
+ * the given context (if any and if it's a positive number); otherwise returns the default chunk size.
+ * @param {StreamProcessing} context - the context from which to fetch the batch state chunk size
+ * @returns {number} the batch state chunk size in bytes
+ */
+function getBatchStateChunkSizeInBytes(context) {
+  const chunkSize = toPositiveNumberOrUndefined(context.streamProcessing.batchStateChunkSizeInBytes);
+  return chunkSize !== undefined ? Math.ceil(chunkSize) : defaults.batchStateChunkSizeInBytes;
+}
+
+/**
+ * Returns whether each batch's saved state must also be indexed by the eventIDs of its records (to enable its state to
+ * be found & restored by a later, differently keyed batch containing any of the same records) as configured on the
+ * given context. NB: Indexing is ALWAYS enabled when `reportBatchItemFailures` is enabled for batches that are keyed on
+ * their first records' event IDs (i.e. for DynamoDB streams or if `batchKeyedOnEventID` is true), since each partial
+ * checkpoint changes the first record & hence the key of the next batch, which would otherwise lose its prior state.
+ * @param {StreamProcessing} context - the context from which to fetch the setting
+ * @returns {boolean} whether each batch's saved state must also be indexed by the eventIDs of its records
+ */
+function isBatchStateIndexed(context) {
+  const streamProcessing = context.streamProcessing;
+  return !!streamProcessing.batchStateIndexed || (!!streamProcessing.reportBatchItemFailures &&
+    (isDynamoDBStreamType(context) || !!streamProcessing.batchKeyedOnEventID));
+}
+
+/**
+ * Returns the deduplication store configured on the given context (if any and if it implements every function of the
+ * `DeduplicationStore` contract); otherwise returns undefined (i.e. cross-batch deduplication is disabled).
+ * @param {StreamProcessing} context - the context from which to fetch the deduplication store
+ * @returns {DeduplicationStore|undefined} the deduplication store (if any); otherwise undefined
+ */
+function getDeduplicationStore(context) {
+  const store = context.streamProcessing.deduplicationStore;
+  return store && typeof store === 'object' && typeof store.getProcessedIds === 'function' &&
+  typeof store.putProcessedIds === 'function' ? store : undefined;
+}
+
+/**
+ * Returns the number of seconds for which the ids of processed messages must be remembered for deduplication as
+ * configured on the given context (if any and if it's a positive number); otherwise returns the default time-to-live.
+ * @param {StreamProcessing} context - the context from which to fetch the deduplication time-to-live
+ * @returns {number} the deduplication time-to-live in seconds
+ */
+function getDeduplicationTtlInSeconds(context) {
+  const ttl = toPositiveNumberOrUndefined(context.streamProcessing.deduplicationTtlInSeconds);
+  return ttl !== undefined ? ttl : defaults.deduplicationTtlInSeconds;
+}
+
+/**
+ * Returns true if messages without any message ids must be deduplicated by their message MD5s (i.e. by their content)
+ * as configured on the given context; otherwise false (the default).
+ * @param {StreamProcessing} context - the context from which to fetch the deduplicatedByMessageMD5 setting
+ * @returns {boolean} true if messages without ids must be deduplicated by their message MD5s; false otherwise
+ */
+function isDeduplicatedByMessageMD5(context) {
+  return !!context.streamProcessing.deduplicatedByMessageMD5;
+}
+
+/**
+ * Returns the type of dead letter sink to which unusable records must be discarded (i.e. the type of the Dead Record
+ * Queue) as configured on the given context (if any); otherwise returns the default type (i.e. 'kinesis').
+ * @param {StreamProcessing} context - the context from which to fetch the Dead Record Queue type
+ * @returns {DeadLetterQueueType|string} the Dead Record Queue type
+ */
+function getDeadRecordQueueType(context) {
+  const type = trim(context.streamProcessing.deadRecordQueueType);
+  return isNotBlank(type) ? type : defaults.deadRecordQueueType;
+}
+
+/**
+ * Returns the type of dead letter sink to which rejected messages must be discarded (i.e. the type of the Dead Message
+ * Queue) as configured on the given context (if any); otherwise returns the default type (i.e. 'kinesis').
+ * @param {StreamProcessing} context - the context from which to fetch the Dead Message Queue type
+ * @returns {DeadLetterQueueType|string} the Dead Message Queue type
+ */
+function getDeadMessageQueueType(context) {
+  const type = trim(context.streamProcessing.deadMessageQueueType);
+  return isNotBlank(type) ? type : defaults.deadMessageQueueType;
+}
+
 // =====================================================================================================================
 // Convenience accessors for specific stream processing functions
 // =====================================================================================================================
@@ -427,6 +827,27 @@ function getPostFinaliseBatchFunction(context) {
   return typeof fn === 'function' ? fn : undefined;
 }
 
+/**
+ * Returns the `errorClassifier` function configured on the given context (if any and if it's a real function);
+ * otherwise returns undefined.
+ * @param {StreamProcessing} context - the context from which to fetch the function
+ * @returns {ErrorClassifier|undefined} the errorClassifier function (if it's a function); otherwise undefined
+ */
+function getErrorClassifierFunction(context) {
+  const fn = context.streamProcessing.errorClassifier;
+  return typeof fn === 'function' ? fn : undefined;
+}
+
+function toPositiveNumberOrUndefined(value) {
+  const n = typeof value === 'string' ? Number(value) : value;
+  return typeof n === 'number' && Number.isFinite(n) && n > 0 ? n : undefined;
+}
+
+function toPositiveIntegerOrUndefined(value) {
+  const n = toPositiveNumberOrUndefined(value);
+  return n !== undefined ? Math.max(Math.floor(n), 1) : undefined;
+}
+
 /**
  * Converts the given property names string into an array of property names
  * @param {string} propertyNamesString - a string of property name(s) separated by the given separator
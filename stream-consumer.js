@@ -63,6 +63,22 @@ const getMessageStateKeySeqNoId = identify.getMessageStateKeySeqNoId;
 
 const streamProcessing = require('./stream-processing');
 
+const deduplication = require('./deduplication');
+
+const bisection = require('./bisection');
+
+const concurrency = require('./concurrency');
+
+const rateLimiting = require('./rate-limiting');
+
+const retrying = require('./retrying');
+
+const circuitBreaking = require('./circuit-breaking');
+
+const errorClassification = require('./error-classification');
+
+const taskPredicates = require('./task-predicates');
+
 const flattenOpts = {skipSimplifyOutcomes: false};
 
 // Constants
@@ -81,6 +97,7 @@ exports._$_ = '_$_'; //IDE workaround
 exports.processStreamEvent = processStreamEvent;
 
 exports.validateTaskDefinitions = validateTaskDefinitions;
+exports.toBatchItemFailuresResponse = toBatchItemFailuresResponse;
 
 // noinspection JSUnusedGlobalSymbols
 exports.FOR_TESTING_ONLY = {
@@ -92,6 +109,7 @@ exports.FOR_TESTING_ONLY = {
   extractMessagesFromStreamEventRecord: extractMessagesFromStreamEventRecord,
   loadBatchState: loadBatchState,
   reviveTasks: reviveTasks,
+  deduplicateMessages: deduplicateMessages,
   preProcessBatch: preProcessBatch,
 
   // Processing
@@ -110,6 +128,7 @@ exports.FOR_TESTING_ONLY = {
   preFinaliseBatch: preFinaliseBatch,
   finaliseBatch: finaliseBatch,
   discardAnyRejectedMessages: discardAnyRejectedMessages,
+  recordProcessedMessages: recordProcessedMessages,
   postFinaliseBatch: postFinaliseBatch
 };
 
@@ -128,7 +147,8 @@ exports.FOR_TESTING_ONLY = {
  * @param {ProcessAllTaskDef[]|undefined} [processAllTaskDefsOrNone] - an "optional" list of "processAll" task definitions that
  * will be used to generate the tasks to be executed on all of the event's messages collectively
  * @param {StreamConsumerContext} context - the context to use
- * @returns {Promise.<Batch|BatchError>} a promise that will resolve with the batch processed or reject with an error
+ * @returns {Promise.<Batch|BatchItemFailuresResponse|BatchError>} a promise that will resolve with the batch processed
+ * (or with a partial batch response if `reportBatchItemFailures` is enabled) or reject with an error
  */
 function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsOrNone, context) {
   // Precondition - NB: Ensure that your stream consumer is fully configured before calling this function!
@@ -151,10 +171,13 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
 
   const records = event.Records;
 
+  const reportBatchItemFailures = Settings.isReportBatchItemFailures(context);
+
   if (!records || !Array.isArray(records) || records.length <= 0) {
     logStreamEvent(event, "Missing Records on stream event", LogLevel.ERROR, context);
     // Consume this useless event rather than throwing an error that will potentially replay it
-    return Promise.resolve(new Batch([], processOneTaskDefs, processAllTaskDefs, context));
+    const emptyBatch = new Batch([], processOneTaskDefs, processAllTaskDefs, context);
+    return Promise.resolve(reportBatchItemFailures ? toBatchItemFailuresResponse(emptyBatch, undefined, context) : emptyBatch);
   }
 
   try {
@@ -165,6 +188,7 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
     return ignoreUnhandledRejection(executeInitiateBatchTask(batch, {}, context)
       .then(() => executeProcessBatchTask(batch, {}, context))
       .then(processOutcomes => executeFinaliseBatchTask(batch, processOutcomes, {}, context))
+      .then(batch => reportBatchItemFailures ? toBatchItemFailuresResponse(batch, undefined, context) : batch)
       .catch(err => {
         context.error(`Stream consumer failed`, err);
         Object.defineProperty(err, 'batch', {value: batch, enumerable: false});// i.e. err.batch = batch;
@@ -172,6 +196,10 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
         if (isInstanceOf(err, FatalError)) {
           return streamProcessing.handleFatalError(err, batch, context);
         }
+        if (reportBatchItemFailures) {
+          // Resolve with a partial batch response (if possible) instead of triggering a replay of the entire batch
+          return toBatchItemFailuresResponse(batch, err, context);
+        }
         throw err;
       }));
 
@@ -181,6 +209,45 @@ function processStreamEvent(event, processOneTaskDefsOrNone, processAllTaskDefsO
   }
 }
 
+/**
+ * Converts the given processed batch into a partial batch response for an event source mapping with
+ * `ReportBatchItemFailures` enabled. If the batch failed, then the response reports the sequence number of the first of
+ * its records that still has incomplete work (or of its first record if the batch failed before it could be finalised)
+ * as its only batch item failure, so that Lambda will checkpoint every record before it & retry from it; otherwise the
+ * response reports no batch item failures. The batch is attached to the response as a non-enumerable `batch` property.
+ * NB: For batches keyed on their first records' event IDs (i.e. for DynamoDB streams or if `batchKeyedOnEventID` is
+ * true), a partial checkpoint changes the key of the next batch, which is why `isBatchStateIndexed` then always enables
+ * batch state indexing, so that the next batch can restore its prior state via its records' index items.
+ * @param {Batch} batch - the batch that was processed
+ * @param {Error|undefined} [error] - the error with which the batch failed (if it failed)
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {BatchItemFailuresResponse} the partial batch response
+ * @throws {Error} the given error if the sequence number of the record from which to retry cannot be resolved
+ */
+function toBatchItemFailuresResponse(batch, error, context) {
+  const batchItemFailures = [];
+
+  if (error) {
+    // Only trust the tracked state of the batch's messages & records if the batch got as far as its finalising phase
+    const finalisingStarted = !!batch.getFinalisingTasks();
+    const record = (finalisingStarted && batch.findFirstIncompleteRecord()) || batch.records[0];
+
+    const seqNo = record && (isDynamoDBStreamType(context) ? streamEvents.getDynamoDBSequenceNumber(record) :
+      streamEvents.getKinesisSequenceNumber(record));
+
+    if (isBlank(seqNo)) {
+      context.error(`Cannot report a batch item failure for ${batch.describe(true)}, since failed to resolve the sequence number of its first incomplete record - triggering a replay of the entire batch instead`);
+      throw error;
+    }
+    batchItemFailures.push({itemIdentifier: seqNo});
+    context.warn(`Reporting a batch item failure at sequence number (${seqNo}) for ${batch.describe(true)} with ${batch.assessProgress()}`);
+  }
+
+  const response = {batchItemFailures: batchItemFailures};
+  Object.defineProperty(response, 'batch', {value: batch, enumerable: false});
+  return response;
+}
+
 /**
  * Creates and executes a new initiate batch task on the given batch.
  * @param {Batch} batch - the batch to be initiated
@@ -198,6 +265,7 @@ function executeInitiateBatchTask(batch, cancellable, context) {
     taskDef.defineSubTask(extractAndSequenceMessages.name, extractAndSequenceMessages, batchSettings);
     taskDef.defineSubTask(loadBatchState.name, loadBatchState, batchSettings);
     taskDef.defineSubTask(reviveTasks.name, reviveTasks, batchSettings);
+    taskDef.defineSubTask(deduplicateMessages.name, deduplicateMessages, batchSettings);
     taskDef.defineSubTask(preProcessBatch.name, preProcessBatch, batchSettings);
     return taskDef;
   }
@@ -304,6 +372,7 @@ function executeFinaliseBatchTask(batch, processOutcomes, cancellable, context)
     const taskDef = TaskDef.defineTask(finaliseBatch.name, finaliseBatch, batchAndProcessOutcomesSettings);
     taskDef.defineSubTask(discardAnyRejectedMessages.name, discardAnyRejectedMessages, batchAndCancellableSettings);
     taskDef.defineSubTask(saveBatchState.name, saveBatchState, batchSettings);
+    taskDef.defineSubTask(recordProcessedMessages.name, recordProcessedMessages, batchSettings);
     taskDef.defineSubTask(postFinaliseBatch.name, postFinaliseBatch, batchSettings);
     return taskDef;
   }
@@ -408,6 +477,8 @@ function whenDone(task, promise, cancellable, context) {
  * 1. Extracts and sequences all of the messages from all of the batch's records
  * 2. Loads and restores the previous state (if any) of the current batch
  * 3. Revives all of the tasks on all of the messages, all of the unusable records and on the batch itself
+ * 4. Completes any messages that were already processed in a previous batch (if a deduplication store is configured)
+ * 5. Pre-processes the batch (if a preProcessBatch function is configured)
  * @this {InitiateBatchTask} this is the main initiating task and this function is the `execute` function of the main initiating task
  * @param {Batch} batch - the batch of AWS Kinesis or DynamoDB stream event records to be initiated / pre-processed
  * @param {Object|Cancellable} cancellable -
@@ -438,17 +509,30 @@ function initiateBatch(batch, cancellable, context) {
 
           return tasksRevivedPromise.then(
             reviveOutcomes => {
-              // Pre-process the batch
-              const preProcessBatchTask = task.getSubTask(preProcessBatch.name);
-              const p4 = preProcessBatchTask.execute(batch, context);
-              const preProcessedPromise = whenDone(preProcessBatchTask, p4, cancellable, context);
-
-              return preProcessedPromise.then(
-                preProcessOutcomes => {
-                  return [extractOutcomes, loadOutcomes, reviveOutcomes, preProcessOutcomes];
+              // Complete any messages that were already processed in a previous batch (if deduplication is enabled)
+              const deduplicateMessagesTask = task.getSubTask(deduplicateMessages.name);
+              const p4 = deduplicateMessagesTask.execute(batch, context);
+              const deduplicatedPromise = whenDone(deduplicateMessagesTask, p4, cancellable, context);
+
+              return deduplicatedPromise.then(
+                deduplicateOutcomes => {
+                  // Pre-process the batch
+                  const preProcessBatchTask = task.getSubTask(preProcessBatch.name);
+                  const p5 = preProcessBatchTask.execute(batch, context);
+                  const preProcessedPromise = whenDone(preProcessBatchTask, p5, cancellable, context);
+
+                  return preProcessedPromise.then(
+                    preProcessOutcomes => {
+                      return [extractOutcomes, loadOutcomes, reviveOutcomes, deduplicateOutcomes, preProcessOutcomes];
+                    },
+                    err => {
+                      context.error(`Failed to pre-process ${batch.describe(true)}`, err);
+                      throw err;
+                    }
+                  );
                 },
                 err => {
-                  context.error(`Failed to pre-process ${batch.describe(true)}`, err);
+                  context.error(`Failed to deduplicate messages of ${batch.describe(true)}`, err);
                   throw err;
                 }
               );
@@ -738,6 +822,28 @@ function reviveTasks(batch, context) {
   batch.reviveTasks(context);
 }
 
+/**
+ * Completes any and all of the given batch's incomplete messages that were already processed in a previous batch (e.g.
+ * duplicates created by a producer retrying a `PutRecord`) according to the configured deduplication store (if any).
+ * Any failure to look up the already processed messages is logged & ignored, since it only disables deduplication.
+ * @param {Batch} batch - the batch being processed
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<Message[]>} a promise of the duplicate messages that were completed (if any)
+ */
+function deduplicateMessages(batch, context) {
+  const deduplicationStore = Settings.getDeduplicationStore(context);
+
+  if (!deduplicationStore) {
+    if (context.traceEnabled) context.trace(`Skipping deduplication of ${batch.describe(true)}, since no deduplicationStore configured`);
+    return Promise.resolve([]);
+  }
+
+  return deduplication.completeDuplicateMessages(batch, deduplicationStore, context).catch(err => {
+    context.warn(`Skipping deduplication of ${batch.describe(true)}, since failed to look up processed messages in ${deduplicationStore.name}`, err);
+    return [];
+  });
+}
+
 /**
  * Provides a hook for an optional pre-process batch function to be invoked after the batch has been successfully
  * initiated and before the batch is processed.
@@ -784,6 +890,19 @@ function preProcessBatch(batch, context) {
  * When all of the incomplete "process one" tasks of a processed message become fully finalised, then any "next" message
  * that was waiting for it to finish will be triggered.
  *
+ * If `maxConcurrentMessages` and/or `maxConcurrentTasks` are configured, then the number of messages and/or of each
+ * "process one" task being executed at the same time are bounded and any excess messages and/or tasks are queued until
+ * a running one settles (and are skipped if batch processing gets cancelled, e.g. by a timeout, while they are queued).
+ *
+ * Any task with a rate limit configured in `rateLimits` first waits for a token from its task definition's token bucket
+ * and is left incomplete (without counting an attempt) if batch processing gets cancelled while it is still waiting.
+ *
+ * Any task with a retry policy configured in `retryPolicies` that fails with a retryable error is retried within this
+ * invocation after an exponential backoff delay (for as long as its delay would end before processing times out).
+ *
+ * Any task whose task definition is bound to a circuit breaker (see the `circuit-breaking` module) is skipped without
+ * being attempted while its breaker is open and has its attempts reverted if it fails once its breaker has opened.
+ *
  * @param {Batch} batch - the batch to be used as a source of messages on which to execute each of the "process one" tasks
  * @param {Cancellable|Object|undefined} [cancellable] - a cancellable object onto which to install cancel functionality
  * @param {StreamConsumerContext} context - the context to use (passed as the 3rd argument)
@@ -867,6 +986,13 @@ function executeProcessOneTasks(batch, message, cancellable, context) {
 
   const i = incompleteTasks.length;
 
+  // Defer the message's incomplete tasks (& those of its chain of next messages) if it is outside the bisection window
+  if (i > 0 && !bisection.isInBisectionWindow(batch, message)) {
+    completed = true;
+    if (context.debugEnabled) context.debug(`Skipping execution of ${i} incomplete of ${ts} on message (${messageState.id}), since outside of bisection window`);
+    return Promise.resolve([]);
+  }
+
   if (i <= 0) {
     const is = toCountString(i, 'incomplete task');
     if (context.debugEnabled) context.debug(`Skipping execution of ${ts} on message (${messageState.id}), since ${is}`);
@@ -874,13 +1000,43 @@ function executeProcessOneTasks(batch, message, cancellable, context) {
     if (context.traceEnabled) context.trace(`About to execute ${i} incomplete of ${ts} on message (${messageState.id})`);
   }
 
-  // Start executing each of the incomplete tasks on the message and collect their done promises
-  const promises = incompleteTasks.map(task => {
-    const p = task.execute(message, batch, context);
-    return whenDone(task, p, cancellable, context);
-  });
+  const limiters = concurrency.getProcessOneLimiters(batch, context);
+
+  function executeIncompleteTasks() {
+    // Skip executing the message's tasks if batch processing was cancelled while it was queued
+    if (cancelled) {
+      return Promise.resolve([]);
+    }
+    // Start executing each of the incomplete tasks on the message (within its task's concurrency & rate limits, if any)
+    // and collect their done promises
+    const promises = incompleteTasks.map(task => concurrency.runLimited(limiters.tasks.get(task.name), () => {
+      if (cancelled) {
+        return Promise.resolve(undefined);
+      }
+      const bucket = rateLimiting.getTokenBucket(task.name, context);
+
+      // Execute the task unless its circuit breaker (if any) is open & classify its failure (if any) as transient or
+      // permanent
+      const executeTask = () => errorClassification.executeWithErrorClassification(task, () => {
+        const p = task.execute(message, batch, context);
+        return whenDone(task, p, cancellable, context);
+      }, context);
+
+      // Wait for a token (if the task is rate-limited) before EVERY attempt (including each retry) & leave the task
+      // incomplete (& its attempt unstarted) if batch processing was cancelled while it was waiting for a token
+      const attemptTask = () => rateLimiting.waitForToken(bucket, cancellable).then(acquired =>
+        !acquired || cancelled ? undefined : circuitBreaking.executeWithCircuitBreaker(task, executeTask, context));
+
+      // Retry the task within this invocation if it fails & has a retry policy
+      return retrying.executeWithRetries(task, attemptTask,
+        () => calculateTimeoutMs(context.streamProcessing.timeoutAtPercentageOfRemainingTime, context), cancellable, context);
+    }));
+
+    return Promises.every(promises, cancellable, context);
+  }
 
-  return Promises.every(promises, cancellable, context).then(
+  // Execute the message's incomplete tasks (within the maximum number of concurrent messages, if any)
+  return concurrency.runLimited(i > 0 ? limiters.messages : undefined, executeIncompleteTasks).then(
     outcomes => {
       // Check if there is a next message that was waiting for the current message to finish processing
       const nextMessage = messageState.nextMessage;
@@ -929,6 +1085,9 @@ function executeProcessOneTasks(batch, message, cancellable, context) {
  * of the batch's messages that are not yet fully finalised for the particular task. The incomplete messages are passed
  * as the 2nd argument to the task's `execute` function.
  *
+ * Any task with a rate limit configured in `rateLimits` first waits for a token from its task definition's token bucket
+ * and is left incomplete (without counting an attempt) if batch processing gets cancelled while it is still waiting.
+ *
  * Any and all errors encountered along the way are logged, but no errors are allowed to escape from this function.
  *
  * @param {Batch} batch - the batch on which to execute each of the "process all" tasks (passed as the 1st argument)
@@ -971,14 +1130,26 @@ function executeAllProcessAllTasks(batch, cancellable, context) {
 
   // Execute all of the incomplete processAll tasks on the batch and collect their promises
   const promises = incompleteTasks.map(task => {
-    // Collect all of the incomplete messages from the batch that are not fully finalised yet for the given task
+    // Collect all of the incomplete messages from the batch that are not fully finalised yet for the given task, but
+    // ONLY the messages that have the task or, if the task's definition has a `when` predicate, that it applies to
+    const taskDef = batch.taskDefs.processAllTaskDefs.find(def => def.name === task.name);
     const incompleteMessages = messages.filter(msg => {
       const msgTask = batch.getProcessAllTask(msg, task.name);
-      return !msgTask || !msgTask.isFullyFinalised();
+      return msgTask ? !msgTask.isFullyFinalised() :
+        !taskDef || taskPredicates.appliesTo(taskDef, msg, batch.states.get(msg), context);
     });
 
-    const p = task.execute(batch, incompleteMessages, context);
-    return whenDone(task, p, cancellable, context);
+    // Wait for a token (if the task is rate-limited) & leave the task incomplete if cancelled while still waiting
+    return rateLimiting.waitForToken(rateLimiting.getTokenBucket(task.name, context), cancellable).then(acquired => {
+      if (!acquired) {
+        return undefined;
+      }
+      // Execute the task & classify its failure (if any) as transient or permanent
+      return errorClassification.executeWithErrorClassification(task, () => {
+        const p = task.execute(batch, incompleteMessages, context);
+        return whenDone(task, p, cancellable, context);
+      }, context);
+    });
   });
 
   return Promises.every(promises, cancellable, context);
@@ -1188,9 +1359,18 @@ function finaliseBatch(batch, processOutcomes, cancellable, context) {
   // Save the current state of the batch after discarding (or at least attempting to discard) any rejected messages
   const saveBatchStatePromise = freezeFinalisingTasksPromise.then(save);
 
+  function record() {
+    const recordTask = task.getSubTask(recordProcessedMessages.name);
+    const p = recordTask.execute(batch, context);
+    return whenDone(recordTask, p, cancellable, context);
+  }
+
+  // Record the ids of the batch's processed messages (if deduplication is enabled) after saving the state of the batch
+  const recordProcessedMessagesPromise = saveBatchStatePromise.then(record);
+
   // Create a finalised promise that will ONLY complete when every one of the other finalising promises resolve
   const finalisingPromise = Promises.every([freezeProcessingTasksOutcome, discardRejectedMessagesPromise,
-    freezeFinalisingTasksPromise, saveBatchStatePromise], cancellable, context);
+    freezeFinalisingTasksPromise, saveBatchStatePromise, recordProcessedMessagesPromise], cancellable, context);
 
   const postFinaliseBatchTask = task.getSubTask(postFinaliseBatch.name);
 
@@ -1380,6 +1560,12 @@ function freezeProcessingTasks(batch, context) {
       context.debug(`Found & marked ${processingTasksDiscarded} over-attempted processing tasks as discarded`);
     }
 
+    // Bisect the batch's incomplete messages (if bisecting), which rejects any failing message isolated by bisection
+    const messagesIsolated = bisection.bisectIncompleteMessages(batch, context);
+    if (messagesIsolated > 0) {
+      context.debug(`Isolated & rejected ${messagesIsolated} failing message(s) by bisection`);
+    }
+
     // Freeze all of the batch's processing tasks to prevent any further changes from the other promise that lost the timeout race
     batch.freezeProcessingTasks(context);
 
@@ -1452,6 +1638,26 @@ function saveBatchState(batch, context) {
   }
 }
 
+/**
+ * Records the ids of the given batch's fully processed messages in the configured deduplication store (if any). Any
+ * failure to record them is logged & ignored, since it only weakens deduplication of their future duplicates.
+ * @param {Batch} batch - the batch being finalised
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {Promise.<string[]>} a promise of the deduplication ids that were recorded (if any)
+ */
+function recordProcessedMessages(batch, context) {
+  const deduplicationStore = Settings.getDeduplicationStore(context);
+
+  if (!deduplicationStore) {
+    return Promise.resolve([]);
+  }
+
+  return deduplication.recordProcessedMessages(batch, deduplicationStore, context).catch(err => {
+    context.warn(`Failed to record processed messages of ${batch.describe(false)} in ${deduplicationStore.name}`, err);
+    return [];
+  });
+}
+
 /**
  * First finds all of the finalised, but rejected messages in the given batch's list of messages being processed and
  * then attempts to discard all of these rejected messages using the previously configured discard rejected message task
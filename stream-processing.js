@@ -1,9 +1,7 @@
 'use strict';
 
-const stages = require('aws-core-utils/stages');
 const contexts = require('aws-core-utils/contexts');
 
-const kinesisCache = require('aws-core-utils/kinesis-cache');
 const lambdaCache = require('aws-core-utils/lambda-cache');
 
 const tries = require('core-functions/tries');
@@ -33,6 +31,12 @@ const tracking = require('./tracking');
 
 const esmCache = require('./esm-cache');
 
+// Pluggable sinks to which to send unusable records & rejected messages
+const deadLetterSinks = require('./dead-letter-sinks');
+
+// Standard envelopes in which to send unusable records & rejected messages
+const deadLetterEnvelopes = require('./dead-letter-envelopes');
+
 /**
  * Utilities for configuring stream processing, which configures and determines the processing behaviour of a stream
  * consumer.
@@ -61,6 +65,14 @@ exports.loadBatchStateFromDynamoDB = persisting.loadBatchStateFromDynamoDB;
 // Default saveBatchState function (re-exported for convenience)
 exports.saveBatchStateToDynamoDB = persisting.saveBatchStateToDynamoDB;
 
+// Alternative loadBatchState & saveBatchState functions, which use the configured batchStateStore (re-exported for convenience)
+exports.loadBatchStateFromStore = persisting.loadBatchStateFromStore;
+exports.saveBatchStateToStore = persisting.saveBatchStateToStore;
+
+// Alternative loadBatchState & saveBatchState functions, which use a per-message layout (re-exported for convenience)
+exports.loadBatchStateFromDynamoDBPerMessage = persisting.loadBatchStateFromDynamoDBPerMessage;
+exports.saveBatchStateToDynamoDBPerMessage = persisting.saveBatchStateToDynamoDBPerMessage;
+
 // Default discardUnusableRecord function
 exports.discardUnusableRecordToDRQ = discardUnusableRecordToDRQ;
 
@@ -292,11 +304,13 @@ function useStreamEventRecordAsMessage(record, batch, extractMessageFromRecord,
 }
 
 /**
- * Discards the given unusable stream event record to the DRQ (i.e. Dead Record Queue).
+ * Discards the given unusable stream event record to the DRQ (i.e. Dead Record Queue) via the dead letter sink selected
+ * by the `deadRecordQueueType` setting (i.e. a Kinesis stream by default, but optionally an SQS queue, SNS topic or S3
+ * bucket).
  * Default implementation of a {@link DiscardUnusableRecord} function.
  * @param {UnusableRecord|Record} unusableRecord - the unusable record to discard
  * @param {Batch} batch - the batch being processed
- * @param {function(unusableRecord: UnusableRecord, batch: Batch, deadRecordQueueName: string, context: StreamConsumerContext): KinesisPutRecordRequest} toDRQPutRequest - the function to use to convert the dead record into a Kinesis PutRecord request
+ * @param {function(unusableRecord: UnusableRecord, batch: Batch, deadRecordQueueName: string, context: StreamConsumerContext): KinesisPutRecordRequest|undefined} [toDRQPutRequest] - the function to use to convert the dead record into a Kinesis PutRecord request (defaults to `dead-letter-envelopes.toDRQPutRequest`, which sends the record in a standard dead letter envelope)
  * @param {StreamProcessing} context - the context to use
  * @return {Promise} a promise that will complete when the unusable record is discarded
  */
@@ -313,32 +327,39 @@ function discardUnusableRecordToDRQ(unusableRecord, batch, toDRQPutRequest, cont
     return Promise.reject(new Error(errMsg));
   }
 
-  const kinesis = getKinesis(context);
-
-  // Get the stage-qualified version of the DRQ stream name
-  const unqualifiedDeadRecordQueueName = context.streamProcessing.deadRecordQueueName;
-  const deadRecordQueueName = stages.toStageQualifiedStreamName(unqualifiedDeadRecordQueueName, context.stage, context);
-
-  // Discard the unusable record
-  const request = toDRQPutRequest(unusableRecord, batch, deadRecordQueueName, context);
-
-  return kinesis.putRecord(request).promise().then(
-    result => {
-      context.debug(`Discarded unusable record (${eventID}) to DRQ (${deadRecordQueueName})`);
-      return result;
-    },
-    err => {
-      context.error(`Failed to discard unusable record (${eventID}) to DRQ (${deadRecordQueueName})`, err);
-      throw err;
-    });
+  try {
+    const sink = deadLetterSinks.getDeadLetterSink(Settings.getDeadRecordQueueType(context));
+
+    // Get the stage-qualified version of the DRQ name
+    const unqualifiedDeadRecordQueueName = context.streamProcessing.deadRecordQueueName;
+    const deadRecordQueueName = sink.toQualifiedName(unqualifiedDeadRecordQueueName, context);
+
+    // Discard the unusable record
+    const toPutRequest = typeof toDRQPutRequest === 'function' ? toDRQPutRequest : deadLetterEnvelopes.toDRQPutRequest;
+    const request = toPutRequest(unusableRecord, batch, deadRecordQueueName, context);
+
+    return sink.send(request, context).then(
+      result => {
+        context.debug(`Discarded unusable record (${eventID}) to ${sink.type} DRQ (${deadRecordQueueName})`);
+        return result;
+      },
+      err => {
+        context.error(`Failed to discard unusable record (${eventID}) to ${sink.type} DRQ (${deadRecordQueueName})`, err);
+        throw deadLetterSinks.classifyDeadLetterError(err, `discard unusable record (${eventID}) to ${sink.type} DRQ (${deadRecordQueueName})`);
+      });
+  } catch (err) {
+    context.error(`Failed to discard unusable record (${eventID}) to DRQ`, err);
+    return Promise.reject(err);
+  }
 }
 
 /**
- * Routes the given rejected message to the DMQ (i.e. Dead Message Queue).
+ * Routes the given rejected message to the DMQ (i.e. Dead Message Queue) via the dead letter sink selected by the
+ * `deadMessageQueueType` setting (i.e. a Kinesis stream by default, but optionally an SQS queue, SNS topic or S3 bucket).
  * Default implementation of a {@link DiscardRejectedMessage} function.
  * @param {Message} rejectedMessage - the rejected message to discard
  * @param {Batch} batch - the batch being processed
- * @param {function(rejectedMessage: Message, batch: Batch, deadMessageQueueName: string, context: StreamConsumerContext): KinesisPutRecordRequest} toDMQPutRequest - the function to use to convert the dead message into a Kinesis PutRecord request
+ * @param {function(rejectedMessage: Message, batch: Batch, deadMessageQueueName: string, context: StreamConsumerContext): KinesisPutRecordRequest|undefined} [toDMQPutRequest] - the function to use to convert the dead message into a Kinesis PutRecord request (defaults to `dead-letter-envelopes.toDMQPutRequest`, which sends the message in a standard dead letter envelope)
  * @param {StreamProcessing} context the context to use
  * @return {Promise}
  */
@@ -356,34 +377,29 @@ function discardRejectedMessageToDMQ(rejectedMessage, batch, toDMQPutRequest, co
     return Promise.reject(error);
   }
 
-  const kinesis = getKinesis(context);
-
-  // Get the stage-qualified version of the DRQ stream name
-  const unqualifiedDeadMessageQueueName = context.streamProcessing.deadMessageQueueName;
-  const deadMessageQueueName = stages.toStageQualifiedStreamName(unqualifiedDeadMessageQueueName, context.stage, context);
-
-  // Discard the rejected message to the DMQ
-  const request = toDMQPutRequest(rejectedMessage, batch, deadMessageQueueName, context);
-  return kinesis.putRecord(request).promise().then(
-    result => {
-      context.debug(`Discarded rejected message (${id}) to DMQ (${deadMessageQueueName})`);
-      return result;
-    })
-    .catch(err => {
-      context.error(`Failed to discard rejected message (${id}) to DMQ (${deadMessageQueueName})`, err);
-      throw err;
-    });
-}
-
-function getKinesis(context) {
-  if (!context.kinesis) {
-    // Configure a default Kinesis instance on context.kinesis if not already configured
-    const kinesisOptions = require('./default-options.json').kinesisOptions;
-
-    context.warn(`An AWS Kinesis instance was not configured on context.kinesis yet - configuring an instance with default options (${JSON.stringify(kinesisOptions)}). Preferably configure this beforehand by setting kinesisOptions in your stream consumer configuration settings/options`);
-    kinesisCache.configureKinesis(context, kinesisOptions);
+  try {
+    const sink = deadLetterSinks.getDeadLetterSink(Settings.getDeadMessageQueueType(context));
+
+    // Get the stage-qualified version of the DMQ name
+    const unqualifiedDeadMessageQueueName = context.streamProcessing.deadMessageQueueName;
+    const deadMessageQueueName = sink.toQualifiedName(unqualifiedDeadMessageQueueName, context);
+
+    // Discard the rejected message to the DMQ
+    const toPutRequest = typeof toDMQPutRequest === 'function' ? toDMQPutRequest : deadLetterEnvelopes.toDMQPutRequest;
+    const request = toPutRequest(rejectedMessage, batch, deadMessageQueueName, context);
+    return sink.send(request, context).then(
+      result => {
+        context.debug(`Discarded rejected message (${id}) to ${sink.type} DMQ (${deadMessageQueueName})`);
+        return result;
+      })
+      .catch(err => {
+        context.error(`Failed to discard rejected message (${id}) to ${sink.type} DMQ (${deadMessageQueueName})`, err);
+        throw deadLetterSinks.classifyDeadLetterError(err, `discard rejected message (${id}) to ${sink.type} DMQ (${deadMessageQueueName})`);
+      });
+  } catch (err) {
+    context.error(`Failed to discard rejected message (${id}) to DMQ`, err);
+    return Promise.reject(err);
   }
-  return context.kinesis;
 }
 
 /**
@@ -0,0 +1,538 @@
+'use strict';
+
+const Promises = require('core-functions/promises');
+
+const Strings = require('core-functions/strings');
+const isNotBlank = Strings.isNotBlank;
+
+const persisting = require('./persisting');
+const esmCache = require('./esm-cache');
+const streamProcessing = require('./stream-processing');
+const streamConsumer = require('./stream-consumer');
+
+const batchStateStores = require('./batch-state-stores');
+const InMemoryBatchStateStore = batchStateStores.InMemoryBatchStateStore;
+
+/**
+ * A test harness for end-to-end testing of a stream consumer, which simulates a Lambda event source mapping (ESM) over
+ * a single in-memory shard: it delivers the shard's records from its checkpoint in batches of a configurable size to a
+ * handler (e.g. one created by `createHandler`, which calls `processStreamEvent`) with an AWS context whose remaining
+ * time is driven by a simulated clock; only advances the checkpoint when an invocation succeeds (i.e. replays the same
+ * batch after a failure or timeout, like Lambda does, or retries from the earliest batch item failure reported by a
+ * partial batch response); and stops when every record has been checkpointed, when the ESM
+ * gets disabled (e.g. in response to a `FatalError`) or when a maximum number of invocations is reached.
+ *
+ * The simulator's `configure` method installs in-memory stand-ins for the batch state store, the Kinesis DRQ & DMQ
+ * (used by the default `kinesis` dead letter sink) and the Lambda ESM API on a configured stream consumer context, so
+ * that retries, timeouts & disable-on-fatal behaviour can be asserted on without any AWS access.
+ *
+ * NB: Unlike Lambda, the simulator cannot freeze a timed out handler, which will continue to run in the background, so
+ * the simulator instead waits for a timed out handler to settle (for up to `abandonedHandlerTimeoutInMs` more simulated
+ * milliseconds) before it starts the next invocation, so that the abandoned handler cannot keep writing to the shared
+ * batch state store during the next invocation.
+ * @module aws-stream-consumer-core/stream-simulator
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.createHandler = createHandler;
+
+/**
+ * An enum for the outcomes of a simulated invocation.
+ * @enum {string}
+ * @readonly
+ */
+const InvocationOutcome = {
+  Succeeded: 'Succeeded',
+  /** Resolved with a partial batch response (i.e. with at least one batch item failure) */
+  PartiallySucceeded: 'PartiallySucceeded',
+  Failed: 'Failed',
+  TimedOut: 'TimedOut'
+};
+Object.freeze(InvocationOutcome);
+exports.InvocationOutcome = InvocationOutcome;
+
+/**
+ * An enum for the reasons why a simulation ended.
+ * @enum {string}
+ * @readonly
+ */
+const SimulationOutcome = {
+  Finalised: 'Finalised',
+  Disabled: 'Disabled',
+  MaxInvocationsReached: 'MaxInvocationsReached'
+};
+Object.freeze(SimulationOutcome);
+exports.SimulationOutcome = SimulationOutcome;
+
+const defaultRegion = 'us-west-2';
+const defaultAccountId = '000000000000';
+const defaultFunctionName = 'simulated-function';
+const defaultFunctionTimeoutInMs = 60000;
+const defaultBatchSize = 100;
+const defaultMaxInvocations = 100;
+
+/**
+ * A simulated clock, which runs in step with the real clock, but which can also be advanced (e.g. to simulate time
+ * spent outside of the handler or to start an invocation with less remaining time), and whose timers fire when the
+ * simulated time reaches their due times (i.e. either as real time passes or when the clock is advanced past them).
+ */
+class SimulatedClock {
+  /**
+   * Constructs a new simulated clock.
+   * @param {number|undefined} [startTime] - an optional epoch (in milliseconds) at which to start the clock (defaults to now)
+   */
+  constructor(startTime) {
+    this.offsetInMs = typeof startTime === 'number' ? startTime - Date.now() : 0;
+    this.timers = [];
+  }
+
+  /**
+   * Returns the current simulated time.
+   * @returns {number} the current simulated epoch in milliseconds
+   */
+  now() {
+    return Date.now() + this.offsetInMs;
+  }
+
+  /**
+   * Advances this clock by the given number of milliseconds.
+   * @param {number} ms - the number of milliseconds by which to advance
+   * @returns {number} the new simulated epoch in milliseconds
+   */
+  advance(ms) {
+    this.offsetInMs += ms;
+    // Fire any timers that are now due & reschedule the rest
+    this.timers.slice().forEach(timer => this.scheduleTimer(timer));
+    return this.now();
+  }
+
+  /**
+   * Starts a timer that will call the given callback once this clock's simulated time reaches its due time.
+   * @param {Function} callback - the callback to call when the timer fires
+   * @param {number} delayInMs - the number of simulated milliseconds from now after which the timer must fire
+   * @returns {SimulatedTimer} the new timer
+   */
+  setTimeout(callback, delayInMs) {
+    const timer = {dueAt: this.now() + Math.max(delayInMs, 0), callback: callback, handle: undefined};
+    this.timers.push(timer);
+    timer.handle = setTimeout(() => this.scheduleTimer(timer), Math.max(delayInMs, 0));
+    return timer;
+  }
+
+  /**
+   * Stops the given timer (if still pending).
+   * @param {SimulatedTimer|undefined} timer - the timer to stop
+   */
+  clearTimeout(timer) {
+    const index = this.timers.indexOf(timer);
+    if (index !== -1) {
+      this.timers.splice(index, 1);
+      clearTimeout(timer.handle);
+    }
+  }
+
+  /**
+   * Fires the given timer if it is due; otherwise (re)schedules it to fire after its remaining simulated time.
+   * @param {SimulatedTimer} timer - the timer to fire or schedule
+   * @private
+   */
+  scheduleTimer(timer) {
+    clearTimeout(timer.handle);
+    const delayInMs = timer.dueAt - this.now();
+    if (delayInMs <= 0) {
+      this.clearTimeout(timer);
+      timer.callback();
+    } else {
+      timer.handle = setTimeout(() => this.scheduleTimer(timer), delayInMs);
+    }
+  }
+}
+
+exports.SimulatedClock = SimulatedClock;
+
+/**
+ * A simulated shard, which holds an ordered list of records & a checkpoint (i.e. the index of the next record to be
+ * delivered) and which delivers its records in batches of up to a configurable size.
+ */
+class SimulatedShard {
+  /**
+   * Constructs a new simulated shard.
+   * @param {Record[]|undefined} [records] - the shard's initial records (if any)
+   * @param {number|undefined} [batchSize] - the maximum number of records to deliver per batch (defaults to 100)
+   */
+  constructor(records, batchSize) {
+    this.records = Array.isArray(records) ? records.slice() : [];
+    this.batchSize = batchSize > 0 ? batchSize : defaultBatchSize;
+    this.checkpoint = 0;
+  }
+
+  /**
+   * Appends the given records to this shard.
+   * @param {Record[]} records - the records to add
+   */
+  addRecords(records) {
+    records.forEach(record => this.records.push(record));
+  }
+
+  /**
+   * Returns true if every record in this shard has been checkpointed; false otherwise.
+   * @returns {boolean}
+   */
+  isFullyCheckpointed() {
+    return this.checkpoint >= this.records.length;
+  }
+
+  /**
+   * Returns fresh copies of the next batch of records from this shard's checkpoint, since Lambda delivers a newly
+   * deserialized event on every invocation.
+   * @returns {Record[]} the next batch of records (if any)
+   */
+  nextBatch() {
+    return this.records.slice(this.checkpoint, this.checkpoint + this.batchSize)
+      .map(record => JSON.parse(JSON.stringify(record)));
+  }
+
+  /**
+   * Advances this shard's checkpoint past the given number of records.
+   * @param {number} count - the number of records delivered & successfully processed
+   */
+  advanceCheckpoint(count) {
+    this.checkpoint = Math.min(this.checkpoint + count, this.records.length);
+  }
+}
+
+exports.SimulatedShard = SimulatedShard;
+
+/**
+ * An in-memory stand-in for an `AWS.Kinesis` instance, which only supports `putRecords` and which keeps every record
+ * put by stream name (e.g. to act as a Dead Record Queue and/or Dead Message Queue).
+ */
+class InMemoryKinesis {
+  constructor() {
+    Object.defineProperty(this, 'recordsByStreamName', {value: new Map(), enumerable: false});
+  }
+
+  putRecords(params) {
+    let records = this.recordsByStreamName.get(params.StreamName);
+    if (!records) {
+      records = [];
+      this.recordsByStreamName.set(params.StreamName, records);
+    }
+    const results = params.Records.map(entry => {
+      records.push(entry);
+      return {ShardId: 'shardId-000000000000', SequenceNumber: `${records.length}`};
+    });
+    return {promise: () => Promise.resolve({FailedRecordCount: 0, Records: results})};
+  }
+
+  /**
+   * Returns the entries put to the named stream so far.
+   * @param {string} streamName - the name of the stream
+   * @returns {Array.<{Data: (string|Buffer), PartitionKey: string}>} the entries put (if any)
+   */
+  getPutRecords(streamName) {
+    return this.recordsByStreamName.get(streamName) || [];
+  }
+
+  /**
+   * Returns the parsed data of each record put to the named stream so far (e.g. the dead letter envelopes sent to a
+   * DRQ or DMQ).
+   * @param {string} streamName - the name of the stream
+   * @returns {Object[]} the parsed data of the records put (if any)
+   */
+  getPutData(streamName) {
+    return this.getPutRecords(streamName).map(entry => JSON.parse(entry.Data.toString()));
+  }
+}
+
+exports.InMemoryKinesis = InMemoryKinesis;
+
+/**
+ * An in-memory stand-in for an `AWS.Lambda` instance, which only supports the callback-style
+ * `listEventSourceMappings` & `updateEventSourceMapping` methods used to disable an event source mapping.
+ */
+class InMemoryLambda {
+  /**
+   * Constructs a new in-memory Lambda stand-in with the given event source mappings (if any).
+   * @param {EventSourceMapping[]|undefined} [mappings] - the initial event source mappings
+   */
+  constructor(mappings) {
+    this.mappings = Array.isArray(mappings) ? mappings : [];
+  }
+
+  listEventSourceMappings(params, callback) {
+    const functionName = params.FunctionName;
+    const mappings = this.mappings.filter(m => !functionName || m.FunctionArn === functionName ||
+      m.FunctionArn.endsWith(`:${functionName}`));
+    setImmediate(() => callback(null, {EventSourceMappings: mappings.map(m => Object.assign({}, m))}));
+  }
+
+  updateEventSourceMapping(params, callback) {
+    const mapping = this.mappings.find(m => m.UUID === params.UUID);
+    if (!mapping) {
+      const err = new Error(`The resource you requested does not exist. (Service: AWSLambda; Status Code: 404; Error Code: ResourceNotFoundException)`);
+      err.code = 'ResourceNotFoundException';
+      setImmediate(() => callback(err));
+      return;
+    }
+    if (typeof params.Enabled === 'boolean') {
+      mapping.State = params.Enabled ? 'Enabled' : 'Disabled';
+    }
+    if (typeof params.BatchSize === 'number') {
+      mapping.BatchSize = params.BatchSize;
+    }
+    mapping.LastModified = new Date();
+    setImmediate(() => callback(null, Object.assign({}, mapping)));
+  }
+
+  /**
+   * Returns true if the identified event source mapping exists & is not disabled; false otherwise.
+   * @param {string} uuid - the unique identifier of the event source mapping
+   * @returns {boolean}
+   */
+  isEnabled(uuid) {
+    const mapping = this.mappings.find(m => m.UUID === uuid);
+    return !!mapping && mapping.State !== 'Disabled' && mapping.State !== 'Disabling';
+  }
+}
+
+exports.InMemoryLambda = InMemoryLambda;
+
+/**
+ * A simulated event source mapping between a Lambda function and a single in-memory shard.
+ */
+class StreamSimulator {
+  /**
+   * Constructs a new stream simulator over the given records.
+   * @param {Record[]} records - the Kinesis or DynamoDB stream event records with which to fill the simulated shard
+   * @param {StreamSimulatorOptions|undefined} [opts] - optional options to use
+   */
+  constructor(records, opts) {
+    const options = opts || {};
+    const region = options.region || defaultRegion;
+    const functionName = options.functionName || defaultFunctionName;
+    const qualifier = isNotBlank(options.functionAlias) ? `:${options.functionAlias}` : '';
+
+    this.shard = new SimulatedShard(records, options.batchSize);
+    this.clock = options.clock || new SimulatedClock();
+    this.functionName = functionName;
+    this.functionVersion = options.functionVersion || '$LATEST';
+    this.invokedFunctionArn = `arn:aws:lambda:${region}:${defaultAccountId}:function:${functionName}${qualifier}`;
+    this.functionTimeoutInMs = options.functionTimeoutInMs > 0 ? options.functionTimeoutInMs : defaultFunctionTimeoutInMs;
+    this.abandonedHandlerTimeoutInMs = options.abandonedHandlerTimeoutInMs >= 0 ? options.abandonedHandlerTimeoutInMs :
+      this.functionTimeoutInMs;
+    this.maxInvocations = options.maxInvocations > 0 ? options.maxInvocations : defaultMaxInvocations;
+    this.invocations = [];
+
+    const firstRecord = this.shard.records.find(r => r && isNotBlank(r.eventSourceARN));
+    const eventSourceArn = options.eventSourceArn || (firstRecord && firstRecord.eventSourceARN) ||
+      `arn:aws:kinesis:${region}:${defaultAccountId}:stream/SimulatedStream`;
+
+    // In-memory stand-ins
+    this.batchStateStore = options.batchStateStore || new InMemoryBatchStateStore();
+    this.kinesis = options.kinesis || new InMemoryKinesis();
+    this.mappingUUID = `simulated-esm-${functionName}`;
+    this.lambda = new InMemoryLambda([{
+      UUID: this.mappingUUID,
+      BatchSize: this.shard.batchSize,
+      EventSourceArn: eventSourceArn,
+      FunctionArn: this.invokedFunctionArn,
+      State: 'Enabled'
+    }]);
+  }
+
+  /**
+   * Installs this simulator's in-memory stand-ins on the given configured stream consumer context, i.e. its batch state
+   * store (together with the `loadBatchStateFromStore` & `saveBatchStateToStore` functions), its in-memory Kinesis
+   * instance (to which the default `kinesis` dead letter sink will send unusable records & rejected messages) and its
+   * in-memory Lambda instance (which will be used to disable its event source mapping).
+   * @param {StreamConsumerContext} context - the configured context to use
+   * @returns {StreamConsumerContext} the given context
+   */
+  configure(context) {
+    context.streamProcessing.batchStateStore = this.batchStateStore;
+    context.streamProcessing.loadBatchState = persisting.loadBatchStateFromStore;
+    context.streamProcessing.saveBatchState = persisting.saveBatchStateToStore;
+    context.kinesis = this.kinesis;
+    context.lambda = this.lambda;
+    // Avoid re-using any event source mapping cached by an earlier simulation
+    esmCache.clearCache();
+    return context;
+  }
+
+  /**
+   * Returns true if this simulator's event source mapping is still enabled; false otherwise.
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.lambda.isEnabled(this.mappingUUID);
+  }
+
+  /**
+   * Creates a new simulated AWS context for an invocation that must complete by the given deadline.
+   * @param {number} deadline - the simulated epoch (in milliseconds) by which the invocation must complete
+   * @returns {AWSContext} a simulated AWS context
+   */
+  createAwsContext(deadline) {
+    const requestId = `simulated-request-${this.invocations.length + 1}`;
+    return {
+      callbackWaitsForEmptyEventLoop: true,
+      logGroupName: `/aws/lambda/${this.functionName}`,
+      logStreamName: `simulated/[${this.functionVersion}]${requestId}`,
+      functionName: this.functionName,
+      functionVersion: this.functionVersion,
+      memoryLimitInMB: 128,
+      invokeid: requestId,
+      awsRequestId: requestId,
+      invokedFunctionArn: this.invokedFunctionArn,
+      getRemainingTimeInMillis: () => Math.max(deadline - this.clock.now(), 0)
+    };
+  }
+
+  /**
+   * Invokes the given handler once with the next batch of records from the shard's checkpoint and then only advances
+   * the checkpoint if the handler succeeded before the function timed out (according to the simulated clock). If the
+   * function timed out, then also waits for the abandoned handler to settle (for up to `abandonedHandlerTimeoutInMs`).
+   * @param {function(event: AnyStreamEvent, awsContext: AWSContext): (Promise.<*>|*)} handler - the handler to invoke
+   * @returns {Promise.<SimulatedInvocation>} a promise of the result of the invocation
+   */
+  invoke(handler) {
+    const records = this.shard.nextBatch();
+    const startedAt = this.clock.now();
+    const deadline = startedAt + this.functionTimeoutInMs;
+    const awsContext = this.createAwsContext(deadline);
+    const invocation = {
+      invocation: this.invocations.length + 1,
+      checkpoint: this.shard.checkpoint,
+      recordCount: records.length
+    };
+    this.invocations.push(invocation);
+
+    let timer = undefined;
+    const timedOut = {};
+    const timeoutPromise = new Promise(resolve => {
+      timer = this.clock.setTimeout(() => resolve(timedOut), deadline - this.clock.now());
+    });
+
+    const handlerPromise = Promises.try(() => handler({Records: records}, awsContext)).then(
+      result => ({result: result}),
+      err => ({error: err})
+    );
+
+    return Promise.race([handlerPromise, timeoutPromise]).then(outcome => {
+      this.clock.clearTimeout(timer);
+      invocation.durationInMs = this.clock.now() - startedAt;
+      if (outcome === timedOut) {
+        invocation.outcome = InvocationOutcome.TimedOut;
+        invocation.error = new Error(`Task timed out after ${(this.functionTimeoutInMs / 1000).toFixed(2)} seconds`);
+        return this.waitForAbandonedHandler(handlerPromise).then(settled => {
+          invocation.abandonedHandlerSettled = settled;
+          return invocation;
+        });
+      } else if (outcome.error) {
+        invocation.outcome = InvocationOutcome.Failed;
+        invocation.error = outcome.error;
+        invocation.batch = outcome.error.batch;
+      } else if (isBatchItemFailuresResponse(outcome.result)) {
+        // Like Lambda, checkpoint every record before the earliest reported batch item failure & retry from it
+        const batchItemFailures = outcome.result.batchItemFailures;
+        const failedIndexes = batchItemFailures.map(f => records.findIndex(r => toSequenceNumber(r) === f.itemIdentifier));
+        invocation.batch = outcome.result.batch;
+        invocation.batchItemFailures = batchItemFailures;
+        if (failedIndexes.length <= 0) {
+          invocation.outcome = InvocationOutcome.Succeeded;
+          this.shard.advanceCheckpoint(records.length);
+        } else if (failedIndexes.some(i => i === -1)) {
+          // Lambda treats a response with an unknown item identifier as a complete failure
+          invocation.outcome = InvocationOutcome.Failed;
+          invocation.error = new Error(`Invalid batch item failures ${JSON.stringify(batchItemFailures)}`);
+        } else {
+          invocation.outcome = InvocationOutcome.PartiallySucceeded;
+          this.shard.advanceCheckpoint(Math.min.apply(null, failedIndexes));
+        }
+      } else {
+        invocation.outcome = InvocationOutcome.Succeeded;
+        invocation.batch = outcome.result;
+        this.shard.advanceCheckpoint(records.length);
+      }
+      return invocation;
+    });
+  }
+
+  /**
+   * Waits for the given promise of the outcome of a timed out (i.e. abandoned) handler to settle, but for no more than
+   * `abandonedHandlerTimeoutInMs` simulated milliseconds.
+   * @param {Promise.<*>} handlerPromise - a promise of the abandoned handler's outcome (which never rejects)
+   * @returns {Promise.<boolean>} a promise that will resolve with true if the handler settled; otherwise false
+   * @private
+   */
+  waitForAbandonedHandler(handlerPromise) {
+    let timer = undefined;
+    const abandonedPromise = new Promise(resolve => {
+      timer = this.clock.setTimeout(() => resolve(false), this.abandonedHandlerTimeoutInMs);
+    });
+    return Promise.race([handlerPromise.then(() => true), abandonedPromise]).then(settled => {
+      this.clock.clearTimeout(timer);
+      return settled;
+    });
+  }
+
+  /**
+   * Repeatedly invokes the given handler with batches of records from the shard (replaying the same batch after every
+   * failed or timed out invocation) until every record has been checkpointed, the event source mapping has been
+   * disabled or the maximum number of invocations has been reached.
+   * @param {function(event: AnyStreamEvent, awsContext: AWSContext): (Promise.<*>|*)} handler - the handler to invoke
+   * @returns {Promise.<SimulationReport>} a promise of a report of the simulation
+   */
+  run(handler) {
+    const next = () => {
+      if (this.shard.isFullyCheckpointed()) return this.toReport(SimulationOutcome.Finalised);
+      if (!this.isEnabled()) return this.toReport(SimulationOutcome.Disabled);
+      if (this.invocations.length >= this.maxInvocations) return this.toReport(SimulationOutcome.MaxInvocationsReached);
+      return this.invoke(handler).then(next);
+    };
+    return Promise.resolve().then(next);
+  }
+
+  /**
+   * Builds a report of the simulation so far.
+   * @param {SimulationOutcome} outcome - the reason why the simulation ended
+   * @returns {SimulationReport} a report of the simulation
+   */
+  toReport(outcome) {
+    return {
+      outcome: outcome,
+      invocations: this.invocations.slice(),
+      failedInvocations: this.invocations.filter(i => i.outcome === InvocationOutcome.Failed ||
+        i.outcome === InvocationOutcome.TimedOut).length,
+      checkpoint: this.shard.checkpoint,
+      recordCount: this.shard.records.length
+    };
+  }
+}
+
+exports.StreamSimulator = StreamSimulator;
+
+function isBatchItemFailuresResponse(result) {
+  return !!result && typeof result === 'object' && Array.isArray(result.batchItemFailures);
+}
+
+function toSequenceNumber(record) {
+  return record.kinesis ? record.kinesis.sequenceNumber : record.dynamodb ? record.dynamodb.SequenceNumber : undefined;
+}
+
+/**
+ * Creates a Lambda-style handler for use with a {@link StreamSimulator}, which configures the given configured stream
+ * consumer context with each invocation's event & AWS context and then processes the event with `processStreamEvent`.
+ * @param {ProcessOneTaskDef[]|undefined} [processOneTaskDefs] - an "optional" list of "processOne" task definitions
+ * @param {ProcessAllTaskDef[]|undefined} [processAllTaskDefs] - an "optional" list of "processAll" task definitions
+ * @param {StreamConsumerContext} context - the configured context to use
+ * @returns {function(event: AnyStreamEvent, awsContext: AWSContext): Promise.<Batch>} a handler function
+ */
+function createHandler(processOneTaskDefs, processAllTaskDefs, context) {
+  return (event, awsContext) => {
+    streamProcessing.configureEventAwsContextAndStage(context, event, awsContext);
+    return streamConsumer.processStreamEvent(event, processOneTaskDefs, processAllTaskDefs, context);
+  };
+}
@@ -0,0 +1,104 @@
+'use strict';
+
+const TaskDef = require('task-utils/task-defs');
+const taskUtils = require('task-utils');
+
+const isInstanceOf = require('core-functions/objects').isInstanceOf;
+
+/**
+ * Utilities for conditional "process one" (and "process all") task definitions, which take a `when(message,
+ * messageState)` predicate that decides whether the task definition applies to a message. A conditional task
+ * definition's tasks are ONLY created (and hence ONLY executed, tracked & persisted) for the messages to which it
+ * applies (NB: a "process all" task is still created on the batch), so that tasks no longer need to check
+ * for themselves whether a message applies to them and complete as no-ops. Each predicate is evaluated when a message's
+ * tasks are revived during `Batch.reviveTasks`, but a message's existing (e.g. previously persisted) tasks are always
+ * revived regardless of their task definitions' predicates.
+ * @module aws-stream-consumer-core/task-predicates
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.defineConditionalTask = defineConditionalTask;
+exports.setWhen = setWhen;
+exports.getWhen = getWhen;
+exports.appliesTo = appliesTo;
+exports.getApplicableTaskDefs = getApplicableTaskDefs;
+
+/**
+ * Defines a new executable task definition with the given name, execute function & optional settings, which ONLY
+ * applies to the messages for which the given `when` predicate returns true.
+ * @param {string} taskName - the name of the task
+ * @param {Function} execute - the function to be executed when a task created using this definition is started
+ * @param {TaskPredicate} when - the predicate that decides whether the task definition applies to a message
+ * @param {TaskDefSettings|undefined} [settings] - optional settings to use to configure the task definition
+ * @returns {TaskDef} a new conditional task definition
+ * @throws {Error} if taskName, execute or when are invalid
+ */
+function defineConditionalTask(taskName, execute, when, settings) {
+  return setWhen(TaskDef.defineTask(taskName, execute, settings), when);
+}
+
+/**
+ * Sets (or clears, if undefined) the `when` predicate of the given task definition.
+ * @param {TaskDef} taskDef - the task definition to update
+ * @param {TaskPredicate|undefined} when - the predicate that decides whether the task definition applies to a message
+ * @returns {TaskDef} the given task definition
+ * @throws {Error} if taskDef is not a TaskDef or when is neither undefined nor a function
+ */
+function setWhen(taskDef, when) {
+  if (!isInstanceOf(taskDef, TaskDef)) {
+    throw new Error(`Cannot set a when predicate on a non-TaskDef (${taskDef})`);
+  }
+  if (when !== undefined && typeof when !== 'function') {
+    throw new Error(`Cannot set an invalid when predicate (${when}) on task definition (${taskDef.name})`);
+  }
+  Object.defineProperty(taskDef, 'when', {value: when, writable: true, enumerable: false, configurable: true});
+  return taskDef;
+}
+
+/**
+ * Returns the `when` predicate of the given task definition (if any).
+ * @param {TaskDef} taskDef - the task definition
+ * @returns {TaskPredicate|undefined} the task definition's predicate (if any); otherwise undefined
+ */
+function getWhen(taskDef) {
+  return taskDef && typeof taskDef.when === 'function' ? taskDef.when : undefined;
+}
+
+/**
+ * Returns true if the given task definition applies to the given message, i.e. if it has no `when` predicate or if its
+ * predicate returns a truthy result for the message; otherwise false. A predicate that throws an error is logged & is
+ * regarded as applying to the message, so that a broken predicate cannot silently skip a message's processing.
+ * @param {TaskDef} taskDef - the task definition to check
+ * @param {Message} message - the message to check
+ * @param {MessageState} messageState - the message's state
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {boolean} true if the task definition applies to the message; false otherwise
+ */
+function appliesTo(taskDef, message, messageState, context) {
+  const when = getWhen(taskDef);
+  if (!when) {
+    return true;
+  }
+  try {
+    return !!when(message, messageState);
+  } catch (err) {
+    context.error(`Failed to evaluate when predicate of ${taskDef.name} on message (${messageState && (messageState.msgDesc || messageState.id)}) - treating it as applicable`, err);
+    return true;
+  }
+}
+
+/**
+ * Returns the given task definitions that apply to the given message or that already have a task on the given map of
+ * the message's existing tasks (if any), so that a message's existing tasks are always revived.
+ * @param {TaskDef[]} taskDefs - the task definitions to filter
+ * @param {Message} message - the message
+ * @param {MessageState} messageState - the message's state
+ * @param {TasksByName|undefined} [tasksByName] - an optional map of the message's existing tasks by name
+ * @param {StreamConsumerContext} context - the context to use
+ * @returns {TaskDef[]} the applicable task definitions
+ */
+function getApplicableTaskDefs(taskDefs, message, messageState, tasksByName, context) {
+  return taskDefs.filter(taskDef => (tasksByName && taskUtils.getTask(tasksByName, taskDef.name)) ||
+    appliesTo(taskDef, message, messageState, context));
+}
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/attempt-policies.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const attemptPolicies = require('../attempt-policies');
+
+const settings = require('../settings');
+const ExhaustionPolicy = settings.ExhaustionPolicy;
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const errors = require('core-functions/errors');
+const TransientError = errors.TransientError;
+
+const streamProcessing = require('../stream-processing');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// A task that fails its first given number of executions with errors created by the given function
+function failingTask(name, failures, toError, executions) {
+  return TaskDef.defineTask(name, function () {
+    executions.push(name);
+    const n = executions.length;
+    return n <= failures ? Promise.reject(toError(n)) : Promise.resolve(n);
+  });
+}
+
+// =====================================================================================================================
+// settings & isBlockedOnExhaustion
+// =====================================================================================================================
+
+test('getAttemptPolicy', t => {
+  const context = {
+    streamProcessing: {
+      maxNumberOfAttempts: 10,
+      attemptPolicies: {
+        sendEmail: {maxNumberOfAttempts: 3},
+        updateLedger: {onExhaustion: 'block'},
+        syncCrm: {maxNumberOfAttempts: '2', onExhaustion: ' skip '},
+        invalid: {maxNumberOfAttempts: 0, onExhaustion: 'retry'}
+      }
+    }
+  };
+  t.deepEqual(settings.getAttemptPolicy(context, 'sendEmail'), {maxNumberOfAttempts: 3, onExhaustion: ExhaustionPolicy.reject},
+    `sendEmail must reject after 3 attempts`);
+  t.deepEqual(settings.getAttemptPolicy(context, 'updateLedger'), {maxNumberOfAttempts: 10, onExhaustion: ExhaustionPolicy.block},
+    `updateLedger must block after maxNumberOfAttempts`);
+  t.deepEqual(settings.getAttemptPolicy(context, 'syncCrm'), {maxNumberOfAttempts: 2, onExhaustion: ExhaustionPolicy.skip},
+    `syncCrm must skip after 2 attempts`);
+  t.deepEqual(settings.getAttemptPolicy(context, 'invalid'), {maxNumberOfAttempts: 10, onExhaustion: ExhaustionPolicy.reject},
+    `invalid policy must fall back to the defaults`);
+  t.deepEqual(settings.getAttemptPolicy(context, 'other'), {maxNumberOfAttempts: 10, onExhaustion: ExhaustionPolicy.reject},
+    `unconfigured task must use the defaults`);
+
+  context.streamProcessing.maxPermanentAttempts = 4;
+  t.equal(settings.getAttemptPolicy(context, 'other').maxNumberOfAttempts, 4, `must default to maxPermanentAttempts`);
+
+  t.ok(attemptPolicies.isBlockedOnExhaustion('updateLedger', context), `updateLedger must be blocked on exhaustion`);
+  t.notOk(attemptPolicies.isBlockedOnExhaustion('sendEmail', context), `sendEmail must not be blocked on exhaustion`);
+  t.end();
+});
+
+// =====================================================================================================================
+// discardIfOverAttempted
+// =====================================================================================================================
+
+// =====================================================================================================================
+// discardIfOverAttempted
+// =====================================================================================================================
+
+// Creates a task with a sub-task, which have each been attempted & failed the given numbers of times
+function createAttemptedTask(context, attempts, subTaskAttempts) {
+  const taskDef = TaskDef.defineTask('syncCrm', () => undefined);
+  taskDef.defineSubTask('step1', () => undefined);
+  const task = context.taskFactory.createTask(taskDef, {});
+  const attempt = (t, n) => {
+    t.start();
+    for (let i = 1; i < n; ++i) t.incrementAttempts();
+    t.fail(new Error(`Planned failure`));
+  };
+  attempt(task, attempts);
+  attempt(task.getSubTask('step1'), subTaskAttempts);
+  return task;
+}
+
+test('discardIfOverAttempted skips an exhausted task & its incomplete sub-tasks', t => {
+  const context = createContext({attemptPolicies: {syncCrm: {maxNumberOfAttempts: 2, onExhaustion: 'skip'}}});
+  const task = createAttemptedTask(context, 2, 1);
+
+  t.equal(attemptPolicies.discardIfOverAttempted(task, context), 0, `must NOT discard any tasks`);
+  t.equal(task.state.name, attemptPolicies.SKIPPED, `task must be skipped, although its sub-task was incomplete`);
+  t.equal(task.getSubTask('step1').state.name, attemptPolicies.SKIPPED, `sub-task must also be skipped`);
+  t.end();
+});
+
+test('discardIfOverAttempted skips an exhausted sub-task of a task that is not exhausted', t => {
+  const context = createContext({attemptPolicies: {syncCrm: {maxNumberOfAttempts: 2, onExhaustion: 'skip'}}});
+  const task = createAttemptedTask(context, 1, 2);
+
+  attemptPolicies.discardIfOverAttempted(task, context);
+  t.ok(task.incomplete, `task must still be incomplete`);
+  t.equal(task.getSubTask('step1').state.name, attemptPolicies.SKIPPED, `exhausted sub-task must be skipped`);
+  t.end();
+});
+
+test('discardIfOverAttempted alerts on an exhausted blocking task with incomplete sub-tasks', t => {
+  const context = createContext({attemptPolicies: {syncCrm: {maxNumberOfAttempts: 2, onExhaustion: 'block'}}});
+  const task = createAttemptedTask(context, 2, 1);
+  const errorsLogged = [];
+  context.error = function () {
+    errorsLogged.push(Array.prototype.join.call(arguments, ' '));
+  };
+
+  t.equal(attemptPolicies.discardIfOverAttempted(task, context), 0, `must NOT discard any tasks`);
+  t.ok(task.incomplete && task.getSubTask('step1').incomplete, `task & sub-task must still be incomplete`);
+  t.ok(errorsLogged.some(msg => msg.indexOf('BLOCKED - syncCrm') !== -1), `must alert that syncCrm is blocked`);
+  t.end();
+});
+
+test('A "reject" attempt policy discards a message to the DMQ after its own maxNumberOfAttempts', t => {
+  const context = createContext({maxNumberOfAttempts: 10, attemptPolicies: {sendEmail: {maxNumberOfAttempts: 3}}});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const sendEmail = failingTask('sendEmail', 100, n => new Error(`Planned failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([sendEmail], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 3, `must execute sendEmail 3 times`);
+      const discarded = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(discarded.length, 1, `must discard the message to the DMQ`);
+      t.ok(discarded[0].tasks.ones[0].reason.indexOf('maximum number of attempts allowed (3)') !== -1,
+        `must discard the message with the policy's maximum number of attempts`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A "block" attempt policy never discards a message & blocks its shard', t => {
+  const context = createContext({maxNumberOfAttempts: 2, attemptPolicies: {updateLedger: {onExhaustion: 'block'}}});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev', maxInvocations: 4});
+  sim.configure(context);
+
+  const errorsLogged = [];
+  const error = context.error;
+  context.error = function () {
+    errorsLogged.push(Array.prototype.join.call(arguments, ' '));
+    return error.apply(context, arguments);
+  };
+
+  const executions = [];
+  const updateLedger = failingTask('updateLedger', 100, n => new Error(`Planned failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([updateLedger], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.MaxInvocationsReached, `outcome must be MaxInvocationsReached`);
+      t.equal(executions.length, 4, `must keep executing updateLedger on every invocation`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard the message to the DMQ`);
+      t.ok(errorsLogged.some(msg => msg.indexOf('BLOCKED - updateLedger') !== -1), `must alert that updateLedger is blocked`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A "block" attempt policy also applies to transient attempts', t => {
+  const context = createContext({maxNumberOfAttempts: 10, maxTransientAttempts: 2,
+    attemptPolicies: {updateLedger: {onExhaustion: 'block'}}});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev', maxInvocations: 4});
+  sim.configure(context);
+
+  const executions = [];
+  const updateLedger = failingTask('updateLedger', 100, n => new TransientError(`Planned transient failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([updateLedger], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.MaxInvocationsReached, `outcome must be MaxInvocationsReached`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard the message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A "skip" attempt policy completes an exhausted task without discarding its message', t => {
+  const context = createContext({maxNumberOfAttempts: 10, attemptPolicies: {syncCrm: {maxNumberOfAttempts: 2, onExhaustion: 'skip'}}});
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const syncCrm = failingTask('syncCrm', 100, n => new Error(`Planned failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([syncCrm], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 4, `must execute syncCrm twice per message`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,270 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/batch-state-admin.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const admin = require('../batch-state-admin');
+const TaskAction = admin.TaskAction;
+
+const persisting = require('../persisting');
+const saveBatchStateToDynamoDB = persisting.saveBatchStateToDynamoDB;
+
+const Batch = require('../batch');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+
+const tableName = 'TestBatchState_DEV';
+
+const processOne = (message, context) => message;
+
+function conditionalCheckFailed() {
+  const err = new Error('The conditional request failed');
+  err.code = 'ConditionalCheckFailedException';
+  return err;
+}
+
+function mockDynamoDBDocClient(table) {
+  const toKey = k => JSON.stringify([k.streamConsumerId, k.shardOrEventID]);
+  const copy = v => JSON.parse(JSON.stringify(v), (k, v) => v && v.type === 'Buffer' && Array.isArray(v.data) ? Buffer.from(v.data) : v);
+  const respond = fn => ({promise: () => new Promise((resolve, reject) => { try { resolve(fn()); } catch (err) { reject(err); } })});
+  return {
+    get: request => respond(() => {
+      const item = table.get(toKey(request.Key));
+      return item ? {Item: copy(item)} : {};
+    }),
+    put: request => respond(() => {
+      const existing = table.get(toKey(request.Item));
+      const condition = request.ConditionExpression || '';
+      const values = request.ExpressionAttributeValues || {};
+      if (condition.indexOf(':expectedVersion') !== -1 ? !existing || existing.version !== values[':expectedVersion'] :
+          condition.indexOf('attribute_not_exists') !== -1 && existing && (condition.indexOf('#version') === -1 || existing.version !== undefined)) {
+        throw conditionalCheckFailed();
+      }
+      table.set(toKey(request.Item), copy(request.Item));
+      return request.ReturnValues === 'ALL_OLD' && existing ? {Attributes: copy(existing)} : {};
+    }),
+    delete: request => respond(() => {
+      table.delete(toKey(request.Key));
+      return {};
+    }),
+    query: request => respond(() => {
+      // Emulate pagination with pages of at most 2 items
+      const streamConsumerId = request.ExpressionAttributeValues[':streamConsumerId'];
+      const items = Array.from(table.values()).filter(i => i.streamConsumerId === streamConsumerId);
+      const start = request.ExclusiveStartKey ? items.findIndex(i => toKey(i) === toKey(request.ExclusiveStartKey)) + 1 : 0;
+      const page = items.slice(start, start + 2);
+      const result = {Items: page.map(copy)};
+      if (start + 2 < items.length) result.LastEvaluatedKey = {streamConsumerId: streamConsumerId, shardOrEventID: page[1].shardOrEventID};
+      return result;
+    }),
+    batchWrite: request => respond(() => {
+      request.RequestItems[tableName].forEach(r => table.set(toKey(r.PutRequest.Item), copy(r.PutRequest.Item)));
+      return {UnprocessedItems: {}};
+    }),
+    batchGet: request => respond(() => {
+      const keys = request.RequestItems[tableName].Keys;
+      return {Responses: {[tableName]: keys.map(k => table.get(toKey(k))).filter(i => !!i).map(copy)}};
+    })
+  };
+}
+
+function createContext(table) {
+  const context = fixtures.createContext(fixtures.sampleMessagesSettings({
+    batchKeyedOnEventID: true,
+    batchStateIndexed: true,
+    batchStateTableName: 'TestBatchState'
+  }), 'dev');
+  context.dynamoDBDocClient = mockDynamoDBDocClient(table);
+  return context;
+}
+
+/** Saves 2 differently keyed batches (with index items) & fails msg2's task in the first batch */
+function saveBatches(context) {
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = fixtures.sampleMessagesAndRecords(3);
+
+  const toBatch = mrs => {
+    const batch = new Batch(mrs.map(mr => mr[1]), [processOneTaskDef], [], context);
+    mrs.forEach(mr => batch.addMessage(mr[0], mr[1], undefined, context));
+    batch.reviveTasks(context);
+    return batch;
+  };
+  const batch1 = toBatch(msgsAndRecs.slice(0, 2));
+  const tasks = batch1.messages.map(msg => batch1.states.get(msg).ones.processOne);
+  tasks[0].start();
+  tasks[0].succeed();
+  tasks[1].start();
+  tasks[1].fail(new Error('Planned msg2 error'));
+
+  const batch2 = toBatch(msgsAndRecs.slice(2));
+
+  return saveBatchStateToDynamoDB(batch1, context)
+    .then(() => saveBatchStateToDynamoDB(batch2, context))
+    .then(() => [batch1, batch2]);
+}
+
+// =====================================================================================================================
+// listBatchStateItems & describeBatchStateItem
+// =====================================================================================================================
+
+test('listBatchStateItems lists only batch state items & describeBatchStateItem describes them', t => {
+  const table = new Map();
+  const context = createContext(table);
+
+  saveBatches(context)
+    .then(batches => {
+      t.equal(table.size, 5, `table must contain 2 batch state items & 3 index items`);
+      return admin.listBatchStateItems(tableName, batches[0].streamConsumerId, context).then(items => {
+        t.deepEqual(items.map(i => i.shardOrEventID), batches.map(b => b.shardOrEventID), `must only list the 2 batch state items`);
+
+        const desc = admin.describeBatchStateItem(items[0], true);
+        t.equal(desc.split('\n').length, 1, `concise description must be 1 line`);
+        t.ok(desc.startsWith(`Batch (${batches[0].shardOrEventID}) with 2 msgs, 0 rejected msgs & 0 unusable recs - version 1`), `concise description must describe batch 1`);
+
+        const lines = admin.describeBatchStateItem(items[0], false).split('\n');
+        t.equal(lines.length, 5, `verbose description must have 5 lines`);
+        t.ok(lines[2].indexOf('ones: processOne - Succeeded (attempts: 1)') !== -1, `must describe msg1's task as succeeded`);
+        t.ok(lines[4].indexOf('ones: processOne - Failed (attempts: 1) - error: Error: Planned msg2 error') !== -1, `must describe msg2's task as failed`);
+        t.end();
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// updateMessageTaskStates
+// =====================================================================================================================
+
+test('updateMessageTaskStates completes & abandons a message\'s unfinalised tasks', t => {
+  const table = new Map();
+  const context = createContext(table);
+
+  saveBatches(context)
+    .then(batches => {
+      const key = batches[0].key;
+      return admin.updateMessageTaskStates(tableName, key, '#0', undefined, TaskAction.complete, undefined, context)
+        .then(result => {
+          t.equal(result.updatedTasks, 0, `must NOT update msg1's already succeeded task`);
+
+          const eventID = result.item.messageStates[1].eventID;
+          return admin.updateMessageTaskStates(tableName, key, eventID, 'processOne', TaskAction.abandon, 'Poison message', context);
+        })
+        .then(result => {
+          t.equal(result.updatedTasks, 1, `must abandon msg2's task`);
+          return admin.getBatchStateItem(tableName, key, context);
+        })
+        .then(item => {
+          t.equal(item.version, 2, `item.version must be 2`);
+          t.deepEqual(item.messageStates[1].ones.processOne.state, {type: 'Rejected', name: 'Abandoned', reason: 'Poison message'}, `msg2's task must be abandoned`);
+          t.equal(item.messageStates[1].ones.processOne.attempts, 1, `msg2's task attempts must still be 1`);
+          return admin.updateMessageTaskStates(tableName, key, '#5', undefined, TaskAction.complete, undefined, context)
+            .then(() => t.fail(`must reject an unknown message`), err => t.ok(err.message.indexOf('Found no message') !== -1, `must reject an unknown message`));
+        })
+        .then(() => admin.updateMessageTaskStates(tableName, batches[1].key, '#0', undefined, TaskAction.complete, undefined, context))
+        .then(result => {
+          t.equal(result.updatedTasks, 1, `must complete batch 2's msg3's task`);
+          t.deepEqual(result.item.messageStates[0].ones.processOne.state, {type: 'Completed'}, `msg3's task must be completed`);
+          t.end();
+        });
+    })
+    .catch(err => t.end(err));
+});
+
+test('updateMessageTaskStates fails if the batch state item was concurrently updated', t => {
+  const table = new Map();
+  const context = createContext(table);
+
+  saveBatches(context)
+    .then(batches => {
+      const key = batches[0].key;
+      const get = context.dynamoDBDocClient.get;
+      // Simulate a concurrent save of the batch by its stream consumer immediately after the get
+      context.dynamoDBDocClient.get = request => ({
+        promise: () => get(request).promise().then(result => {
+          table.get(JSON.stringify([key.streamConsumerId, key.shardOrEventID])).version = 2;
+          return result;
+        })
+      });
+      return admin.updateMessageTaskStates(tableName, key, '#1', undefined, TaskAction.complete, undefined, context)
+        .then(() => t.end(new Error(`must NOT succeed`)), err => {
+          t.equal(err.code, 'ConditionalCheckFailedException', `must fail with a conditional check failure`);
+          t.end();
+        });
+    })
+    .catch(err => t.end(err));
+});
+
+test('updateMessageTaskStates replaces a chunked batch state item\'s chunk items', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 1;
+  context.streamProcessing.batchStateChunkSizeInBytes = 100;
+  const chunkItemsOf = key => Array.from(table.values()).filter(i => i.chunk && i.shardOrEventID.startsWith(key.shardOrEventID));
+
+  saveBatches(context)
+    .then(batches => {
+      const key = batches[0].key;
+      const chunkSetId1 = chunkItemsOf(key)[0].chunkSetId;
+      return admin.updateMessageTaskStates(tableName, key, '#1', undefined, TaskAction.complete, undefined, context)
+        .then(result => {
+          t.equal(result.updatedTasks, 1, `must complete msg2's task`);
+          const item = table.get(JSON.stringify([key.streamConsumerId, key.shardOrEventID]));
+          t.notEqual(item.chunkSetId, chunkSetId1, `must save a new chunk set`);
+          t.equal(chunkItemsOf(key).length, item.chunkCount, `must only keep the new chunk set's ${item.chunkCount} chunk items`);
+          t.ok(chunkItemsOf(key).every(c => c.chunkSetId === item.chunkSetId), `must delete the superseded chunk items`);
+          return admin.getBatchStateItem(tableName, key, context);
+        })
+        .then(item => {
+          t.deepEqual(item.messageStates[1].ones.processOne.state, {type: 'Completed'}, `msg2's task must be completed`);
+          t.end();
+        });
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// deleteBatchStateItem
+// =====================================================================================================================
+
+test('deleteBatchStateItem deletes a batch state item & its chunk items', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 1;
+  context.streamProcessing.batchStateChunkSizeInBytes = 100;
+
+  saveBatches(context)
+    .then(batches => {
+      const key = batches[0].key;
+      const chunkItems = Array.from(table.values()).filter(i => i.chunk);
+      t.ok(chunkItems.length > 1, `must have saved chunk items`);
+      return admin.getBatchStateItem(tableName, key, context)
+        .then(item => {
+          t.equal(item.messageStates.length, 2, `must reassemble a chunked item's states`);
+          return admin.listBatchStateItems(tableName, key.streamConsumerId, context);
+        })
+        .then(items => {
+          t.equal(items.length, 2, `must only list the 2 batch state items`);
+          t.ok(admin.describeBatchStateItem(items[0], true).indexOf('states in') !== -1, `must describe a listed chunked item's chunks`);
+          return admin.deleteBatchStateItem(tableName, key, context);
+        })
+        .then(count => {
+          const remaining = Array.from(table.values());
+          t.ok(count > 1, `must delete the item & its chunk items`);
+          t.ok(remaining.every(i => !i.shardOrEventID.startsWith(key.shardOrEventID)), `must delete batch 1's item & chunk items`);
+          t.ok(remaining.some(i => i.shardOrEventID === batches[1].shardOrEventID), `must NOT delete batch 2's item`);
+          return admin.deleteBatchStateItem(tableName, key, context);
+        })
+        .then(count => {
+          t.equal(count, 0, `must delete nothing if the item does not exist`);
+          t.end();
+        });
+    })
+    .catch(err => t.end(err));
+});
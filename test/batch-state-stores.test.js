@@ -0,0 +1,212 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/batch-state-stores.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The test subject
+const batchStateStores = require('../batch-state-stores');
+const BatchStateStore = batchStateStores.BatchStateStore;
+const InMemoryBatchStateStore = batchStateStores.InMemoryBatchStateStore;
+const FileBatchStateStore = batchStateStores.FileBatchStateStore;
+
+const persisting = require('../persisting');
+const saveBatchStateToStore = persisting.saveBatchStateToStore;
+const loadBatchStateFromStore = persisting.loadBatchStateFromStore;
+const Batch = require('../batch');
+
+const TaskDef = require('task-utils/task-defs');
+const taskStates = require('task-utils/task-states');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleMessagesAndRecords = fixtures.sampleMessagesAndRecords;
+
+const processOne = (message, context) => message;
+
+function createContext(batchStateStore) {
+  return fixtures.createContext(fixtures.sampleMessagesSettings({batchStateStore: batchStateStore}), 'dev');
+}
+
+function createBatch(msgsAndRecs, processOneTaskDef, revive, context) {
+  // Use copies of the messages & records to simulate a replay of the same records
+  const copies = JSON.parse(JSON.stringify(msgsAndRecs));
+  const batch = new Batch(copies.map(mr => mr[1]), [processOneTaskDef], [], context);
+  copies.forEach(mr => batch.addMessage(mr[0], mr[1], undefined, context));
+  if (revive) batch.reviveTasks(context);
+  return batch;
+}
+
+function checkStoreContract(t, store, context) {
+  const key1 = {streamConsumerId: 'K|S1|C1', shardOrEventID: 'S|shard1'};
+  const key2 = {streamConsumerId: 'K|S1|C1', shardOrEventID: 'S|shard2'};
+  const key3 = {streamConsumerId: 'K|S2|C1', shardOrEventID: 'S|shard1'};
+  const item1 = {streamConsumerId: key1.streamConsumerId, shardOrEventID: key1.shardOrEventID, messageStates: [{id: 'M1'}]};
+  const item2 = {streamConsumerId: key2.streamConsumerId, shardOrEventID: key2.shardOrEventID, messageStates: []};
+  const item3 = {streamConsumerId: key3.streamConsumerId, shardOrEventID: key3.shardOrEventID, messageStates: []};
+
+  return store.load(key1, context)
+    .then(item => {
+      t.equal(item, undefined, `${store.name} load of missing item must be undefined`);
+      return Promise.all([store.save(item1, context), store.save(item2, context), store.save(item3, context)]);
+    })
+    .then(() => store.load(key1, context))
+    .then(item => {
+      t.deepEqual(item, item1, `${store.name} load must return saved item1`);
+      t.notEqual(item, item1, `${store.name} load must return a copy of item1`);
+      item.messageStates.push({id: 'M2'});
+      return store.load(key1, context);
+    })
+    .then(item => {
+      t.deepEqual(item, item1, `${store.name} must NOT be affected by changes to a loaded item`);
+      return store.save({streamConsumerId: key1.streamConsumerId, shardOrEventID: key1.shardOrEventID, messageStates: [{id: 'M3'}]}, context);
+    })
+    .then(() => store.load(key1, context))
+    .then(item => {
+      t.deepEqual(item.messageStates, [{id: 'M3'}], `${store.name} save must replace existing item1`);
+      return store.list('K|S1|C1', context);
+    })
+    .then(items => {
+      t.deepEqual(items.map(i => i.shardOrEventID).sort(), ['S|shard1', 'S|shard2'], `${store.name} list('K|S1|C1') must list 2 items`);
+      return store.list(undefined, context);
+    })
+    .then(items => {
+      t.equal(items.length, 3, `${store.name} list(undefined) must list all 3 items`);
+      return store.delete(key2, context);
+    })
+    .then(deleted => {
+      t.equal(deleted, true, `${store.name} delete of existing item2 must be true`);
+      return store.delete(key2, context);
+    })
+    .then(deleted => {
+      t.equal(deleted, false, `${store.name} delete of missing item2 must be false`);
+      return store.save({streamConsumerId: 'K|S1|C1'}, context).then(
+        () => t.fail(`${store.name} save of item without shardOrEventID must fail`),
+        err => t.pass(`${store.name} save of item without shardOrEventID must fail (${err.message})`)
+      );
+    });
+}
+
+// =====================================================================================================================
+// BatchStateStore
+// =====================================================================================================================
+
+test('BatchStateStore base class rejects every method', t => {
+  const store = new BatchStateStore();
+  t.equal(store.name, 'BatchStateStore', `store.name must be BatchStateStore`);
+  t.ok(batchStateStores.isBatchStateStore(store), `isBatchStateStore(store) must be true`);
+  t.notOk(batchStateStores.isBatchStateStore({load: () => undefined}), `isBatchStateStore({load}) must be false`);
+
+  const key = {streamConsumerId: 'K|S|C', shardOrEventID: 'S|shard'};
+  Promise.all([store.load(key), store.save(key), store.delete(key), store.list()].map(p => p.then(() => 'resolved', () => 'rejected')))
+    .then(results => {
+      t.deepEqual(results, ['rejected', 'rejected', 'rejected', 'rejected'], `every method must reject`);
+      t.end();
+    });
+});
+
+// =====================================================================================================================
+// InMemoryBatchStateStore
+// =====================================================================================================================
+
+test('InMemoryBatchStateStore load, save, delete & list', t => {
+  const store = new InMemoryBatchStateStore();
+  const context = createContext(store);
+  checkStoreContract(t, store, context).then(
+    () => t.end(),
+    err => t.end(err)
+  );
+});
+
+// =====================================================================================================================
+// FileBatchStateStore
+// =====================================================================================================================
+
+test('FileBatchStateStore load, save, delete & list', t => {
+  const filePath = path.join(os.tmpdir(), `batch-state-store-test-${process.pid}-${Date.now()}.json`);
+  const store = new FileBatchStateStore(filePath);
+  const context = createContext(store);
+
+  t.throws(() => new FileBatchStateStore(' '), /without a file path/, `new FileBatchStateStore(' ') must throw`);
+
+  checkStoreContract(t, store, context)
+    .then(() => {
+      // A new store on the same file must see the same items
+      return new FileBatchStateStore(filePath).list(undefined, context);
+    })
+    .then(
+      items => {
+        t.equal(items.length, 2, `a new store on the same file must list 2 items`);
+        fs.unlinkSync(filePath);
+        t.end();
+      },
+      err => {
+        if (fs.existsSync(filePath)) fs.unlinkSync(filePath);
+        t.end(err);
+      }
+    );
+});
+
+// =====================================================================================================================
+// persisting saveBatchStateToStore & loadBatchStateFromStore
+// =====================================================================================================================
+
+test('saveBatchStateToStore & loadBatchStateFromStore round trip with an InMemoryBatchStateStore', t => {
+  const store = new InMemoryBatchStateStore();
+  const context = createContext(store);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate a first run that completes msg1's task, but fails msg2's task
+  const batch0 = createBatch(msgsAndRecs, processOneTaskDef, true, context);
+  const [msg01, msg02] = batch0.messages;
+  const task01 = batch0.states.get(msg01).ones.processOne;
+  const task02 = batch0.states.get(msg02).ones.processOne;
+  task01.start();
+  task01.succeed();
+  task02.start();
+  task02.fail(new Error('Planned msg2 error'));
+
+  saveBatchStateToStore(batch0, context)
+    .then(item => {
+      t.equal(item.streamConsumerId, batch0.streamConsumerId, `saved item.streamConsumerId must be ${batch0.streamConsumerId}`);
+      t.equal(item.messageStates.length, 2, `saved item.messageStates.length must be 2`);
+      t.equal(batch0.previouslySaved, true, `batch0.previouslySaved must be true`);
+
+      // Simulate a second run of the same batch
+      const batch = createBatch(msgsAndRecs, processOneTaskDef, false, context);
+      return loadBatchStateFromStore(batch, context).then(loaded => {
+        t.ok(loaded, `loaded item must exist`);
+        t.equal(batch.previouslySaved, true, `batch.previouslySaved must be true`);
+        batch.reviveTasks(context);
+
+        const [msg1, msg2] = batch.messages;
+        const task1 = batch.states.get(msg1).ones.processOne;
+        const task2 = batch.states.get(msg2).ones.processOne;
+        t.equal(task1.state, taskStates.instances.Succeeded, `msg1 processOne task state must be Succeeded`);
+        t.equal(task1.attempts, 1, `msg1 processOne task attempts must be 1`);
+        t.ok(task2.incomplete, `msg2 processOne task must be incomplete`);
+        t.equal(task2.attempts, 1, `msg2 processOne task attempts must be 1`);
+        t.end();
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+test('loadBatchStateFromStore without a configured batch state store', t => {
+  const context = createContext(undefined);
+  const batch = createBatch(sampleMessagesAndRecords(), TaskDef.defineTask('processOne', processOne), false, context);
+  loadBatchStateFromStore(batch, context).then(
+    () => t.end(new Error('loadBatchStateFromStore must fail without a store')),
+    err => {
+      t.equal(err.name, 'FatalError', `err.name must be FatalError`);
+      t.end();
+    }
+  );
+});
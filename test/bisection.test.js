@@ -0,0 +1,124 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/bisection.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const bisection = require('../bisection');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+
+function createContext(settingsOverrides) {
+  return fixtures.createContext(Object.assign({sequencingPerKey: false}, settingsOverrides));
+}
+
+// =====================================================================================================================
+// bisectIncompleteMessages
+// =====================================================================================================================
+
+function poisonedRunner(poisonId, executions) {
+  return TaskDef.defineTask('processOne', function (msg) {
+    executions[msg.id1] = (executions[msg.id1] || 0) + 1;
+    if (msg.id1 === poisonId) throw new Error('Planned poison failure');
+    return msg.id1;
+  });
+}
+
+test('bisectIncompleteMessages isolates & rejects a poison message before it exhausts its attempts', t => {
+  const context = createContext({bisectBatchOnFailure: true});
+  const sim = new StreamSimulator(sampleRecords(8), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = {};
+  const processOne = poisonedRunner('3', executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations.length, 6, `must take 6 invocations`);
+      t.equal(executions['3'], 3, `poison message must only be attempted 3 times`);
+      t.deepEqual(Object.keys(executions).filter(id => id !== '3').map(id => executions[id]), [1, 1, 1, 1, 1, 1, 1],
+        `every other message must be processed once`);
+
+      const summaries = report.invocations.filter(i => i.batch).map(i => i.batch.summarizeFinalResults().bisection);
+      t.deepEqual(summaries[0], {round: 1, window: 3, isolated: 0}, `1st run must start bisecting with a window of 3`);
+      t.deepEqual(summaries[1], {round: 2, window: 1, isolated: 0}, `2nd run must narrow the window to its 1 failed message`);
+      t.deepEqual(summaries[2], {round: 3, window: 3, isolated: 1}, `3rd run must isolate the poison message`);
+
+      const deadMessages = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(deadMessages.length, 1, `DMQ must hold 1 dead message`);
+      t.equal(deadMessages[0].message.id1, '3', `dead message must be message 3`);
+      t.equal(deadMessages[0].tasks.ones[0].reason, 'Isolated by bisection after 2 rounds', `dead message must be isolated by bisection`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('bisectIncompleteMessages does NOT bisect a batch that is only incomplete, because its processing timed out', t => {
+  const context = createContext({bisectBatchOnFailure: true});
+  const sim = new StreamSimulator(sampleRecords(4), {functionAlias: 'dev', functionTimeoutInMs: 300});
+  sim.configure(context);
+
+  let executions = 0;
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    ++executions;
+    return msg.id1 === '1' && executions === 1 ? new Promise(resolve => setTimeout(() => resolve(msg.id1), 1000)) : msg.id1;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations[0].outcome, InvocationOutcome.Failed, `1st invocation must have timed out & failed`);
+      t.ok(report.invocations.every(i => !i.batch || !i.batch.summarizeFinalResults().bisection), `must NOT bisect`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('isInBisectionWindow identifies messages by their record sequence & user record sub-sequence numbers', t => {
+  const messages = [{}, {}, {}];
+  const batch = {messages: messages, states: new Map()};
+  batch.states.set(messages[0], {eventSeqNo: '123', eventSubSeqNo: 0});
+  batch.states.set(messages[1], {eventSeqNo: '123', eventSubSeqNo: 1});
+  batch.states.set(messages[2], {eventSeqNo: '456'});
+
+  t.ok(bisection.isInBisectionWindow(batch, messages[0]), `every message must be in the window without a bisection`);
+
+  batch.states.set(batch, {bisection: {round: 1, window: ['123#1', '456'], isolated: []}});
+  t.notOk(bisection.isInBisectionWindow(batch, messages[0]), `message with sub-sequence number 0 must NOT be in the window`);
+  t.ok(bisection.isInBisectionWindow(batch, messages[1]), `message with sub-sequence number 1 must be in the window`);
+  t.ok(bisection.isInBisectionWindow(batch, messages[2]), `message without a sub-sequence number must be in the window`);
+  t.end();
+});
+
+test('bisectIncompleteMessages does nothing unless bisectBatchOnFailure is enabled', t => {
+  const context = createContext({maxNumberOfAttempts: 3});
+  const sim = new StreamSimulator(sampleRecords(4), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = {};
+  const processOne = poisonedRunner('2', executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations.length, 4, `must take 4 invocations`);
+      t.equal(executions['2'], 3, `poison message must be attempted 3 times`);
+      t.ok(report.invocations.every(i => !i.batch || !i.batch.summarizeFinalResults().bisection), `must NOT bisect`);
+      t.equal(report.invocations[0].outcome, InvocationOutcome.Failed, `1st invocation must have failed`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
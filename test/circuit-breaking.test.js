@@ -0,0 +1,182 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/circuit-breaking.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const circuitBreaking = require('../circuit-breaking');
+const CircuitBreaker = circuitBreaking.CircuitBreaker;
+const CircuitBreakerRegistry = circuitBreaking.CircuitBreakerRegistry;
+const CircuitState = circuitBreaking.CircuitState;
+
+const settings = require('../settings');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const Promises = require('core-functions/promises');
+
+const streamProcessing = require('../stream-processing');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// A "process one" task that fails its first given number of executions (across all messages), as if its downstream
+// dependency was down
+function downstreamTask(name, failures, executions) {
+  return TaskDef.defineTask(name, function (msg) {
+    executions.push(msg.id1);
+    const n = executions.length;
+    return Promises.delay(5).then(() => {
+      if (n <= failures) throw new Error(`Planned failure ${n} of ${msg.id1}, since downstream is down`);
+      return msg.id1;
+    });
+  });
+}
+
+// =====================================================================================================================
+// CircuitBreaker
+// =====================================================================================================================
+
+test('CircuitBreaker opens after its failure threshold & lets a single trial through once half-open', t => {
+  const breaker = new CircuitBreaker('test', {failureThreshold: 2, resetTimeoutMs: 30});
+  t.equal(breaker.state, CircuitState.Closed, `must start closed`);
+  t.ok(breaker.tryAcquire(), `closed breaker must grant permission`);
+
+  breaker.recordFailure();
+  t.equal(breaker.state, CircuitState.Closed, `must stay closed after 1 failure`);
+  breaker.recordSuccess();
+  breaker.recordFailure();
+  t.equal(breaker.state, CircuitState.Closed, `must stay closed after a success resets its failures`);
+  breaker.recordFailure();
+  t.equal(breaker.state, CircuitState.Open, `must open after 2 consecutive failures`);
+  t.ok(breaker.isOpen(), `must be open`);
+  t.notOk(breaker.tryAcquire(), `open breaker must refuse permission`);
+
+  Promises.delay(40)
+    .then(() => {
+      t.equal(breaker.state, CircuitState.HalfOpen, `must be half-open after its reset timeout`);
+      t.notOk(breaker.isOpen(), `half-open breaker must not be open`);
+      t.ok(breaker.tryAcquire(), `half-open breaker must grant a trial`);
+      t.notOk(breaker.tryAcquire(), `half-open breaker must refuse a 2nd trial`);
+      breaker.release();
+      t.ok(breaker.tryAcquire(), `half-open breaker must grant another trial after a release`);
+      breaker.recordFailure();
+      t.equal(breaker.state, CircuitState.Open, `must re-open after a failed trial`);
+      return Promises.delay(40);
+    })
+    .then(() => {
+      t.ok(breaker.tryAcquire(), `half-open breaker must grant a trial`);
+      breaker.recordSuccess();
+      t.equal(breaker.state, CircuitState.Closed, `must close after a successful trial`);
+      t.equal(breaker.failures, 0, `must reset its failures`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('CircuitBreaker defaults', t => {
+  const breaker = new CircuitBreaker('test');
+  t.equal(breaker.failureThreshold, 5, `failureThreshold must default to 5`);
+  t.equal(breaker.resetTimeoutMs, 30000, `resetTimeoutMs must default to 30000`);
+  t.end();
+});
+
+// =====================================================================================================================
+// CircuitBreakerRegistry & getCircuitBreakerRegistry
+// =====================================================================================================================
+
+test('CircuitBreakerRegistry', t => {
+  const registry = new CircuitBreakerRegistry();
+  t.equal(registry.get('api'), undefined, `must not have an api breaker yet`);
+
+  const breaker = registry.getOrCreate('api', {failureThreshold: 3});
+  t.equal(breaker.failureThreshold, 3, `must create the api breaker with its options`);
+  t.equal(registry.getOrCreate('api', {failureThreshold: 4}), breaker, `must keep the existing api breaker`);
+  t.equal(registry.get('api'), breaker, `must get the api breaker`);
+
+  const taskDef = TaskDef.defineTask('processA', () => undefined);
+  t.equal(registry.bind(taskDef, 'api'), breaker, `must bind processA to the api breaker`);
+  const other = registry.bind('processB', 'other', {resetTimeoutMs: 10});
+  t.equal(other.resetTimeoutMs, 10, `must create the other breaker while binding`);
+
+  t.equal(registry.getBreakerForTask('processA'), breaker, `processA must use the api breaker`);
+  t.equal(registry.getBreakerForTask('processB'), other, `processB must use the other breaker`);
+  t.equal(registry.getBreakerForTask('processC'), undefined, `processC must not have a breaker`);
+  t.end();
+});
+
+test('getCircuitBreakerRegistry', t => {
+  const context = {
+    streamProcessing: {
+      circuitBreakers: {
+        api: {failureThreshold: 2, resetTimeoutMs: 1000, taskNames: ['processA', 'processB']},
+        db: {}
+      }
+    }
+  };
+  const registry = circuitBreaking.getCircuitBreakerRegistry(context);
+  t.ok(registry instanceof CircuitBreakerRegistry, `must create a registry`);
+  t.equal(context.circuitBreakerRegistry, registry, `must install the registry on the context`);
+  t.equal(circuitBreaking.getCircuitBreakerRegistry(context), registry, `must reuse the context's registry`);
+
+  const api = registry.get('api');
+  t.equal(api.failureThreshold, 2, `api breaker must have its configured threshold`);
+  t.equal(api.resetTimeoutMs, 1000, `api breaker must have its configured reset timeout`);
+  t.equal(registry.getBreakerForTask('processA'), api, `processA must be bound to the api breaker`);
+  t.equal(registry.getBreakerForTask('processB'), api, `processB must be bound to the api breaker`);
+  t.equal(registry.get('db').failureThreshold, 5, `db breaker must have the default threshold`);
+  t.end();
+});
+
+// =====================================================================================================================
+// executeWithCircuitBreaker via executeProcessOneTasks
+// =====================================================================================================================
+
+test('Without a circuit breaker an outage exhausts the attempts of every message', t => {
+  const context = createContext({maxNumberOfAttempts: 2});
+  const sim = new StreamSimulator(sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = downstreamTask('processOne', 6, executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 6, `must execute processOne twice on every message`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 3, `must discard every message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A circuit breaker skips the tasks bound to it during an outage without attempting them', t => {
+  const circuitBreakers = {downstream: {failureThreshold: 2, resetTimeoutMs: 5, taskNames: ['processOne']}};
+  const context = createContext({maxNumberOfAttempts: 2, circuitBreakers: circuitBreakers});
+  const sim = new StreamSimulator(sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = downstreamTask('processOne', 6, executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 9, `must only trial processOne on 1 message at a time until downstream recovers`);
+      t.deepEqual(executions.slice(3, 7), ['1', '1', '1', '1'], `must trial processOne on the 1st message`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any message to the DMQ`);
+      t.equal(context.circuitBreakerRegistry.get('downstream').state, CircuitState.Closed, `breaker must be closed again`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
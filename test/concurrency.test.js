@@ -0,0 +1,180 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/concurrency.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const concurrency = require('../concurrency');
+const ConcurrencyLimiter = concurrency.ConcurrencyLimiter;
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const Promises = require('core-functions/promises');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// Tracks the number of concurrent executions of a task & the maximum number reached
+function tracker() {
+  return {active: 0, max: 0, started: []};
+}
+
+function trackedTask(name, trackers, delayMs) {
+  return TaskDef.defineTask(name, function (msg) {
+    const trackers2 = [trackers[name], trackers.all].filter(t => t);
+    trackers2.forEach(t => {
+      t.max = Math.max(t.max, ++t.active);
+      t.started.push(msg.id1);
+    });
+    return Promises.delay(delayMs).then(() => {
+      trackers2.forEach(t => --t.active);
+      return msg.id1;
+    });
+  });
+}
+
+// =====================================================================================================================
+// ConcurrencyLimiter
+// =====================================================================================================================
+
+test('ConcurrencyLimiter runs at most its limit at once & queues the rest in order', t => {
+  const limiter = new ConcurrencyLimiter(2, 'test');
+  const started = [];
+  let active = 0;
+  let max = 0;
+
+  function job(i, fail) {
+    return () => {
+      started.push(i);
+      max = Math.max(max, ++active);
+      return Promises.delay(5).then(() => {
+        --active;
+        if (fail) throw new Error(`Planned failure ${i}`);
+        return i;
+      });
+    };
+  }
+
+  const promises = [1, 2, 3, 4, 5].map(i => limiter.run(job(i, i === 2)).catch(err => err.message));
+  t.equal(limiter.active, 2, `must start 2 at once`);
+  t.equal(limiter.pending, 3, `must queue 3`);
+
+  Promise.all(promises)
+    .then(results => {
+      t.deepEqual(results, [1, 'Planned failure 2', 3, 4, 5], `must resolve or reject with each outcome`);
+      t.deepEqual(started, [1, 2, 3, 4, 5], `must start in order`);
+      t.equal(max, 2, `must never run more than 2 at once`);
+      t.equal(limiter.active, 0, `must end with none active`);
+      t.equal(limiter.pending, 0, `must end with none pending`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('runLimited', t => {
+  let called = false;
+  const p = concurrency.runLimited(undefined, () => {
+    called = true;
+    return Promise.resolve(1);
+  });
+  t.ok(called, `must run immediately without a limiter`);
+  p.then(result => {
+    t.equal(result, 1, `must resolve with the function's result`);
+    t.end();
+  }).catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// getProcessOneLimiters & executeProcessOneTasks
+// =====================================================================================================================
+
+test('maxConcurrentMessages bounds the number of messages processed at once', t => {
+  const context = createContext({maxConcurrentMessages: 3});
+  const sim = new StreamSimulator(sampleRecords(8), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const trackers = {processOne: tracker()};
+  const processOne = trackedTask('processOne', trackers, 10);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Succeeded], `must succeed in 1 invocation`);
+      t.equal(trackers.processOne.max, 3, `must process at most 3 messages at once`);
+      t.deepEqual(trackers.processOne.started, ['1', '2', '3', '4', '5', '6', '7', '8'], `must process every message in order`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('maxConcurrentTasks bounds the number of executions of a task at once', t => {
+  const context = createContext({maxConcurrentTasks: {processA: 2}});
+  const sim = new StreamSimulator(sampleRecords(6), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const trackers = {processA: tracker(), processB: tracker()};
+  const processA = trackedTask('processA', trackers, 10);
+  const processB = trackedTask('processB', trackers, 10);
+
+  sim.run(simulator.createHandler([processA, processB], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(trackers.processA.max, 2, `must execute at most 2 processA tasks at once`);
+      t.equal(trackers.processB.max, 6, `must execute every processB task at once`);
+      t.equal(trackers.processA.started.length, 6, `must execute processA on every message`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('maxConcurrentMessages still honours the sequence of messages with the same key', t => {
+  const context = createContext({maxConcurrentMessages: 2});
+  const sim = new StreamSimulator(sampleRecords(6, i => `K${i % 2}`), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const trackers = {processOne: tracker()};
+  const processOne = trackedTask('processOne', trackers, 5);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      const started = trackers.processOne.started;
+      t.deepEqual(started.filter(id => Number(id) % 2 === 1), ['1', '3', '5'], `must process odd key's messages in sequence`);
+      t.deepEqual(started.filter(id => Number(id) % 2 === 0), ['2', '4', '6'], `must process even key's messages in sequence`);
+      t.equal(trackers.processOne.max, 2, `must process at most 2 messages at once`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('maxConcurrentMessages does not start queued messages after processing times out', t => {
+  const context = createContext({maxConcurrentMessages: 1});
+  const sim = new StreamSimulator(sampleRecords(8), {functionAlias: 'dev', functionTimeoutInMs: 500});
+  sim.configure(context);
+
+  const startedByInvocation = [];
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    startedByInvocation.push(sim.invocations.length);
+    return Promises.delay(150).then(() => msg.id1);
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations[0].outcome, InvocationOutcome.Failed, `1st invocation must have timed out & failed`);
+      const firstRun = startedByInvocation.filter(i => i === 1).length;
+      t.ok(firstRun > 0 && firstRun < 8, `1st invocation must only start some of the messages (${firstRun})`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,143 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/dead-letter-envelopes.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const deadLetterEnvelopes = require('../dead-letter-envelopes');
+const DeadLetterKind = deadLetterEnvelopes.DeadLetterKind;
+
+const streamProcessing = require('../stream-processing');
+const Batch = require('../batch');
+
+const TaskDef = require('task-utils/task-defs');
+
+const samples = require('./samples');
+const fixtures = require('./stream-consumer-fixtures');
+
+function createContext() {
+  return fixtures.createContext(fixtures.sampleMessagesSettings({
+    resolveMessageIdsAndSeqNos: (msg, rec, userRec, eventIdAndSeqNos, md5s, context) =>
+      ({ids: [['id1', msg.id1]], keys: [['k1', msg.k1]], seqNos: [['eventSeqNo', eventIdAndSeqNos.eventSeqNo]]})
+  }), 'dev');
+}
+
+function createBatchWithRejectedMessageAndUnusableRecord(context) {
+  const msgAndRec = fixtures.sampleMessagesAndRecords(1)[0];
+  const unusableRec = samples.sampleKinesisRecord('shardId-000000000001', '49545115243490985018280067714973144582180062593244200962', undefined, undefined, msgAndRec[1].eventSourceARN, msgAndRec[1].awsRegion);
+  msgAndRec[1].kinesis.approximateArrivalTimestamp = 1500000000.5;
+
+  const processOneTaskDef = TaskDef.defineTask('processOne', (msg, batch, context) => msg);
+  const batch = new Batch([msgAndRec[1], unusableRec], [processOneTaskDef], [], context);
+  batch.addMessage(msgAndRec[0], msgAndRec[1], undefined, context);
+  batch.addUnusableRecord(unusableRec, undefined, 'Planned unusable record', context);
+  batch.reviveTasks(context);
+
+  // Simulate a message whose task failed once & was then rejected
+  const message = batch.messages[0];
+  const task = batch.states.get(message).ones.processOne;
+  task.start();
+  task.fail(new Error('Planned failure'));
+  task.reject('Planned rejection', new Error('Planned rejection error'));
+  batch.states.get(message).reasonRejected = 'Planned rejection';
+  batch.moveMessageToRejected(message);
+
+  return {batch: batch, rejectedMessage: message, unusableRecord: batch.unusableRecords[0]};
+}
+
+// =====================================================================================================================
+// toRejectedMessageEnvelope & toUnusableRecordEnvelope
+// =====================================================================================================================
+
+test('toRejectedMessageEnvelope', t => {
+  const context = createContext();
+  const b = createBatchWithRejectedMessageAndUnusableRecord(context);
+  const state = b.batch.states.get(b.rejectedMessage);
+
+  const envelope = JSON.parse(JSON.stringify(deadLetterEnvelopes.toRejectedMessageEnvelope(b.rejectedMessage, b.batch, context)));
+
+  t.equal(envelope.envelopeVersion, deadLetterEnvelopes.ENVELOPE_VERSION, `envelopeVersion must be ${deadLetterEnvelopes.ENVELOPE_VERSION}`);
+  t.equal(envelope.kind, DeadLetterKind.RejectedMessage, `kind must be RejectedMessage`);
+  t.equal(envelope.streamType, 'kinesis', `streamType must be kinesis`);
+  t.equal(envelope.consumerId, 'my-function:dev', `consumerId must be my-function:dev`);
+  t.deepEqual(envelope.batchKey, {streamConsumerId: b.batch.streamConsumerId, shardOrEventID: b.batch.shardOrEventID}, `batchKey must be the batch's key`);
+  t.equal(envelope.eventID, state.eventID, `eventID must be the message's eventID`);
+  t.equal(envelope.reasonRejected, 'Planned rejection', `reasonRejected must be 'Planned rejection'`);
+  t.deepEqual(envelope.ids, [['id1', '123']], `ids must be the message's ids`);
+  t.deepEqual(envelope.keys, [['k1', 'ABC']], `keys must be the message's keys`);
+  t.deepEqual(envelope.message, b.rejectedMessage, `message must be the rejected message`);
+  t.equal(envelope.record.eventID, state.eventID, `record must be the message's record`);
+  t.equal(envelope.recordArrivedAt, '2017-07-14T02:40:00.500Z', `recordArrivedAt must be the record's arrival time`);
+  t.ok(Date.parse(envelope.discardedAt) > 0, `discardedAt must be an ISO date-time`);
+
+  const taskSummary = envelope.tasks.ones[0];
+  t.equal(taskSummary.name, 'processOne', `task summary name must be processOne`);
+  t.equal(taskSummary.state, 'Rejected', `task summary state must be Rejected`);
+  t.equal(taskSummary.attempts, 1, `task summary attempts must be 1`);
+  t.ok(taskSummary.lastError.indexOf('Planned rejection error') !== -1, `task summary lastError must be the last error`);
+  t.equal(taskSummary.reason, 'Planned rejection', `task summary reason must be 'Planned rejection'`);
+  t.deepEqual(envelope.tasks.alls, [], `tasks.alls must be empty`);
+  t.end();
+});
+
+test('toUnusableRecordEnvelope', t => {
+  const context = createContext();
+  const b = createBatchWithRejectedMessageAndUnusableRecord(context);
+
+  const envelope = JSON.parse(JSON.stringify(deadLetterEnvelopes.toUnusableRecordEnvelope(b.unusableRecord, b.batch, context)));
+
+  t.equal(envelope.envelopeVersion, deadLetterEnvelopes.ENVELOPE_VERSION, `envelopeVersion must be ${deadLetterEnvelopes.ENVELOPE_VERSION}`);
+  t.equal(envelope.kind, DeadLetterKind.UnusableRecord, `kind must be UnusableRecord`);
+  t.equal(envelope.reasonUnusable, 'Planned unusable record', `reasonUnusable must be 'Planned unusable record'`);
+  t.equal(envelope.eventID, b.unusableRecord.eventID, `eventID must be the record's eventID`);
+  t.deepEqual(envelope.record, b.unusableRecord, `record must be the unusable record`);
+  t.equal(envelope.recordArrivedAt, undefined, `recordArrivedAt must be undefined without an arrival time`);
+  t.deepEqual(envelope.tasks.discards.map(s => s.name), ['discardUnusableRecord'], `tasks.discards must summarize the discard task`);
+  t.end();
+});
+
+// =====================================================================================================================
+// Default toDRQPutRequest & toDMQPutRequest
+// =====================================================================================================================
+
+test('toTaskSummaries only summarizes the began & ended date-times that a task has', t => {
+  const context = createContext();
+  const task = context.taskFactory.createTask(TaskDef.defineTask('processOne', msg => msg), {});
+  t.equal(deadLetterEnvelopes.toTaskSummaries({processOne: task})[0].began, undefined, `unstarted task must have no began`);
+
+  task.start();
+  const summary = deadLetterEnvelopes.toTaskSummaries({processOne: task})[0];
+  t.equal(summary.began, task.began, `started task must have its began`);
+  t.notOk(summary.hasOwnProperty('ended'), `started task must have no ended`);
+  t.end();
+});
+
+test('discardUnusableRecordToDRQ & discardRejectedMessageToDMQ default to sending envelopes', t => {
+  const context = createContext();
+  const b = createBatchWithRejectedMessageAndUnusableRecord(context);
+  const requests = [];
+  context.kinesis = {
+    putRecords: params => {
+      requests.push(params);
+      return {promise: () => Promise.resolve({Records: params.Records.map(() => ({ShardId: 'S1', SequenceNumber: '1'}))})};
+    }
+  };
+
+  streamProcessing.discardUnusableRecordToDRQ(b.unusableRecord, b.batch, undefined, context)
+    .then(() => streamProcessing.discardRejectedMessageToDMQ(b.rejectedMessage, b.batch, undefined, context))
+    .then(() => {
+      t.equal(requests[0].StreamName, 'DeadRecordQueue_DEV', `must put to DeadRecordQueue_DEV`);
+      t.equal(requests[0].Records[0].PartitionKey, b.unusableRecord.eventID, `DRQ partition key must be the record's eventID`);
+      t.equal(JSON.parse(requests[0].Records[0].Data).kind, DeadLetterKind.UnusableRecord, `DRQ data must be an UnusableRecord envelope`);
+
+      t.equal(requests[1].StreamName, 'DeadMessageQueue_DEV', `must put to DeadMessageQueue_DEV`);
+      t.equal(requests[1].Records[0].PartitionKey, b.batch.states.get(b.rejectedMessage).key, `DMQ partition key must be the message's key`);
+      t.equal(JSON.parse(requests[1].Records[0].Data).kind, DeadLetterKind.RejectedMessage, `DMQ data must be a RejectedMessage envelope`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,328 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/dead-letter-replay.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The test subject
+const replay = require('../dead-letter-replay');
+const ReplayOutcome = replay.ReplayOutcome;
+
+const contexts = require('aws-core-utils/contexts');
+const regions = require('aws-core-utils/regions');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+
+const InMemoryBatchStateStore = require('../batch-state-stores').InMemoryBatchStateStore;
+
+const TaskDef = require('task-utils/task-defs');
+
+const samples = require('./samples');
+const fixtures = require('./stream-consumer-fixtures');
+
+const awsRegion = 'us-west-2';
+const eventSourceARN = samples.sampleKinesisEventSourceArn(awsRegion, 'TEST_Stream_DEV');
+
+function createContext() {
+  const context = {streamProcessing: {streamType: 'kinesis'}};
+  regions.setRegion(awsRegion);
+  context.stage = 'dev';
+  contexts.configureStandardContext(context, undefined, require('../default-options.json'), undefined, undefined, false);
+  return context;
+}
+
+function sampleEnvelope(seqNo, key, reasonRejected, taskName, taskState) {
+  const message = {id1: `id${seqNo}`, k1: key};
+  const record = samples.sampleKinesisRecord('shardId-000000000000', seqNo, `pk${seqNo}`, message, eventSourceARN, awsRegion);
+  record.eventSourceARN = eventSourceARN;
+  return {
+    envelopeVersion: 1,
+    kind: 'RejectedMessage',
+    eventID: record.eventID,
+    reasonRejected: reasonRejected,
+    keys: [['k1', key]],
+    message: message,
+    record: record,
+    tasks: {ones: [{name: taskName, state: taskState, attempts: 1}], alls: [], discards: []}
+  };
+}
+
+function sampleEnvelopes() {
+  return [
+    sampleEnvelope('101', 'ABC', 'Planned rejection - bad format', 'processOne', 'Rejected'),
+    sampleEnvelope('102', 'DEF', 'Planned rejection - bad format', 'processTwo', 'Discarded'),
+    sampleEnvelope('103', 'ABC', 'Planned rejection - bad data', 'processOne', 'Completed'),
+    {envelopeVersion: 1, kind: 'UnusableRecord', eventID: 'shardId-000000000000:104', reasonUnusable: 'Bad record'}
+  ];
+}
+
+function mockPutRecords(requests) {
+  return params => {
+    requests.push(params);
+    return {promise: () => Promise.resolve({Records: params.Records.map((r, i) => ({ShardId: 'S1', SequenceNumber: `${i}`}))})};
+  };
+}
+
+// =====================================================================================================================
+// filterEnvelopes
+// =====================================================================================================================
+
+test('filterEnvelopes', t => {
+  const envelopes = sampleEnvelopes();
+  const ids = es => es.map(e => e.eventID.split(':')[1]);
+
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes)), ['101', '102', '103'], `must only match rejected messages`);
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes, {reason: 'bad format'})), ['101', '102'], `must match by reason`);
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes, {taskName: 'processOne'})), ['101'], `must match by unfinished task name`);
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes, {key: 'ABC'})), ['101', '103'], `must match by key value`);
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes, {key: 'k1:DEF'})), ['102'], `must match by whole key`);
+  t.deepEqual(ids(replay.filterEnvelopes(envelopes, {reason: 'bad format', key: 'ABC'})), ['101'], `must match all criteria`);
+  t.end();
+});
+
+// =====================================================================================================================
+// readEnvelopesFromFile & readEnvelopesFromStream
+// =====================================================================================================================
+
+test('readEnvelopesFromFile', t => {
+  const context = createContext();
+  const envelopes = sampleEnvelopes();
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dead-letter-replay-'));
+  const toData = e => Buffer.from(JSON.stringify(e), 'utf8').toString('base64');
+  try {
+    const arrayFile = path.join(dir, 'envelopes.json');
+    fs.writeFileSync(arrayFile, JSON.stringify(envelopes));
+    t.deepEqual(replay.readEnvelopesFromFile(arrayFile, context), envelopes, `must read a JSON array of envelopes`);
+
+    const ndjsonFile = path.join(dir, 'envelopes.ndjson');
+    fs.writeFileSync(ndjsonFile, envelopes.map(e => JSON.stringify(e)).join('\n') + '\n');
+    t.deepEqual(replay.readEnvelopesFromFile(ndjsonFile, context), envelopes, `must read newline-delimited envelopes`);
+
+    const getRecordsFile = path.join(dir, 'get-records.json');
+    fs.writeFileSync(getRecordsFile, JSON.stringify({Records: envelopes.map(e => ({Data: toData(e)})).concat([{Data: toData({a: 1})}])}));
+    t.deepEqual(replay.readEnvelopesFromFile(getRecordsFile, context), envelopes, `must read & skip non-envelopes in get-records output`);
+  } finally {
+    fs.readdirSync(dir).forEach(f => fs.unlinkSync(path.join(dir, f)));
+    fs.rmdirSync(dir);
+  }
+  t.end();
+});
+
+test('readEnvelopesFromStream', t => {
+  const context = createContext();
+  const envelopes = sampleEnvelopes();
+  const toRecord = e => ({Data: Buffer.from(JSON.stringify(e), 'utf8')});
+  const respond = result => ({promise: () => Promise.resolve(result)});
+  const calls = [];
+  const pages = {
+    'it-0a': {Records: [toRecord(envelopes[0]), {Data: Buffer.from('garbage')}], NextShardIterator: 'it-0b', MillisBehindLatest: 10},
+    'it-0b': {Records: [], NextShardIterator: 'it-0c', MillisBehindLatest: 0},
+    'it-1a': {Records: [toRecord(envelopes[1]), toRecord(envelopes[2])], NextShardIterator: 'it-1b', MillisBehindLatest: 0},
+    'it-1b': {Records: [], NextShardIterator: 'it-1c', MillisBehindLatest: 0}
+  };
+  context.kinesis = {
+    describeStream: params => {
+      calls.push(['describeStream', params]);
+      return respond(params.ExclusiveStartShardId ?
+        {StreamDescription: {Shards: [{ShardId: 'shard-1'}], HasMoreShards: false}} :
+        {StreamDescription: {Shards: [{ShardId: 'shard-0'}], HasMoreShards: true}});
+    },
+    getShardIterator: params => {
+      calls.push(['getShardIterator', params]);
+      return respond({ShardIterator: params.ShardId === 'shard-0' ? 'it-0a' : 'it-1a'});
+    },
+    getRecords: params => {
+      calls.push(['getRecords', params]);
+      return respond(pages[params.ShardIterator]);
+    }
+  };
+
+  const startMs = Date.now();
+  replay.readEnvelopesFromStream('DeadMessageQueue_DEV', {since: '2017-07-14T00:00:00Z', pollIntervalMs: 50}, context)
+    .then(read => {
+      const elapsedMs = Date.now() - startMs;
+      t.deepEqual(read, envelopes.slice(0, 3), `must read the envelopes from every shard & skip non-envelopes`);
+      t.equal(calls.filter(c => c[0] === 'describeStream').length, 2, `must page through the shards`);
+      const iteratorParams = calls.find(c => c[0] === 'getShardIterator')[1];
+      t.equal(iteratorParams.ShardIteratorType, 'AT_TIMESTAMP', `must read from the given time`);
+      t.equal(calls.filter(c => c[0] === 'getRecords').length, 4, `must stop at the tip of each shard`);
+      t.ok(elapsedMs >= 95, `must pace the 2nd getRecords call on each shard by the poll interval (${elapsedMs} ms)`);
+      return replay.readEnvelopesFromStream('DeadMessageQueue_DEV', {limit: 2, pollIntervalMs: 0}, context);
+    })
+    .then(read => {
+      t.equal(read.length, 2, `must read at most the limit`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// replayDeadLetters
+// =====================================================================================================================
+
+test('replayDeadLetters with a dry run', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {putRecords: mockPutRecords(requests)};
+
+  replay.replayDeadLetters(sampleEnvelopes(), {reason: 'bad format', dryRun: true}, context)
+    .then(report => {
+      t.equal(requests.length, 0, `must NOT put any records`);
+      t.equal(report.read, 4, `must report 4 read`);
+      t.equal(report.matched, 2, `must report 2 matched`);
+      t.equal(report.replayed, 0, `must report 0 replayed`);
+      t.ok(report.items.every(item => item.outcome === ReplayOutcome.WouldReplay), `every item must be WouldReplay`);
+      t.ok(replay.describeReplayReport(report).indexOf('DRY RUN - would replay 2 of 4') !== -1, `must describe the dry run`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('replayDeadLetters to source streams', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {putRecords: mockPutRecords(requests)};
+  const envelopes = sampleEnvelopes();
+  // Simulate a message whose source stream cannot be resolved
+  delete envelopes[1].record.eventSourceARN;
+
+  replay.replayDeadLetters(envelopes, {}, context)
+    .then(report => {
+      t.equal(requests.length, 1, `must make 1 PutRecords call`);
+      t.equal(requests[0].StreamName, 'TEST_Stream_DEV', `must put onto the source stream`);
+      t.equal(requests[0].Records.length, 2, `must put 2 records`);
+      t.equal(requests[0].Records[0].PartitionKey, 'pk101', `must re-use the original partition key`);
+      t.equal(requests[0].Records[0].Data.toString('base64'), envelopes[0].record.kinesis.data, `must re-put the original data`);
+      t.equal(report.replayed, 2, `must report 2 replayed`);
+      t.equal(report.failed, 1, `must report 1 failed`);
+      t.equal(report.items[1].outcome, ReplayOutcome.Failed, `2nd item must have failed`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('replayDeadLetters to another stream', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {putRecords: mockPutRecords(requests)};
+
+  replay.replayDeadLetters(sampleEnvelopes(), {key: 'DEF', streamName: 'Other_Stream_DEV'}, context)
+    .then(report => {
+      t.equal(requests[0].StreamName, 'Other_Stream_DEV', `must put onto the given stream`);
+      t.equal(report.replayed, 1, `must report 1 replayed`);
+      t.equal(report.items[0].streamName, 'Other_Stream_DEV', `must report the stream`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('replayDeadLetters locally', t => {
+  const context = createContext();
+  const events = [];
+  const envelopes = sampleEnvelopes();
+  // Simulate 2 messages from the same aggregate record
+  envelopes[1].record = envelopes[0].record;
+
+  replay.replayDeadLetters(envelopes, {processEvent: event => events.push(event)}, context)
+    .then(report => {
+      t.equal(events.length, 1, `must process 1 event`);
+      t.deepEqual(events[0].Records.map(r => r.eventID), [envelopes[0].eventID, envelopes[2].eventID], `must process each distinct record once`);
+      t.equal(report.target, 'local', `must report a local target`);
+      t.equal(report.replayed, 0, `must report 0 replayed`);
+      t.equal(report.unverified, 3, `must report 3 unverified, since the result has no batch`);
+      t.ok(replay.describeReplayReport(report).indexOf('could not verify 3') !== -1, `must describe the unverified items`);
+
+      return replay.replayDeadLetters(envelopes, {processEvent: () => Promise.reject(new Error('Planned error'))}, context);
+    })
+    .then(report => {
+      t.equal(report.failed, 3, `must report 3 failed`);
+      t.ok(report.items[0].error.indexOf('Planned error') !== -1, `must report the error`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('replayDeadLetters locally reports the items at or after a batch item failure as failed', t => {
+  const context = createContext();
+  const envelopes = sampleEnvelopes();
+
+  const processEvent = event => ({batchItemFailures: [{itemIdentifier: event.Records[1].kinesis.sequenceNumber}]});
+
+  replay.replayDeadLetters(envelopes, {processEvent: processEvent}, context)
+    .then(report => {
+      t.deepEqual(report.items.map(item => item.outcome), [ReplayOutcome.Unverified, ReplayOutcome.Failed,
+        ReplayOutcome.Failed], `items must be Unverified, Failed & Failed`);
+      t.equal(report.failed, 2, `must report 2 failed`);
+      t.ok(report.items[1].error.indexOf('batch item failure') !== -1, `must report the batch item failure`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('replayDeadLetters locally assesses each item from the processed batch', t => {
+  const context = fixtures.createContext({sequencingPerKey: false, maxNumberOfAttempts: 2});
+  const sim = new StreamSimulator(fixtures.sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  let fixed = false;
+  const executions = [];
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    executions.push(msg.id1);
+    if (msg.id1 === '2' && !fixed) throw new Error('Planned failure');
+    return msg.id1;
+  });
+  const handler = simulator.createHandler([processOne], [], context);
+  const processEvent = event => handler(event, sim.createAwsContext(sim.clock.now() + 60000));
+
+  let envelopes = undefined;
+  sim.run(handler)
+    .then(() => {
+      envelopes = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(envelopes.length, 1, `DMQ must hold 1 dead letter`);
+      // Also replay the already completed message 1 from its record
+      const record1 = sim.shard.records[0];
+      envelopes.unshift(Object.assign({}, envelopes[0], {eventID: record1.eventID, record: record1,
+        message: {id1: '1', k1: 'K1', n1: 1}}));
+
+      // Replay before the fix, which restores the prior state of both messages without executing any of their tasks
+      executions.length = 0;
+      return replay.replayDeadLetters(envelopes, {processEvent: processEvent}, context);
+    })
+    .then(report => {
+      t.deepEqual(executions, [], `must NOT execute any tasks`);
+      t.deepEqual(report.items.map(item => item.outcome), [ReplayOutcome.Skipped, ReplayOutcome.Failed],
+        `items must be Skipped & Failed`);
+      t.ok(report.items[1].error.indexOf('restored batch state') !== -1, `must report that message 2 is still rejected`);
+
+      // Replay with a fresh batch state store & without the fix
+      sim.batchStateStore = new InMemoryBatchStateStore();
+      sim.configure(context);
+      return replay.replayDeadLetters(envelopes.slice(1), {processEvent: processEvent}, context);
+    })
+    .then(report => {
+      t.equal(report.items[0].outcome, ReplayOutcome.Failed, `must report message 2 as failed`);
+      t.ok(report.items[0].error.indexOf('Planned failure') !== -1, `must report why message 2 failed`);
+
+      // Replay with another fresh batch state store & with the fix
+      fixed = true;
+      sim.batchStateStore = new InMemoryBatchStateStore();
+      sim.configure(context);
+      executions.length = 0;
+      return replay.replayDeadLetters(envelopes.slice(1), {processEvent: processEvent}, context);
+    })
+    .then(report => {
+      t.deepEqual(executions, ['2'], `must execute message 2's task`);
+      t.equal(report.items[0].outcome, ReplayOutcome.Replayed, `must report message 2 as replayed`);
+      t.equal(report.replayed, 1, `must report 1 replayed`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,380 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/dead-letter-sinks.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const deadLetterSinks = require('../dead-letter-sinks');
+const DeadLetterSink = deadLetterSinks.DeadLetterSink;
+const DeadLetterQueueType = deadLetterSinks.DeadLetterQueueType;
+
+const streamProcessing = require('../stream-processing');
+const settings = require('../settings');
+
+const contexts = require('aws-core-utils/contexts');
+const regions = require('aws-core-utils/regions');
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+const TransientError = errors.TransientError;
+
+const samples = require('./samples');
+
+const awsRegion = 'us-west-2';
+
+function createContext(deadRecordQueueType, deadMessageQueueType) {
+  const context = {
+    streamProcessing: {
+      streamType: 'kinesis',
+      deadRecordQueueName: 'DeadRecordQueue',
+      deadMessageQueueName: 'DeadMessageQueue',
+      deadRecordQueueType: deadRecordQueueType,
+      deadMessageQueueType: deadMessageQueueType
+    }
+  };
+  regions.setRegion(awsRegion);
+  context.stage = 'dev';
+  contexts.configureStandardContext(context, undefined, require('../default-options.json'), undefined, undefined, false);
+  context.awsContext = samples.sampleAwsContext('my-function', '1', samples.sampleInvokedFunctionArn(awsRegion, 'my-function', 'dev'), 1000);
+  return context;
+}
+
+function sampleBatch(msgState) {
+  const message = {a: 1};
+  return {
+    key: {streamConsumerId: 'my-function:dev', shardOrEventID: 'S|shardId-000000000000'},
+    isKeyValid: () => true,
+    states: new Map([[message, msgState]]),
+    message: message
+  };
+}
+
+const unusableRecord = {eventID: 'shardId-000000000000:123'};
+
+const toPutRequest = (deadLetter, batch, queueName, context) => ({
+  StreamName: queueName,
+  PartitionKey: 'PK1',
+  Data: JSON.stringify({deadLetter: deadLetter})
+});
+
+const respond = (requests, name, err, result) => params => {
+  requests.push({name: name, params: params});
+  return {promise: () => err ? Promise.reject(err) : Promise.resolve(result)};
+};
+
+function awsError(code, retryable) {
+  const err = new Error(`Planned ${code} error`);
+  err.code = code;
+  if (retryable) err.retryable = true;
+  return err;
+}
+
+// =====================================================================================================================
+// getDeadLetterSink, registerDeadLetterSink & toQualifiedName
+// =====================================================================================================================
+
+test('getDeadLetterSink & toQualifiedName', t => {
+  const context = createContext();
+
+  t.equal(deadLetterSinks.getDeadLetterSink('kinesis').toQualifiedName('DeadRecordQueue', context), 'DeadRecordQueue_DEV', `kinesis name must be DeadRecordQueue_DEV`);
+  t.equal(deadLetterSinks.getDeadLetterSink('sqs').toQualifiedName('DeadRecordQueue', context), 'DeadRecordQueue_DEV', `sqs name must be DeadRecordQueue_DEV`);
+  t.equal(deadLetterSinks.getDeadLetterSink('sns').toQualifiedName('DeadRecordQueue', context), 'DeadRecordQueue_DEV', `sns name must be DeadRecordQueue_DEV`);
+  t.equal(deadLetterSinks.getDeadLetterSink('s3').toQualifiedName('DeadRecordQueue', context), 'deadrecordqueue-dev', `s3 name must be deadrecordqueue-dev`);
+
+  t.throws(() => deadLetterSinks.getDeadLetterSink('bogus'), FatalError, `getDeadLetterSink('bogus') must throw a FatalError`);
+  t.end();
+});
+
+test('registerDeadLetterSink', t => {
+  const sent = [];
+
+  class CustomSink extends DeadLetterSink {
+    constructor() {
+      super('custom');
+    }
+
+    send(request, context) {
+      sent.push(request);
+      return Promise.resolve({sent: true});
+    }
+  }
+
+  t.throws(() => deadLetterSinks.registerDeadLetterSink('custom', {}), Error, `must NOT register an invalid sink`);
+  deadLetterSinks.registerDeadLetterSink('custom', new CustomSink());
+
+  const context = createContext('custom');
+  const batch = sampleBatch();
+
+  streamProcessing.discardUnusableRecordToDRQ(unusableRecord, batch, toPutRequest, context)
+    .then(result => {
+      t.deepEqual(result, {sent: true}, `must resolve with the custom sink's result`);
+      t.equal(sent.length, 1, `must send 1 request to the custom sink`);
+      t.equal(sent[0].StreamName, 'DeadRecordQueue_DEV', `must use the stage-qualified name`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('getDeadRecordQueueType & getDeadMessageQueueType', t => {
+  t.equal(settings.getDeadRecordQueueType(createContext()), DeadLetterQueueType.kinesis, `DRQ type must default to kinesis`);
+  t.equal(settings.getDeadMessageQueueType(createContext()), DeadLetterQueueType.kinesis, `DMQ type must default to kinesis`);
+  t.equal(settings.getDeadRecordQueueType(createContext(' sqs ')), DeadLetterQueueType.sqs, `DRQ type must be sqs`);
+  t.equal(settings.getDeadMessageQueueType(createContext(undefined, 'sns')), DeadLetterQueueType.sns, `DMQ type must be sns`);
+  t.end();
+});
+
+// =====================================================================================================================
+// Built-in sinks
+// =====================================================================================================================
+
+test('discardUnusableRecordToDRQ with a kinesis DRQ', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {putRecords: respond(requests, 'putRecords', undefined, {Records: [{ShardId: 'S1', SequenceNumber: '1'}]})};
+
+  streamProcessing.discardUnusableRecordToDRQ(unusableRecord, sampleBatch(), toPutRequest, context)
+    .then(result => {
+      t.deepEqual(result, {ShardId: 'S1', SequenceNumber: '1'}, `must resolve with the entry's result`);
+      t.equal(requests.length, 1, `must make 1 PutRecords call`);
+      t.equal(requests[0].params.StreamName, 'DeadRecordQueue_DEV', `must put to DeadRecordQueue_DEV`);
+      t.deepEqual(requests[0].params.Records, [{Data: JSON.stringify({deadLetter: unusableRecord}), PartitionKey: 'PK1'}], `must put 1 record`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with a kinesis DMQ groups discards into PutRecords calls & maps partial failures', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {
+    putRecords: params => {
+      requests.push(params);
+      // Fail the 2nd entry of the 1st call
+      const records = params.Records.map((r, i) => requests.length === 1 && i === 1 ?
+        {ErrorCode: 'ProvisionedThroughputExceededException', ErrorMessage: 'Rate exceeded'} :
+        {ShardId: 'S1', SequenceNumber: `${requests.length}-${i}`});
+      return {promise: () => Promise.resolve({FailedRecordCount: 1, Records: records})};
+    }
+  };
+
+  const n = 502;
+  const batches = [];
+  for (let i = 0; i < n; ++i) {
+    batches.push(sampleBatch({id: `id${i}`}));
+  }
+  const outcome = p => p.then(result => result, err => err);
+
+  Promise.all(batches.map(batch => outcome(streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context))))
+    .then(outcomes => {
+      t.deepEqual(requests.map(r => r.Records.length), [500, 2], `must put ${n} records in 2 PutRecords calls`);
+      t.deepEqual(outcomes[0], {ShardId: 'S1', SequenceNumber: '1-0'}, `1st discard must resolve with its own entry's result`);
+      t.ok(outcomes[1] instanceof TransientError, `2nd discard must fail with a TransientError`);
+      t.deepEqual(outcomes[501], {ShardId: 'S1', SequenceNumber: '2-1'}, `last discard must resolve with its own entry's result`);
+      t.equal(outcomes.filter(o => o instanceof Error).length, 1, `only 1 discard must fail`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with a kinesis DMQ splits PutRecords calls at 5 MB', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {
+    putRecords: params => {
+      requests.push(params);
+      return {promise: () => Promise.resolve({Records: params.Records.map(() => ({ShardId: 'S1', SequenceNumber: '1'}))})};
+    }
+  };
+  const bigData = 'x'.repeat(2 * 1024 * 1024);
+  const toBigPutRequest = (deadLetter, batch, queueName, context) => ({StreamName: queueName, PartitionKey: 'PK1', Data: bigData});
+  const batches = [sampleBatch({id: 'id1'}), sampleBatch({id: 'id2'}), sampleBatch({id: 'id3'})];
+
+  Promise.all(batches.map(batch => streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toBigPutRequest, context)))
+    .then(() => {
+      t.deepEqual(requests.map(r => r.Records.length), [2, 1], `must put 3 x 2 MB records in 2 PutRecords calls`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with a kinesis DMQ fails every grouped discard if PutRecords fails', t => {
+  const context = createContext();
+  const requests = [];
+  context.kinesis = {putRecords: respond(requests, 'putRecords', awsError('ResourceNotFoundException'))};
+  const batches = [sampleBatch({id: 'id1'}), sampleBatch({id: 'id2'})];
+
+  Promise.all(batches.map(batch => streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context).then(() => 'resolved', err => err)))
+    .then(outcomes => {
+      t.equal(requests.length, 1, `must make 1 PutRecords call`);
+      t.ok(outcomes.every(o => o instanceof FatalError), `every discard must fail with a FatalError`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardUnusableRecordToDRQ with an sqs DRQ', t => {
+  const context = createContext('sqs');
+  const requests = [];
+  context.sqs = {
+    getQueueUrl: respond(requests, 'getQueueUrl', undefined, {QueueUrl: 'https://sqs/123/DeadRecordQueue_DEV'}),
+    sendMessage: respond(requests, 'sendMessage', undefined, {MessageId: 'M1'})
+  };
+
+  streamProcessing.discardUnusableRecordToDRQ(unusableRecord, sampleBatch(), toPutRequest, context)
+    .then(() => streamProcessing.discardUnusableRecordToDRQ(unusableRecord, sampleBatch(), toPutRequest, context))
+    .then(result => {
+      t.deepEqual(result, {MessageId: 'M1'}, `must resolve with the sendMessage result`);
+      t.deepEqual(requests.map(r => r.name), ['getQueueUrl', 'sendMessage', 'sendMessage'], `must only get the queue url once`);
+      t.deepEqual(requests[0].params, {QueueName: 'DeadRecordQueue_DEV'}, `must get the url of DeadRecordQueue_DEV`);
+      const params = requests[1].params;
+      t.equal(params.QueueUrl, 'https://sqs/123/DeadRecordQueue_DEV', `must send to the queue url`);
+      t.deepEqual(JSON.parse(params.MessageBody), {deadLetter: unusableRecord}, `must send the request's data as the body`);
+      t.equal(params.MessageAttributes.partitionKey.StringValue, 'PK1', `must send the partition key as an attribute`);
+      t.equal(params.MessageGroupId, undefined, `must NOT set a message group id for a standard queue`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with an sqs FIFO DMQ', t => {
+  const context = createContext(undefined, 'sqs');
+  context.streamProcessing.deadMessageQueueName = 'DeadMessageQueue.fifo';
+  const requests = [];
+  context.sqs = {
+    getQueueUrl: respond(requests, 'getQueueUrl', undefined, {QueueUrl: 'https://sqs/123/DeadMessageQueue_DEV.fifo'}),
+    sendMessage: respond(requests, 'sendMessage', undefined, {MessageId: 'M1'})
+  };
+  const batch = sampleBatch({id: 'id1'});
+
+  streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context)
+    .then(() => {
+      t.deepEqual(requests[0].params, {QueueName: 'DeadMessageQueue_DEV.fifo'}, `must keep the .fifo suffix after qualifying the queue name`);
+      const params = requests[1].params;
+      t.equal(params.MessageGroupId, 'PK1', `must use the partition key as the message group id`);
+      t.ok(/^[0-9a-f]{32}$/.test(params.MessageDeduplicationId), `must set an MD5 message deduplication id`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with an sqs FIFO DMQ & a dead letter without a partition key', t => {
+  const context = createContext(undefined, 'sqs');
+  context.streamProcessing.deadMessageQueueName = 'DeadMessageQueue.fifo';
+  const requests = [];
+  context.sqs = {
+    getQueueUrl: respond(requests, 'getQueueUrl', undefined, {QueueUrl: 'https://sqs/123/DeadMessageQueue_DEV.fifo'}),
+    sendMessage: respond(requests, 'sendMessage', undefined, {MessageId: 'M1'})
+  };
+  const batch = sampleBatch({id: 'id1'});
+  const toUnkeyedPutRequest = (deadLetter, batch, queueName, context) => ({StreamName: queueName, Data: JSON.stringify({deadLetter: deadLetter})});
+
+  streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toUnkeyedPutRequest, context)
+    .then(() => {
+      const params = requests[1].params;
+      t.equal(params.MessageGroupId, 'DeadMessageQueue_DEV.fifo', `must use the queue name as the message group id`);
+      t.equal(params.MessageAttributes, undefined, `must NOT send a partition key attribute`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with an sqs DMQ & the AWS SDK on context.AWS', t => {
+  const context = createContext(undefined, 'sqs');
+  const requests = [];
+  const regionsUsed = [];
+  context.AWS = {
+    SQS: function (options) {
+      regionsUsed.push(options.region);
+      this.getQueueUrl = respond(requests, 'getQueueUrl', undefined, {QueueUrl: 'https://sqs/123/DeadMessageQueue_DEV'});
+      this.sendMessage = respond(requests, 'sendMessage', undefined, {MessageId: 'M1'});
+    }
+  };
+  const batch = sampleBatch({id: 'id1'});
+
+  streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context)
+    .then(result => {
+      t.deepEqual(result, {MessageId: 'M1'}, `must resolve with the sendMessage result`);
+      t.deepEqual(regionsUsed, [awsRegion], `must construct an SQS instance from context.AWS for the current region`);
+      t.ok(context.sqs instanceof context.AWS.SQS, `must configure the SQS instance on context.sqs`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with an sns DMQ', t => {
+  const context = createContext(undefined, 'sns');
+  const requests = [];
+  context.sns = {publish: respond(requests, 'publish', undefined, {MessageId: 'M1'})};
+  const batch = sampleBatch({id: 'id1'});
+
+  streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context)
+    .then(result => {
+      t.deepEqual(result, {MessageId: 'M1'}, `must resolve with the publish result`);
+      const params = requests[0].params;
+      t.ok(/^arn:aws:sns:us-west-2:[^:]+:DeadMessageQueue_DEV$/.test(params.TopicArn), `must publish to the DeadMessageQueue_DEV topic in the function's account`);
+      t.deepEqual(JSON.parse(params.Message), {deadLetter: batch.message}, `must publish the request's data as the message`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('discardRejectedMessageToDMQ with an s3 DMQ', t => {
+  const context = createContext(undefined, 's3');
+  const requests = [];
+  context.s3 = {putObject: respond(requests, 'putObject', undefined, {ETag: 'E1'})};
+  const batch = sampleBatch({id: 'id1'});
+
+  streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context)
+    .then(() => streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context))
+    .then(result => {
+      t.deepEqual(result, {ETag: 'E1'}, `must resolve with the putObject result`);
+      const params = requests[0].params;
+      t.equal(params.Bucket, 'deadmessagequeue-dev', `must put into the deadmessagequeue-dev bucket`);
+      t.ok(/^\d{4}\/\d{2}\/\d{2}\/\d+-[0-9a-f]{32}-[0-9a-f]{8}\.json$/.test(params.Key), `must put under a dated, timestamped MD5 key with a random suffix`);
+      t.notEqual(requests[1].params.Key, params.Key, `must NOT put the same dead letter under the same key twice`);
+      t.deepEqual(JSON.parse(params.Body), {deadLetter: batch.message}, `must put the request's data as the body`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// Error classification
+// =====================================================================================================================
+
+test('discard errors are classified as fatal or transient', t => {
+  const context = createContext('sqs', 's3');
+  const requests = [];
+  context.sqs = {getQueueUrl: respond(requests, 'getQueueUrl', awsError('AWS.SimpleQueueService.NonExistentQueue'))};
+  context.s3 = {putObject: respond(requests, 'putObject', awsError('SlowDown', true))};
+  context.kinesis = {putRecords: respond(requests, 'putRecords', awsError('ValidationException'))};
+  const batch = sampleBatch({id: 'id1'});
+
+  const outcome = p => p.then(() => t.fail(`must reject`), err => err);
+
+  outcome(streamProcessing.discardUnusableRecordToDRQ(unusableRecord, batch, toPutRequest, context))
+    .then(err => {
+      t.ok(err instanceof FatalError, `a missing queue must be a FatalError`);
+      return outcome(streamProcessing.discardRejectedMessageToDMQ(batch.message, batch, toPutRequest, context));
+    })
+    .then(err => {
+      t.ok(err instanceof TransientError, `a retryable error must be a TransientError`);
+      context.streamProcessing.deadRecordQueueType = 'kinesis';
+      return outcome(streamProcessing.discardUnusableRecordToDRQ(unusableRecord, batch, toPutRequest, context));
+    })
+    .then(err => {
+      t.ok(!(err instanceof FatalError) && !(err instanceof TransientError), `any other error must be left as is`);
+      t.equal(err.code, 'ValidationException', `must rethrow the original error`);
+      context.streamProcessing.deadRecordQueueType = 'bogus';
+      return outcome(streamProcessing.discardUnusableRecordToDRQ(unusableRecord, batch, toPutRequest, context));
+    })
+    .then(err => {
+      t.ok(err instanceof FatalError, `an unknown DRQ type must be a FatalError`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
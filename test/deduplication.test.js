@@ -0,0 +1,227 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/deduplication.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const deduplication = require('../deduplication');
+const DeduplicationStore = deduplication.DeduplicationStore;
+const InMemoryDeduplicationStore = deduplication.InMemoryDeduplicationStore;
+const DynamoDBDeduplicationStore = deduplication.DynamoDBDeduplicationStore;
+
+const settings = require('../settings');
+const Batch = require('../batch');
+
+const TaskDef = require('task-utils/task-defs');
+
+const samples = require('./samples');
+const fixtures = require('./stream-consumer-fixtures');
+const sampleMessagesAndRecords = fixtures.sampleMessagesAndRecords;
+
+const processOne = (message, context) => message;
+
+function createContext(deduplicationStore, withoutIds) {
+  return fixtures.createContext(fixtures.sampleMessagesSettings({
+    resolveMessageIdsAndSeqNos: (msg, rec, userRec, eventIdAndSeqNos, md5s, context) => {
+      const ids = withoutIds ? [] : [['id1', msg.id1], ['id2', msg.id2]];
+      return {ids: ids, keys: [], seqNos: [['eventSeqNo', eventIdAndSeqNos.eventSeqNo]]};
+    },
+    deduplicationStore: deduplicationStore
+  }), 'dev');
+}
+
+function createBatch(msgsAndRecs, processOneTaskDef, context) {
+  // Use copies of the messages & records to simulate a redelivery of the same messages
+  const copies = JSON.parse(JSON.stringify(msgsAndRecs));
+  const batch = new Batch(copies.map(mr => mr[1]), [processOneTaskDef], [], context);
+  copies.forEach(mr => batch.addMessage(mr[0], mr[1], undefined, context));
+  batch.reviveTasks(context);
+  return batch;
+}
+
+function getTask(batch, i) {
+  return batch.states.get(batch.messages[i]).ones.processOne;
+}
+
+// =====================================================================================================================
+// toDeduplicationId
+// =====================================================================================================================
+
+test('toDeduplicationId', t => {
+  const context = createContext(undefined);
+  t.equal(deduplication.toDeduplicationId(undefined, context), undefined, `toDeduplicationId(undefined) must be undefined`);
+  t.equal(deduplication.toDeduplicationId({}, context), undefined, `toDeduplicationId({}) must be undefined`);
+  t.equal(deduplication.toDeduplicationId({id: 'id1:1', md5s: {msg: 'MD5'}}, context), 'I|id1:1', `must prefer the message id`);
+  t.equal(deduplication.toDeduplicationId({id: '', md5s: {msg: 'MD5'}}, context), undefined, `must NOT fall back to the message MD5 by default`);
+
+  context.streamProcessing.deduplicatedByMessageMD5 = true;
+  t.equal(deduplication.toDeduplicationId({id: 'id1:1', md5s: {msg: 'MD5'}}, context), 'I|id1:1', `must still prefer the message id`);
+  t.equal(deduplication.toDeduplicationId({id: '', md5s: {msg: 'MD5'}}, context), 'M|MD5', `must fall back to the message MD5 if deduplicatedByMessageMD5`);
+  t.end();
+});
+
+// =====================================================================================================================
+// Deduplication stores
+// =====================================================================================================================
+
+test('DeduplicationStore base class rejects every method', t => {
+  const store = new DeduplicationStore();
+  t.ok(deduplication.isDeduplicationStore(store), `isDeduplicationStore(store) must be true`);
+  t.notOk(deduplication.isDeduplicationStore({getProcessedIds: () => []}), `isDeduplicationStore({getProcessedIds}) must be false`);
+
+  Promise.all([store.getProcessedIds('C', ['a']), store.putProcessedIds('C', ['a'])].map(p => p.then(() => 'resolved', () => 'rejected')))
+    .then(results => {
+      t.deepEqual(results, ['rejected', 'rejected'], `every method must reject`);
+      t.end();
+    });
+});
+
+test('InMemoryDeduplicationStore ignores expired ids', t => {
+  const store = new InMemoryDeduplicationStore();
+  const context = createContext(store);
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+
+  store.putProcessedIds('C1', ['a', 'b'], nowInSeconds + 60, context)
+    .then(() => store.putProcessedIds('C1', ['c'], nowInSeconds - 1, context))
+    .then(() => store.getProcessedIds('C1', ['a', 'c', 'd'], context))
+    .then(ids => {
+      t.deepEqual(ids, ['a'], `must only find unexpired id 'a'`);
+      return store.getProcessedIds('C2', ['a'], context);
+    })
+    .then(ids => {
+      t.deepEqual(ids, [], `must NOT find ids of another stream consumer`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('DynamoDBDeduplicationStore gets & puts processed ids', t => {
+  const table = new Map();
+  const requests = [];
+  const toKey = k => JSON.stringify([k.streamConsumerId, k.messageId]);
+  const respond = result => ({promise: () => Promise.resolve(result)});
+  const context = createContext(undefined);
+  context.dynamoDBDocClient = {
+    batchWrite: request => {
+      requests.push(request);
+      const tableName = Object.keys(request.RequestItems)[0];
+      request.RequestItems[tableName].forEach(r => table.set(toKey(r.PutRequest.Item), r.PutRequest.Item));
+      return respond({UnprocessedItems: {}});
+    },
+    batchGet: request => {
+      requests.push(request);
+      const tableName = Object.keys(request.RequestItems)[0];
+      const items = request.RequestItems[tableName].Keys.map(k => table.get(toKey(k))).filter(i => !!i);
+      return respond({Responses: {[tableName]: items}});
+    }
+  };
+  const store = new DynamoDBDeduplicationStore();
+  t.equal(store.tableName, 'StreamConsumerDeduplication', `store.tableName must default to StreamConsumerDeduplication`);
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+
+  store.putProcessedIds('C1', ['a', 'a', 'b'], nowInSeconds + 60, context)
+    .then(() => {
+      t.deepEqual(Object.keys(requests[0].RequestItems), ['StreamConsumerDeduplication_DEV'], `must write to the stage-qualified table`);
+      t.equal(table.size, 2, `must write 2 unique ids`);
+      t.equal(table.get(toKey({streamConsumerId: 'C1', messageId: 'a'})).expiresAt, nowInSeconds + 60, `must write expiresAt`);
+      // Simulate an expired item that DynamoDB TTL has not deleted yet
+      table.set(toKey({streamConsumerId: 'C1', messageId: 'c'}), {streamConsumerId: 'C1', messageId: 'c', expiresAt: nowInSeconds - 1});
+      return store.getProcessedIds('C1', ['a', 'c', 'd'], context);
+    })
+    .then(ids => {
+      t.deepEqual(ids, ['a'], `must only find unexpired id 'a'`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// completeDuplicateMessages & recordProcessedMessages
+// =====================================================================================================================
+
+test('recordProcessedMessages & completeDuplicateMessages complete messages processed in a previous batch', t => {
+  const store = new InMemoryDeduplicationStore();
+  const context = createContext(store);
+  context.streamProcessing.deduplicationTtlInSeconds = 60;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate a first batch that only completes msg1's task
+  const batch0 = createBatch(msgsAndRecs, processOneTaskDef, context);
+  getTask(batch0, 0).start();
+  getTask(batch0, 0).succeed();
+  getTask(batch0, 1).start();
+  getTask(batch0, 1).fail(new Error('Planned msg2 error'));
+
+  deduplication.recordProcessedMessages(batch0, store, context)
+    .then(ids => {
+      t.equal(ids.length, 1, `must only record msg1's id`);
+      t.equal(ids[0], deduplication.toDeduplicationId(batch0.states.get(batch0.messages[0]), context), `must record msg1's id`);
+      t.ok(ids[0].startsWith('I|'), `must record msg1's message id`);
+      const expiresAt = store.expiries.get(JSON.stringify([batch0.streamConsumerId, ids[0]]));
+      t.ok(expiresAt > Math.floor(Date.now() / 1000) && expiresAt <= Math.floor(Date.now() / 1000) + 60, `must record msg1's id with an expiry`);
+
+      // Simulate a redelivery of the same messages in another batch without any prior batch state
+      const batch = createBatch(msgsAndRecs, processOneTaskDef, context);
+      return deduplication.completeDuplicateMessages(batch, store, context).then(duplicates => {
+        t.equal(duplicates.length, 1, `must complete 1 duplicate message`);
+        t.equal(duplicates[0], batch.messages[0], `must complete msg1`);
+        t.ok(getTask(batch, 0).completed, `msg1's task must be completed`);
+        t.ok(getTask(batch, 1).incomplete, `msg2's task must still be incomplete`);
+        t.end();
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+test('completeDuplicateMessages does NOT complete a distinct message without ids that has the same content', t => {
+  const store = new InMemoryDeduplicationStore();
+  const context = createContext(store, true);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const shardId = 'shardId-000000000001';
+  const eventSourceARN = samples.sampleKinesisEventSourceArn('us-west-2', 'TEST_Stream_DEV');
+  // Simulate 2 distinct events without ids, which have identical payloads
+  const msgAndRec1 = samples.sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200961', eventSourceARN, undefined, undefined, 'ABC', 10, 1, 2, 3);
+  const msgAndRec2 = samples.sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200971', eventSourceARN, undefined, undefined, 'ABC', 10, 1, 2, 3);
+  t.deepEqual(msgAndRec1[0], msgAndRec2[0], `the 2 messages must have identical content`);
+
+  const batch0 = createBatch([msgAndRec1], processOneTaskDef, context);
+  getTask(batch0, 0).start();
+  getTask(batch0, 0).succeed();
+
+  deduplication.recordProcessedMessages(batch0, store, context)
+    .then(ids => {
+      t.deepEqual(ids, [], `must NOT record an id for a message without ids`);
+      const batch = createBatch([msgAndRec2], processOneTaskDef, context);
+      return deduplication.completeDuplicateMessages(batch, store, context).then(duplicates => {
+        t.equal(duplicates.length, 0, `must NOT complete the distinct message`);
+        t.ok(getTask(batch, 0).incomplete, `the distinct message's task must still be incomplete`);
+      });
+    })
+    .then(() => {
+      // Opt in to deduplicating messages without ids by their content
+      context.streamProcessing.deduplicatedByMessageMD5 = true;
+      return deduplication.recordProcessedMessages(batch0, store, context).then(ids => {
+        t.equal(ids.length, 1, `must record the message MD5 if deduplicatedByMessageMD5`);
+        const batch = createBatch([msgAndRec2], processOneTaskDef, context);
+        return deduplication.completeDuplicateMessages(batch, store, context).then(duplicates => {
+          t.equal(duplicates.length, 1, `must complete the message with the same content if deduplicatedByMessageMD5`);
+          t.end();
+        });
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+test('getDeduplicationStore, getDeduplicationTtlInSeconds & isDeduplicatedByMessageMD5', t => {
+  const store = new InMemoryDeduplicationStore();
+  t.equal(settings.getDeduplicationStore(createContext(store)), store, `getDeduplicationStore must return the configured store`);
+  t.equal(settings.getDeduplicationStore(createContext({})), undefined, `getDeduplicationStore must ignore an invalid store`);
+  t.equal(settings.getDeduplicationTtlInSeconds(createContext(store)), 24 * 60 * 60, `getDeduplicationTtlInSeconds must default to 1 day`);
+  t.equal(settings.isDeduplicatedByMessageMD5(createContext(store)), false, `isDeduplicatedByMessageMD5 must default to false`);
+  t.end();
+});
@@ -0,0 +1,191 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/error-classification.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const errorClassification = require('../error-classification');
+const ErrorClassification = errorClassification.ErrorClassification;
+
+const settings = require('../settings');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+const TransientError = errors.TransientError;
+const TimeoutError = errors.TimeoutError;
+
+const streamProcessing = require('../stream-processing');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// A task that fails its first given number of executions with errors created by the given function
+function failingTask(name, failures, toError, executions) {
+  return TaskDef.defineTask(name, function () {
+    executions.push(name);
+    const n = executions.length;
+    return n <= failures ? Promise.reject(toError(n)) : Promise.resolve(n);
+  });
+}
+
+// =====================================================================================================================
+// defaultErrorClassifier, classifyError & settings
+// =====================================================================================================================
+
+test('defaultErrorClassifier', t => {
+  const transient = ErrorClassification.transient;
+  const permanent = ErrorClassification.permanent;
+  t.equal(errorClassification.defaultErrorClassifier(new TransientError('Planned')), transient, `TransientError must be transient`);
+  t.equal(errorClassification.defaultErrorClassifier(new TimeoutError('Planned')), transient, `TimeoutError must be transient`);
+  const throttled = new Error('Throttled');
+  throttled.retryable = true;
+  t.equal(errorClassification.defaultErrorClassifier(throttled), transient, `retryable error must be transient`);
+  t.equal(errorClassification.defaultErrorClassifier(new Error('Planned')), permanent, `plain Error must be permanent`);
+  const fatal = new FatalError('Planned');
+  fatal.retryable = true;
+  t.equal(errorClassification.defaultErrorClassifier(fatal), permanent, `FatalError must be permanent`);
+  t.equal(errorClassification.defaultErrorClassifier(undefined), permanent, `undefined must be permanent`);
+  t.end();
+});
+
+test('classifyError', t => {
+  const task = {name: 'processOne'};
+  t.equal(errorClassification.classifyError(new TransientError('Planned'), task, {streamProcessing: {}}),
+    ErrorClassification.transient, `must use the default error classifier without an errorClassifier`);
+
+  const args = [];
+  const errorClassifier = (error, task, context) => {
+    args.push([error, task, context]);
+    return error.message === 'Down' ? ErrorClassification.transient : 'unknown';
+  };
+  const context = {streamProcessing: {errorClassifier: errorClassifier}};
+  const down = new Error('Down');
+  t.equal(errorClassification.classifyError(down, task, context), ErrorClassification.transient, `Down must be transient`);
+  t.deepEqual(args[0], [down, task, context], `must pass the error, task & context to the errorClassifier`);
+  t.equal(errorClassification.classifyError(new TransientError('Planned'), task, context), ErrorClassification.permanent,
+    `must regard an unknown classification as permanent`);
+  t.end();
+});
+
+test('getMaxTransientAttempts & getMaxPermanentAttempts', t => {
+  t.equal(settings.getMaxTransientAttempts({streamProcessing: {}}), undefined, `maxTransientAttempts must default to undefined`);
+  t.equal(settings.getMaxTransientAttempts({streamProcessing: {maxTransientAttempts: '7'}}), 7, `maxTransientAttempts must be 7`);
+  t.equal(settings.getMaxPermanentAttempts({streamProcessing: {maxNumberOfAttempts: 10}}), 10, `maxPermanentAttempts must default to maxNumberOfAttempts`);
+  t.equal(settings.getMaxPermanentAttempts({streamProcessing: {maxNumberOfAttempts: 10, maxPermanentAttempts: 3}}), 3, `maxPermanentAttempts must be 3`);
+  t.end();
+});
+
+// =====================================================================================================================
+// executeWithErrorClassification & discardIfOverAttempted
+// =====================================================================================================================
+
+test('Without maxTransientAttempts transient failures count as ordinary attempts', t => {
+  const context = createContext({maxNumberOfAttempts: 2});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 4, n => new TransientError(`Planned transient failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 2, `must execute processOne twice`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 1, `must discard the message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('With maxTransientAttempts transient failures of a "process one" task do not count against maxPermanentAttempts', t => {
+  const context = createContext({maxNumberOfAttempts: 2, maxTransientAttempts: 10});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 4, n => new TransientError(`Planned transient failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations.length, 5, `must take 5 invocations`);
+      t.equal(executions.length, 5, `must execute processOne 5 times`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard the message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('With maxTransientAttempts transient failures of a "process all" task do not count against maxPermanentAttempts', t => {
+  const context = createContext({maxNumberOfAttempts: 1, maxTransientAttempts: 10});
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processAll = failingTask('processAll', 2, n => new TransientError(`Planned transient failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([], [processAll], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 3, `must execute processAll 3 times`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('With maxTransientAttempts a message is discarded once it reaches maxTransientAttempts', t => {
+  const context = createContext({maxNumberOfAttempts: 2, maxTransientAttempts: 3});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 100, n => new TransientError(`Planned transient failure ${n}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 3, `must execute processOne 3 times`);
+      const deadMessages = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(deadMessages.length, 1, `must discard the message to the DMQ`);
+      t.ok(deadMessages[0].tasks.ones[0].reason.indexOf('maximum number of transient attempts allowed (3)') !== -1,
+        `must discard the message for reaching maxTransientAttempts (${deadMessages[0].tasks.ones[0].reason})`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('With maxTransientAttempts a message is discarded once it reaches maxPermanentAttempts', t => {
+  const errorClassifier = error => error.message.indexOf('Down') !== -1 ? ErrorClassification.transient : ErrorClassification.permanent;
+  const context = createContext({maxNumberOfAttempts: 5, maxPermanentAttempts: 2, maxTransientAttempts: 10, errorClassifier: errorClassifier});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 100,
+    n => n <= 2 ? new Error(`Planned failure ${n}, since Down`) : new Error(`Planned failure ${n}, since bad message`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(executions.length, 4, `must execute processOne twice transiently & twice permanently`);
+      const deadMessages = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(deadMessages.length, 1, `must discard the message to the DMQ`);
+      t.ok(deadMessages[0].tasks.ones[0].reason.indexOf('maximum number of attempts allowed (2)') !== -1,
+        `must discard the message for reaching maxPermanentAttempts (${deadMessages[0].tasks.ones[0].reason})`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
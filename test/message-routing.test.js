@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/message-routing.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const messageRouting = require('../message-routing');
+const MessageRouter = messageRouting.MessageRouter;
+const DEFAULT_ROUTE = messageRouting.DEFAULT_ROUTE;
+const REJECT_UNROUTED_MESSAGE = messageRouting.REJECT_UNROUTED_MESSAGE;
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const streamProcessing = require('../stream-processing');
+
+const taskPredicates = require('../task-predicates');
+
+const TaskDef = require('task-utils/task-defs');
+const taskUtils = require('task-utils');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+const types = ['OrderPlaced', 'OrderShipped', 'Unknown', 'OrderPlaced'];
+
+function toType(i) {
+  return types[(i - 1) % types.length];
+}
+
+// A "process one" task that records the ids of the messages on which it was executed
+function recordingTask(name, executions) {
+  return TaskDef.defineTask(name, function (message) {
+    executions.push(`${name}:${message.id1}`);
+    return Promise.resolve(message.id1);
+  });
+}
+
+// A "process all" task that records the ids of the incomplete messages with which it was executed
+function recordingAllTask(name, executions) {
+  return TaskDef.defineTask(name, function (batch, incompleteMessages) {
+    executions.push(`${name}:${incompleteMessages.map(msg => msg.id1).join(',')}`);
+    return Promise.resolve(incompleteMessages.length);
+  });
+}
+
+function routeNamesOf(batch, message, tasksName) {
+  return taskUtils.getTasks(batch.states.get(message)[tasksName]).map(task => task.name);
+}
+
+// =====================================================================================================================
+// MessageRouter
+// =====================================================================================================================
+
+test('MessageRouter constructor', t => {
+  const executions = [];
+  const sendEmail = recordingTask('sendEmail', executions);
+  const updateLedger = recordingTask('updateLedger', executions);
+  const sendEmail2 = recordingTask('sendEmail', executions);
+
+  t.throws(() => new MessageRouter({routes: {OrderPlaced: {}}}), /typePropertyName or a resolveMessageType/, `must require a type resolver`);
+  t.throws(() => new MessageRouter({typePropertyName: 'type'}), /without any routes/, `must require routes`);
+  t.throws(() => new MessageRouter({typePropertyName: 'type', routes: {OrderPlaced: {processOneTaskDefs: [{}]}}}),
+    /must be an array of executable TaskDef instances/, `must require valid task definitions`);
+  t.throws(() => new MessageRouter({typePropertyName: 'type', routes: {[DEFAULT_ROUTE]: {}}}), /defaultRoute option/,
+    `must reject a route named ${DEFAULT_ROUTE}`);
+
+  const router = new MessageRouter({
+    typePropertyName: 'detail.type',
+    routes: {
+      OrderPlaced: {processOneTaskDefs: [sendEmail, updateLedger]},
+      OrderShipped: {processOneTaskDefs: [sendEmail2]}
+    }
+  });
+  t.deepEqual(router.processOneTaskDefs.map(d => d.name),
+    ['OrderPlaced|sendEmail', 'OrderPlaced|updateLedger', 'OrderShipped|sendEmail', REJECT_UNROUTED_MESSAGE],
+    `must qualify the task definitions' names by route & add a reject unrouted message task definition`);
+  t.deepEqual(router.processAllTaskDefs, [], `must have no process all task definitions`);
+  t.equal(messageRouting.toRoutedTaskName('OrderPlaced', 'sendEmail'), 'OrderPlaced|sendEmail', `toRoutedTaskName`);
+
+  t.equal(router.resolveMessageType({detail: {type: 'OrderPlaced'}}), 'OrderPlaced', `must resolve the type from the property path`);
+  t.equal(router.resolveRouteName({detail: {type: 'OrderShipped'}}), 'OrderShipped', `must resolve the OrderShipped route`);
+  t.equal(router.resolveRouteName({detail: {type: 'Unknown'}}), undefined, `must not route an Unknown message`);
+  t.equal(router.resolveRouteName({}), undefined, `must not route a message without a type`);
+
+  const defaultRouter = new MessageRouter({
+    resolveMessageType: message => message.kind,
+    routes: {OrderPlaced: {processOneTaskDefs: [sendEmail]}},
+    defaultRoute: {processOneTaskDefs: [updateLedger]}
+  });
+  t.deepEqual(defaultRouter.processOneTaskDefs.map(d => d.name),
+    ['OrderPlaced|sendEmail', `${DEFAULT_ROUTE}|updateLedger`, REJECT_UNROUTED_MESSAGE],
+    `must add the default route's task definitions & a reject unrouted message task definition`);
+  t.equal(defaultRouter.resolveRouteName({kind: 'OrderPlaced'}), 'OrderPlaced', `must resolve the type via the function`);
+  t.equal(defaultRouter.resolveRouteName({kind: 'Unknown'}), DEFAULT_ROUTE, `must route an Unknown message to the default route`);
+
+  const failingRouter = new MessageRouter({
+    resolveMessageType: message => message.detail.type,
+    routes: {OrderPlaced: {processOneTaskDefs: [sendEmail]}},
+    defaultRoute: {processOneTaskDefs: [updateLedger]}
+  });
+  const badMessage = {};
+  t.equal(failingRouter.resolveMessageType(badMessage), undefined, `must not throw the resolver's error`);
+  t.ok(failingRouter.getMessageTypeError(badMessage) instanceof TypeError, `must keep the resolver's error`);
+  t.equal(failingRouter.resolveRouteName(badMessage), undefined, `must not route a message whose type resolution failed`);
+  t.end();
+});
+
+test('MessageRouter combines each route with its task definitions\' own when predicates', t => {
+  const isOdd = msg => Number(msg.id1) % 2 === 1;
+  const sendEmail = taskPredicates.setWhen(TaskDef.defineTask('sendEmail', () => 1), isOdd);
+  const bulkIndex = taskPredicates.setWhen(TaskDef.defineTask('bulkIndex', () => 1), isOdd);
+
+  const router = new MessageRouter({
+    typePropertyName: 'type',
+    routes: {A: {processOneTaskDefs: [sendEmail], processAllTaskDefs: [bulkIndex]}}
+  });
+  [router.processOneTaskDefs[0], router.processAllTaskDefs[0]].forEach(routedTaskDef => {
+    const when = taskPredicates.getWhen(routedTaskDef);
+    t.ok(when({type: 'A', id1: '1'}), `${routedTaskDef.name} must apply to an odd message on its route`);
+    t.notOk(when({type: 'A', id1: '2'}), `${routedTaskDef.name} must not apply to an even message on its route`);
+    t.notOk(when({type: 'B', id1: '1'}), `${routedTaskDef.name} must not apply to an odd message on another route`);
+  });
+  t.equal(taskPredicates.getWhen(sendEmail), isOdd, `must not replace the original task definition's when predicate`);
+  t.end();
+});
+
+test('MessageRouter copies sub-task definitions', t => {
+  const taskDef = TaskDef.defineTask('process', function () {
+    this.getSubTask('step1').succeed(1);
+    return 1;
+  });
+  taskDef.defineSubTask('step1').defineSubTask('step1a');
+
+  const router = new MessageRouter({typePropertyName: 'type', routes: {A: {processOneTaskDefs: [taskDef]}}});
+  const routedTaskDef = router.processOneTaskDefs[0];
+  t.equal(routedTaskDef.name, 'A|process', `must qualify the task name`);
+  t.equal(routedTaskDef.execute, taskDef.execute, `must keep the execute function`);
+  t.deepEqual(routedTaskDef.subTaskDefs.map(d => d.name), ['step1'], `must copy the sub-task definitions`);
+  t.deepEqual(routedTaskDef.subTaskDefs[0].subTaskDefs.map(d => d.name), ['step1a'], `must copy the sub-sub-task definitions`);
+  t.end();
+});
+
+// =====================================================================================================================
+// processRoutedStreamEvent
+// =====================================================================================================================
+
+function createRoutedHandler(router, context) {
+  return (event, awsContext) => {
+    streamProcessing.configureEventAwsContextAndStage(context, event, awsContext);
+    return messageRouting.processRoutedStreamEvent(event, router, context);
+  };
+}
+
+test('processRoutedStreamEvent routes messages to their own pipelines & rejects unroutable messages', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(4, toType), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const router = new MessageRouter({
+    typePropertyName: 'k1',
+    routes: {
+      OrderPlaced: {processOneTaskDefs: [recordingTask('sendEmail', executions)], processAllTaskDefs: [recordingAllTask('bulkIndex', executions)]},
+      OrderShipped: {processOneTaskDefs: [recordingTask('sendEmail', executions)]}
+    }
+  });
+
+  sim.run(createRoutedHandler(router, context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(executions.slice().sort(), ['bulkIndex:1,4', 'sendEmail:1', 'sendEmail:2', 'sendEmail:4'],
+        `must execute each message's own pipeline`);
+
+      const batch = report.invocations[0].batch;
+      const byId = id => batch.messages.concat(batch.rejectedMessages).find(msg => msg.id1 === id);
+      t.deepEqual(routeNamesOf(batch, byId('1'), 'ones'), ['OrderPlaced|sendEmail'], `message 1 must only have OrderPlaced tasks`);
+      t.deepEqual(routeNamesOf(batch, byId('1'), 'alls'), ['OrderPlaced|bulkIndex'], `message 1 must have OrderPlaced process all tasks`);
+      t.deepEqual(routeNamesOf(batch, byId('2'), 'ones'), ['OrderShipped|sendEmail'], `message 2 must only have OrderShipped tasks`);
+      t.equal(batch.states.get(byId('2')).alls, undefined, `message 2 must have no process all tasks`);
+      t.deepEqual(routeNamesOf(batch, byId('3'), 'ones'), [REJECT_UNROUTED_MESSAGE], `message 3 must only be rejected`);
+
+      const discarded = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(discarded.length, 1, `must discard the unroutable message to the DMQ`);
+      t.equal(discarded[0].reasonRejected, 'Unroutable message, since no route exists for its message type (Unknown)',
+        `must reject the unroutable message with a clear reason`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('processRoutedStreamEvent ONLY rejects a message whose type resolver throws an error', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(2, toType), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const router = new MessageRouter({
+    resolveMessageType: message => {
+      if (message.id1 === '2') throw new Error('Boom');
+      return message.k1;
+    },
+    routes: {OrderPlaced: {processOneTaskDefs: [recordingTask('sendEmail', executions)]}},
+    defaultRoute: {processOneTaskDefs: [recordingTask('archive', executions)]}
+  });
+
+  sim.run(createRoutedHandler(router, context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(executions, ['sendEmail:1'], `must not execute any route's tasks on message 2`);
+
+      const batch = report.invocations[0].batch;
+      const message2 = batch.messages.concat(batch.rejectedMessages).find(msg => msg.id1 === '2');
+      t.deepEqual(routeNamesOf(batch, message2, 'ones'), [REJECT_UNROUTED_MESSAGE], `message 2 must only be rejected`);
+
+      const discarded = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(discarded.length, 1, `must discard message 2 to the DMQ`);
+      t.equal(discarded[0].reasonRejected, 'Unroutable message, since its message type could not be resolved due to an error (Error: Boom)',
+        `must reject message 2 with a reason that names the resolver's error`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('processRoutedStreamEvent routes unmatched messages to the default route', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(4, toType), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const router = new MessageRouter({
+    typePropertyName: 'k1',
+    routes: {OrderPlaced: {processOneTaskDefs: [recordingTask('sendEmail', executions)]}},
+    defaultRoute: {processOneTaskDefs: [recordingTask('archive', executions)]}
+  });
+
+  sim.run(createRoutedHandler(router, context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(executions.slice().sort(), ['archive:2', 'archive:3', 'sendEmail:1', 'sendEmail:4'],
+        `must execute the default route on unmatched messages`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
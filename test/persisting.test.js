@@ -0,0 +1,978 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/persisting.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const persisting = require('../persisting');
+const saveBatchStateToDynamoDB = persisting.saveBatchStateToDynamoDB;
+const loadBatchStateFromDynamoDB = persisting.loadBatchStateFromDynamoDB;
+const saveBatchStateToDynamoDBPerMessage = persisting.saveBatchStateToDynamoDBPerMessage;
+const loadBatchStateFromDynamoDBPerMessage = persisting.loadBatchStateFromDynamoDBPerMessage;
+
+const Batch = require('../batch');
+const settings = require('../settings');
+
+const contexts = require('aws-core-utils/contexts');
+const regions = require('aws-core-utils/regions');
+
+const samples = require('./samples');
+const sampleKinesisMessageAndRecord = samples.sampleKinesisMessageAndRecord;
+
+const samplesAsc = require('./samples-asc');
+const generateSampleMD5s = samplesAsc.generateSampleMD5s;
+const resolveSampleEventIdAndSeqNos = samplesAsc.resolveSampleEventIdAndSeqNos;
+
+const errors = require('core-functions/errors');
+const TransientError = errors.TransientError;
+
+const taskUtils = require('task-utils');
+const TaskDef = require('task-utils/task-defs');
+const TaskFactory = require('task-utils/task-factory');
+const taskStates = require('task-utils/task-states');
+const ReturnMode = taskUtils.ReturnMode;
+
+const awsRegion = 'us-west-2';
+const eventSourceARN1 = samples.sampleKinesisEventSourceArn(awsRegion, 'TEST_Stream_DEV');
+
+const processOne = (message, context) => message;
+const discardUnusableRecord = (unusableRecord, batch, context) => Promise.resolve(unusableRecord);
+const discardRejectedMessage = (rejectedMessage, batch, context) => Promise.resolve(rejectedMessage);
+
+function conditionalCheckFailed() {
+  const err = new Error('The conditional request failed');
+  err.code = 'ConditionalCheckFailedException';
+  return err;
+}
+
+/**
+ * A minimal mock DynamoDB.DocumentClient, which only emulates the conditional puts & updates used by persisting.
+ */
+function mockDynamoDBDocClient(table) {
+  // Message state items (of the per-message layout) are keyed on their stateKey instead of their shardOrEventID
+  const toKey = k => k.stateKey ? JSON.stringify([k.streamConsumerId, 'stateKey', k.stateKey]) :
+    JSON.stringify([k.streamConsumerId, k.shardOrEventID]);
+  // Copies items & values, while preserving any binary (i.e. Buffer) attributes
+  const copy = v => JSON.parse(JSON.stringify(v), (k, v) => v && v.type === 'Buffer' && Array.isArray(v.data) ? Buffer.from(v.data) : v);
+  const respond = fn => ({promise: () => new Promise((resolve, reject) => { try { resolve(fn()); } catch (err) { reject(err); } })});
+  const client = {
+    table: table,
+    updateRequests: [],
+    putRequests: [],
+    get: request => respond(() => {
+      const item = table.get(toKey(request.Key));
+      return item ? {Item: copy(item)} : {};
+    }),
+    put: request => respond(() => {
+      const item = table.get(toKey(request.Item));
+      const condition = request.ConditionExpression;
+      // Emulate the version conditions of message state items & the "attribute_not_exists" conditions of other items
+      if (condition === '#version = :expectedVersion' ? !item || item.version !== request.ExpressionAttributeValues[':expectedVersion'] :
+          condition === 'attribute_not_exists(#version)' ? item && item.version !== undefined : condition && item) {
+        throw conditionalCheckFailed();
+      }
+      client.putRequests.push(request);
+      table.set(toKey(request.Item), copy(request.Item));
+      return {};
+    }),
+    delete: request => respond(() => {
+      table.delete(toKey(request.Key));
+      return {};
+    }),
+    update: request => respond(() => {
+      const item = table.get(toKey(request.Key));
+      const values = request.ExpressionAttributeValues;
+      if (!item) throw conditionalCheckFailed();
+      if (values.hasOwnProperty(':expectedVersion') ? item.version !== values[':expectedVersion'] : item.version !== undefined) {
+        throw conditionalCheckFailed();
+      }
+      // Emulate "UPDATED_OLD" return values
+      const oldValues = {};
+      Object.getOwnPropertyNames(request.ExpressionAttributeNames).map(n => request.ExpressionAttributeNames[n])
+        .filter(name => item.hasOwnProperty(name)).forEach(name => oldValues[name] = copy(item[name]));
+      // Emulate the "set #name = :value" & "remove #name" clauses used by persisting
+      const parts = request.UpdateExpression.replace(/^set /, '').split(' remove ');
+      parts[0].split(', ').forEach(clause => {
+        const m = /^(#\w+) = (:\w+)$/.exec(clause);
+        item[request.ExpressionAttributeNames[m[1]]] = copy(values[m[2]]);
+      });
+      if (parts[1]) parts[1].split(', ').forEach(n => delete item[request.ExpressionAttributeNames[n]]);
+      client.updateRequests.push(request);
+      return {Attributes: oldValues};
+    }),
+    batchWrite: request => respond(() => {
+      Object.getOwnPropertyNames(request.RequestItems).forEach(tableName => {
+        const writeRequests = request.RequestItems[tableName];
+        if (writeRequests.length > 25) throw new Error(`Too many write requests (${writeRequests.length})`);
+        writeRequests.forEach(r => table.set(toKey(r.PutRequest.Item), copy(r.PutRequest.Item)));
+      });
+      return {UnprocessedItems: {}};
+    }),
+    batchGet: request => respond(() => {
+      const responses = {};
+      Object.getOwnPropertyNames(request.RequestItems).forEach(tableName => {
+        const keys = request.RequestItems[tableName].Keys;
+        if (keys.length > 100) throw new Error(`Too many keys (${keys.length})`);
+        responses[tableName] = keys.map(k => table.get(toKey(k))).filter(i => !!i).map(copy);
+      });
+      return {Responses: responses, UnprocessedKeys: {}};
+    })
+  };
+  return client;
+}
+
+function createContext(table, conflictResolution) {
+  const context = {
+    streamProcessing: {
+      streamType: 'kinesis',
+      sequencingRequired: true,
+      sequencingPerKey: true,
+      idPropertyNames: ['id1', 'id2'],
+      keyPropertyNames: ['k1', 'k2'],
+      seqNoPropertyNames: ['n1', 'n2', 'n3'],
+      generateMD5s: generateSampleMD5s,
+      resolveEventIdAndSeqNos: resolveSampleEventIdAndSeqNos,
+      resolveMessageIdsAndSeqNos: (msg, rec, userRec, eventIdAndSeqNos, md5s, context) => {
+        return {ids: [], keys: [], seqNos: [['eventSeqNo', eventIdAndSeqNos.eventSeqNo]]};
+      },
+      discardUnusableRecord: discardUnusableRecord,
+      discardRejectedMessage: discardRejectedMessage,
+      batchStateTableName: 'TestBatchState',
+      batchStateConflictResolution: conflictResolution
+    }
+  };
+  regions.setRegion(awsRegion);
+  context.stage = 'dev';
+  contexts.configureStandardContext(context, undefined, require('../default-options.json'), undefined, undefined, false);
+  context.streamProcessing.consumerId = `my-function:${context.stage}`;
+  context.taskFactory = new TaskFactory({logger: context, describeItem: undefined}, {returnMode: ReturnMode.NORMAL});
+  context.dynamoDBDocClient = mockDynamoDBDocClient(table);
+  return context;
+}
+
+function sampleMessagesAndRecords() {
+  const shardId = 'shardId-000000000001';
+  return [
+    sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200961', eventSourceARN1, '123', '456', 'ABC', 10, 1, 2, 3),
+    sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200962', eventSourceARN1, '456', '789', 'DEF', 11, 4, 5, 6)
+  ];
+}
+
+function createBatch(msgsAndRecs, processOneTaskDef, context) {
+  // Use copies of the messages & records to simulate a replay of the same records
+  const copies = JSON.parse(JSON.stringify(msgsAndRecs));
+  const batch = new Batch(copies.map(mr => mr[1]), [processOneTaskDef], [], context);
+  copies.forEach(mr => batch.addMessage(mr[0], mr[1], undefined, context));
+  return batch;
+}
+
+function loadBatch(msgsAndRecs, processOneTaskDef, context) {
+  const batch = createBatch(msgsAndRecs, processOneTaskDef, context);
+  return loadBatchStateFromDynamoDB(batch, context).then(() => {
+    batch.reviveTasks(context);
+    return batch;
+  });
+}
+
+function getTask(batch, i) {
+  return batch.states.get(batch.messages[i]).ones.processOne;
+}
+
+// =====================================================================================================================
+// mergeBatchStateItems
+// =====================================================================================================================
+
+test('mergeBatchStateItems keeps the most advanced state of each task', t => {
+  const context = createContext(new Map());
+  const started = {type: 'Started'};
+  const succeeded = {type: 'Completed', name: 'Succeeded'};
+  const failed = {type: 'Failed', name: 'Failed'};
+  const rejected = {type: 'Rejected', name: 'Rejected'};
+
+  const item = {
+    messageStates: [
+      {eventID: 'E1', ones: {t1: {name: 't1', state: succeeded, attempts: 1}, t2: {name: 't2', state: started, attempts: 1}}},
+      {eventID: 'E2', ones: {t1: {name: 't1', state: failed, attempts: 1}}}
+    ],
+    rejectedMessageStates: [],
+    unusableRecordStates: [{eventID: 'U1', discards: {d1: {name: 'd1', state: failed, attempts: 1}}}],
+    batchState: null
+  };
+  const otherItem = {
+    messageStates: [
+      {eventID: 'E1', ones: {t1: {name: 't1', state: failed, attempts: 2}, t2: {name: 't2', state: succeeded, attempts: 1}}},
+      {eventID: 'E3', ones: {t1: {name: 't1', state: succeeded, attempts: 1}}}
+    ],
+    rejectedMessageStates: [
+      {eventID: 'E2', ones: {t1: {name: 't1', state: rejected, attempts: 1}}}
+    ],
+    unusableRecordStates: [{eventID: 'U1', discards: {d1: {name: 'd1', state: succeeded, attempts: 2}}}],
+    batchState: {alls: {a1: {name: 'a1', state: succeeded, attempts: 1}}}
+  };
+
+  persisting.mergeBatchStateItems(item, otherItem, context);
+
+  t.deepEqual(item.messageStates.map(s => s.eventID), ['E1', 'E3'], `merged messageStates must be for E1 & E3`);
+  t.deepEqual(item.rejectedMessageStates.map(s => s.eventID), ['E2'], `merged rejectedMessageStates must be for E2`);
+
+  const e1 = item.messageStates[0];
+  t.deepEqual(e1.ones.t1.state, succeeded, `E1 t1 must keep its own Succeeded state`);
+  t.deepEqual(e1.ones.t2.state, succeeded, `E1 t2 must take the other's Succeeded state`);
+  t.deepEqual(item.rejectedMessageStates[0].ones.t1.state, rejected, `E2 t1 must take the other's Rejected state`);
+  t.deepEqual(item.unusableRecordStates[0].discards.d1.attempts, 2, `U1 d1 must take the other's Succeeded state`);
+  t.deepEqual(item.batchState, otherItem.batchState, `batchState must take the other's batch state`);
+  t.end();
+});
+
+// =====================================================================================================================
+// saveBatchStateToDynamoDB & loadBatchStateFromDynamoDB with versions
+// =====================================================================================================================
+
+test('saveBatchStateToDynamoDB increments the version on each save', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  loadBatch(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => {
+      t.equal(batch.previouslySaved, false, `batch.previouslySaved must be false`);
+      t.equal(batch.previousVersion, undefined, `batch.previousVersion must be undefined`);
+      return saveBatchStateToDynamoDB(batch, context).then(() => batch);
+    })
+    .then(batch => {
+      const item = Array.from(table.values())[0];
+      t.equal(item.version, 1, `inserted item.version must be 1`);
+      t.ok(item.updatedAt, `inserted item.updatedAt must be defined`);
+      t.equal(batch.previousVersion, 1, `batch.previousVersion must be 1`);
+      return saveBatchStateToDynamoDB(batch, context);
+    })
+    .then(() => loadBatch(msgsAndRecs, processOneTaskDef, context))
+    .then(batch => {
+      t.equal(Array.from(table.values())[0].version, 2, `updated item.version must be 2`);
+      t.equal(batch.previousVersion, 2, `reloaded batch.previousVersion must be 2`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDB merges a conflicting concurrent update', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate 2 overlapping invocations of the same batch
+  Promise.all([loadBatch(msgsAndRecs, processOneTaskDef, context), loadBatch(msgsAndRecs, processOneTaskDef, context)])
+    .then(batches => {
+      const [batchA, batchB] = batches;
+      getTask(batchA, 0).start();
+      getTask(batchA, 0).succeed();
+      getTask(batchB, 1).start();
+      getTask(batchB, 1).succeed();
+
+      return saveBatchStateToDynamoDB(batchA, context)
+        .then(() => saveBatchStateToDynamoDB(batchB, context))
+        .then(() => batchB);
+    })
+    .then(batchB => {
+      const item = Array.from(table.values())[0];
+      t.equal(item.version, 2, `merged item.version must be 2`);
+      t.equal(getTask(batchB, 0).state, taskStates.instances.Succeeded, `batch B's message 1 task must be merged to Succeeded`);
+      t.equal(getTask(batchB, 1).state, taskStates.instances.Succeeded, `batch B's message 2 task must still be Succeeded`);
+      return loadBatch(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(getTask(batch, 0).state, taskStates.instances.Succeeded, `message 1's task must still be Succeeded`);
+      t.equal(getTask(batch, 1).state, taskStates.instances.Succeeded, `message 2's task must be Succeeded`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDB fails a conflicting concurrent update with a TransientError', t => {
+  const table = new Map();
+  const context = createContext(table, settings.BatchStateConflictResolution.fail);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  Promise.all([loadBatch(msgsAndRecs, processOneTaskDef, context), loadBatch(msgsAndRecs, processOneTaskDef, context)])
+    .then(batches => {
+      const [batchA, batchB] = batches;
+      return saveBatchStateToDynamoDB(batchA, context)
+        .then(() => saveBatchStateToDynamoDB(batchB, context));
+    })
+    .then(
+      () => t.end(new Error('saveBatchStateToDynamoDB must fail on a conflicting concurrent update')),
+      err => {
+        t.ok(err instanceof TransientError, `err must be a TransientError`);
+        t.equal(Array.from(table.values())[0].version, 1, `item.version must still be 1`);
+        t.end();
+      }
+    );
+});
+
+test('saveBatchStateToDynamoDB bounds switching between inserts & updates with a TransientError', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const client = context.dynamoDBDocClient;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  let puts = 0;
+
+  loadBatch(sampleMessagesAndRecords(), processOneTaskDef, context)
+    .then(batch => {
+      // Simulate another invocation that keeps inserting & deleting the batch's state
+      client.put = () => ({promise: () => { ++puts; return Promise.reject(conditionalCheckFailed()); }});
+      return saveBatchStateToDynamoDB(batch, context);
+    })
+    .then(
+      () => t.end(new Error('saveBatchStateToDynamoDB must fail after too many conflicting saves')),
+      err => {
+        t.ok(err instanceof TransientError, `err must be a TransientError`);
+        t.equal(puts, 2, `must only attempt 2 inserts`);
+        t.end();
+      }
+    );
+});
+
+// =====================================================================================================================
+// toBatchStateItem with time-to-live
+// =====================================================================================================================
+
+test('toBatchStateItem stamps expiresAt & fullyFinalised', t => {
+  const context = createContext(new Map());
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const batch = createBatch(sampleMessagesAndRecords(), processOneTaskDef, context);
+  batch.reviveTasks(context);
+
+  let item = persisting.toBatchStateItem(batch, context);
+  t.equal(item.fullyFinalised, false, `item.fullyFinalised must be false`);
+  t.equal(item.expiresAt, undefined, `item.expiresAt must be undefined without a configured TTL`);
+
+  context.streamProcessing.batchStateTtlInSeconds = 7 * 24 * 60 * 60;
+  context.streamProcessing.finalisedBatchStateTtlInSeconds = 60 * 60;
+
+  const nowInSeconds = Math.floor(Date.now() / 1000);
+  item = persisting.toBatchStateItem(batch, context);
+  t.ok(item.expiresAt >= nowInSeconds + 7 * 24 * 60 * 60, `incomplete item.expiresAt must be at least 7 days from now`);
+
+  batch.messages.forEach((m, i) => getTask(batch, i).complete());
+
+  item = persisting.toBatchStateItem(batch, context);
+  t.equal(item.fullyFinalised, true, `item.fullyFinalised must be true`);
+  t.ok(item.expiresAt >= nowInSeconds + 60 * 60 && item.expiresAt < nowInSeconds + 2 * 60 * 60, `fully finalised item.expiresAt must be about 1 hour from now`);
+
+  delete context.streamProcessing.finalisedBatchStateTtlInSeconds;
+  item = persisting.toBatchStateItem(batch, context);
+  t.ok(item.expiresAt >= nowInSeconds + 7 * 24 * 60 * 60, `fully finalised item.expiresAt must fall back to batchStateTtlInSeconds`);
+  t.end();
+});
+
+// =====================================================================================================================
+// saveBatchStateToDynamoDB & loadBatchStateFromDynamoDB with compression & chunking
+// =====================================================================================================================
+
+function saveAndReloadLargeBatch(t, context, expectedItems) {
+  const table = context.dynamoDBDocClient.table;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  return loadBatch(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => {
+      getTask(batch, 0).start();
+      getTask(batch, 0).succeed();
+      return saveBatchStateToDynamoDB(batch, context).then(() => batch);
+    })
+    .then(batch => {
+      if (expectedItems !== undefined) t.equal(table.size, expectedItems, `table must contain ${expectedItems} item(s)`);
+      const item = table.get(JSON.stringify([batch.streamConsumerId, batch.shardOrEventID]));
+      return loadBatch(msgsAndRecs, processOneTaskDef, context).then(reloaded => {
+        t.equal(reloaded.previousVersion, 1, `reloaded batch.previousVersion must be 1`);
+        t.equal(getTask(reloaded, 0).state, taskStates.instances.Succeeded, `message 1's task must be Succeeded`);
+        t.ok(getTask(reloaded, 1).incomplete, `message 2's task must be incomplete`);
+        return item;
+      });
+    });
+}
+
+test('saveBatchStateToDynamoDB saves uncompressed states below the compression threshold', t => {
+  const context = createContext(new Map());
+  saveAndReloadLargeBatch(t, context, 1)
+    .then(item => {
+      t.equal(item.messageStates.length, 2, `item.messageStates.length must be 2`);
+      t.equal(item.compressedStates, undefined, `item.compressedStates must be undefined`);
+      t.equal(item.chunkCount, undefined, `item.chunkCount must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDB compresses states above the compression threshold', t => {
+  const context = createContext(new Map());
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 100;
+
+  saveAndReloadLargeBatch(t, context, 1)
+    .then(item => {
+      t.deepEqual(item.messageStates, [], `item.messageStates must be empty`);
+      t.ok(Buffer.isBuffer(item.compressedStates), `item.compressedStates must be a Buffer`);
+      t.equal(item.chunkCount, undefined, `item.chunkCount must be undefined`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDB splits compressed states above the chunk size into chunk items', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 100;
+  context.streamProcessing.batchStateChunkSizeInBytes = 200;
+  context.streamProcessing.batchStateTtlInSeconds = 60 * 60;
+
+  saveAndReloadLargeBatch(t, context, undefined)
+    .then(item => {
+      t.ok(item.chunkCount > 1, `item.chunkCount (${item.chunkCount}) must be more than 1`);
+      t.equal(table.size, item.chunkCount + 1, `table must contain the item & its ${item.chunkCount} chunk items`);
+      t.equal(item.compressedStates, undefined, `item.compressedStates must be undefined`);
+
+      t.ok(item.chunkSetId, `item.chunkSetId must be defined`);
+      const chunkKey = JSON.stringify([item.streamConsumerId, persisting.toChunkShardOrEventID(item.shardOrEventID, item.chunkSetId, 1)]);
+      const chunkItem = table.get(chunkKey);
+      t.ok(chunkItem && chunkItem.chunk.length <= 200, `chunk item 1 must exist & be at most 200 bytes`);
+      t.equal(chunkItem.chunkSetId, item.chunkSetId, `chunk item 1's chunkSetId must be the item's chunkSetId`);
+      t.equal(chunkItem.version, item.version, `chunk item 1's version must be the item's version`);
+      t.equal(chunkItem.expiresAt, item.expiresAt, `chunk item 1's expiresAt must be the item's expiresAt`);
+
+      // Simulate a missing chunk
+      table.delete(chunkKey);
+      const batch = createBatch(sampleMessagesAndRecords(), TaskDef.defineTask('processOne', processOne), context);
+      return loadBatchStateFromDynamoDB(batch, context).then(
+        () => t.end(new Error('loadBatchStateFromDynamoDB must fail with a missing chunk')),
+        err => {
+          t.ok(err instanceof TransientError, `err must be a TransientError`);
+          t.end();
+        }
+      );
+    })
+    .catch(err => t.end(err));
+});
+
+test('packBatchStateItem & unpackBatchStateItem round trip', t => {
+  const context = createContext(new Map());
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 10;
+  context.streamProcessing.batchStateChunkSizeInBytes = 50;
+
+  const item = {
+    streamConsumerId: 'K|S|C', shardOrEventID: 'S|shard1', version: 3,
+    messageStates: [{eventID: 'E1', message: {text: 'x'.repeat(100)}}], rejectedMessageStates: [], unusableRecordStates: []
+  };
+  const packed = persisting.packBatchStateItem(item, context);
+  t.equal(item.messageStates.length, 1, `item must be left unchanged`);
+  t.equal(packed.item.chunkCount, packed.chunks.length, `packed item.chunkCount must be ${packed.chunks.length}`);
+  const chunkSetId = packed.item.chunkSetId;
+  t.deepEqual(packed.chunks.map(c => c.shardOrEventID), packed.chunks.map((c, i) => `S|shard1#${chunkSetId}#${i + 1}`), `chunk shardOrEventIDs must be numbered from 1 within the chunk set`);
+  t.notEqual(persisting.packBatchStateItem(item, context).item.chunkSetId, chunkSetId, `every packing must use a new chunkSetId`);
+
+  const unpacked = persisting.unpackBatchStateItem(packed.item, packed.chunks);
+  t.deepEqual(unpacked.messageStates, item.messageStates, `unpacked messageStates must match`);
+  t.equal(unpacked.chunkCount, undefined, `unpacked item.chunkCount must be removed`);
+  t.equal(unpacked.chunkSetId, undefined, `unpacked item.chunkSetId must be removed`);
+  t.end();
+});
+
+function chunkItemsOf(table) {
+  return Array.from(table.values()).filter(i => i.chunk);
+}
+
+test('saveBatchStateToDynamoDB deletes the superseded chunk set & any surplus chunk items', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 100;
+  context.streamProcessing.batchStateChunkSizeInBytes = 200;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+  const headOf = batch => table.get(JSON.stringify([batch.streamConsumerId, batch.shardOrEventID]));
+
+  loadBatch(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => saveBatchStateToDynamoDB(batch, context).then(() => headOf(batch).chunkSetId))
+    .then(chunkSetId1 => loadBatch(msgsAndRecs, processOneTaskDef, context).then(batch => {
+      getTask(batch, 0).start();
+      getTask(batch, 0).succeed();
+      return saveBatchStateToDynamoDB(batch, context).then(() => {
+        const item2 = headOf(batch);
+        t.notEqual(item2.chunkSetId, chunkSetId1, `2nd save must use a new chunkSetId`);
+        t.equal(chunkItemsOf(table).length, item2.chunkCount, `table must only contain the ${item2.chunkCount} chunk items of the 2nd save`);
+        t.ok(chunkItemsOf(table).every(c => c.chunkSetId === item2.chunkSetId), `every chunk item must belong to the 2nd save's chunk set`);
+
+        // Save again without chunking, which must leave no surplus chunk items
+        context.streamProcessing.batchStateChunkSizeInBytes = 100000;
+        return saveBatchStateToDynamoDB(batch, context);
+      });
+    }))
+    .then(() => {
+      t.equal(table.size, 1, `table must only contain the batch state item`);
+      return loadBatch(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(batch.previousVersion, 3, `reloaded batch.previousVersion must be 3`);
+      t.equal(getTask(batch, 0).state, taskStates.instances.Succeeded, `message 1's task must be Succeeded`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDB deletes the chunk items of a conflicting concurrent save that lost', t => {
+  const table = new Map();
+  const context = createContext(table, settings.BatchStateConflictResolution.fail);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 100;
+  context.streamProcessing.batchStateChunkSizeInBytes = 200;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate 2 overlapping invocations of the same batch
+  Promise.all([loadBatch(msgsAndRecs, processOneTaskDef, context), loadBatch(msgsAndRecs, processOneTaskDef, context)])
+    .then(batches => {
+      const [batchA, batchB] = batches;
+      getTask(batchB, 1).start();
+      getTask(batchB, 1).succeed();
+      return saveBatchStateToDynamoDB(batchA, context)
+        .then(() => saveBatchStateToDynamoDB(batchB, context));
+    })
+    .then(
+      () => t.end(new Error('saveBatchStateToDynamoDB must fail on a conflicting concurrent update')),
+      err => {
+        t.ok(err instanceof TransientError, `err must be a TransientError`);
+        const item = Array.from(table.values()).find(i => !i.chunk);
+        t.equal(chunkItemsOf(table).length, item.chunkCount, `table must only contain the winner's ${item.chunkCount} chunk items`);
+        t.ok(chunkItemsOf(table).every(c => c.chunkSetId === item.chunkSetId), `every chunk item must belong to the winner's chunk set`);
+        return loadBatch(msgsAndRecs, processOneTaskDef, context).then(batch => {
+          t.ok(getTask(batch, 1).incomplete, `message 2's task must still be incomplete`);
+          t.end();
+        });
+      }
+    )
+    .catch(err => t.end(err));
+});
+
+test('loadBatchStateFromDynamoDB rejects a chunk item from a different chunk set', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchStateCompressionThresholdInBytes = 100;
+  context.streamProcessing.batchStateChunkSizeInBytes = 200;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  loadBatch(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => saveBatchStateToDynamoDB(batch, context))
+    .then(() => {
+      // Simulate a chunk item that was overwritten by another chunk set
+      chunkItemsOf(table)[0].chunkSetId = 'other';
+      return loadBatchStateFromDynamoDB(createBatch(msgsAndRecs, processOneTaskDef, context), context);
+    })
+    .then(
+      () => t.end(new Error('loadBatchStateFromDynamoDB must fail with a chunk item from a different chunk set')),
+      err => {
+        t.ok(err instanceof TransientError, `err must be a TransientError`);
+        t.ok(err.message.indexOf('belongs to chunk set (other)') !== -1, `err must name the other chunk set`);
+        t.end();
+      }
+    );
+});
+
+// =====================================================================================================================
+// saveBatchStateToDynamoDB of a previously loaded batch
+// =====================================================================================================================
+
+test('saveBatchStateToDynamoDB updates all of the states of a previously loaded batch', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const client = context.dynamoDBDocClient;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  loadBatch(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => saveBatchStateToDynamoDB(batch, context))
+    .then(() => loadBatch(msgsAndRecs, processOneTaskDef, context))
+    .then(batch => {
+      getTask(batch, 1).start();
+      getTask(batch, 1).succeed();
+      return saveBatchStateToDynamoDB(batch, context);
+    })
+    .then(() => {
+      const request = client.updateRequests[0];
+      t.ok(request.UpdateExpression.indexOf('#messageStates = :messageStates') !== -1, `update must set all messageStates`);
+      return loadBatch(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(batch.previousVersion, 2, `reloaded batch.previousVersion must be 2`);
+      t.equal(getTask(batch, 0).state.name, taskStates.instances.Unstarted.name, `message 1's task must still be Unstarted`);
+      t.equal(getTask(batch, 1).state, taskStates.instances.Succeeded, `message 2's task must be Succeeded`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// batchState
+// =====================================================================================================================
+
+test('loadBatchStateFromDynamoDB restores the batch state & reviveTasks rebuilds its master process all tasks', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const processAllTaskDef = TaskDef.defineTask('processAll', (batch, context) => batch);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  const getRequests = [];
+  const get = context.dynamoDBDocClient.get;
+  context.dynamoDBDocClient.get = request => {
+    getRequests.push(request);
+    return get(request);
+  };
+
+  // Simulate a first run of the batch that completes its master process all task
+  const copies = JSON.parse(JSON.stringify(msgsAndRecs));
+  const batch0 = new Batch(copies.map(mr => mr[1]), [], [processAllTaskDef], context);
+  copies.forEach(mr => batch0.addMessage(mr[0], mr[1], undefined, context));
+  batch0.reviveTasks(context);
+  const masterTask0 = batch0.getProcessAllTasks(batch0).processAll;
+  masterTask0.start();
+  masterTask0.succeed('Planned processAll result');
+
+  saveBatchStateToDynamoDB(batch0, context)
+    .then(() => {
+      const copies = JSON.parse(JSON.stringify(msgsAndRecs));
+      const batch = new Batch(copies.map(mr => mr[1]), [], [processAllTaskDef], context);
+      copies.forEach(mr => batch.addMessage(mr[0], mr[1], undefined, context));
+
+      return loadBatchStateFromDynamoDB(batch, context).then(() => {
+        t.ok(getRequests[0].ProjectionExpression.indexOf('#batchState') !== -1, `get request must project batchState`);
+        const priorTask = batch.states.get(batch).alls.processAll;
+        t.equal(priorTask.attempts, 1, `restored batch state's processAll attempts must be 1`);
+
+        batch.reviveTasks(context);
+        const masterTask = batch.getProcessAllTasks(batch).processAll;
+        t.notEqual(masterTask, priorTask, `master processAll task must be revived`);
+        t.ok(masterTask.isMasterTask(), `revived processAll task must be a master task`);
+        t.equal(masterTask.attempts, 1, `master processAll task attempts must be 1`);
+        t.ok(masterTask.completed, `master processAll task must be completed`);
+        t.end();
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// batchStateIndexed
+// =====================================================================================================================
+
+test('loadBatchStateFromDynamoDB restores the state of a differently keyed batch via its index items', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchKeyedOnEventID = true;
+  context.streamProcessing.batchStateIndexed = true;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate a first run of a batch of both messages that completes msg1's task, but fails msg2's task
+  const batch0 = createBatch(msgsAndRecs, processOneTaskDef, context);
+  batch0.reviveTasks(context);
+  getTask(batch0, 0).start();
+  getTask(batch0, 0).succeed();
+  getTask(batch0, 1).start();
+  getTask(batch0, 1).fail(new Error('Planned msg2 error'));
+
+  saveBatchStateToDynamoDB(batch0, context)
+    .then(() => {
+      const indexItems = Array.from(table.values()).filter(i => i.shardOrEventID.startsWith('R|'));
+      t.equal(indexItems.length, 2, `must save 2 index items`);
+      t.equal(indexItems[1].shardOrEventID, persisting.toIndexShardOrEventID(batch0.records[1].eventID), `index item 2 shardOrEventID must be 'R|' + record 2's eventID`);
+      t.ok(indexItems.every(i => i.batchShardOrEventID === batch0.shardOrEventID), `every index item must map to batch0's shardOrEventID`);
+
+      // Simulate a redelivery of msg2 in a batch keyed on msg2 instead of msg1 (e.g. after msg1's record was trimmed)
+      const batch = createBatch(msgsAndRecs.slice(1), processOneTaskDef, context);
+      t.notEqual(batch.shardOrEventID, batch0.shardOrEventID, `batch's shardOrEventID must differ from batch0's`);
+
+      return loadBatchStateFromDynamoDB(batch, context).then(() => {
+        t.equal(batch.previouslySaved, false, `batch.previouslySaved must be false`);
+        batch.reviveTasks(context);
+        const task = getTask(batch, 0);
+        t.ok(task.incomplete, `msg2's task must be incomplete`);
+        t.equal(task.attempts, 1, `msg2's task attempts must be 1`);
+
+        // Without the index, the same batch must find no prior state
+        context.streamProcessing.batchStateIndexed = false;
+        const batch2 = createBatch(msgsAndRecs.slice(1), processOneTaskDef, context);
+        return loadBatchStateFromDynamoDB(batch2, context).then(() => {
+          batch2.reviveTasks(context);
+          t.equal(getTask(batch2, 0).attempts, 0, `msg2's task attempts must be 0 without the index`);
+
+          // Reporting batch item failures for batches keyed on event IDs must always use the index
+          context.streamProcessing.reportBatchItemFailures = true;
+          const batch3 = createBatch(msgsAndRecs.slice(1), processOneTaskDef, context);
+          return loadBatchStateFromDynamoDB(batch3, context).then(() => {
+            batch3.reviveTasks(context);
+            t.equal(getTask(batch3, 0).attempts, 1, `msg2's task attempts must be 1 when reporting batch item failures`);
+            t.end();
+          });
+        });
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// saveBatchStateToDynamoDBPerMessage & loadBatchStateFromDynamoDBPerMessage
+// =====================================================================================================================
+
+test('toMessageStateItems creates an item per message & an item for the batch', t => {
+  const context = createContext(new Map());
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const batch = createBatch(sampleMessagesAndRecords(), processOneTaskDef, context);
+  batch.reviveTasks(context);
+
+  const items = persisting.toMessageStateItems(batch, context);
+  const stateKeys = items.map(i => i.stateKey);
+  t.equal(items.length, 3, `must have 3 items`);
+  t.ok(stateKeys[0].startsWith(persisting.StateKeyPrefix.message), `item 1 stateKey must start with 'M|'`);
+  t.equal(stateKeys[0], `M|${persisting.toMessageBFK(batch.states.get(batch.messages[0]))}`, `item 1 stateKey must be 'M|' + message 1's BFK`);
+  t.equal(stateKeys[2], `B|${batch.shardOrEventID}`, `item 3 stateKey must be 'B|' + the batch's shardOrEventID`);
+  t.ok(items.every(i => i.streamConsumerId === batch.streamConsumerId && i.shardOrEventID === batch.shardOrEventID), `every item must have the batch's streamConsumerId & shardOrEventID`);
+  t.end();
+});
+
+test('loadBatchStateFromDynamoDBPerMessage restores the state of a message redelivered in a differently keyed batch', t => {
+  const table = new Map();
+  const context = createContext(table);
+  context.streamProcessing.batchKeyedOnEventID = true;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate a first run of a batch of both messages that completes msg1's task, but fails msg2's task
+  const batch0 = createBatch(msgsAndRecs, processOneTaskDef, context);
+  batch0.reviveTasks(context);
+  getTask(batch0, 0).start();
+  getTask(batch0, 0).succeed();
+  getTask(batch0, 1).start();
+  getTask(batch0, 1).fail(new Error('Planned msg2 error'));
+
+  saveBatchStateToDynamoDBPerMessage(batch0, context)
+    .then(items => {
+      t.equal(items.length, 3, `must save 3 items`);
+      t.equal(batch0.previouslySaved, true, `batch0.previouslySaved must be true`);
+
+      // Simulate a redelivery of msg2 in a batch keyed on msg2 instead of msg1
+      const batch = createBatch(msgsAndRecs.slice(1), processOneTaskDef, context);
+      t.notEqual(batch.shardOrEventID, batch0.shardOrEventID, `batch's shardOrEventID must differ from batch0's`);
+
+      return loadBatchStateFromDynamoDBPerMessage(batch, context).then(item => {
+        t.equal(item.messageStates.length, 1, `loaded item.messageStates.length must be 1`);
+        t.equal(batch.previouslySaved, true, `batch.previouslySaved must be true`);
+        batch.reviveTasks(context);
+        const task = getTask(batch, 0);
+        t.ok(task.incomplete, `msg2's task must be incomplete`);
+        t.equal(task.attempts, 1, `msg2's task attempts must be 1`);
+        t.end();
+      });
+    })
+    .catch(err => t.end(err));
+});
+
+function loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context) {
+  const batch = createBatch(msgsAndRecs, processOneTaskDef, context);
+  return loadBatchStateFromDynamoDBPerMessage(batch, context).then(() => {
+    batch.reviveTasks(context);
+    return batch;
+  });
+}
+
+test('saveBatchStateToDynamoDBPerMessage conditionally puts each item as its next version', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const client = context.dynamoDBDocClient;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => saveBatchStateToDynamoDBPerMessage(batch, context))
+    .then(items => {
+      t.ok(items.every(i => i.version === 1), `every first saved item's version must be 1`);
+      t.ok(client.putRequests.every(r => r.ConditionExpression === 'attribute_not_exists(#version)'), `every first put must be conditional on no version`);
+      return loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(batch.previousStateItems.size, 3, `batch.previousStateItems.size must be 3`);
+      getTask(batch, 0).start();
+      getTask(batch, 0).succeed();
+      return saveBatchStateToDynamoDBPerMessage(batch, context);
+    })
+    .then(() => {
+      const request = client.putRequests[client.putRequests.length - 1];
+      t.equal(request.ConditionExpression, '#version = :expectedVersion', `put must be conditional on the expected version`);
+      t.equal(request.ExpressionAttributeValues[':expectedVersion'], 1, `put's expected version must be 1`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDBPerMessage only puts the items whose states changed since they were loaded or saved', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const client = context.dynamoDBDocClient;
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+  const batch0 = createBatch(msgsAndRecs, processOneTaskDef, context);
+  const msg2StateKey = persisting.StateKeyPrefix.message + persisting.toMessageBFK(batch0.states.get(batch0.messages[1]));
+
+  loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context)
+    .then(batch => saveBatchStateToDynamoDBPerMessage(batch, context))
+    .then(() => loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context))
+    .then(batch => {
+      client.putRequests.length = 0;
+      return saveBatchStateToDynamoDBPerMessage(batch, context).then(items => {
+        t.equal(items.length, 0, `must save no items of an unchanged batch`);
+        t.equal(client.putRequests.length, 0, `must put no items of an unchanged batch`);
+
+        getTask(batch, 1).start();
+        getTask(batch, 1).succeed();
+        return saveBatchStateToDynamoDBPerMessage(batch, context);
+      });
+    })
+    .then(items => {
+      t.deepEqual(items.map(i => i.stateKey), [msg2StateKey], `must only save message 2's changed item`);
+      t.equal(client.putRequests.length, 1, `must only put 1 item`);
+      return loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(getTask(batch, 0).state.name, taskStates.instances.Unstarted.name, `message 1's task must still be Unstarted`);
+      t.equal(getTask(batch, 1).state, taskStates.instances.Succeeded, `message 2's task must be Succeeded`);
+      t.equal(batch.previousStateItems.get(msg2StateKey).version, 2, `message 2's item version must be 2`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDBPerMessage merges a conflicting concurrent save of the same messages', t => {
+  const table = new Map();
+  const context = createContext(table);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  // Simulate 2 overlapping invocations of the same messages
+  Promise.all([loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context), loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context)])
+    .then(batches => {
+      const [batchA, batchB] = batches;
+      getTask(batchA, 0).start();
+      getTask(batchA, 0).succeed();
+      getTask(batchB, 1).start();
+      getTask(batchB, 1).succeed();
+
+      return saveBatchStateToDynamoDBPerMessage(batchA, context)
+        .then(() => saveBatchStateToDynamoDBPerMessage(batchB, context))
+        .then(() => batchB);
+    })
+    .then(batchB => {
+      t.equal(getTask(batchB, 0).state, taskStates.instances.Succeeded, `batch B's message 1 task must be merged to Succeeded`);
+      t.equal(getTask(batchB, 1).state, taskStates.instances.Succeeded, `batch B's message 2 task must still be Succeeded`);
+      return loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context);
+    })
+    .then(batch => {
+      t.equal(getTask(batch, 0).state, taskStates.instances.Succeeded, `message 1's task must still be Succeeded`);
+      t.equal(getTask(batch, 1).state, taskStates.instances.Succeeded, `message 2's task must be Succeeded`);
+      t.ok(Array.from(batch.previousStateItems.values()).every(i => i.version === 2), `every item's version must be 2`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('saveBatchStateToDynamoDBPerMessage fails a conflicting concurrent save with a TransientError', t => {
+  const table = new Map();
+  const context = createContext(table, settings.BatchStateConflictResolution.fail);
+  const processOneTaskDef = TaskDef.defineTask('processOne', processOne);
+  const msgsAndRecs = sampleMessagesAndRecords();
+
+  Promise.all([loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context), loadBatchPerMessage(msgsAndRecs, processOneTaskDef, context)])
+    .then(batches => {
+      const [batchA, batchB] = batches;
+      getTask(batchB, 1).start();
+      getTask(batchB, 1).succeed();
+      return saveBatchStateToDynamoDBPerMessage(batchA, context)
+        .then(() => saveBatchStateToDynamoDBPerMessage(batchB, context));
+    })
+    .then(
+      () => t.end(new Error('saveBatchStateToDynamoDBPerMessage must fail on a conflicting concurrent save')),
+      err => {
+        t.ok(err instanceof TransientError, `err must be a TransientError`);
+        t.ok(Array.from(table.values()).every(i => i.version === 1), `every item's version must still be 1`);
+        t.end();
+      }
+    );
+});
+
+// =====================================================================================================================
+// batchWriteItems & batchGetItems
+// =====================================================================================================================
+
+function throttlingDocClient(unprocessedCalls) {
+  const client = {calls: [], active: 0, maxActive: 0};
+  const respond = (delayMs, result) => {
+    ++client.active;
+    client.maxActive = Math.max(client.maxActive, client.active);
+    return {promise: () => new Promise(resolve => setTimeout(() => { --client.active; resolve(result); }, delayMs))};
+  };
+  client.batchWrite = request => {
+    client.calls.push(Date.now());
+    const writeRequests = request.RequestItems.TestTable;
+    return respond(5, {UnprocessedItems: client.calls.length <= unprocessedCalls ? {TestTable: writeRequests.slice(0, 1)} : {}});
+  };
+  client.batchGet = request => {
+    client.calls.push(Date.now());
+    const keys = request.RequestItems.TestTable.Keys;
+    const unprocessed = client.calls.length <= unprocessedCalls;
+    return respond(5, {
+      Responses: {TestTable: unprocessed ? keys.slice(1) : keys},
+      UnprocessedKeys: unprocessed ? {TestTable: {Keys: keys.slice(0, 1)}} : {}
+    });
+  };
+  return client;
+}
+
+test('batchWriteItems retries unprocessed items after a backoff delay & limits the requests in flight', t => {
+  const context = createContext(new Map());
+  const client = throttlingDocClient(1);
+  const items = [];
+  for (let i = 0; i < 250; ++i) items.push({streamConsumerId: 'C', stateKey: `M|${i}`});
+
+  persisting.batchWriteItems(client, 'TestTable', items, context)
+    .then(() => {
+      t.equal(client.calls.length, 11, `must make 10 batch writes & 1 retry`);
+      t.ok(client.maxActive <= 4, `must have at most 4 requests in flight (${client.maxActive})`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('batchGetItems retries unprocessed keys after a backoff delay & fails after too many retries', t => {
+  const context = createContext(new Map());
+  const keys = [{streamConsumerId: 'C', stateKey: 'M|1'}, {streamConsumerId: 'C', stateKey: 'M|2'}];
+  const client = throttlingDocClient(1);
+
+  persisting.batchGetItems(client, 'TestTable', keys, context)
+    .then(items => {
+      t.equal(items.length, 2, `must get both items`);
+      t.ok(client.calls[1] - client.calls[0] >= 25, `must wait at least 25 ms before retrying (${client.calls[1] - client.calls[0]} ms)`);
+
+      const throttledClient = throttlingDocClient(10);
+      return persisting.batchGetItems(throttledClient, 'TestTable', keys, context).then(
+        () => t.end(new Error('batchGetItems must fail after too many retries')),
+        err => {
+          t.ok(err instanceof TransientError, `err must be a TransientError`);
+          t.equal(throttledClient.calls.length, 4, `must make 1 batch get & 3 retries`);
+          t.end();
+        }
+      );
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,229 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/rate-limiting.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const rateLimiting = require('../rate-limiting');
+const TokenBucket = rateLimiting.TokenBucket;
+
+const settings = require('../settings');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const Promises = require('core-functions/promises');
+const TransientError = require('core-functions/errors').TransientError;
+
+const streamProcessing = require('../stream-processing');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// =====================================================================================================================
+// TokenBucket
+// =====================================================================================================================
+
+test('TokenBucket hands out its burst at once & then tokens at its rate in order', t => {
+  const bucket = new TokenBucket(20, 2, 'test');
+  const startMs = Date.now();
+  const tookAt = [];
+  const promises = [1, 2, 3, 4].map(i => bucket.take().then(taken => {
+    tookAt.push([i, Date.now() - startMs]);
+    return taken;
+  }));
+  t.equal(bucket.pending, 2, `must have 2 waiting for a token`);
+
+  Promise.all(promises)
+    .then(results => {
+      t.deepEqual(results, [true, true, true, true], `must give every caller a token`);
+      t.deepEqual(tookAt.map(e => e[0]), [1, 2, 3, 4], `must hand out tokens in order`);
+      t.ok(tookAt[1][1] < 40, `must hand out its burst at once (${tookAt[1][1]} ms)`);
+      t.ok(tookAt[3][1] >= 90, `must throttle the rest to 20 per second (${tookAt[3][1]} ms)`);
+      t.equal(bucket.pending, 0, `must end with none waiting`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('TokenBucket stops a waiter waiting when cancelled', t => {
+  const bucket = new TokenBucket(1, 1, 'test');
+  const cancellable = {};
+  const first = bucket.take(cancellable);
+  const second = bucket.take(cancellable);
+  t.equal(bucket.pending, 1, `must have 1 waiting for a token`);
+
+  const completed = cancellable.cancel();
+  t.notOk(completed, `cancel must report an incomplete wait`);
+  t.equal(bucket.pending, 0, `must have none waiting after cancel`);
+  t.notOk(bucket.timer, `must clear its timer after cancel`);
+
+  Promise.all([first, second])
+    .then(results => {
+      t.deepEqual(results, [true, false], `must resolve the cancelled waiter with false`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('waitForToken without a bucket', t => {
+  rateLimiting.waitForToken(undefined)
+    .then(taken => {
+      t.equal(taken, true, `must resolve with true`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+// =====================================================================================================================
+// getRateLimit & getTokenBucket
+// =====================================================================================================================
+
+test('getRateLimit', t => {
+  const context = {
+    streamProcessing: {
+      rateLimits: {
+        a: {requestsPerSecond: 5, burst: 3},
+        b: {requestsPerSecond: '2.5'},
+        c: {requestsPerSecond: 0, burst: 3},
+        d: 5
+      }
+    }
+  };
+  t.deepEqual(settings.getRateLimit(context, 'a'), {requestsPerSecond: 5, burst: 3}, `a must be 5 per second with burst 3`);
+  t.deepEqual(settings.getRateLimit(context, 'b'), {requestsPerSecond: 2.5, burst: 1}, `b must be 2.5 per second with burst 1`);
+  t.equal(settings.getRateLimit(context, 'c'), undefined, `c must not be rate-limited`);
+  t.equal(settings.getRateLimit(context, 'd'), undefined, `d must not be rate-limited`);
+  t.equal(settings.getRateLimit(context, 'e'), undefined, `e must not be rate-limited`);
+  t.equal(settings.getRateLimit({streamProcessing: {}}, 'a'), undefined, `must not be rate-limited without rateLimits`);
+  t.end();
+});
+
+test('getTokenBucket', t => {
+  const context = {streamProcessing: {rateLimits: {a: {requestsPerSecond: 5, burst: 3}}}};
+  const bucket = rateLimiting.getTokenBucket('a', context);
+  t.ok(bucket instanceof TokenBucket, `a must have a token bucket`);
+  t.equal(bucket.requestsPerSecond, 5, `a's bucket must refill at 5 per second`);
+  t.equal(bucket.burst, 3, `a's bucket must hold 3 tokens`);
+  t.equal(rateLimiting.getTokenBucket('a', context), bucket, `must keep a's bucket`);
+  t.equal(rateLimiting.getTokenBucket('b', context), undefined, `b must not have a token bucket`);
+
+  context.streamProcessing.rateLimits.a.burst = 4;
+  const bucket2 = rateLimiting.getTokenBucket('a', context);
+  t.notEqual(bucket2, bucket, `must replace a's bucket when reconfigured`);
+  t.equal(bucket2.burst, 4, `a's new bucket must hold 4 tokens`);
+  t.end();
+});
+
+// =====================================================================================================================
+// executeProcessOneTasks & executeAllProcessAllTasks
+// =====================================================================================================================
+
+test('rateLimits throttles the executions of a "process one" task', t => {
+  const context = createContext({rateLimits: {processOne: {requestsPerSecond: 50, burst: 2}}});
+  const sim = new StreamSimulator(sampleRecords(6), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const startedAt = [];
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    startedAt.push(Date.now());
+    return Promise.resolve(msg.id1);
+  });
+  const processTwo = TaskDef.defineTask('processTwo', function (msg) {
+    return Promise.resolve(msg.id1);
+  });
+
+  sim.run(simulator.createHandler([processOne, processTwo], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Succeeded], `must succeed in 1 invocation`);
+      t.equal(startedAt.length, 6, `must execute processOne on every message`);
+      const elapsedMs = startedAt[5] - startedAt[0];
+      t.ok(elapsedMs >= 70, `must throttle processOne to 50 per second after a burst of 2 (${elapsedMs} ms)`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('rateLimits throttles the execution of a "process all" task', t => {
+  const context = createContext({rateLimits: {processAll: {requestsPerSecond: 10, burst: 1}}});
+  const sim = new StreamSimulator(sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  // Use up the only token in the "process all" task's bucket
+  rateLimiting.getTokenBucket('processAll', context).take();
+  const startMs = Date.now();
+
+  let executedAfterMs;
+  const processAll = TaskDef.defineTask('processAll', function (batch, incompleteMessages) {
+    executedAfterMs = Date.now() - startMs;
+    return Promise.resolve(incompleteMessages.length);
+  });
+
+  sim.run(simulator.createHandler([], [processAll], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.ok(executedAfterMs >= 90, `processAll must wait for a token (${executedAfterMs} ms)`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('rateLimits makes each retry of a "process one" task wait for a token', t => {
+  const context = createContext({
+    rateLimits: {processOne: {requestsPerSecond: 10, burst: 1}},
+    retryPolicies: {processOne: {maxRetries: 2, baseDelayMs: 1, jitter: 0}}
+  });
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const startedAt = [];
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    startedAt.push(Date.now());
+    return startedAt.length <= 2 ? Promise.reject(new TransientError(`Planned failure ${startedAt.length}`)) :
+      Promise.resolve(msg.id1);
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Succeeded], `must succeed in 1 invocation`);
+      t.equal(startedAt.length, 3, `must execute processOne 3 times`);
+      const elapsedMs = startedAt[2] - startedAt[0];
+      t.ok(elapsedMs >= 180, `must throttle each retry of processOne to 10 per second (${elapsedMs} ms)`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('rateLimits leaves tasks still waiting for a token incomplete & unattempted when processing times out', t => {
+  const context = createContext({maxNumberOfAttempts: 1, rateLimits: {processOne: {requestsPerSecond: 5, burst: 1}}});
+  const sim = new StreamSimulator(sampleRecords(6), {functionAlias: 'dev', functionTimeoutInMs: 500});
+  sim.configure(context);
+
+  const executed = [];
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    executed.push(msg.id1);
+    return Promise.resolve(msg.id1);
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations[0].outcome, InvocationOutcome.Failed, `1st invocation must have timed out & failed`);
+      t.ok(report.invocations.length > 1, `must take more than 1 invocation (${report.invocations.length})`);
+      t.deepEqual(executed, ['1', '2', '3', '4', '5', '6'], `must execute processOne exactly once on every message in order`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any waiting message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -0,0 +1,201 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/retrying.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const retrying = require('../retrying');
+
+const settings = require('../settings');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+const TransientError = errors.TransientError;
+
+const streamProcessing = require('../stream-processing');
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// A "process one" task that fails the given number of times on each message with errors created by the given function
+function failingTask(name, failures, toError, executions) {
+  return TaskDef.defineTask(name, function (msg) {
+    const n = executions.filter(id => id === msg.id1).length;
+    executions.push(msg.id1);
+    return n < failures ? Promise.reject(toError(msg, n + 1)) : Promise.resolve(msg.id1);
+  });
+}
+
+// =====================================================================================================================
+// isRetryableError, calculateRetryDelayMs & getRetryPolicy
+// =====================================================================================================================
+
+test('isRetryableError', t => {
+  t.ok(retrying.isRetryableError(new TransientError('Planned')), `TransientError must be retryable`);
+  const throttled = new Error('Throttled');
+  throttled.retryable = true;
+  t.ok(retrying.isRetryableError(throttled), `retryable error must be retryable`);
+  t.notOk(retrying.isRetryableError(new Error('Planned')), `plain Error must not be retryable`);
+  const fatal = new FatalError('Planned');
+  fatal.retryable = true;
+  t.notOk(retrying.isRetryableError(fatal), `FatalError must not be retryable`);
+  t.notOk(retrying.isRetryableError(undefined), `undefined must not be retryable`);
+  t.end();
+});
+
+test('calculateRetryDelayMs', t => {
+  const policy = {maxRetries: 3, baseDelayMs: 100, jitter: 0};
+  t.deepEqual([1, 2, 3].map(r => retrying.calculateRetryDelayMs(policy, r)), [100, 200, 400], `must double the delay on each retry`);
+
+  const jittered = {maxRetries: 3, baseDelayMs: 100, jitter: 0.5};
+  for (let i = 0; i < 20; ++i) {
+    const delayMs = retrying.calculateRetryDelayMs(jittered, 3);
+    t.ok(delayMs >= 200 && delayMs <= 400, `jittered delay (${delayMs}) must be between 200 & 400`);
+  }
+  t.end();
+});
+
+test('getRetryPolicy', t => {
+  const isRetryable = () => true;
+  const context = {
+    streamProcessing: {
+      retryPolicies: {
+        a: {maxRetries: 3, baseDelayMs: 50, jitter: 0.25, isRetryable: isRetryable},
+        b: {maxRetries: '2'},
+        c: {maxRetries: 2, jitter: 5, isRetryable: 'yes'},
+        d: {maxRetries: 0},
+        e: 3
+      }
+    }
+  };
+  t.deepEqual(settings.getRetryPolicy(context, 'a'), {maxRetries: 3, baseDelayMs: 50, jitter: 0.25, isRetryable: isRetryable}, `a must be as configured`);
+  t.deepEqual(settings.getRetryPolicy(context, 'b'), {maxRetries: 2, baseDelayMs: 100, jitter: 0, isRetryable: undefined}, `b must use the defaults`);
+  t.deepEqual(settings.getRetryPolicy(context, 'c'), {maxRetries: 2, baseDelayMs: 100, jitter: 1, isRetryable: undefined}, `c must cap its jitter & ignore its non-function predicate`);
+  t.equal(settings.getRetryPolicy(context, 'd'), undefined, `d must not be retried`);
+  t.equal(settings.getRetryPolicy(context, 'e'), undefined, `e must not be retried`);
+  t.equal(settings.getRetryPolicy(context, 'f'), undefined, `f must not be retried`);
+  t.equal(settings.getRetryPolicy({streamProcessing: {}}, 'a'), undefined, `must not be retried without retryPolicies`);
+  t.end();
+});
+
+// =====================================================================================================================
+// executeWithRetries via executeProcessOneTasks
+// =====================================================================================================================
+
+test('retryPolicies retries a transient failure within the same invocation', t => {
+  const context = createContext({retryPolicies: {processOne: {maxRetries: 3, baseDelayMs: 10}}});
+  const sim = new StreamSimulator(sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 2, (msg, n) => new TransientError(`Planned failure ${n} of ${msg.id1}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Succeeded], `must succeed in 1 invocation`);
+      t.equal(executions.length, 9, `must execute processOne 3 times on every message`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('retryPolicies does not retry a non-retryable failure', t => {
+  const context = createContext({retryPolicies: {processOne: {maxRetries: 3, baseDelayMs: 10}}});
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 1, (msg, n) => new Error(`Planned failure ${n} of ${msg.id1}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Failed, InvocationOutcome.Succeeded], `must only succeed on a replay`);
+      t.equal(executions.length, 4, `must execute processOne twice on every message`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('retryPolicies uses a configured retryable error predicate & stops after its maximum number of retries', t => {
+  const isRetryable = err => err.message.indexOf('Planned') !== -1;
+  const context = createContext({retryPolicies: {processOne: {maxRetries: 2, baseDelayMs: 10, isRetryable: isRetryable}}});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 4, (msg, n) => new Error(`Planned failure ${n} of ${msg.id1}`), executions);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Failed, InvocationOutcome.Succeeded], `must only succeed on a replay`);
+      t.equal(executions.length, 5, `must execute processOne 3 times in the 1st invocation & twice in the 2nd`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('retryPolicies does not retry when the delay would not end before processing times out', t => {
+  const context = createContext({retryPolicies: {processOne: {maxRetries: 3, baseDelayMs: 60000}}});
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOne = failingTask('processOne', 1, (msg, n) => new TransientError(`Planned failure ${n} of ${msg.id1}`), executions);
+
+  const startMs = Date.now();
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Failed, InvocationOutcome.Succeeded], `must only succeed on a replay`);
+      t.equal(executions.length, 2, `must execute processOne once per invocation`);
+      t.ok(Date.now() - startMs < 5000, `must not wait for the delay`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('executeWithRetries abandons a pending retry when batch processing is cancelled', t => {
+  const context = createContext({retryPolicies: {processOne: {maxRetries: 3, baseDelayMs: 5000}}});
+
+  let executions = 0;
+  const taskDef = TaskDef.defineTask('processOne', function () {
+    ++executions;
+    return Promise.reject(new TransientError(`Planned failure ${executions}`));
+  });
+  const task = context.taskFactory.createTask(taskDef);
+  const cancellable = {};
+
+  const startMs = Date.now();
+  const promise = retrying.executeWithRetries(task, () => task.execute().catch(() => task.donePromise),
+    () => 60000, cancellable, context);
+
+  setTimeout(() => {
+    t.notOk(cancellable.cancel(), `cancel must report that the retries were not completed`);
+  }, 20);
+
+  promise
+    .then(() => t.end(new Error('Expected a failure')))
+    .catch(err => {
+      t.equal(err.message, 'Planned failure 1', `must fail with the 1st failure`);
+      t.equal(executions, 1, `must not retry after being cancelled`);
+      t.ok(task.failed, `task must be left failed`);
+      t.equal(task.attempts, 1, `task must have 1 attempt`);
+      t.ok(Date.now() - startMs < 1000, `must not wait for the delay`);
+      t.end();
+    });
+});
@@ -0,0 +1,133 @@
+'use strict';
+
+/**
+ * Shared fixtures for the unit tests that run a stream consumer over a simulated shard of Kinesis records (see the
+ * `stream-simulator` module), whose sample messages have an `id1` id, a `k1` key & an `n1` sequence number, and for the
+ * unit tests that build batches directly from sample messages & records (see `sampleMessagesAndRecords`).
+ * @author Byron du Preez
+ */
+exports._$_ = '_$_'; //IDE workaround
+
+exports.sampleRecords = sampleRecords;
+exports.sampleMessagesAndRecords = sampleMessagesAndRecords;
+exports.extractMessagesFromRecord = extractMessagesFromRecord;
+exports.createContext = createContext;
+exports.sampleMessagesSettings = sampleMessagesSettings;
+
+const streamProcessing = require('../stream-processing');
+
+const taskUtils = require('task-utils');
+
+const regions = require('aws-core-utils/regions');
+
+const samples = require('./samples');
+const samplesAsc = require('./samples-asc');
+
+const awsRegion = 'us-west-2';
+const eventSourceARN = samples.sampleKinesisEventSourceArn(awsRegion, 'TestStream_DEV');
+
+/**
+ * Creates the given number of sample Kinesis records on the same shard, whose messages have ids, keys & sequence
+ * numbers (i.e. `id1`, `k1` & `n1`) based on their (1-based) positions.
+ * @param {number} n - the number of records to create
+ * @param {(function(i: number): string)|undefined} [toKey] - an optional function that returns the key of the i-th
+ * message (defaults to `K<i>`)
+ * @returns {KinesisEventRecord[]} the sample records
+ */
+function sampleRecords(n, toKey) {
+  const records = [];
+  for (let i = 1; i <= n; ++i) {
+    const seqNo = `4954511524349098501828006771497314458218006259324420096${i}`;
+    records.push(samples.sampleKinesisMessageAndRecord('shardId-000000000000', seqNo, eventSourceARN, `${i}`, undefined,
+      toKey ? toKey(i) : `K${i}`, undefined, i)[1]);
+  }
+  return records;
+}
+
+/**
+ * Creates the given number (up to 3) of sample Kinesis messages & records on the same shard, whose messages have `id1` &
+ * `id2` ids, `k1` & `k2` keys and `n1`, `n2` & `n3` sequence numbers.
+ * @param {number|undefined} [n] - the number of messages & records to create (defaults to 2)
+ * @returns {Array.<Array.<Message|KinesisEventRecord>>} the sample [message, record] pairs
+ */
+function sampleMessagesAndRecords(n) {
+  const shardId = 'shardId-000000000001';
+  return [
+    samples.sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200961', eventSourceARN, '123', '456', 'ABC', 10, 1, 2, 3),
+    samples.sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200962', eventSourceARN, '456', '789', 'DEF', 11, 4, 5, 6),
+    samples.sampleKinesisMessageAndRecord(shardId, '49545115243490985018280067714973144582180062593244200963', eventSourceARN, '789', '012', 'GHI', 12, 7, 8, 9)
+  ].slice(0, n || 2);
+}
+
+/**
+ * Extracts the single JSON message from the given sample Kinesis record & adds it to the given batch.
+ */
+function extractMessagesFromRecord(record, batch, extractMessageFromRecord, context) {
+  const message = JSON.parse(Buffer.from(record.kinesis.data, 'base64').toString('utf8'));
+  return Promise.resolve([batch.addMessage(message, record, undefined, context)]);
+}
+
+/**
+ * Creates a new context configured with the default sample stream processing settings, overridden by the given settings
+ * overrides (if any).
+ * @param {Object|undefined} [settingsOverrides] - optional settings with which to override the default sample settings
+ * @param {string|undefined} [stage] - an optional stage to configure on the context
+ * @returns {StreamConsumerContext} the configured context
+ */
+function createContext(settingsOverrides, stage) {
+  regions.setRegion(awsRegion);
+  const settings = {
+    streamType: 'kinesis',
+    sequencingRequired: true,
+    sequencingPerKey: true,
+    batchKeyedOnEventID: false,
+    kplEncoded: false,
+    timeoutAtPercentageOfRemainingTime: 0.9,
+    maxNumberOfAttempts: 10,
+    idPropertyNames: ['id1'],
+    keyPropertyNames: ['k1'],
+    seqNoPropertyNames: ['n1'],
+    extractMessagesFromRecord: extractMessagesFromRecord,
+    generateMD5s: samplesAsc.generateSampleMD5s,
+    resolveEventIdAndSeqNos: samplesAsc.resolveSampleEventIdAndSeqNos,
+    resolveMessageIdsAndSeqNos: (msg, rec, userRec, eventIdAndSeqNos, md5s, context) =>
+      ({ids: [['id1', msg.id1]], keys: [['k1', msg.k1]], seqNos: [['n1', msg.n1]]}),
+    loadBatchState: streamProcessing.loadBatchStateFromStore,
+    saveBatchState: streamProcessing.saveBatchStateToStore,
+    discardUnusableRecord: (unusableRecord, batch, context) =>
+      streamProcessing.discardUnusableRecordToDRQ(unusableRecord, batch, undefined, context),
+    discardRejectedMessage: (rejectedMessage, batch, context) =>
+      streamProcessing.discardRejectedMessageToDMQ(rejectedMessage, batch, undefined, context),
+    deadRecordQueueName: 'DeadRecordQueue',
+    deadMessageQueueName: 'DeadMessageQueue'
+  };
+  Object.keys(settingsOverrides || {}).forEach(name => settings[name] = settingsOverrides[name]);
+
+  const context = stage ? {stage: stage} : {};
+  streamProcessing.configureStreamProcessingWithSettings(context, settings, undefined,
+    require('../default-options.json'), undefined, undefined, true);
+  taskUtils.configureTaskFactory(context, {logger: context}, {returnMode: taskUtils.ReturnMode.NORMAL});
+  return context;
+}
+
+/**
+ * Returns the settings with which to override the default sample settings of a context (see `createContext`) that will
+ * be used to build batches from the messages & records created by `sampleMessagesAndRecords`, which resolve NO message
+ * ids or keys & only resolve the records' event sequence numbers, overridden in turn by the given settings overrides.
+ * @param {Object|undefined} [settingsOverrides] - optional settings with which to override these settings
+ * @returns {Object} the settings overrides
+ */
+function sampleMessagesSettings(settingsOverrides) {
+  const settings = {
+    idPropertyNames: ['id1', 'id2'],
+    keyPropertyNames: ['k1', 'k2'],
+    seqNoPropertyNames: ['n1', 'n2', 'n3'],
+    resolveMessageIdsAndSeqNos: (msg, rec, userRec, eventIdAndSeqNos, md5s, context) =>
+      ({ids: [], keys: [], seqNos: [['eventSeqNo', eventIdAndSeqNos.eventSeqNo]]}),
+    discardUnusableRecord: (unusableRecord, batch, context) => Promise.resolve(unusableRecord),
+    discardRejectedMessage: (rejectedMessage, batch, context) => Promise.resolve(rejectedMessage),
+    consumerId: 'my-function:dev'
+  };
+  Object.keys(settingsOverrides || {}).forEach(name => settings[name] = settingsOverrides[name]);
+  return settings;
+}
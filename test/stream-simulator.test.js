@@ -0,0 +1,256 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/stream-simulator.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const SimulatedClock = simulator.SimulatedClock;
+const InvocationOutcome = simulator.InvocationOutcome;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const streamProcessing = require('../stream-processing');
+
+const errors = require('core-functions/errors');
+const FatalError = errors.FatalError;
+
+const TaskDef = require('task-utils/task-defs');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+
+function createContext(settingsOverrides) {
+  return fixtures.createContext(Object.assign({sequencingPerKey: false}, settingsOverrides));
+}
+
+// =====================================================================================================================
+// StreamSimulator
+// =====================================================================================================================
+
+test('StreamSimulator replays a failed batch until every record is checkpointed', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(5), {batchSize: 2, functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = {};
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    executions[msg.id1] = (executions[msg.id1] || 0) + 1;
+    if (msg.id1 === '3' && executions[msg.id1] === 1) throw new Error('Planned failure');
+    return msg.id1;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.checkpoint, 5, `checkpoint must be 5`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Succeeded, InvocationOutcome.Failed,
+        InvocationOutcome.Succeeded, InvocationOutcome.Succeeded], `invocations must be Succeeded, Failed, Succeeded, Succeeded`);
+      t.deepEqual(report.invocations.map(i => i.checkpoint), [0, 2, 2, 4], `invocations must start at checkpoints 0, 2, 2, 4`);
+      t.equal(report.failedInvocations, 1, `failedInvocations must be 1`);
+      t.ok(report.invocations[1].batch, `failed invocation must have its batch`);
+      t.deepEqual(executions, {'1': 1, '2': 1, '3': 2, '4': 1, '5': 1}, `only the failed message must be re-processed`);
+      t.equal(context.streamProcessing.consumerId, 'simulated-function:dev', `consumerId must be simulated-function:dev`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator sends messages that exhaust their attempts to the in-memory DMQ', t => {
+  const context = createContext({maxNumberOfAttempts: 2});
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    if (msg.id1 === '2') throw new Error('Planned failure');
+    return msg.id1;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations.length, 2, `must take 2 invocations`);
+      const deadMessages = sim.kinesis.getPutData('DeadMessageQueue_DEV');
+      t.equal(deadMessages.length, 1, `DMQ must hold 1 dead message`);
+      t.equal(deadMessages[0].message.id1, '2', `dead message must be message 2`);
+      t.equal(sim.kinesis.getPutRecords('DeadRecordQueue_DEV').length, 0, `DRQ must be empty`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator ends when a FatalError disables the event source mapping', t => {
+  const context = createContext({
+    extractMessagesFromRecord: () => Promise.reject(new FatalError('FATAL - Planned fatal error'))
+  });
+  const sim = new StreamSimulator(sampleRecords(3), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const processOne = TaskDef.defineTask('processOne', msg => msg);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Disabled, `outcome must be Disabled`);
+      t.equal(report.invocations.length, 1, `must stop after 1 invocation`);
+      t.equal(report.invocations[0].outcome, InvocationOutcome.Failed, `invocation must have failed`);
+      t.ok(report.invocations[0].error instanceof FatalError, `invocation must have failed with a FatalError`);
+      t.equal(report.checkpoint, 0, `checkpoint must still be 0`);
+      t.notOk(sim.isEnabled(), `event source mapping must be disabled`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator replays a batch after the consumer runs out of time', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev', functionTimeoutInMs: 300});
+  sim.configure(context);
+
+  let executions = 0;
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    ++executions;
+    return msg.id1 === '1' && executions === 1 ? new Promise(resolve => setTimeout(() => resolve(msg.id1), 1000)) : msg.id1;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.Failed, InvocationOutcome.Succeeded],
+        `invocations must be Failed, Succeeded`);
+      t.ok(/time/i.test(report.invocations[0].error.message), `1st invocation must have failed with a timeout`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator times out a handler that runs past the function timeout', t => {
+  const clock = new SimulatedClock();
+  const sim = new StreamSimulator(sampleRecords(1), {functionTimeoutInMs: 50, maxInvocations: 2, clock: clock});
+
+  const remainingTimes = [];
+  const handler = (event, awsContext) => {
+    remainingTimes.push(awsContext.getRemainingTimeInMillis());
+    clock.advance(20);
+    remainingTimes.push(awsContext.getRemainingTimeInMillis());
+    return new Promise(() => {}); // never settles
+  };
+
+  sim.run(handler)
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.MaxInvocationsReached, `outcome must be MaxInvocationsReached`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.TimedOut, InvocationOutcome.TimedOut],
+        `invocations must both have timed out`);
+      t.ok(remainingTimes[0] <= 50 && remainingTimes[0] > 40, `remaining time must start at the function timeout`);
+      t.ok(remainingTimes[0] - remainingTimes[1] >= 20, `remaining time must follow the simulated clock`);
+      t.equal(report.checkpoint, 0, `checkpoint must still be 0`);
+      t.deepEqual(report.invocations.map(i => i.abandonedHandlerSettled), [false, false],
+        `must stop waiting for the never settling handlers`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator times out a handler when its simulated clock is advanced past the function timeout', t => {
+  const clock = new SimulatedClock();
+  const sim = new StreamSimulator(sampleRecords(1), {functionTimeoutInMs: 60000, maxInvocations: 1,
+    abandonedHandlerTimeoutInMs: 0, clock: clock});
+
+  const startMs = Date.now();
+  const handler = () => {
+    clock.advance(60000);
+    return new Promise(() => {}); // never settles
+  };
+
+  sim.run(handler)
+    .then(report => {
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.TimedOut], `invocation must have timed out`);
+      t.ok(report.invocations[0].durationInMs >= 60000, `duration must follow the simulated clock`);
+      t.ok(Date.now() - startMs < 60000, `must not wait for the real function timeout`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator waits for a timed out handler to settle before the next invocation', t => {
+  const sim = new StreamSimulator(sampleRecords(1), {functionTimeoutInMs: 50, maxInvocations: 2});
+
+  const events = [];
+  const handler = () => {
+    const invocation = sim.invocations.length;
+    events.push(`started:${invocation}`);
+    return new Promise(resolve => setTimeout(() => {
+      events.push(`settled:${invocation}`);
+      resolve();
+    }, 100));
+  };
+
+  sim.run(handler)
+    .then(report => {
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.TimedOut, InvocationOutcome.TimedOut],
+        `invocations must both have timed out`);
+      t.deepEqual(report.invocations.map(i => i.abandonedHandlerSettled), [true, true], `must wait for each handler to settle`);
+      t.deepEqual(events, ['started:1', 'settled:1', 'started:2', 'settled:2'],
+        `must not start the next invocation until the timed out handler settles`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator retries from the earliest batch item failure of a partial batch response', t => {
+  const context = createContext({reportBatchItemFailures: true});
+  const records = sampleRecords(5);
+  const sim = new StreamSimulator(records, {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = {};
+  const processOne = TaskDef.defineTask('processOne', function (msg) {
+    executions[msg.id1] = (executions[msg.id1] || 0) + 1;
+    if (msg.id1 === '3' && executions[msg.id1] === 1) throw new Error('Planned failure');
+    return msg.id1;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.PartiallySucceeded, InvocationOutcome.Succeeded],
+        `invocations must be PartiallySucceeded, Succeeded`);
+      t.deepEqual(report.invocations[0].batchItemFailures, [{itemIdentifier: records[2].kinesis.sequenceNumber}],
+        `1st invocation must report the 3rd record as its batch item failure`);
+      t.deepEqual(report.invocations.map(i => i.checkpoint), [0, 2], `invocations must start at checkpoints 0 & 2`);
+      t.deepEqual(report.invocations.map(i => i.recordCount), [5, 3], `2nd invocation must only get the last 3 records`);
+      t.deepEqual(report.invocations[1].batchItemFailures, [], `2nd invocation must report no batch item failures`);
+      t.equal(report.failedInvocations, 0, `failedInvocations must be 0`);
+      t.deepEqual(executions, {'1': 1, '2': 1, '3': 2, '4': 1, '5': 1}, `only the failed message must be re-processed`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('StreamSimulator retries from the first record after a partial batch response for a batch that failed to initiate', t => {
+  const context = createContext({reportBatchItemFailures: true});
+  const records = sampleRecords(3);
+  const sim = new StreamSimulator(records, {functionAlias: 'dev'});
+  sim.configure(context);
+
+  let loads = 0;
+  context.streamProcessing.loadBatchState = (batch, context) => ++loads === 1 ?
+    Promise.reject(new Error('Planned load failure')) : streamProcessing.loadBatchStateFromStore(batch, context);
+
+  const processOne = TaskDef.defineTask('processOne', msg => msg);
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(report.invocations.map(i => i.outcome), [InvocationOutcome.PartiallySucceeded, InvocationOutcome.Succeeded],
+        `invocations must be PartiallySucceeded, Succeeded`);
+      t.deepEqual(report.invocations[0].batchItemFailures, [{itemIdentifier: records[0].kinesis.sequenceNumber}],
+        `1st invocation must report the 1st record as its batch item failure`);
+      t.deepEqual(report.invocations.map(i => i.recordCount), [3, 3], `2nd invocation must get every record again`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
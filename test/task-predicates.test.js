@@ -0,0 +1,178 @@
+'use strict';
+
+/**
+ * Unit tests for aws-stream-consumer-core/task-predicates.js
+ * @author Byron du Preez
+ */
+
+const test = require('tape');
+
+// The test subject
+const taskPredicates = require('../task-predicates');
+
+const simulator = require('../stream-simulator');
+const StreamSimulator = simulator.StreamSimulator;
+const SimulationOutcome = simulator.SimulationOutcome;
+
+const TaskDef = require('task-utils/task-defs');
+const taskUtils = require('task-utils');
+
+const fixtures = require('./stream-consumer-fixtures');
+const sampleRecords = fixtures.sampleRecords;
+const createContext = fixtures.createContext;
+
+// A task that records the ids of the messages on which it was executed & that fails the given number of executions
+function recordingTask(name, executions, failures) {
+  let n = 0;
+  return TaskDef.defineTask(name, function (message) {
+    executions.push(`${name}:${message.id1}`);
+    return ++n <= (failures || 0) ? Promise.reject(new Error(`Planned failure ${n}`)) : Promise.resolve(n);
+  });
+}
+
+function isOdd(message) {
+  return Number(message.id1) % 2 === 1;
+}
+
+// =====================================================================================================================
+// defineConditionalTask, setWhen, getWhen, appliesTo & getApplicableTaskDefs
+// =====================================================================================================================
+
+test('defineConditionalTask, setWhen & getWhen', t => {
+  const taskDef = taskPredicates.defineConditionalTask('processOdd', () => 1, isOdd);
+  t.ok(taskDef instanceof TaskDef, `must define a TaskDef`);
+  t.equal(taskPredicates.getWhen(taskDef), isOdd, `must have the given when predicate`);
+  t.notOk(Object.keys(taskDef).includes('when'), `when must not be enumerable`);
+
+  t.equal(taskPredicates.setWhen(taskDef, undefined), taskDef, `setWhen must return the task definition`);
+  t.equal(taskPredicates.getWhen(taskDef), undefined, `must clear the when predicate`);
+
+  t.throws(() => taskPredicates.setWhen(taskDef, 'odd'), /invalid when predicate/, `must reject a non-function predicate`);
+  t.throws(() => taskPredicates.setWhen({name: 'fake'}, isOdd), /non-TaskDef/, `must reject a non-TaskDef`);
+  t.throws(() => taskPredicates.defineConditionalTask('bad', () => 1, 123), /invalid when predicate/, `must reject a non-function predicate`);
+
+  const plainTaskDef = TaskDef.defineTask('plain', () => 1);
+  t.equal(taskPredicates.getWhen(plainTaskDef), undefined, `plain task definition must have no predicate`);
+  plainTaskDef.when = isOdd;
+  t.equal(taskPredicates.getWhen(plainTaskDef), isOdd, `must honour a directly assigned when predicate`);
+  t.end();
+});
+
+test('appliesTo & getApplicableTaskDefs', t => {
+  const context = createContext();
+  const odd = taskPredicates.defineConditionalTask('processOdd', () => 1, isOdd);
+  const all = TaskDef.defineTask('processAny', () => 1);
+  const broken = taskPredicates.defineConditionalTask('processBroken', () => 1, () => {
+    throw new Error('Planned predicate failure');
+  });
+  const taskDefs = [odd, all, broken];
+
+  t.ok(taskPredicates.appliesTo(odd, {id1: '1'}, {id: '1'}, context), `processOdd must apply to message 1`);
+  t.notOk(taskPredicates.appliesTo(odd, {id1: '2'}, {id: '2'}, context), `processOdd must not apply to message 2`);
+  t.ok(taskPredicates.appliesTo(all, {id1: '2'}, {id: '2'}, context), `processAny must apply to message 2`);
+  t.ok(taskPredicates.appliesTo(broken, {id1: '2'}, {id: '2'}, context), `processBroken must apply when its predicate throws`);
+
+  const names = defs => defs.map(d => d.name);
+  t.deepEqual(names(taskPredicates.getApplicableTaskDefs(taskDefs, {id1: '2'}, {id: '2'}, undefined, context)),
+    ['processAny', 'processBroken'], `must only return applicable task definitions`);
+
+  const tasksByName = {};
+  taskUtils.setTask(tasksByName, 'processOdd', context.taskFactory.createTask(odd));
+  t.deepEqual(names(taskPredicates.getApplicableTaskDefs(taskDefs, {id1: '2'}, {id: '2'}, tasksByName, context)),
+    ['processOdd', 'processAny', 'processBroken'], `must also return task definitions with existing tasks`);
+  t.end();
+});
+
+// =====================================================================================================================
+// Batch reviveTasks with conditional task definitions
+// =====================================================================================================================
+
+test('Conditional "process one" tasks are ONLY created for the messages to which they apply', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(4), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOdd = taskPredicates.setWhen(recordingTask('processOdd', executions), isOdd);
+  const processEven = taskPredicates.setWhen(recordingTask('processEven', executions), (msg, state) => !isOdd(msg) && !!state);
+  const processNone = taskPredicates.setWhen(recordingTask('processNone', executions), () => false);
+
+  sim.run(simulator.createHandler([processOdd, processEven, processNone], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(executions.slice().sort(), ['processEven:2', 'processEven:4', 'processOdd:1', 'processOdd:3'],
+        `must only execute each task on its applicable messages`);
+
+      const batch = report.invocations[0].batch;
+      batch.messages.forEach(msg => {
+        const names = taskUtils.getTasks(batch.states.get(msg).ones).map(task => task.name);
+        t.deepEqual(names, [isOdd(msg) ? 'processOdd' : 'processEven'], `message (${msg.id1}) must only have its applicable task`);
+      });
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A message without any applicable "process one" tasks has no "process one" tasks & is finalised', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(2), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const executions = [];
+  const processOdd = taskPredicates.setWhen(recordingTask('processOdd', executions), isOdd);
+
+  sim.run(simulator.createHandler([processOdd], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(executions, ['processOdd:1'], `must only execute processOdd on message 1`);
+      const batch = report.invocations[0].batch;
+      const even = batch.messages.find(msg => !isOdd(msg));
+      t.equal(batch.states.get(even).ones, undefined, `message 2 must have no process one tasks`);
+      t.equal(sim.kinesis.getPutData('DeadMessageQueue_DEV').length, 0, `must not discard any message to the DMQ`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A message\'s existing "process one" tasks are revived even if their predicates no longer apply', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(1), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  let applies = true;
+  const executions = [];
+  const processOne = taskPredicates.setWhen(recordingTask('processOne', executions, 1), () => {
+    const result = applies;
+    applies = false;
+    return result;
+  });
+
+  sim.run(simulator.createHandler([processOne], [], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.equal(report.invocations.length, 2, `must take 2 invocations`);
+      t.deepEqual(executions, ['processOne:1', 'processOne:1'], `must re-execute the revived processOne task`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
+
+test('A conditional "process all" task is ONLY passed the incomplete messages to which it applies', t => {
+  const context = createContext();
+  const sim = new StreamSimulator(sampleRecords(4), {functionAlias: 'dev'});
+  sim.configure(context);
+
+  const received = [];
+  const processAllOdd = taskPredicates.defineConditionalTask('processAllOdd', (batch, incompleteMessages) => {
+    incompleteMessages.forEach(msg => received.push(msg.id1));
+    return Promise.resolve(incompleteMessages.length);
+  }, isOdd);
+
+  sim.run(simulator.createHandler([], [processAllOdd], context))
+    .then(report => {
+      t.equal(report.outcome, SimulationOutcome.Finalised, `outcome must be Finalised`);
+      t.deepEqual(received.slice().sort(), ['1', '3'], `processAllOdd must ONLY be passed the odd messages`);
+      t.end();
+    })
+    .catch(err => t.end(err));
+});
@@ -11,6 +11,7 @@
  * @property {AWSContext|undefined} [awsContext] - the AWS context passed to your Lambda function on invocation
  * @property {LambdaFunctionNameVersionAndAlias|undefined} [invokedLambda] - the name, version & alias of the invoked Lambda function
  * @property {TaskFactory} taskFactory - the task factory to use to create Tasks
+ * @property {CircuitBreakerRegistry|undefined} [circuitBreakerRegistry] - the registry of circuit breakers to which task definitions can be bound (installed on first use) - see the `circuit-breaking` module
  * @property {Batch|undefined} [batch] - the current batch being processed
  */
 
@@ -52,6 +53,9 @@
  * @property {SaveBatchState} saveBatchState - a function that will be used to save the current state of the stream consumer batch
  * @property {DiscardRejectedMessage} discardRejectedMessage - a function that will be used to discard any rejected message
  * @property {PostFinaliseBatch|undefined} [postFinaliseBatch] - an optional post-finalise function that will be invoked after the batch has been successfully finalised
+ * @property {ErrorClassifier|undefined} [errorClassifier] - an optional function that will be used to classify the error of a failed "process one" or "process all" task as transient or permanent (defaults to the `error-classification` module's `defaultErrorClassifier`)
+ * @property {BatchStateStore|undefined} [batchStateStore] - an optional batch state store to be used by the `loadBatchStateFromStore` & `saveBatchStateToStore` functions (e.g. an `InMemoryBatchStateStore` or `FileBatchStateStore`)
+ * @property {DeduplicationStore|undefined} [deduplicationStore] - an optional deduplication store (e.g. a `DynamoDBDeduplicationStore`) with which to enable cross-batch deduplication of already processed messages
  */
 
 /**
@@ -213,6 +217,12 @@
  * that will be invoked after the batch has been successfully finalised.
  */
 
+/**
+ * ErrorClassifier function type
+ * @typedef {function(error: Error, task: Task, context: StreamConsumerContext): ErrorClassification} ErrorClassifier - an optional, custom
+ * function that classifies the error of a failed "process one" or "process all" task as either transient or permanent.
+ */
+
 
 /**
  * StreamProcessingOptions
@@ -227,13 +237,34 @@
  * @property {string|undefined} [consumerId] - an optional pre-configured or derived consumer ID to use (if any)
  * @property {number} timeoutAtPercentageOfRemainingTime - the percentage of the remaining time at which to timeout processing (expressed as a number between 0.0 and 1.0, e.g. 0.9 would mean timeout at 90% of the remaining time)
  * @property {number} maxNumberOfAttempts - the maximum number of attempts on each of a message's tasks that are allowed before discarding the message and routing it to the Dead Message Queue. Note that if a message has multiple tasks, it will only be discarded when all of its tasks have reached this maximum
+ * @property {number|undefined} [maxTransientAttempts] - an optional maximum number of transient attempts (i.e. failures classified as transient & timeouts) on each of a message's "process one" & "process all" tasks before discarding the message, which, when configured, stops transient failures from counting as attempts against `maxPermanentAttempts` (defaults to counting transient failures as ordinary attempts) - see the `error-classification` module
+ * @property {number|undefined} [maxPermanentAttempts] - an optional maximum number of permanent attempts on each of a message's "process one" & "process all" tasks before discarding the message (defaults to `maxNumberOfAttempts`)
+ * @property {Object.<string, AttemptPolicy>|undefined} [attemptPolicies] - an optional map of "process one" & "process all" task definition names to the attempt policy of each named task, which overrides the task's maximum number of (permanent) attempts & decides whether to reject its message to the Dead Message Queue, to block the shard or to skip the task once the task has exhausted its attempts (defaults to rejecting after `maxPermanentAttempts`) - see the `attempt-policies` module
+ * @property {boolean|undefined} [bisectBatchOnFailure] - whether to bisect a batch that cannot be fully finalised across its replays by only processing a narrowing "window" of its incomplete messages on each replay, which finalises the good halves early & isolates & rejects a failing message without waiting for it to reach the maximum number of attempts (defaults to false) - see the `bisection` module
+ * @property {boolean|undefined} [reportBatchItemFailures] - whether `processStreamEvent` must resolve with a partial batch response (i.e. a `BatchItemFailuresResponse` with the sequence number of the first record with incomplete work) instead of rejecting when a batch cannot be fully finalised, which requires the event source mapping's `FunctionResponseTypes` to include `ReportBatchItemFailures` (defaults to false)
+ * @property {number|undefined} [maxConcurrentMessages] - an optional maximum number of messages whose "process one" tasks may be executed at the same time (any excess messages are queued until a running message's tasks settle), which prevents a batch with many independent messages (e.g. with `sequencingPerKey` & many distinct keys) from flooding downstream services (defaults to no limit)
+ * @property {Object.<string, number>|undefined} [maxConcurrentTasks] - an optional map of "process one" task definition names to the maximum number of executions of each named task that may run at the same time across all of a batch's messages (defaults to no limits)
+ * @property {Object.<string, RateLimit>|undefined} [rateLimits] - an optional map of task definition names to the rate limit of each named task, which makes each execution of a rate-limited task wait for a token from its task definition's token bucket instead of failing (defaults to no rate limits) - see the `rate-limiting` module
+ * @property {Object.<string, RetryPolicy>|undefined} [retryPolicies] - an optional map of "process one" task definition names to the in-invocation retry policy of each named task, which retries a task that fails with a retryable error within the same invocation after an exponential backoff delay instead of leaving it failed until the batch is replayed (defaults to no retries) - see the `retrying` module
+ * @property {Object.<string, CircuitBreakerOptions>|undefined} [circuitBreakers] - an optional map of circuit breaker names to the options of each named circuit breaker (including the names of the "process one" task definitions bound to it), while which is open its bound tasks are skipped without being attempted (defaults to no circuit breakers) - see the `circuit-breaking` module
  * @property {string[]} idPropertyNames - the names of all of the identifier properties of a message, which are used to extract a message's unique identifier(s), which uniquely identifies the message.
  * @property {string[]} keyPropertyNames - the names of all of the key properties of a message, which are used to extract a message's key(s), which uniquely identify the entity or subject of a message
  * @property {string[]} seqNoPropertyNames - the names of all of the sequence properties of a message, which are used to extract a message's sequence number(s), which determine the order in which messages with identical keys must be processed
  * @property {string} batchStateTableName - the unqualified name of the stream consumer batch state table from which to load and/or to which to save the state of the batch being processed
+ * @property {number|undefined} [deduplicationTtlInSeconds] - an optional number of seconds for which the ids of processed messages must be remembered for cross-batch deduplication (defaults to 1 day)
+ * @property {boolean|undefined} [deduplicatedByMessageMD5] - whether to also deduplicate messages without any message ids by their message MD5s, i.e. by their content (defaults to false, since distinct messages with identical content would then be skipped as duplicates)
+ * @property {string|undefined} [messageStateTableName] - the unqualified name of the stream consumer message state table from which to load and/or to which to save the states of the batch's messages when using the per-message layout (i.e. `loadBatchStateFromDynamoDBPerMessage` & `saveBatchStateToDynamoDBPerMessage`) (defaults to "StreamConsumerMessageState")
  * @property {string} deadRecordQueueName - the unqualified stream name of the Dead Record Queue to which to discard unusable records
  * @property {string} deadMessageQueueName - the unqualified stream name of the Dead Message Queue to which to discard rejected messages
+ * @property {DeadLetterQueueType|string|undefined} [deadRecordQueueType] - the type of dead letter sink to which to discard unusable records, i.e. "kinesis" (the default), "sqs", "sns", "s3" or the type of a custom sink registered via `registerDeadLetterSink` (the Dead Record Queue name is then the unqualified name of the queue, topic or bucket)
+ * @property {DeadLetterQueueType|string|undefined} [deadMessageQueueType] - the type of dead letter sink to which to discard rejected messages, i.e. "kinesis" (the default), "sqs", "sns", "s3" or the type of a custom sink registered via `registerDeadLetterSink` (the Dead Message Queue name is then the unqualified name of the queue, topic or bucket)
  * @property {boolean|undefined} [avoidEsmCache] - whether to avoid using the event source mapping cache or not
+ * @property {number|undefined} [batchStateTtlInSeconds] - an optional number of seconds after each save at which a batch's saved state must expire (via an `expiresAt` epoch attribute), which should exceed the stream's retention period (if omitted, saved batch states never expire)
+ * @property {number|undefined} [finalisedBatchStateTtlInSeconds] - an optional, typically much shorter, number of seconds after each save at which a fully finalised batch's saved state must expire (defaults to `batchStateTtlInSeconds` if omitted)
+ * @property {number|undefined} [batchStateCompressionThresholdInBytes] - an optional size in bytes of a batch's serialized message, rejected message & unusable record states above which they must be gzip-compressed before being saved to DynamoDB (defaults to 100 KB)
+ * @property {number|undefined} [batchStateChunkSizeInBytes] - an optional maximum size in bytes of a batch's compressed states that can be saved within its batch state item, above which they must be split across multiple chunk items of at most this size (defaults to 300 KB)
+ * @property {boolean|undefined} [batchStateIndexed] - whether to also save an index item per record that maps the record's eventID to its batch's key, which enables a later batch that contains any of the same records, but has a different key (e.g. after a shard split or merge or after its first record was trimmed), to find & restore the prior batch's state when `loadBatchStateFromDynamoDB` finds no state under its own key (defaults to false, but is always enabled when `reportBatchItemFailures` is enabled for batches keyed on event IDs, i.e. for DynamoDB streams or if `batchKeyedOnEventID` is true, since each partial checkpoint changes the next batch's key)
+ * @property {BatchStateConflictResolution|undefined} [batchStateConflictResolution] - how to resolve a conflicting concurrent update of a batch's saved state - valid values are "merge" (the default), which merges the task states keeping the most advanced state of each task, or "fail", which fails the save with a TransientError
  *
  * Notes:
  * 1. Setting `sequencingPerKey` to true means that messages with distinct keys will be sequenced separately, which will
@@ -278,6 +309,65 @@
  * @property {Error|undefined} [finalError] - the final error with which the batch failed if it failed
  * @property {boolean} partial - whether the run was only partially or fully completed, i.e. whether these results are partial (i.e. not all available yet) or full results
  * @property {boolean} fullyFinalised - whether the run was only fully finalised or not
+ * @property {SummarizedBisection|undefined} [bisection] - the summarized progress of the batch's bisection (if it is being bisected)
+ */
+
+/**
+ * @typedef {Object} Bisection - the progress of the bisection of a batch that could not be fully finalised, which is saved with the batch's own state
+ * @property {number} round - the number of the current bisection round (starting at 1)
+ * @property {string[]} window - the window keys (i.e. the record sequence numbers, suffixed with `#<user record sub-sequence number>` if any) of the messages in the current bisection window, which are the only messages whose "process one" tasks will be executed on the next replay
+ * @property {string[]} isolated - the window keys of the messages that were isolated & rejected by the bisection
+ */
+
+/**
+ * @typedef {Object} SummarizedBisection - the summarized progress of the bisection of a batch
+ * @property {number} round - the number of the current bisection round
+ * @property {number} window - the number of messages in the current bisection window
+ * @property {number} isolated - the number of messages isolated & rejected by the bisection
+ */
+
+/**
+ * @typedef {Object} ProcessOneLimiters - the concurrency limiters used while executing a batch's "process one" tasks
+ * @property {ConcurrencyLimiter|undefined} [messages] - the limiter of the number of messages processed at the same time (if `maxConcurrentMessages` is configured)
+ * @property {Map.<string, ConcurrencyLimiter>} tasks - the limiters of the number of executions of each "process one" task at the same time by task definition name (for each task with a limit configured in `maxConcurrentTasks`)
+ */
+
+/**
+ * @typedef {Object} RateLimit - the rate limit of a task, which is enforced by its task definition's token bucket
+ * @property {number} requestsPerSecond - the maximum number of executions of the task per second (i.e. the rate at which its token bucket is refilled)
+ * @property {number|undefined} [burst] - the maximum number of executions of the task that may start at once after a quiet period (i.e. the capacity of its token bucket) (defaults to 1)
+ */
+
+/**
+ * @typedef {Object} RetryPolicy - the policy for retrying a failed "process one" task within the same invocation
+ * @property {number} maxRetries - the maximum number of times to retry the task within an invocation
+ * @property {number|undefined} [baseDelayMs] - the number of milliseconds to wait before the 1st retry, which is doubled for every subsequent retry (defaults to 100)
+ * @property {number|undefined} [jitter] - the fraction (between 0.0 and 1.0) of each delay to randomise (defaults to 0)
+ * @property {(function(error: Error): boolean)|undefined} [isRetryable] - an optional predicate that decides whether a task's error is retryable (defaults to only retrying an error that is classified as transient by the configured or default error classifier)
+ */
+
+/**
+ * @typedef {Object} CircuitBreakerOptions - the options of a circuit breaker
+ * @property {number|undefined} [failureThreshold] - the number of consecutive failures of its bound tasks after which the circuit breaker opens (defaults to 5)
+ * @property {number|undefined} [resetTimeoutMs] - the number of milliseconds for which the circuit breaker stays open before letting a single trial execution through (defaults to 30000)
+ * @property {string[]|undefined} [taskNames] - the names of the "process one" task definitions to bind to the circuit breaker (defaults to none)
+ */
+
+/**
+ * @typedef {Object} AttemptPolicy - the policy for a "process one" or "process all" task that has exhausted its attempts
+ * @property {number|undefined} [maxNumberOfAttempts] - the maximum number of (permanent) attempts on the task before it is exhausted (defaults to `maxPermanentAttempts`)
+ * @property {ExhaustionPolicy|undefined} [onExhaustion] - what to do once the task is exhausted, i.e. "reject" its message to the Dead Message Queue, "block" the shard (by leaving the task incomplete) & alert or "skip" the task (by completing it) (defaults to "reject")
+ */
+
+/**
+ * @typedef {Object} BatchItemFailuresResponse - a partial batch response for an event source mapping with `ReportBatchItemFailures` enabled, which resolves `processStreamEvent` when `reportBatchItemFailures` is enabled
+ * @property {BatchItemFailure[]} batchItemFailures - the batch item failure (if the batch failed) from which Lambda must retry the batch; otherwise an empty list
+ * @property {Batch} batch - the batch processed (a non-enumerable property)
+ */
+
+/**
+ * @typedef {Object} BatchItemFailure - a batch item failure reported in a partial batch response
+ * @property {string} itemIdentifier - the sequence number of the record from which Lambda must retry the batch
  */
 
 /**
@@ -403,6 +493,100 @@
  * @property {TasksByName} [finalisingTasks] - a map-like object that maps each finalising phase Task (see {@link FinaliseBatchTask}) by its name (non-persistent!)
  */
 
+/**
+ * @typedef {Object} DeadLetterEnvelope - the standard, versioned envelope in which an unusable record or rejected message is sent to the Dead Record Queue or Dead Message Queue
+ * @property {number} envelopeVersion - the version of the envelope schema (currently 1)
+ * @property {DeadLetterKind} kind - the kind of dead letter, i.e. "UnusableRecord" or "RejectedMessage"
+ * @property {string|undefined} [streamType] - the type of stream from which the dead letter came
+ * @property {string|undefined} [consumerId] - the id of the stream consumer that discarded the dead letter
+ * @property {{streamConsumerId: string, shardOrEventID: string}|undefined} [batchKey] - the key of the batch that discarded the dead letter
+ * @property {string|undefined} [eventID] - the eventID of the dead letter's record
+ * @property {string|undefined} [eventSeqNo] - the sequence number of the dead letter's record
+ * @property {number|undefined} [eventSubSeqNo] - the sub-sequence number of the dead letter's user record (if any)
+ * @property {MD5s|undefined} [md5s] - the MD5 message digest(s) of the dead letter
+ * @property {string|undefined} [reasonUnusable] - the reason why the record was deemed unusable (UnusableRecord only)
+ * @property {string|undefined} [reasonRejected] - the reason why the message was rejected (RejectedMessage only)
+ * @property {KeyValuePair[]|undefined} [ids] - the message's id(s) (RejectedMessage only)
+ * @property {KeyValuePair[]|undefined} [keys] - the message's key(s) (RejectedMessage only)
+ * @property {KeyValuePair[]|undefined} [seqNos] - the message's sequence number(s) (RejectedMessage only)
+ * @property {Message|undefined} [message] - the rejected message (RejectedMessage only)
+ * @property {Record|undefined} [record] - the original record
+ * @property {UserRecord|undefined} [userRecord] - the original user record (if any)
+ * @property {Object.<string, DeadLetterTaskSummary[]>} tasks - summaries of the dead letter's "ones", "alls" & "discards" tasks
+ * @property {string|undefined} [recordArrivedAt] - the ISO date-time at which the original record arrived on its stream (if known)
+ * @property {string} discardedAt - the ISO date-time at which the dead letter was discarded
+ */
+
+/**
+ * @typedef {Object} DeadLetterTaskSummary - a summary of one of a dead letter's tasks
+ * @property {string} name - the name of the task
+ * @property {string} state - the name of the task's state
+ * @property {number} attempts - the number of attempts at the task
+ * @property {number} totalAttempts - the total number of attempts at the task
+ * @property {string|undefined} [lastError] - the error with which the task last failed, timed out or was rejected (if any)
+ * @property {string|undefined} [reason] - the reason for the task's state (if any)
+ * @property {string|undefined} [began] - the ISO date-time at which the task's last execution began (if any)
+ * @property {string|undefined} [ended] - the ISO date-time at which the task's last execution ended (if any)
+ * @property {DeadLetterTaskSummary[]|undefined} [subTasks] - summaries of the task's sub-tasks (if any)
+ */
+
+/**
+ * @typedef {Object} ReplayReport - a report of the dead letters that were (or would have been) replayed
+ * @property {boolean} dryRun - whether this was a dry run or not
+ * @property {string} target - where the dead letters were replayed to, i.e. "local", a stream name or "source streams"
+ * @property {number} read - the number of dead letter envelopes read
+ * @property {number} matched - the number of rejected messages that matched the filter criteria
+ * @property {number} replayed - the number of rejected messages replayed
+ * @property {number} skipped - the number of rejected messages that a local replay found already finalised without executing any of their tasks
+ * @property {number} unverified - the number of rejected messages whose local replay outcomes could not be verified, since the result of processing them did not include their batch
+ * @property {number} failed - the number of rejected messages that failed to replay
+ * @property {Array.<{eventID: string, key: string, reasonRejected: string, outcome: ReplayOutcome, streamName: (string|undefined), error: (string|undefined)}>} items - the outcome of each matching rejected message
+ */
+
+/**
+ * @typedef {Object} StreamSimulatorOptions - options to use to configure a stream simulator
+ * @property {number|undefined} [batchSize] - the maximum number of records to deliver per invocation (defaults to 100)
+ * @property {number|undefined} [functionTimeoutInMs] - the simulated function's timeout in milliseconds (defaults to 60000)
+ * @property {number|undefined} [maxInvocations] - the maximum number of invocations after which to end a simulation (defaults to 100)
+ * @property {number|undefined} [abandonedHandlerTimeoutInMs] - the maximum number of simulated milliseconds to wait for a timed out handler to settle before the next invocation (defaults to the function timeout)
+ * @property {string|undefined} [functionName] - the simulated function's name (defaults to "simulated-function")
+ * @property {string|undefined} [functionAlias] - the simulated function's alias (if any), which will also be resolved as the stage
+ * @property {string|undefined} [functionVersion] - the simulated function's version (defaults to "$LATEST")
+ * @property {string|undefined} [region] - the simulated AWS region (defaults to "us-west-2")
+ * @property {string|undefined} [eventSourceArn] - the simulated event source mapping's event source ARN (defaults to the first record's eventSourceARN)
+ * @property {SimulatedClock|undefined} [clock] - the simulated clock to use (defaults to a new clock)
+ * @property {BatchStateStore|undefined} [batchStateStore] - the batch state store to use (defaults to a new `InMemoryBatchStateStore`)
+ * @property {InMemoryKinesis|Object|undefined} [kinesis] - the Kinesis stand-in to use (defaults to a new `InMemoryKinesis`)
+ */
+
+/**
+ * @typedef {Object} SimulatedInvocation - the result of a simulated invocation
+ * @property {number} invocation - the number of the invocation (starting at 1)
+ * @property {number} checkpoint - the shard's checkpoint at the start of the invocation
+ * @property {number} recordCount - the number of records delivered
+ * @property {InvocationOutcome} outcome - the outcome of the invocation
+ * @property {number} durationInMs - the simulated duration of the invocation in milliseconds
+ * @property {Batch|undefined} [batch] - the batch processed (if available)
+ * @property {Error|undefined} [error] - the error with which the invocation failed or timed out (if any)
+ * @property {BatchItemFailure[]|undefined} [batchItemFailures] - the batch item failures reported by a partial batch response (if any)
+ * @property {boolean|undefined} [abandonedHandlerSettled] - whether a timed out handler settled before the next invocation (if timed out)
+ */
+
+/**
+ * @typedef {Object} SimulatedTimer - a timer of a simulated clock
+ * @property {number} dueAt - the simulated epoch (in milliseconds) at which the timer must fire
+ * @property {Function} callback - the callback to call when the timer fires
+ */
+
+/**
+ * @typedef {Object} SimulationReport - a report of a simulation
+ * @property {SimulationOutcome} outcome - the reason why the simulation ended
+ * @property {SimulatedInvocation[]} invocations - the results of every invocation
+ * @property {number} failedInvocations - the number of invocations that failed or timed out
+ * @property {number} checkpoint - the shard's final checkpoint
+ * @property {number} recordCount - the number of records in the shard
+ */
+
 /**
  * @typedef {Object} BatchStateItem - the stream consumer batch state item structure stored in DynamoDB, which stores the state of the entire current batch
  * @property {string} streamConsumerId - a concatenation of: 'K' (for Kinesis) or 'D' (for DynamoDB); the stream name (with '/' stream timestamp if DynamoDB); and the derived consumer ID, all joined by '|' separators
@@ -411,6 +595,55 @@
  * @property {MessageStateItem[]|undefined} [rejectedMessageStates] - the tracked states of all of the rejected messages (if any) in the batch
  * @property {UnusableRecordStateItem[]|undefined} [unusableRecordStates] - the tracked states of all of unusable records(if any) in the batch
  * @property {BatchState|undefined} [batchState] - the tracked state (if any) of the batch itself
+ * @property {number|undefined} [version] - the version of the batch state item, which is incremented on every save & used to detect conflicting concurrent saves (undefined for legacy items)
+ * @property {string|undefined} [updatedAt] - the ISO-8601 date-time at which the batch state item was last saved
+ * @property {boolean|undefined} [fullyFinalised] - whether the batch was fully finalised or not when the batch state item was last saved
+ * @property {number|undefined} [expiresAt] - the epoch (in seconds) at which the batch state item expires (if any), which must be configured as the table's DynamoDB TTL attribute
+ * @property {Buffer|undefined} [compressedStates] - the gzip-compressed JSON of the batch's message, rejected message & unusable record states (if they were too large to save uncompressed and small enough to save within the item), in which case the item's message, rejected message & unusable record states will be empty
+ * @property {number|undefined} [chunkCount] - the number of chunk items (if any) across which the batch's compressed states were split (if they were too large to save within the item), in which case the item's message, rejected message & unusable record states will be empty
+ * @property {string|undefined} [chunkSetId] - the unique id of the set of chunk items (if any) across which the batch's compressed states were split, which is generated anew on every save
+ */
+
+/**
+ * @typedef {Object} BatchStateChunkItem - a chunk of a stream consumer batch state item's compressed states stored in DynamoDB
+ * @property {string} streamConsumerId - the streamConsumerId of the chunk's batch state item
+ * @property {string} shardOrEventID - the shardOrEventID of the chunk's batch state item suffixed with '#', the chunk's chunk set id, '#' and the chunk's 1-based number
+ * @property {Buffer} chunk - the chunk's portion of the batch state item's compressed states
+ * @property {string} chunkSetId - the id of the chunk set to which this chunk belongs (i.e. the `chunkSetId` of its batch state item)
+ * @property {number|undefined} [version] - the version of the batch state item to which this chunk belongs
+ * @property {number|undefined} [expiresAt] - the epoch (in seconds) at which the chunk item expires (if any)
+ */
+
+/**
+ * @typedef {Object} BatchStateIndexItem - an index item stored in the batch state table, which maps one of a batch's records to the key of that batch's state item
+ * @property {string} streamConsumerId - the streamConsumerId of the batch state item
+ * @property {string} shardOrEventID - 'R|' followed by the record's eventID
+ * @property {string} batchShardOrEventID - the shardOrEventID of the batch state item
+ * @property {number|undefined} [expiresAt] - the epoch (in seconds) at which the index item expires (if any)
+ */
+
+/**
+ * @typedef {Object} MessageLayoutStateItem - the stream consumer message state item structure stored in DynamoDB when using the per-message layout, which stores the state of a single message, rejected message or unusable record (or of the batch itself)
+ * @property {string} streamConsumerId - the streamConsumerId (hash key)
+ * @property {string} stateKey - the state key (range key), which is 'M|' followed by the message's BFK, 'U|' followed by the unusable record's BFK or 'B|' followed by the batch's shardOrEventID
+ * @property {string} shardOrEventID - the shardOrEventID of the batch that last saved this state
+ * @property {MessageStateItem|UnusableRecordStateItem|BatchState} state - the tracked state of the message, unusable record or batch
+ * @property {boolean|undefined} [rejected] - whether the message was rejected or not
+ * @property {number} version - the version of the item, which is incremented on each save & used to detect conflicting concurrent saves
+ * @property {string} updatedAt - the ISO-8601 date-time at which the item was last saved
+ * @property {number|undefined} [expiresAt] - the epoch (in seconds) at which the item expires (if any)
+ */
+
+/**
+ * @typedef {Object} MessageLayoutStateItemKey - the key of a stream consumer message state item
+ * @property {string} streamConsumerId - the streamConsumerId (hash key)
+ * @property {string} stateKey - the state key (range key)
+ */
+
+/**
+ * @typedef {Object} BatchStateItemKey - the key of a stream consumer batch state item
+ * @property {string} streamConsumerId - the hash key of the batch state item
+ * @property {string} shardOrEventID - the range key of the batch state item
  */
 
 /**
@@ -436,6 +669,16 @@
  * @property {string} consumerId - the name of the consumerId setting
  * @property {string} timeoutAtPercentageOfRemainingTime - the name of the timeoutAtPercentageOfRemainingTime setting
  * @property {string} maxNumberOfAttempts - the name of the maxNumberOfAttempts setting
+ * @property {string} maxTransientAttempts - the name of the maxTransientAttempts setting
+ * @property {string} maxPermanentAttempts - the name of the maxPermanentAttempts setting
+ * @property {string} attemptPolicies - the name of the attemptPolicies setting
+ * @property {string} bisectBatchOnFailure - the name of the bisectBatchOnFailure setting
+ * @property {string} reportBatchItemFailures - the name of the reportBatchItemFailures setting
+ * @property {string} maxConcurrentMessages - the name of the maxConcurrentMessages setting
+ * @property {string} maxConcurrentTasks - the name of the maxConcurrentTasks setting
+ * @property {string} rateLimits - the name of the rateLimits setting
+ * @property {string} retryPolicies - the name of the retryPolicies setting
+ * @property {string} circuitBreakers - the name of the circuitBreakers setting
  * @property {string} idPropertyNames - the name of the idPropertyNames setting
  * @property {string} keyPropertyNames - the name of the keyPropertyNames setting
  * @property {string} seqNoPropertyNames - the name of the seqNoPropertyNames setting
@@ -451,9 +694,23 @@
  * @property {string} saveBatchState - the name of the saveBatchState function setting
  * @property {string} discardRejectedMessage - the name of the discardRejectedMessage function setting
  * @property {string} postFinaliseBatch - the name of the postFinaliseBatch function setting
+ * @property {string} errorClassifier - the name of the errorClassifier function setting
  * @property {string} batchStateTableName - the name of the batchStateTableName setting
+ * @property {string} batchStateStore - the name of the batchStateStore setting
+ * @property {string} batchStateConflictResolution - the name of the batchStateConflictResolution setting
+ * @property {string} batchStateTtlInSeconds - the name of the batchStateTtlInSeconds setting
+ * @property {string} finalisedBatchStateTtlInSeconds - the name of the finalisedBatchStateTtlInSeconds setting
+ * @property {string} batchStateCompressionThresholdInBytes - the name of the batchStateCompressionThresholdInBytes setting
+ * @property {string} batchStateChunkSizeInBytes - the name of the batchStateChunkSizeInBytes setting
+ * @property {string} batchStateIndexed - the name of the batchStateIndexed setting
+ * @property {string} messageStateTableName - the name of the messageStateTableName setting
+ * @property {string} deduplicationStore - the name of the deduplicationStore setting
+ * @property {string} deduplicationTtlInSeconds - the name of the deduplicationTtlInSeconds setting
+ * @property {string} deduplicatedByMessageMD5 - the name of the deduplicatedByMessageMD5 setting
  * @property {string} deadRecordQueueName - the name of the deadRecordQueueName setting
  * @property {string} deadMessageQueueName - the name of the deadMessageQueueName setting
+ * @property {string} deadRecordQueueType - the name of the deadRecordQueueType setting
+ * @property {string} deadMessageQueueType - the name of the deadMessageQueueType setting
  */
 
 /**
@@ -474,11 +731,33 @@
 /**
  * @typedef {TaskDef} ProcessOneTaskDef - a task definition to be used to create "process one at a time" tasks (see {@link ProcessOneTask})
  * @property {function(message: Message, batch: Batch, context: StreamConsumerContext): (*|Promise.<*>)} execute - the `execute` function of the tasks to be defined, which will be invoked with a message, the batch and the context
+ * @property {TaskPredicate|undefined} [when] - an optional predicate that decides whether this task definition applies to a message, which, if defined, ensures that tasks are ONLY created for the messages to which it applies (see the `task-predicates` module)
+ */
+
+/**
+ * TaskPredicate function type
+ * @typedef {function(message: Message, messageState: MessageState): boolean} TaskPredicate - a predicate that returns true if
+ * a "process one" or "process all" task definition applies to the given message; otherwise false.
+ */
+
+/**
+ * @typedef {Object} MessageRouterOptions - the options of a message router (see the `message-routing` module)
+ * @property {string|undefined} [typePropertyName] - the name (or compound name, e.g. "detail.type") of the property from which to resolve each message's type (required if no `resolveMessageType` function is configured)
+ * @property {(function(message: Message, messageState: MessageState): (string|undefined))|undefined} [resolveMessageType] - an optional function that resolves each message's type (overrides `typePropertyName`)
+ * @property {Object.<string, MessageRoute>} routes - a map of message types to the route (i.e. task pipeline) of each message type
+ * @property {MessageRoute|undefined} [defaultRoute] - an optional route for the messages whose types have no route of their own (defaults to rejecting these messages). NB: A message whose type cannot be resolved due to an error is always rejected
+ */
+
+/**
+ * @typedef {Object} MessageRoute - a route (i.e. task pipeline) of a message router
+ * @property {ProcessOneTaskDef[]|undefined} [processOneTaskDefs] - the "process one" task definitions to execute on the route's messages
+ * @property {ProcessAllTaskDef[]|undefined} [processAllTaskDefs] - the "process all" task definitions to execute on the route's messages
  */
 
 /**
  * @typedef {TaskDef} ProcessAllTaskDef - a task definition to be used to create "process all at once" tasks (see {@link ProcessAllTask})
  * @property {function(batch: Batch, incompleteMessages: Message[], context: StreamConsumerContext): (*|Promise.<*>)} execute - the `execute` function of the tasks to be defined, which will be invoked with the batch, any incomplete messages of the batch and the context
+ * @property {TaskPredicate|undefined} [when] - an optional predicate that decides whether this task definition applies to a message, which, if defined, ensures that the message's "process all" tasks are ONLY created for the messages to which it applies (see the `task-predicates` module)
  */
 
 /**